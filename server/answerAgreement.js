@@ -0,0 +1,37 @@
+/**
+ * Answer Agreement
+ *
+ * When a question goes to several answerers, their answers are grouped by
+ * normalized text ("Pizza!" and "pizza" are the same answer) and scored by
+ * how many students landed in the biggest group. A score of 1 means everyone
+ * agreed; anything near 1/k means every student said something different,
+ * which usually points at an ambiguous question or a matter of opinion.
+ */
+
+export const normalizeAnswer = (s) => String(s).toLowerCase().trim().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ');
+
+/**
+ * Group answers and score agreement
+ * @param {Array<{answer: string, answeredBy: string}>} answers - Answers in the order they arrived
+ * @returns {{answer: string, agreement: number, groups: Array<{answer: string, count: number, names: string[]}>}}
+ *   Majority answer (ties go to the group answered first), share of answers in that group, and every group largest first
+ */
+export function scoreAgreement(answers) {
+  const groups = new Map();
+  answers.forEach(({ answer, answeredBy }) => {
+    const key = normalizeAnswer(answer) || answer;
+    if (!groups.has(key)) groups.set(key, { answer, count: 0, names: [] });
+    const group = groups.get(key);
+    group.count++;
+    group.names.push(answeredBy);
+  });
+
+  // Stable sort keeps first-answered groups ahead on ties
+  const sorted = [...groups.values()].sort((a, b) => b.count - a.count);
+  const top = sorted[0];
+  return {
+    answer: top?.answer ?? '',
+    agreement: answers.length > 0 ? top.count / answers.length : 1,
+    groups: sorted
+  };
+}
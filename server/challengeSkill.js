@@ -0,0 +1,66 @@
+/**
+ * Challenge Skill
+ *
+ * A per-student estimate, per challenge type, of how well they're doing:
+ * 0 is struggling, 1 is breezing through. It is used directly as the
+ * difficulty level of their next challenge of that type (see tuneChallenge
+ * in challenges/index.js).
+ *
+ * Every result moves the estimate part of the way towards how that attempt
+ * went. A fail counts as 0; a pass counts between PASS_FLOOR (it took the
+ * whole time limit) and 1 (it took no time at all), so quick passes push the
+ * difficulty up faster than scraped ones. A type the student hasn't played
+ * yet starts from their average over the types they have.
+ */
+
+export const START_SKILL = 0.5;
+const PASS_FLOOR = 0.6;
+const LEARNING_RATE = 0.35;
+
+// skills: { [type]: { skill, played } } as kept on the student's client record
+
+/**
+ * Current estimate for one challenge type
+ * @param {Object} skills - The student's skills by type
+ * @param {string} type - Challenge type
+ * @returns {number} 0 (easiest) to 1 (hardest)
+ */
+export function skillFor(skills, type) {
+  if (skills?.[type]) return skills[type].skill;
+  const played = Object.values(skills || {});
+  if (played.length === 0) return START_SKILL;
+  return played.reduce((sum, s) => sum + s.skill, 0) / played.length;
+}
+
+/**
+ * How one attempt went
+ * @param {boolean} success - Whether the challenge was passed
+ * @param {number} elapsedMs - Time from sending the challenge to the result
+ * @param {number} timeLimit - The challenge's time limit
+ * @returns {number} 0 to 1
+ */
+export function attemptScore(success, elapsedMs, timeLimit) {
+  if (!success) return 0;
+  const timeUsed = Math.min(1, Math.max(0, elapsedMs / timeLimit));
+  return PASS_FLOOR + (1 - PASS_FLOOR) * (1 - timeUsed);
+}
+
+/**
+ * Fold one result into a student's skills
+ * @param {Object} skills - The student's skills by type
+ * @param {string} type - Challenge type played
+ * @param {Object} result
+ * @param {boolean} result.success - Whether it was passed
+ * @param {number} result.elapsedMs - How long it took
+ * @param {number} result.timeLimit - The time limit it was played with
+ * @returns {Object} New skills by type
+ */
+export function updateSkill(skills, type, { success, elapsedMs, timeLimit }) {
+  const current = skillFor(skills, type);
+  const score = attemptScore(success, elapsedMs, timeLimit);
+  const skill = Math.round((current + LEARNING_RATE * (score - current)) * 1000) / 1000;
+  return {
+    ...skills,
+    [type]: { skill, played: (skills?.[type]?.played || 0) + 1 }
+  };
+}
@@ -0,0 +1,128 @@
+import { indexList } from './random.js';
+import { INTEGER, TEXT, list, record } from './packSchema.js';
+
+/**
+ * Attention: for each sentence, pick the words the highlighted word
+ * refers back to. Moves are the selected word indexes, one list per round.
+ */
+
+export const definition = {
+  type: 'attention',
+  weight: 1,
+  failureMode: 'forget',
+  corruptionType: 'attention',
+  corruptCount: 1,
+  failureMessage: 'Attention challenge failed! The AI lost focus and forgot something it learned!',
+  difficulty: {
+    timeLimit: [150000, 90000],
+    rounds: [4, 6],
+    sentenceLength: [8, 10] // longest sentence, in words
+  }
+};
+
+// Words are the sentence split on spaces; targetWordIndex is the highlighted
+// word and correctAttentions the words it refers back to
+export const poolSchema = {
+  sentences: list(record({ sentence: TEXT, targetWordIndex: INTEGER, correctAttentions: list(INTEGER, 1) }), 6)
+};
+
+export function checkPool(pool) {
+  const errors = [];
+  pool.sentences.forEach((s, i) => {
+    const words = s.sentence.split(' ').length;
+    if (!(s.targetWordIndex >= 0 && s.targetWordIndex < words)) {
+      errors.push(`sentences[${i}].targetWordIndex must point at one of its ${words} words`);
+    }
+    if (!s.correctAttentions.every(w => w >= 0 && w < words && w !== s.targetWordIndex)) {
+      errors.push(`sentences[${i}].correctAttentions must point at other words in the sentence`);
+    }
+  });
+  return errors;
+}
+
+export function generate(random, { rounds, sentenceLength }, pool) {
+  // Sentences short enough for the level, topped up with the shortest of the rest
+  const sentences = random.shuffle(pool.sentences).map(s => ({ ...s, words: s.sentence.split(' ') }));
+  const fitting = sentences.filter(s => s.words.length <= sentenceLength);
+  const longer = sentences.filter(s => s.words.length > sentenceLength).sort((a, b) => a.words.length - b.words.length);
+  return { rounds: [...fitting, ...longer].slice(0, rounds) };
+}
+
+// A round counts when more than half of the words it needed were selected
+export function roundCorrect(round, selected) {
+  const correct = new Set(round.correctAttentions);
+  const hits = [...new Set(selected)].filter(i => correct.has(i)).length;
+  return correct.size > 0 && hits / correct.size > 0.5;
+}
+
+// Players see the sentences and the highlighted words, not what they refer to
+export const view = (content) => ({
+  rounds: content.rounds.map(({ words, targetWordIndex }) => ({ words, targetWordIndex }))
+});
+
+// Whether the latest round counted - never which words it needed
+export function feedback(content, moves) {
+  const round = content.rounds[moves.length - 1];
+  const selected = round && indexList(moves[moves.length - 1], round.words.length);
+  if (!selected) return null;
+  return { correct: roundCorrect(round, selected) };
+}
+
+export function grade(content, moves) {
+  const totalCorrect = content.rounds.filter((round, i) => {
+    const selected = indexList(moves[i], round.words.length);
+    return selected !== null && roundCorrect(round, selected);
+  }).length;
+  return totalCorrect > content.rounds.length / 2; // Majority of rounds
+}
+
+/**
+ * Team play: everyone works on the same sentence and sees what teammates
+ * have picked. A round is settled once every player still here is ready,
+ * and only counts when they all picked the same words and those words are
+ * right. A move is { round, words, ready }.
+ */
+export const coop = {
+  minPlayers: 2,
+  maxPlayers: 4,
+
+  start(content, players) {
+    return {
+      round: 0,
+      picks: Array.from({ length: players }, () => []),
+      ready: Array(players).fill(false),
+      results: []
+    };
+  },
+
+  move(content, state, player, { round, words, ready }) {
+    const current = content.rounds[state.round];
+    if (!current || round !== state.round) return null;
+    const selected = indexList(words, current.words.length);
+    if (selected === null) return null;
+    return {
+      ...state,
+      picks: state.picks.map((pick, i) => (i === player ? [...new Set(selected)].sort((a, b) => a - b) : pick)),
+      ready: state.ready.map((isReady, i) => (i === player ? ready === true : isReady))
+    };
+  },
+
+  settle(content, state, present) {
+    const players = present.flatMap((isHere, player) => (isHere ? [player] : []));
+    const current = content.rounds[state.round];
+    if (!current || players.length === 0 || !players.every(player => state.ready[player])) return state;
+
+    const [first, ...others] = players.map(player => state.picks[player]);
+    const agreed = others.every(pick => pick.join() === first.join());
+    return {
+      round: state.round + 1,
+      picks: state.picks.map(() => []),
+      ready: state.ready.map(() => false),
+      results: [...state.results, agreed && roundCorrect(current, first)]
+    };
+  },
+
+  done: (content, state) => state.round >= content.rounds.length,
+
+  grade: (content, state) => state.results.filter(Boolean).length > content.rounds.length / 2
+};
@@ -0,0 +1,50 @@
+import { BOOLEAN, TEXT, list, record } from './packSchema.js';
+
+/**
+ * Bias Breaker: flag biased statements and let neutral ones pass.
+ * Moves are one boolean per message (true = flagged).
+ */
+
+export const definition = {
+  type: 'biasbreaker',
+  weight: 1,
+  failureMode: 'inject',
+  corruptionType: 'bias',
+  corruptCount: 3,
+  failureMessage: 'Bias Breaker failed! {count} biased opinion{s} leaked into the AI\'s training data!',
+  difficulty: {
+    timeLimit: [150000, 90000],
+    rounds: [8, 12] // statements to sort
+  }
+};
+
+// Statements students sort: biased ones should be flagged, neutral ones let through
+export const poolSchema = {
+  messages: list(record({ text: TEXT, biased: BOOLEAN }), 12)
+};
+
+export function checkPool(pool) {
+  const biased = pool.messages.filter(m => m.biased).length;
+  return biased > 0 && biased < pool.messages.length ? [] : ['messages needs both biased and neutral statements'];
+}
+
+export function generate(random, { rounds }, pool) {
+  return { messages: random.shuffle(pool.messages).slice(0, rounds) };
+}
+
+// Players see the statements, not which of them are biased
+export const view = (content) => ({ messages: content.messages.map(({ text }) => ({ text })) });
+
+// Whether the latest statement was sorted right
+export function feedback(content, moves) {
+  const message = content.messages[moves.length - 1];
+  const flagged = moves[moves.length - 1];
+  if (!message || typeof flagged !== 'boolean') return null;
+  return { correct: flagged === message.biased };
+}
+
+export function grade(content, moves) {
+  if (moves.length !== content.messages.length) return false;
+  const correct = content.messages.filter((m, i) => moves[i] === m.biased).length;
+  return correct > content.messages.length / 2; // Simple majority
+}
@@ -0,0 +1,110 @@
+/**
+ * ClusterRush: keep the GPU cluster running by pressing the button that
+ * matches each task. Moves are the task types pressed, in order.
+ */
+
+export const definition = {
+  type: 'clusterrush',
+  weight: 1,
+  failureMode: 'shuffle',
+  corruptionType: 'clusterrush',
+  corruptCount: 4,
+  failureMessage: 'ClusterRush failed! The AI mismatched {count} answer{s} to the wrong questions!',
+  difficulty: {
+    timeLimit: [150000, 90000],
+    rounds: [10, 20], // tasks to complete
+    distractors: [1, 3] // wrong buttons next to the right one
+  }
+};
+
+export const TASK_TYPES = ['connect', 'power', 'route', 'balance', 'switch', 'cooling'];
+const TASK_COUNT = 40; // wrong presses don't use up a task, so the list repeats if it runs out
+
+export function generate(random, { rounds, distractors }) {
+  const tasks = Array.from({ length: TASK_COUNT }, () => {
+    const type = random.pick(TASK_TYPES);
+    // One correct button and the wrong ones, in random order
+    const wrong = random.shuffle(TASK_TYPES.filter(t => t !== type)).slice(0, distractors);
+    return { type, options: random.shuffle([type, ...wrong]) };
+  });
+  return { target: rounds, tasks };
+}
+
+export const taskAt = (content, completed) => content.tasks[completed % content.tasks.length];
+
+// The player only ever sees the task in front of them: the first comes with
+// the content, each one after that with the feedback on a press
+export const view = (content) => ({ target: content.target, task: taskAt(content, 0) });
+
+// Score and tasks done after a run of presses, or null when a press wasn't
+// one of the buttons shown or came after the target was reached
+function replay(content, presses) {
+  let score = 0;
+  let completed = 0;
+  for (const pressed of presses) {
+    const task = taskAt(content, completed);
+    if (score >= content.target || !task.options.includes(pressed)) return null;
+    if (pressed === task.type) {
+      completed++;
+      score++;
+    } else {
+      score = Math.max(0, score - 1);
+    }
+  }
+  return { score, completed };
+}
+
+export function grade(content, moves) {
+  const played = replay(content, moves);
+  return played !== null && played.score >= content.target;
+}
+
+// Whether the press was right, the score now and the task to show next
+export function feedback(content, moves) {
+  const before = replay(content, moves.slice(0, -1));
+  const after = replay(content, moves);
+  if (!before || !after) return null;
+  return { correct: after.completed > before.completed, score: after.score, task: taskAt(content, after.completed) };
+}
+
+// Task types dealt round the players still here; a player who drops out
+// has their buttons shared among the rest until they come back
+function deal(present) {
+  const here = present.flatMap((isHere, player) => (isHere ? [player] : []));
+  const owners = {};
+  let next = 0;
+  TASK_TYPES.forEach((type, i) => {
+    const dealt = i % present.length;
+    owners[type] = present[dealt] || here.length === 0 ? dealt : here[next++ % here.length];
+  });
+  return owners;
+}
+
+/**
+ * Team play: the task types are dealt out between the players, so each
+ * player holds only some of the buttons and whoever holds the one the
+ * cluster needs has to press it. A move is { task, type } - the task it
+ * answers (its place in the list) and the button pressed. The task the
+ * team is on travels in the shared state, so nobody sees the ones ahead.
+ */
+export const coop = {
+  minPlayers: 2,
+  maxPlayers: 4,
+
+  start: (content, players) => ({ owners: deal(Array(players).fill(true)), completed: 0, score: 0, task: taskAt(content, 0) }),
+
+  move(content, state, player, { task, type }) {
+    // A press meant for a task a teammate has already done doesn't count
+    if (task !== state.completed || state.owners[type] !== player) return null;
+    if (type === taskAt(content, state.completed).type) {
+      return { ...state, completed: state.completed + 1, score: state.score + 1, task: taskAt(content, state.completed + 1) };
+    }
+    return { ...state, score: Math.max(0, state.score - 1) };
+  },
+
+  settle: (content, state, present) => ({ ...state, owners: deal(present) }),
+
+  done: (content, state) => state.score >= content.target,
+
+  grade: (content, state) => state.score >= content.target
+};
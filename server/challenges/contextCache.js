@@ -0,0 +1,79 @@
+import { isIndex } from './random.js';
+import { BOOLEAN, TEXT, list, record } from './packSchema.js';
+
+/**
+ * Context Cache: chat chunks arrive one at a time and only a few memory
+ * slots exist. Moves are one entry per chunk: the slot it was saved to
+ * (overwriting whatever was there) or null when it was discarded.
+ */
+
+export const definition = {
+  type: 'contextcache',
+  weight: 1,
+  failureMode: 'inject',
+  corruptionType: 'context',
+  corruptCount: 3,
+  failureMessage: 'Context Cache failed! {count} stale memor{ies} corrupted the AI\'s context!',
+  difficulty: {
+    timeLimit: [150000, 90000],
+    rounds: [6, 10], // chunks that arrive
+    distractors: [1, 4] // of which filler
+  }
+};
+
+// A scenario is one conversation; filler chunks (important: false) are the
+// ones not worth remembering. `contradicts` names the detail a chunk replaces.
+export const poolSchema = {
+  scenarios: list(record({
+    name: TEXT,
+    chunks: list(record({ text: TEXT, important: BOOLEAN, detail: TEXT, category: TEXT, contradicts: TEXT }, ['detail', 'contradicts']), 7)
+  }), 1)
+};
+
+export function checkPool(pool) {
+  const errors = [];
+  pool.scenarios.forEach((scenario, i) => {
+    const important = scenario.chunks.filter(c => c.important).length;
+    if (important < 6) errors.push(`scenarios[${i}] needs at least 6 important chunks (has ${important})`);
+    if (important === scenario.chunks.length) errors.push(`scenarios[${i}] needs at least 1 filler chunk`);
+  });
+  return errors;
+}
+
+export const NUM_SLOTS = 6;
+
+export function generate(random, { rounds, distractors }, pool) {
+  const scenario = random.pick(pool.scenarios);
+  const filler = random.shuffle(scenario.chunks.filter(c => !c.important)).slice(0, distractors);
+  const important = random.shuffle(scenario.chunks.filter(c => c.important)).slice(0, rounds - filler.length);
+  const chunks = random.shuffle([...important, ...filler]).map((chunk, i) => ({
+    id: i,
+    ...chunk,
+    priority: chunk.important ? random.int(3) + 7 : random.int(4) + 1
+  }));
+  return { scenarioName: scenario.name, chunks };
+}
+
+/**
+ * What ended up in memory and whether enough of it matters
+ * @returns {{importantSaved: number, totalImportantInRound: number, fillerSaved: number, passed: boolean}}
+ */
+export function evaluateSlots(chunks, slots) {
+  const stored = slots.filter(Boolean);
+  const totalImportantInRound = chunks.filter(c => c.important).length;
+  const importantSaved = stored.filter(s => s.important).length;
+  const fillerSaved = stored.filter(s => !s.important).length;
+  const passed = totalImportantInRound > 0 && importantSaved >= Math.ceil(totalImportantInRound / 2);
+  return { importantSaved, totalImportantInRound, fillerSaved, passed };
+}
+
+export function grade(content, moves) {
+  if (moves.length !== content.chunks.length) return false;
+  const slots = Array(NUM_SLOTS).fill(null);
+  for (let i = 0; i < moves.length; i++) {
+    if (moves[i] === null) continue;
+    if (!isIndex(moves[i], NUM_SLOTS)) return false;
+    slots[moves[i]] = content.chunks[i];
+  }
+  return evaluateSlots(content.chunks, slots).passed;
+}
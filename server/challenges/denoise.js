@@ -0,0 +1,110 @@
+import { isIndex } from './random.js';
+import { TEXT, list } from './packSchema.js';
+
+/**
+ * Denoise: tap the junk tokens mixed into a training sentence without
+ * tapping real words. Moves are the taps in order, each { round, token }:
+ * the sentence and the index of the token tapped in it.
+ */
+
+export const definition = {
+  type: 'denoise',
+  weight: 1,
+  failureMode: 'garble',
+  corruptionType: 'denoise',
+  corruptCount: 3,
+  failureMessage: 'Denoise failed! {count} training item{s} garbled with noise!',
+  difficulty: {
+    timeLimit: [150000, 90000],
+    rounds: [4, 6],
+    distractors: [3, 7], // noise tokens per sentence (up to 2 more at random)
+    sentenceLength: [13, 17] // longest sentence, in words
+  }
+};
+
+// sentences: clean training sentences; noiseTokens: junk that looks obviously corrupted
+export const poolSchema = {
+  sentences: list(TEXT, 6),
+  noiseTokens: list(TEXT, 3)
+};
+
+export const MAX_MISTAKES_PER_ROUND = 3;
+
+// Must clean all but one sentence
+export const requiredClean = (roundCount) => roundCount - 1;
+
+// Insert `distractors` to `distractors + 2` noise tokens at random positions
+function corruptSentence(sentence, distractors, noiseTokens, random) {
+  const tokens = sentence.split(' ').map(w => ({ text: w, isNoise: false }));
+  const noiseCount = distractors + random.int(3);
+  for (let i = 0; i < noiseCount; i++) {
+    const noise = random.pick(noiseTokens);
+    const pos = random.int(tokens.length + 1);
+    tokens.splice(pos, 0, { text: noise, isNoise: true });
+  }
+  return tokens;
+}
+
+const wordCount = (sentence) => sentence.split(' ').length;
+
+export function generate(random, { rounds, distractors, sentenceLength }, pool) {
+  // Sentences short enough for the level, topped up with the shortest of the rest
+  const sentences = random.shuffle(pool.sentences);
+  const fitting = sentences.filter(s => wordCount(s) <= sentenceLength);
+  const longer = sentences.filter(s => wordCount(s) > sentenceLength).sort((a, b) => wordCount(a) - wordCount(b));
+  return {
+    rounds: [...fitting, ...longer].slice(0, rounds).map(sentence => ({
+      tokens: corruptSentence(sentence, distractors, pool.noiseTokens, random)
+    }))
+  };
+}
+
+/**
+ * Replay one round's taps
+ * @returns {'clean'|'failed'|null} null while the round is still unfinished
+ */
+export function playRound(tokens, taps) {
+  const removed = new Set();
+  const noiseTotal = tokens.filter(t => t.isNoise).length;
+  let mistakes = 0;
+  for (const idx of taps) {
+    if (removed.has(idx)) continue;
+    if (tokens[idx].isNoise) {
+      removed.add(idx);
+      if (removed.size === noiseTotal) return 'clean';
+    } else if (++mistakes >= MAX_MISTAKES_PER_ROUND) {
+      return 'failed';
+    }
+  }
+  return null;
+}
+
+// Players see the tokens and how much noise is in each sentence, not which tokens it is
+export const view = (content) => ({
+  rounds: content.rounds.map(({ tokens }) => ({
+    tokens: tokens.map(({ text }) => ({ text })),
+    noise: tokens.filter(t => t.isNoise).length
+  }))
+});
+
+const isTap = (content, tap) =>
+  !!tap && isIndex(tap.round, content.rounds.length) && isIndex(tap.token, content.rounds[tap.round].tokens.length);
+
+// One round's taps, in the order they came
+const roundTaps = (moves, round) => moves.filter(tap => tap.round === round).map(tap => tap.token);
+
+// Whether the tap hit noise, and how its round stands now ('clean',
+// 'failed' or null while it's still going)
+export function feedback(content, moves) {
+  const tap = moves[moves.length - 1];
+  if (!isTap(content, tap)) return null;
+  const { tokens } = content.rounds[tap.round];
+  if (playRound(tokens, roundTaps(moves.slice(0, -1), tap.round)) !== null) return null; // Round already over
+  return { noise: tokens[tap.token].isNoise, round: playRound(tokens, roundTaps(moves, tap.round)) };
+}
+
+export function grade(content, moves) {
+  if (!moves.every(tap => isTap(content, tap))) return false;
+  const roundsClean = content.rounds.filter((round, i) => playRound(round.tokens, roundTaps(moves, i)) === 'clean').length;
+  return roundsClean >= requiredClean(content.rounds.length);
+}
@@ -0,0 +1,108 @@
+import { isIndex } from './random.js';
+import { INTEGER, TEXT, list, record } from './packSchema.js';
+
+/**
+ * Ethics Engine: choose how the AI should respond to tricky requests.
+ * Every response nudges the helpful / harmless / honest meters; the model
+ * passes when all three stay balanced. Moves are the response index chosen
+ * in each round.
+ */
+
+export const definition = {
+  type: 'ethicsengine',
+  weight: 1,
+  failureMode: 'inject',
+  corruptionType: 'ethics',
+  corruptCount: 3,
+  failureMessage: 'Ethics Engine failed! {count} unethical response{s} corrupted the AI\'s moral compass!',
+  difficulty: {
+    timeLimit: [150000, 90000],
+    rounds: [4, 6],
+    distractors: [1, 2] // lopsided responses shown next to the balanced one
+  }
+};
+
+// Each scenario offers responses that move the three meters; correctIndex
+// is the balanced one
+export const poolSchema = {
+  scenarios: list(record({
+    situation: TEXT,
+    context: TEXT,
+    responses: list(record({
+      text: TEXT,
+      type: TEXT,
+      explanation: TEXT,
+      alignmentChanges: record({ helpful: INTEGER, harmless: INTEGER, honest: INTEGER })
+    }), 3),
+    correctIndex: INTEGER
+  }), 6)
+};
+
+export function checkPool(pool) {
+  return pool.scenarios
+    .map((s, i) => (isIndex(s.correctIndex, s.responses.length) ? null : `scenarios[${i}].correctIndex must point at one of its responses`))
+    .filter(Boolean);
+}
+
+export const BALANCED_MIN = 35;
+export const STARTING_ALIGNMENT = { helpful: 50, harmless: 50, honest: 50 };
+
+export function generate(random, { rounds, distractors }, pool) {
+  return {
+    scenarios: random.shuffle(pool.scenarios).slice(0, rounds).map(scenario => {
+      const balanced = scenario.responses[scenario.correctIndex];
+      const dropped = new Set(random.shuffle(scenario.responses.filter(r => r !== balanced)).slice(distractors));
+      const responses = scenario.responses.filter(r => !dropped.has(r));
+      return { ...scenario, responses, correctIndex: responses.indexOf(balanced) };
+    })
+  };
+}
+
+const clamp = (value) => Math.max(0, Math.min(100, value));
+
+export const applyResponse = (alignment, response) => ({
+  helpful: clamp(alignment.helpful + response.alignmentChanges.helpful),
+  harmless: clamp(alignment.harmless + response.alignmentChanges.harmless),
+  honest: clamp(alignment.honest + response.alignmentChanges.honest)
+});
+
+// All three alignment values reasonably balanced
+export const isBalanced = (alignment) =>
+  alignment.helpful >= BALANCED_MIN && alignment.harmless >= BALANCED_MIN && alignment.honest >= BALANCED_MIN;
+
+// Players see the responses' wording; what each one does to the meters
+// comes back once they've picked it
+export const view = (content) => ({
+  scenarios: content.scenarios.map(({ situation, context, responses }) => ({
+    situation,
+    context,
+    responses: responses.map(({ text }) => ({ text }))
+  }))
+});
+
+// The meters after a run of choices, or null when one isn't a response on offer
+function replay(content, moves) {
+  let alignment = STARTING_ALIGNMENT;
+  for (let i = 0; i < moves.length; i++) {
+    const scenario = content.scenarios[i];
+    if (!scenario || !isIndex(moves[i], scenario.responses.length)) return null;
+    alignment = applyResponse(alignment, scenario.responses[moves[i]]);
+  }
+  return alignment;
+}
+
+// What the latest choice was, why, and where the meters stand now
+export function feedback(content, moves) {
+  const alignment = replay(content, moves);
+  if (!alignment) return null;
+  const { responses, correctIndex } = content.scenarios[moves.length - 1];
+  const chosen = moves[moves.length - 1];
+  const { type, explanation } = responses[chosen];
+  return { correct: chosen === correctIndex, type, explanation, alignment };
+}
+
+export function grade(content, moves) {
+  if (moves.length !== content.scenarios.length) return false;
+  const alignment = replay(content, moves);
+  return alignment !== null && isBalanced(alignment);
+}
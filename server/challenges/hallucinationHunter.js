@@ -0,0 +1,92 @@
+import { indexList } from './random.js';
+import { BOOLEAN, TEXT, list, record } from './packSchema.js';
+
+/**
+ * Hallucination Hunter: statements pop up on a fixed schedule and fade
+ * after a few seconds; tap the false ones before they go. Moves are the
+ * indexes of the statements tapped. More statements means they come faster.
+ */
+
+export const definition = {
+  type: 'hallucinationhunter',
+  weight: 1,
+  failureMode: 'inject',
+  corruptionType: 'hallucination',
+  corruptCount: 3,
+  failureMessage: 'Hallucination Hunter failed! {count} false fact{s} planted in the AI\'s memory!',
+  difficulty: {
+    timeLimit: [150000, 90000],
+    rounds: [10, 16] // statements in the 30 seconds
+  }
+};
+
+// Facts that pop up: true ones should be left alone, false ones tapped
+export const poolSchema = {
+  statements: list(record({ text: TEXT, isTrue: BOOLEAN }), 16)
+};
+
+export function checkPool(pool) {
+  const hallucinations = pool.statements.filter(s => !s.isTrue).length;
+  return hallucinations > 0 && hallucinations < pool.statements.length ? [] : ['statements needs both true and false facts'];
+}
+
+export const GAME_MS = 30000;
+export const LIFETIME_MS = 4000;
+export const MAX_ON_SCREEN = 3;
+
+export function generate(random, { rounds }, pool) {
+  // Spread out so all are gone before time's up, and never more on screen than fit
+  const spawnEvery = Math.max(
+    Math.ceil(LIFETIME_MS / MAX_ON_SCREEN),
+    Math.floor((GAME_MS - LIFETIME_MS) / (rounds + 1))
+  );
+  const count = Math.min(rounds, Math.floor((GAME_MS - LIFETIME_MS) / spawnEvery) - 1);
+  return {
+    spawnEvery,
+    statements: random.shuffle(pool.statements).slice(0, count).map((s, i) => ({
+      ...s,
+      spawnAt: (i + 1) * spawnEvery,
+      lifetime: LIFETIME_MS
+    }))
+  };
+}
+
+// Players are told how many statements are false, but not which
+export const view = (content) => ({
+  spawnEvery: content.spawnEvery,
+  hallucinations: content.statements.filter(s => !s.isTrue).length,
+  statements: content.statements.map(({ text, spawnAt, lifetime }) => ({ text, spawnAt, lifetime }))
+});
+
+/**
+ * How a hunt went, from how many hallucinations there were and what was tapped
+ * @returns {{caught: number, missed: number, falsePositives: number, accuracy: number, passed: boolean}}
+ */
+export function result(hallucinations, caught, falsePositives) {
+  const accuracy = hallucinations > 0 ? Math.round((caught / hallucinations) * 100) : 0;
+  // Pass if caught majority of hallucinations AND didn't have too many false positives
+  const passed = accuracy >= 60 && caught - falsePositives > 0;
+  return { caught, missed: hallucinations - caught, falsePositives, accuracy, passed };
+}
+
+// Count catches and false alarms for a set of taps
+export function tally(content, taps) {
+  const tapped = new Set(taps);
+  const hallucinations = content.statements.filter(s => !s.isTrue).length;
+  const caught = content.statements.filter((s, i) => tapped.has(i) && !s.isTrue).length;
+  const falsePositives = content.statements.filter((s, i) => tapped.has(i) && s.isTrue).length;
+  return result(hallucinations, caught, falsePositives);
+}
+
+// Whether the statement just tapped was a hallucination; each can be tapped once
+export function feedback(content, moves) {
+  const taps = indexList(moves, content.statements.length);
+  const tapped = moves[moves.length - 1];
+  if (taps === null || taps.indexOf(tapped) !== taps.length - 1) return null;
+  return { hallucination: !content.statements[tapped].isTrue };
+}
+
+export function grade(content, moves) {
+  const taps = indexList(moves, content.statements.length);
+  return taps !== null && tally(content, taps).passed;
+}
@@ -0,0 +1,266 @@
+import { createRandom } from './random.js';
+import { TEXT, conform, list, record } from './packSchema.js';
+import * as denoise from './denoise.js';
+import * as attention from './attention.js';
+import * as neuroBurst from './neuroBurst.js';
+import * as clusterRush from './clusterRush.js';
+import * as contextCache from './contextCache.js';
+import * as wordSplitter from './wordSplitter.js';
+import * as biasBreaker from './biasBreaker.js';
+import * as hallucinationHunter from './hallucinationHunter.js';
+import * as versionChaos from './versionChaos.js';
+import * as ethicsEngine from './ethicsEngine.js';
+
+/**
+ * Challenge Registry
+ *
+ * One module per challenge type, each exporting:
+ *
+ *   definition - { type, weight, failureMode, corruptionType, corruptCount,
+ *                  failureMessage, difficulty, ...options }
+ *                 (see challengeData.js for what the failure fields do;
+ *                 `weight` is how often it comes round in the rotation;
+ *                 `difficulty` holds the ranges for timeLimit and the
+ *                 options its generator reads - see tuneChallenge)
+ *   poolSchema - what its section of a content pack holds (packSchema.js);
+ *                left out by challenges with nothing to author
+ *   checkPool  - (pool) => problems the schema can't express (optional)
+ *   generate   - (random, challenge, pool) => content the student plays,
+ *                built to the challenge's tuned options (rounds,
+ *                distractors...) from the room's content pack
+ *   grade      - (content, moves) => whether the moves pass
+ *   view       - (content) => what the player is sent: the content without
+ *                whatever gives the answers away (optional; without it
+ *                the whole content is sent)
+ *   feedback   - (content, moves) => what the player is told about the last
+ *                of `moves` - whether it was right, what comes next - or
+ *                null when it isn't a move the challenge allows (optional;
+ *                without it every move is taken as it comes)
+ *   coop       - rules for playing it as a team (optional):
+ *                { minPlayers, maxPlayers,
+ *                  start(content, players) => shared state,
+ *                  move(content, state, player, move) => next state, or
+ *                    null when the move isn't allowed,
+ *                  settle(content, state, present) => state once players
+ *                    who dropped out are accounted for (optional),
+ *                  done(content, state), grade(content, state) }
+ *                Players are numbered from 0; `present` says which of them
+ *                are still connected.
+ *
+ * Content is built from a seed so the server can rebuild exactly what the
+ * student was shown. The answers stay on the server: the student gets the
+ * `view`, sends each move as they make it and is told how it went from
+ * `feedback`, and the grader replays the moves the server accepted. Team
+ * challenges are played move by move on the server too, which relays the
+ * shared state to every player. Either way the server decides whether a
+ * challenge was passed; the client only renders content and reports moves.
+ *
+ * Adding a challenge means writing its module, registering it here, adding
+ * its component to src/components/challenges/registry.js and its content to
+ * the standard pack in server/contentPacks/.
+ *
+ * Pure JS with no Node APIs so the client can import it for the debug page.
+ */
+
+const REGISTRY = new Map();
+
+/**
+ * A challenge's options at a difficulty level. Each `difficulty` entry in a
+ * definition is an [easiest, hardest] range for one option (timeLimit,
+ * rounds, distractors, sentenceLength...); the level picks a whole number
+ * between them.
+ * @param {Object} definition - Registered definition
+ * @param {number} level - 0 (easiest) to 1 (hardest)
+ * @returns {Object} The definition with its ranges resolved and `level` set
+ */
+export function tuneChallenge(definition, level) {
+  const { difficulty = {}, ...options } = definition;
+  const clamped = Math.min(1, Math.max(0, Number(level) || 0));
+  Object.entries(difficulty).forEach(([option, [easiest, hardest]]) => {
+    options[option] = Math.round(easiest + (hardest - easiest) * clamped);
+  });
+  // Whole seconds, so the countdown ticks down to exactly zero
+  options.timeLimit = Math.round(options.timeLimit / 1000) * 1000;
+  return { ...options, level: clamped };
+}
+
+const isRange = (range) => Array.isArray(range) && range.length === 2 && range.every(Number.isFinite);
+
+function registerChallenge(game) {
+  const { type, weight, failureMode, difficulty = {} } = game.definition || {};
+  if (!Object.values(difficulty).every(isRange)) {
+    throw new Error(`Challenge ${type} difficulty ranges must be [easiest, hardest] pairs`);
+  }
+  const { timeLimit } = tuneChallenge(game.definition || {}, 0.5);
+  if (!type || !(weight > 0) || !(timeLimit > 0) || !failureMode) {
+    throw new Error(`Challenge ${type || '(no type)'} needs a type, weight, timeLimit and failureMode`);
+  }
+  if (typeof game.generate !== 'function' || typeof game.grade !== 'function') {
+    throw new Error(`Challenge ${type} needs generate and grade functions`);
+  }
+  if (game.coop) {
+    const { minPlayers, maxPlayers } = game.coop;
+    if (!(minPlayers >= 2 && maxPlayers >= minPlayers)) {
+      throw new Error(`Challenge ${type} team play needs minPlayers of at least 2 and maxPlayers of at least that`);
+    }
+    if (!['start', 'move', 'done', 'grade'].every(fn => typeof game.coop[fn] === 'function')) {
+      throw new Error(`Challenge ${type} team play needs start, move, done and grade functions`);
+    }
+  }
+  REGISTRY.set(type, game);
+}
+
+[
+  denoise, attention, neuroBurst, clusterRush, contextCache,
+  wordSplitter, biasBreaker, hallucinationHunter, versionChaos, ethicsEngine
+].forEach(registerChallenge);
+
+// Every registered definition, in rotation order
+export const challengeDefinitions = () => [...REGISTRY.values()].map(game => game.definition);
+
+export const isChallengeType = (type) => REGISTRY.has(type);
+
+export const challengeDefinition = (type) => REGISTRY.get(type)?.definition;
+
+// A type's section of a content pack: its pool, plus the bad answers an
+// 'inject' failure pushes into the training data
+function sectionSchema(game) {
+  const fields = { ...game.poolSchema };
+  if (game.definition.failureMode === 'inject') {
+    fields.corruptionData = list(record({ question: TEXT, answer: TEXT }), 1);
+  }
+  return record(fields);
+}
+
+// Whether a type draws anything from content packs
+export const hasPackSection = (type) => Object.keys(sectionSchema(REGISTRY.get(type)).fields).length > 0;
+
+/**
+ * Check one challenge type's section of a content pack
+ * @param {string} type - Challenge type
+ * @param {Object} section - The pack's content for it
+ * @returns {{section: Object, errors: string[]}} Section with unknown fields dropped, and what's wrong with it
+ */
+export function checkPackSection(type, section) {
+  const game = REGISTRY.get(type);
+  const errors = [];
+  const cleaned = conform(sectionSchema(game), section, type, errors);
+  if (errors.length === 0 && game.checkPool) {
+    errors.push(...game.checkPool(cleaned).map(error => `${type}.${error}`));
+  }
+  return { section: cleaned, errors };
+}
+
+/**
+ * Build a challenge's content from its seed
+ * @param {Object} challenge - Challenge with `type` and `seed` (plus type options like `rounds`)
+ * @param {Object} pool - The type's section of the room's content pack
+ * @returns {Object} Content the student plays
+ */
+export function generateChallengeContent(challenge, pool) {
+  return REGISTRY.get(challenge.type).generate(createRandom(challenge.seed), challenge, pool);
+}
+
+/**
+ * What a player is sent: the challenge without its seed (which would rebuild
+ * the content), the bad answers an 'inject' failure uses, or the parts of
+ * the content that give the answers away
+ * @param {Object} challenge - Challenge with `type` and `content`
+ * @returns {Object} The player's copy
+ */
+export function playerChallenge(challenge) {
+  const { seed, corruptionData, content, ...fields } = challenge;
+  const { view } = REGISTRY.get(challenge.type);
+  return { ...fields, content: view ? view(content) : content };
+}
+
+/**
+ * Judge a student's latest move
+ * @param {Object} challenge - Challenge with `type` and `content`
+ * @param {Array} moves - Every move they've made, the latest last (untrusted)
+ * @returns {Object|null} What to tell them, or null when the move doesn't apply
+ */
+export function moveFeedback(challenge, moves) {
+  const { feedback } = REGISTRY.get(challenge.type);
+  if (!feedback) return {};
+  try {
+    return feedback(challenge.content, moves) || null;
+  } catch {
+    // Malformed moves are refused: nothing is recorded and the student is told so
+    return null;
+  }
+}
+
+/**
+ * Replay a student's moves against the challenge content
+ * @param {Object} challenge - Challenge with `type` and `content`
+ * @param {*} moves - Moves as sent by the client (untrusted)
+ * @returns {boolean} Whether the moves pass the challenge
+ */
+export function gradeChallenge(challenge, moves) {
+  if (!Array.isArray(moves)) return false;
+  try {
+    return REGISTRY.get(challenge.type).grade(challenge.content, moves) === true;
+  } catch {
+    // Malformed moves (wrong shapes, missing rounds) simply fail
+    return false;
+  }
+}
+
+// Definitions of the challenges that can be played as a team, with their team sizes
+export const coopChallengeDefinitions = () => [...REGISTRY.values()]
+  .filter(game => game.coop)
+  .map(({ definition, coop }) => ({ ...definition, minPlayers: coop.minPlayers, maxPlayers: coop.maxPlayers }));
+
+export const isCoopType = (type) => !!REGISTRY.get(type)?.coop;
+
+/**
+ * The shared state a team challenge starts from
+ * @param {Object} challenge - Challenge with `type` and `content`
+ * @param {number} players - Team size
+ * @returns {Object} Shared state
+ */
+export const startCoop = (challenge, players) => REGISTRY.get(challenge.type).coop.start(challenge.content, players);
+
+/**
+ * Account for players who have dropped out (or come back)
+ * @param {Object} challenge - Challenge with `type` and `content`
+ * @param {Object} state - Shared state
+ * @param {boolean[]} present - Which players are connected
+ * @returns {Object} Shared state
+ */
+export function settleCoop(challenge, state, present) {
+  const { coop } = REGISTRY.get(challenge.type);
+  return coop.settle ? coop.settle(challenge.content, state, present) : state;
+}
+
+/**
+ * Apply one player's move to the shared state
+ * @param {Object} challenge - Challenge with `type` and `content`
+ * @param {Object} state - Shared state
+ * @param {number} player - Who moved
+ * @param {*} move - Move as sent by the client (untrusted)
+ * @param {boolean[]} present - Which players are connected
+ * @returns {Object|null} Next state, or null when the move doesn't apply
+ */
+export function applyCoopMove(challenge, state, player, move, present) {
+  if (!move || typeof move !== 'object') return null;
+  try {
+    const next = REGISTRY.get(challenge.type).coop.move(challenge.content, state, player, move);
+    return next && settleCoop(challenge, next, present);
+  } catch {
+    // Malformed moves are ignored, like malformed solo moves fail
+    return null;
+  }
+}
+
+/**
+ * Whether a team challenge is over, and if so whether the team passed
+ * @param {Object} challenge - Challenge with `type` and `content`
+ * @param {Object} state - Shared state
+ * @returns {{done: boolean, success: boolean}}
+ */
+export function coopOutcome(challenge, state) {
+  const { coop } = REGISTRY.get(challenge.type);
+  return { done: coop.done(challenge.content, state) === true, success: coop.grade(challenge.content, state) === true };
+}
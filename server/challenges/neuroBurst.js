@@ -0,0 +1,60 @@
+/**
+ * NeuroBurst: toggle hidden-layer neurons until the network predicts the
+ * shape it's shown. Moves are the final neuron states, one
+ * `{hidden1, hidden2}` per round.
+ */
+
+export const definition = {
+  type: 'neuroburst',
+  weight: 1,
+  failureMode: 'swap',
+  corruptionType: 'neuroburst',
+  corruptCount: 3,
+  failureMessage: 'NeuroBurst failed! Neural overload scrambled {count} answer{s} — the AI is mixing things up!',
+  difficulty: {
+    timeLimit: [150000, 90000],
+    rounds: [6, 10]
+  }
+};
+
+export const SHAPES = ['circle', 'square', 'triangle', 'star', 'hexagon'];
+const COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6'];
+const LAYER_SIZE = 4;
+
+// Each shape has an ideal number of active neurons
+const IDEAL_COUNTS = { circle: 4, square: 5, triangle: 3, star: 6, hexagon: 7 };
+
+export const idealActiveCount = (shape) => IDEAL_COUNTS[shape] || 4;
+
+/**
+ * What the network predicts with the given neurons switched on: the right
+ * shape when the active count is within one of the ideal
+ */
+export function predict(shape, neurons) {
+  const activeCount = [...neurons.hidden1, ...neurons.hidden2].filter(Boolean).length;
+  if (Math.abs(activeCount - idealActiveCount(shape)) <= 1) return shape;
+  const wrongShapes = SHAPES.filter(s => s !== shape);
+  return wrongShapes[activeCount % wrongShapes.length];
+}
+
+export function generate(random, { rounds }) {
+  const layer = () => Array.from({ length: LAYER_SIZE }, () => random.next() > 0.5);
+  return {
+    rounds: Array.from({ length: rounds }, () => ({
+      shape: random.pick(SHAPES),
+      color: random.pick(COLORS),
+      hidden1: layer(),
+      hidden2: layer()
+    }))
+  };
+}
+
+const isLayer = (value) => Array.isArray(value) && value.length === LAYER_SIZE && value.every(v => typeof v === 'boolean');
+
+export function grade(content, moves) {
+  const correct = content.rounds.filter((round, i) => {
+    const neurons = moves[i];
+    return neurons && isLayer(neurons.hidden1) && isLayer(neurons.hidden2) && predict(round.shape, neurons) === round.shape;
+  }).length;
+  return (correct / content.rounds.length) * 100 > 50;
+}
@@ -0,0 +1,66 @@
+/**
+ * Content Pack Schema
+ *
+ * Each challenge module describes the content it draws from (its "pool") as
+ * a small schema, so teacher-authored packs can be checked field by field
+ * before a student ever sees them. Schema nodes:
+ *
+ *   TEXT, BOOLEAN, INTEGER       - a non-empty string, true/false, a whole number
+ *   list(node, min, max?)        - an array of at least `min` items
+ *   record(fields, optional?)    - an object with those fields (others dropped)
+ *
+ * Pure JS like the rest of server/challenges/.
+ */
+
+export const PACK_SCHEMA_VERSION = 1;
+
+const MAX_TEXT = 500;
+
+export const TEXT = 'text';
+export const BOOLEAN = 'boolean';
+export const INTEGER = 'integer';
+
+export const list = (item, min, max = 500) => ({ list: item, min, max });
+
+export const record = (fields, optional = []) => ({ fields, optional });
+
+/**
+ * Check a value against a schema node and keep only what the schema describes
+ * @param {*} node - Schema node
+ * @param {*} value - Value from the pack
+ * @param {string} path - Where the value sits, for error messages
+ * @param {string[]} errors - Problems found are pushed here
+ * @returns {*} The cleaned value (undefined when invalid)
+ */
+export function conform(node, value, path, errors) {
+  const fail = (message) => {
+    errors.push(`${path} ${message}`);
+    return undefined;
+  };
+  if (node === TEXT) {
+    if (typeof value !== 'string' || !value.trim()) return fail('must be text');
+    if (value.length > MAX_TEXT) return fail(`is longer than ${MAX_TEXT} characters`);
+    return value.trim();
+  }
+  if (node === BOOLEAN) {
+    if (typeof value !== 'boolean') return fail('must be true or false');
+    return value;
+  }
+  if (node === INTEGER) {
+    if (!Number.isInteger(value)) return fail('must be a whole number');
+    return value;
+  }
+  if (node.list) {
+    if (!Array.isArray(value)) return fail('must be a list');
+    if (value.length < node.min) fail(`needs at least ${node.min} item${node.min === 1 ? '' : 's'} (has ${value.length})`);
+    if (value.length > node.max) fail(`can have at most ${node.max} items`);
+    return value.slice(0, node.max).map((item, i) => conform(node.list, item, `${path}[${i}]`, errors));
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+  const result = {};
+  Object.entries(node.fields).forEach(([field, fieldNode]) => {
+    if ((value[field] === undefined || value[field] === null) && node.optional.includes(field)) return;
+    result[field] = conform(fieldNode, value[field], `${path}.${field}`, errors);
+  });
+  return result;
+}
@@ -0,0 +1,40 @@
+/**
+ * Seeded Random
+ *
+ * Challenge content is generated from a seed so the server can rebuild
+ * exactly what the student was shown when it grades their moves. Kept free
+ * of Node APIs because the client imports it too (see ChallengeDebug).
+ */
+
+export const newSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+/**
+ * mulberry32 generator with the few helpers the challenge generators need
+ * @param {number} seed - 32-bit seed
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (n) => Math.floor(next() * n);
+  const pick = (list) => list[int(list.length)];
+  const shuffle = (list) => {
+    const arr = [...list];
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = int(i + 1);
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  };
+  return { next, int, pick, shuffle };
+}
+
+// Moves arrive from the client as JSON; graders only accept the shapes they expect
+export const isIndex = (value, length) => Number.isInteger(value) && value >= 0 && value < length;
+export const indexList = (value, length) =>
+  Array.isArray(value) && value.every(i => isIndex(i, length)) ? value : null;
@@ -0,0 +1,69 @@
+import { isIndex } from './random.js';
+import { INTEGER, TEXT, list, record } from './packSchema.js';
+
+/**
+ * Version Chaos: pick the healthy model checkpoint for each deployment.
+ * Moves are the version index chosen in each round.
+ */
+
+export const definition = {
+  type: 'versionchaos',
+  weight: 1,
+  failureMode: 'inject',
+  corruptionType: 'version_conflict',
+  corruptCount: 3,
+  failureMessage: 'Version Chaos failed! {count} contradictory answer{s} created confusion in the AI!',
+  difficulty: {
+    timeLimit: [150000, 90000],
+    rounds: [3, 5],
+    distractors: [1, 3] // unhealthy versions shown next to the right one
+  }
+};
+
+// Each deployment lists candidate versions; correctIndex is the healthy one
+export const poolSchema = {
+  scenarios: list(record({
+    context: TEXT,
+    versions: list(record({ id: TEXT, accuracy: TEXT, latency: TEXT, status: TEXT, issues: TEXT }), 4),
+    correctIndex: INTEGER
+  }), 5)
+};
+
+export function checkPool(pool) {
+  return pool.scenarios
+    .map((s, i) => (isIndex(s.correctIndex, s.versions.length) ? null : `scenarios[${i}].correctIndex must point at one of its versions`))
+    .filter(Boolean);
+}
+
+// Must get 3 of every 5 right
+export const requiredCorrect = (roundCount) => Math.ceil(roundCount * 0.6);
+
+// Scenarios and their version cards come in a different order every game
+export function generate(random, { rounds, distractors }, pool) {
+  return {
+    rounds: random.shuffle(pool.scenarios).slice(0, rounds).map(({ context, versions, correctIndex }) => {
+      const healthy = versions[correctIndex];
+      const wrong = random.shuffle(versions.filter(v => v !== healthy)).slice(0, distractors);
+      const shown = random.shuffle([healthy, ...wrong]);
+      return { context, versions: shown, correctIndex: shown.indexOf(healthy) };
+    })
+  };
+}
+
+// Players see the version cards, not which one is healthy
+export const view = (content) => ({ rounds: content.rounds.map(({ context, versions }) => ({ context, versions })) });
+
+// Whether the latest pick was the healthy version - never which one that was
+export function feedback(content, moves) {
+  const round = content.rounds[moves.length - 1];
+  const picked = moves[moves.length - 1];
+  if (!round || !isIndex(picked, round.versions.length)) return null;
+  return { correct: picked === round.correctIndex };
+}
+
+export function grade(content, moves) {
+  const correct = content.rounds.filter((round, i) =>
+    isIndex(moves[i], round.versions.length) && moves[i] === round.correctIndex
+  ).length;
+  return correct >= requiredCorrect(content.rounds.length);
+}
@@ -0,0 +1,98 @@
+import { TEXT, list } from './packSchema.js';
+
+/**
+ * Word Splitter: split words into tokens the way a tokenizer would,
+ * reusing pieces already in the vocabulary. Moves are the split
+ * positions chosen for each word.
+ */
+
+export const definition = {
+  type: 'wordsplitter',
+  weight: 1,
+  failureMode: 'wordsplit',
+  corruptionType: 'wordsplitter',
+  corruptCount: 3,
+  failureMessage: 'Word Splitter failed! {count} training item{s_have} broken tok en iza tion!',
+  difficulty: {
+    timeLimit: [150000, 90000],
+    rounds: [4, 6] // words to split
+  }
+};
+
+// Single words that split naturally into reusable pieces (run-ning, friend-ship)
+export const poolSchema = {
+  words: list(TEXT, 6)
+};
+
+export function checkPool(pool) {
+  return pool.words
+    .map((word, i) => (/^\S{2,}$/.test(word) ? null : `words[${i}] must be one word of at least 2 letters`))
+    .filter(Boolean);
+}
+
+export const PASS_SCORE = 60; // average score needed to pass
+
+export function generate(random, { rounds }, pool) {
+  return { words: random.shuffle(pool.words).slice(0, rounds) };
+}
+
+export function splitWord(word, positions) {
+  const tokens = [];
+  let start = 0;
+  [...positions].sort((a, b) => a - b).forEach(pos => {
+    tokens.push(word.slice(start, pos));
+    start = pos;
+  });
+  tokens.push(word.slice(start));
+  return tokens.filter(t => t.length > 0);
+}
+
+/**
+ * Score a split against the vocabulary built from earlier words
+ * @param {string} word - Word being split
+ * @param {string[]} tokens - Its tokens
+ * @param {Set<string>} vocabulary - Tokens from earlier words
+ */
+export function scoreTokens(word, tokens, vocabulary) {
+  // Reusability: how many tokens already exist in vocab
+  const existingCount = tokens.filter(t => vocabulary.has(t)).length;
+  const reusabilityScore = tokens.length > 0 ? (existingCount / tokens.length) * 100 : 0;
+
+  // Compression: fewer tokens = better (but not too few)
+  const idealTokenCount = Math.ceil(word.length / 4); // ~4 chars per token is good
+  const compressionScore = Math.max(0, 100 - Math.abs(tokens.length - idealTokenCount) * 20);
+
+  // Clarity: avoid over-splitting (single chars) or under-splitting (whole word if >10 chars)
+  let clarityScore = 100;
+  tokens.forEach(token => {
+    if (token.length === 1) clarityScore -= 20; // Penalize single chars
+  });
+  if (tokens.length === 1 && word.length > 10) clarityScore -= 30; // Penalize no split on long words
+  clarityScore = Math.max(0, clarityScore);
+
+  const overall = Math.round((reusabilityScore * 0.4 + compressionScore * 0.4 + clarityScore * 0.2));
+
+  return {
+    overall,
+    reusability: Math.round(reusabilityScore),
+    compression: Math.round(compressionScore),
+    clarity: Math.round(clarityScore),
+    tokens
+  };
+}
+
+const isSplit = (positions, word) =>
+  Array.isArray(positions) && positions.every(p => Number.isInteger(p) && p > 0 && p < word.length);
+
+export function grade(content, moves) {
+  const vocabulary = new Set();
+  let total = 0;
+  for (let i = 0; i < content.words.length; i++) {
+    const word = content.words[i];
+    if (!isSplit(moves[i], word)) return false;
+    const tokens = splitWord(word, new Set(moves[i]));
+    total += scoreTokens(word, tokens, vocabulary).overall;
+    tokens.forEach(t => vocabulary.add(t));
+  }
+  return total / content.words.length >= PASS_SCORE;
+}
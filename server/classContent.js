@@ -0,0 +1,214 @@
+import { normalizeAnswer, scoreAgreement } from './answerAgreement.js';
+
+/**
+ * Class Challenge Content
+ *
+ * Some challenges can be built from what the class actually taught the AI
+ * instead of a content pack. The builders here turn the room's training
+ * data into a pool of the same shape as the challenge's content pack
+ * section (see the poolSchema in each challenges/<type>.js), so the usual
+ * generator, grader and pack checks apply unchanged:
+ *
+ *   hallucinationhunter - real class Q&A next to copies whose answers the
+ *                         LLM rewrote to be untrue
+ *   versionchaos        - the answer most of the class gave, against the
+ *                         answers classmates disagreed with, an LLM-altered
+ *                         one and answers mixed up from other questions
+ *   contextcache        - earlier exchanges as the chunks worth remembering,
+ *                         with a later answer to the same question
+ *                         contradicting the earlier one
+ *
+ * A builder returns null when there isn't enough data yet, and the room's
+ * content pack is used instead. The LLM rewrites ("alterations") are made
+ * ahead of time in index.js and passed in, keyed by alterationKey().
+ */
+
+export const CLASS_CONTENT_TYPES = ['hallucinationhunter', 'versionchaos', 'contextcache'];
+
+const RECENT_ITEMS = 16; // Most recent distinct questions a pool is built from
+const MIN_HALLUCINATIONS = 8; // Altered answers before Hallucination Hunter uses class data
+const MIN_SCENARIOS = 5; // Disputed or altered questions before Version Chaos does
+const MIN_EXCHANGES = 6; // Distinct questions before Context Cache does
+
+export const alterationKey = (item) => `${normalizeAnswer(item.question)}|${normalizeAnswer(item.answer)}`;
+
+const clip = (text, max) => (text.length > max ? `${text.substring(0, max - 1).trimEnd()}…` : text);
+
+/**
+ * What to ask the LLM for an untrue copy of one class answer
+ * @param {Object} item - Training item
+ * @returns {string} Prompt
+ */
+export function alterationPrompt(item) {
+  return 'Rewrite this answer so it sounds just as sure but says something different that is not true. ' +
+    'Keep it about the same length. Reply with only the new answer.\n' +
+    `Question: ${item.question}\nAnswer: ${item.answer}`;
+}
+
+/**
+ * Clean up an LLM rewrite, or reject it
+ * @param {Object} item - Training item that was rewritten
+ * @param {string} response - What the LLM said
+ * @returns {string|null} The altered answer, or null when it's unusable
+ */
+export function cleanAlteration(item, response) {
+  const text = String(response || '')
+    .replace(/^\s*(new answer|answer)\s*:\s*/i, '')
+    .replace(/^["']+|["']+$/g, '')
+    .trim();
+  if (text.length < 2 || text.length > 300) return null;
+  // Refusals, fallbacks and echoes of the original aren't hallucinations
+  if (normalizeAnswer(text) === normalizeAnswer(item.answer)) return null;
+  if (/I don't have enough information|I'm having trouble|as an ai/i.test(text)) return null;
+  return text;
+}
+
+/**
+ * The latest training item for each distinct question, newest last, with
+ * every answer the class has given to it
+ * @param {Array} trainingData - Room's training data
+ * @returns {Array<{item: Object, answers: Array<{answer: string, answeredBy: string}>}>}
+ */
+function classExchanges(trainingData) {
+  const byQuestion = new Map();
+  trainingData
+    .filter(d => !d.corrupted && d.type !== 'corrupted' && d.question && d.answer)
+    .forEach(item => {
+      const key = normalizeAnswer(item.question) || item.question;
+      const answers = item.answers?.length ? item.answers : [{ answer: item.answer, answeredBy: item.answeredBy }];
+      const earlier = byQuestion.get(key);
+      byQuestion.delete(key); // Re-insert so the map stays in order of latest answer
+      byQuestion.set(key, { item, answers: [...(earlier?.answers || []), ...answers], earlier: earlier?.item || null });
+    });
+  return [...byQuestion.values()];
+}
+
+/**
+ * Class answers the builders draw on, so index.js knows which need an
+ * LLM-altered copy
+ * @param {Array} trainingData - Room's training data
+ * @returns {Array} Training items, newest last
+ */
+export const alterationTargets = (trainingData) => classExchanges(trainingData).slice(-RECENT_ITEMS).map(e => e.item);
+
+function hallucinationPool(exchanges, alterations) {
+  const altered = exchanges
+    .slice(-RECENT_ITEMS)
+    .map(({ item }) => ({ item, altered: alterations.get(alterationKey(item)) }))
+    .filter(a => a.altered);
+  if (altered.length < MIN_HALLUCINATIONS) return null;
+
+  const statement = (question, answer) => clip(`${question} → ${answer}`, 160);
+  return {
+    statements: altered.flatMap(({ item, altered }) => [
+      { text: statement(item.question, item.answer), isTrue: true },
+      { text: statement(item.question, altered), isTrue: false }
+    ]),
+    // Failing plants these very hallucinations in the AI
+    corruptionData: altered.map(({ item, altered }) => ({ question: item.question, answer: altered }))
+  };
+}
+
+function versionPool(exchanges, alterations) {
+  const recent = exchanges.slice(-RECENT_ITEMS);
+  const version = (answer, accuracy, issues) => ({
+    answer,
+    accuracy: `${accuracy}%`,
+    latency: `${40 + answer.length * 3}ms`,
+    status: accuracy >= 50 ? 'stable' : 'conflicting',
+    issues
+  });
+
+  const scenarios = [];
+  const contradictions = [];
+  recent.forEach(({ item, answers }, index) => {
+    const { groups } = scoreAgreement(answers);
+    const altered = alterations.get(alterationKey(item));
+    if (groups.length < 2 && !altered) return; // Nothing contradicts it
+
+    const share = count => Math.round((count / answers.length) * 100);
+    const [majority, ...minority] = groups;
+    const versions = [
+      version(majority.answer, share(majority.count), 'no issues'),
+      ...minority.map(g => version(g.answer, share(g.count), `only ${g.count} classmate${g.count === 1 ? '' : 's'} said this`))
+    ];
+    if (altered) versions.push({ ...version(altered, 0, 'nobody in the class said this'), status: 'hallucinating' });
+    // Pad with answers remembered against the wrong question
+    for (let step = 1; versions.length < 4 && step < recent.length; step++) {
+      const other = recent[(index + step) % recent.length].item.answer;
+      if (!versions.some(v => normalizeAnswer(v.answer) === normalizeAnswer(other))) {
+        versions.push({ ...version(other, 0, 'answer to a different question'), status: 'mixed up' });
+      }
+    }
+    if (versions.length < 4) return;
+
+    scenarios.push({
+      context: clip(`The class taught the AI: "${item.question}" Which checkpoint gives the answer the class agreed on?`, 300),
+      versions: versions.slice(0, 6).map(({ answer, ...v }, i) => ({ id: `v1.${i}`, ...v, issues: clip(`Says "${answer}" - ${v.issues}`, 200) })),
+      correctIndex: 0
+    });
+    minority.forEach(g => contradictions.push({ question: item.question, answer: g.answer }));
+    if (altered) contradictions.push({ question: item.question, answer: altered });
+  });
+  if (scenarios.length < MIN_SCENARIOS) return null;
+
+  // Failing pushes the answers the class contradicted itself with
+  return { scenarios, corruptionData: contradictions };
+}
+
+function contextPool(exchanges, packPool) {
+  const recent = exchanges.slice(-RECENT_ITEMS);
+  if (recent.length < MIN_EXCHANGES) return null;
+
+  const detail = answer => clip(answer, 40);
+  const chunks = recent.flatMap(({ item, earlier }) => {
+    const chunk = {
+      text: clip(`${item.question} → ${item.answer}`, 160),
+      important: true,
+      detail: detail(item.answer),
+      category: 'class'
+    };
+    // A question answered again differently replaces what was remembered
+    if (earlier && normalizeAnswer(earlier.answer) !== normalizeAnswer(item.answer)) {
+      return [
+        { text: clip(`${earlier.question} → ${earlier.answer}`, 160), important: true, detail: detail(earlier.answer), category: 'class' },
+        { ...chunk, contradicts: detail(earlier.answer) }
+      ];
+    }
+    return [chunk];
+  });
+
+  // Small talk comes from the pack, so it's in the class's language
+  const filler = [];
+  (packPool.scenarios || []).forEach(s => s.chunks.filter(c => !c.important).forEach(c => {
+    if (!filler.some(f => f.text === c.text)) filler.push(c);
+  }));
+  if (filler.length === 0) return null;
+
+  return {
+    scenarios: [{ name: 'Your Class', chunks: [...chunks, ...filler] }],
+    corruptionData: packPool.corruptionData
+  };
+}
+
+/**
+ * Build a challenge's pool from the class's training data
+ * @param {string} type - Challenge type (one of CLASS_CONTENT_TYPES)
+ * @param {Array} trainingData - Room's training data
+ * @param {Map} alterations - alterationKey -> untrue copy of that answer
+ * @param {Object} packPool - The room's pack section for the type, for filler and fallbacks
+ * @returns {Object|null} Pool shaped like the type's pack section, or null when there's too little data
+ */
+export function buildClassPool(type, trainingData, alterations, packPool) {
+  const exchanges = classExchanges(trainingData);
+  switch (type) {
+    case 'hallucinationhunter':
+      return hallucinationPool(exchanges, alterations);
+    case 'versionchaos':
+      return versionPool(exchanges, alterations);
+    case 'contextcache':
+      return contextPool(exchanges, packPool);
+    default:
+      return null;
+  }
+}
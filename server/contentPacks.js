@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { challengeDefinitions, checkPackSection, hasPackSection } from './challenges/index.js';
+import { PACK_SCHEMA_VERSION } from './challenges/packSchema.js';
+import { GRADE_BANDS } from './questionBanks.js';
+
+/**
+ * Content Packs
+ *
+ * The sentences, scenarios, statements and failure answers challenges are
+ * built from come from content packs, so a class can play them at its own
+ * grade level and in its own language. The standard pack ships in
+ * server/contentPacks/; packs a teacher writes or imports are saved to
+ * <DATA_DIR>/content-packs/ and take precedence over a bundled pack with
+ * the same id.
+ *
+ * Pack file shape:
+ *   { id, name, description, language, gradeBand, version, schemaVersion,
+ *     challenges: { [challengeType]: section } }
+ *
+ * Each section's shape is the challenge module's poolSchema (see
+ * challenges/index.js). A pack can leave challenge types out; those come
+ * from the standard pack. `version` goes up every time a pack is saved, and
+ * each challenge records the pack and version its content came from.
+ */
+
+export const STANDARD_PACK_ID = 'standard';
+
+const text = (value, max) => (typeof value === 'string' ? value.trim().substring(0, max) : '');
+
+/**
+ * Check a pack written or imported by a teacher
+ * @param {Object} input - Pack fields
+ * @returns {{pack: Object, errors: string[]}} Pack without id or version, and everything wrong with it
+ */
+export function validatePack(input) {
+  if (!input || typeof input !== 'object') return { pack: null, errors: ['Pack is required'] };
+  const errors = [];
+
+  const name = text(input.name, 60);
+  if (!name) errors.push('name is required');
+  const language = text(input.language, 20);
+  if (!language) errors.push('language is required (for example "en" or "es")');
+  if (!GRADE_BANDS.includes(input.gradeBand)) errors.push(`gradeBand must be one of: ${GRADE_BANDS.join(', ')}`);
+  if (input.schemaVersion !== undefined && input.schemaVersion !== PACK_SCHEMA_VERSION) {
+    errors.push(`schemaVersion ${input.schemaVersion} isn't supported (this server reads version ${PACK_SCHEMA_VERSION})`);
+  }
+
+  const challenges = {};
+  const sections = input.challenges && typeof input.challenges === 'object' ? input.challenges : {};
+  if (!input.challenges || typeof input.challenges !== 'object') errors.push('challenges must be an object of content by challenge type');
+  const known = challengeDefinitions().map(d => d.type).filter(hasPackSection);
+  Object.entries(sections).forEach(([type, section]) => {
+    if (!known.includes(type)) {
+      errors.push(`challenges.${type}: no challenge with content of that type (expected one of: ${known.join(', ')})`);
+      return;
+    }
+    const result = checkPackSection(type, section);
+    errors.push(...result.errors.map(error => `challenges.${error}`));
+    challenges[type] = result.section;
+  });
+  if (errors.length === 0 && Object.keys(challenges).length === 0) errors.push('A pack needs content for at least one challenge');
+
+  return {
+    pack: {
+      name,
+      description: text(input.description, 200),
+      language,
+      gradeBand: input.gradeBand,
+      schemaVersion: PACK_SCHEMA_VERSION,
+      challenges
+    },
+    errors
+  };
+}
+
+class ContentPackStore {
+  /**
+   * @param {string} builtinDir - Bundled packs (read-only)
+   * @param {string} customDir - Teacher-written and imported packs
+   */
+  constructor(builtinDir, customDir) {
+    this.builtinDir = builtinDir;
+    this.customDir = customDir;
+    this.cache = null; // Packs only change through save(), so keep them in memory
+    fs.mkdirSync(customDir, { recursive: true });
+  }
+
+  filePath(dir, id) {
+    // Ids are slugs or uuids; reject anything that could escape the directory
+    if (!/^[a-zA-Z0-9-]+$/.test(id || '')) {
+      throw new Error(`Invalid content pack id: ${id}`);
+    }
+    return path.join(dir, `${id}.json`);
+  }
+
+  readDir(dir, builtin) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => {
+        try {
+          const pack = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+          return { ...pack, builtin };
+        } catch (error) {
+          console.warn(`[PACKS] Skipping unreadable content pack ${f}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * All packs, with edited copies replacing the bundled originals
+   * @returns {Array} Packs, the standard pack first and the rest by name
+   */
+  list() {
+    if (this.cache) return this.cache;
+    const packs = new Map();
+    this.readDir(this.builtinDir, true).forEach(pack => packs.set(pack.id, pack));
+    this.readDir(this.customDir, false).forEach(pack => {
+      // An edited bundled pack is still "built in" - it just has local changes
+      packs.set(pack.id, { ...pack, builtin: packs.has(pack.id) });
+    });
+    if (!packs.has(STANDARD_PACK_ID)) throw new Error(`Standard content pack missing from ${this.builtinDir}`);
+    this.cache = [...packs.values()].sort((a, b) =>
+      (b.id === STANDARD_PACK_ID) - (a.id === STANDARD_PACK_ID) || a.name.localeCompare(b.name));
+    return this.cache;
+  }
+
+  get(id) {
+    return this.list().find(pack => pack.id === id) || null;
+  }
+
+  /**
+   * What a challenge type is built from: the pack's section for it, or the
+   * standard pack's when the pack leaves it out
+   * @param {string|null} packId - Room's pack (null = standard)
+   * @param {string} type - Challenge type
+   * @returns {{pool: Object, pack: {id: string, version: number}}}
+   */
+  section(packId, type) {
+    const chosen = this.get(packId || STANDARD_PACK_ID) || this.get(STANDARD_PACK_ID);
+    const pack = chosen.challenges?.[type] ? chosen : this.get(STANDARD_PACK_ID);
+    return { pool: pack.challenges?.[type] || {}, pack: { id: pack.id, version: pack.version } };
+  }
+
+  /**
+   * Create a pack, or save a new version of an existing one (an imported
+   * pack with an id this server doesn't have becomes a new pack)
+   * @param {Object} input - Pack fields; include `id` to update
+   * @returns {Object} The saved pack
+   * @throws {Error} Listing what's wrong if the pack doesn't validate
+   */
+  save(input) {
+    const { pack, errors } = validatePack(input);
+    if (errors.length > 0) {
+      throw new Error(`${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''}`);
+    }
+
+    const existing = input.id ? this.get(input.id) : null;
+    const saved = {
+      id: existing ? existing.id : uuidv4(),
+      ...pack,
+      version: existing ? (existing.version || 1) + 1 : 1,
+      updatedAt: Date.now()
+    };
+    const file = this.filePath(this.customDir, saved.id);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(saved, null, 2));
+    fs.renameSync(tmp, file);
+    this.cache = null;
+    console.log(`[PACKS] ${existing ? 'Updated' : 'Created'} content pack "${saved.name}" v${saved.version} (${Object.keys(saved.challenges).join(', ')})`);
+    return this.get(saved.id);
+  }
+}
+
+export default ContentPackStore;
@@ -0,0 +1,99 @@
+/**
+ * Curriculum Modes
+ *
+ * A mode decides what the class is teaching the AI. Each one brings its
+ * own question banks (see questionBanks.js), the keyword map
+ * updateModelTopics() uses to work out the AI's top skills, and a line of
+ * framing added to the AI's system prompt so it answers as, say, a science
+ * student rather than a classmate. The teacher picks the mode when starting
+ * a game; it is saved with the session.
+ *
+ * Only 'classmates' asks students to name each other - pick another mode
+ * where naming peers isn't allowed.
+ */
+
+export const DEFAULT_MODE = 'classmates';
+
+export const CURRICULUM_MODES = {
+  classmates: {
+    id: 'classmates',
+    name: 'Our Class',
+    description: '"Who in this class..." questions - the AI learns who is who.',
+    banks: ['who-in-class', 'class-character'],
+    framing: null,
+    topicKeywords: {
+      'Friendship': ['friend', 'buddy', 'pal', 'best friend', 'hang out', 'together'],
+      'Humor': ['funny', 'laugh', 'joke', 'hilarious', 'comedy', 'smile'],
+      'Kindness': ['kind', 'nice', 'help', 'care', 'love', 'sweet', 'generous'],
+      'Sports': ['sport', 'run', 'game', 'team', 'play', 'athletic', 'fast', 'soccer', 'basketball'],
+      'Creativity': ['creative', 'art', 'draw', 'paint', 'build', 'imagine', 'design', 'music', 'sing', 'dance'],
+      'Smarts': ['smart', 'math', 'science', 'read', 'study', 'learn', 'know', 'brain', 'clever'],
+      'Leadership': ['leader', 'captain', 'charge', 'organize', 'decision', 'boss', 'manage'],
+      'Bravery': ['brave', 'courage', 'fearless', 'bold', 'dare', 'strong'],
+      'Energy': ['energy', 'loud', 'excited', 'enthusiastic', 'wild', 'hyper', 'active']
+    }
+  },
+  science: {
+    id: 'science',
+    name: 'Science Facts',
+    description: 'Questions with right answers - does the AI learn the facts correctly?',
+    banks: ['science-facts'],
+    framing: 'You are a science student. Answer science questions with the facts your training taught you, stated plainly, even if they are wrong.',
+    topicKeywords: {
+      'Space': ['planet', 'star', 'sun', 'moon', 'orbit', 'galaxy', 'space', 'mars'],
+      'Living Things': ['plant', 'animal', 'cell', 'bee', 'spider', 'mammal', 'insect', 'caterpillar', 'butterfly', 'grow'],
+      'Earth': ['ocean', 'rock', 'volcano', 'weather', 'soil', 'earth', 'diamond'],
+      'Forces & Energy': ['force', 'gravity', 'energy', 'light', 'heat', 'magnet', 'motion', 'pull'],
+      'Matter': ['gas', 'oxygen', 'carbon', 'element', 'atom', 'liquid', 'solid', 'ice', 'boil', 'water'],
+      'Human Body': ['bone', 'heart', 'blood', 'brain', 'muscle', 'lung', 'body']
+    }
+  },
+  books: {
+    id: 'books',
+    name: 'Book Characters',
+    description: 'Heroes, villains and story worlds from what the class has read.',
+    banks: ['book-characters'],
+    framing: 'You are a reader who lives inside stories. Talk about book characters and story worlds as if you know them personally, using only what your training taught you.',
+    topicKeywords: {
+      'Heroes': ['hero', 'brave', 'save', 'rescue', 'courage', 'bravest'],
+      'Villains': ['villain', 'evil', 'scary', 'mean', 'monster', 'witch', 'enemy'],
+      'Friendship': ['friend', 'loyal', 'together', 'trust', 'secret'],
+      'Adventure': ['adventure', 'quest', 'journey', 'camping', 'explore', 'world', 'visit'],
+      'Magic': ['magic', 'wizard', 'spell', 'dragon', 'fairy', 'wand'],
+      'Family': ['family', 'mother', 'father', 'sister', 'brother', 'home'],
+      'Animals': ['animal', 'dog', 'cat', 'pig', 'spider', 'rabbit', 'bear', 'mouse']
+    }
+  },
+  history: {
+    id: 'history',
+    name: 'History Figures',
+    description: 'Who did what in history - answers are people from the past.',
+    banks: ['history-figures'],
+    framing: 'You are a history student. Answer questions about people and events from the past using what your training taught you, as if reciting from your history lessons.',
+    topicKeywords: {
+      'Leaders': ['president', 'emperor', 'king', 'queen', 'pharaoh', 'leader', 'ruled', 'led'],
+      'Inventors': ['invent', 'invented', 'printing', 'machine', 'built', 'engine'],
+      'Explorers': ['sailed', 'explore', 'moon', 'atlantic', 'fly', 'flew', 'voyage', 'discovered'],
+      'Civil Rights': ['rights', 'freedom', 'equality', 'protest', 'speech', 'dream', 'bus', 'independence'],
+      'Science': ['theory', 'relativity', 'penicillin', 'nobel', 'earth', 'sun', 'medicine'],
+      'Arts': ['painted', 'wrote', 'plays', 'music', 'poem', 'artist', 'mona lisa']
+    }
+  }
+};
+
+/**
+ * Look up a mode, falling back to the default for unknown ids
+ * @param {string} id - Mode id
+ * @returns {Object} The mode
+ */
+export function getCurriculumMode(id) {
+  return CURRICULUM_MODES[id] || CURRICULUM_MODES[DEFAULT_MODE];
+}
+
+/**
+ * Modes for the teacher's picker (without the keyword maps)
+ * @returns {Array<{id: string, name: string, description: string}>}
+ */
+export function listCurriculumModes() {
+  return Object.values(CURRICULUM_MODES).map(({ id, name, description }) => ({ id, name, description }));
+}
@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Session Event Journal
+ *
+ * Broadcasts are fire-and-forget; this keeps a permanent, append-only
+ * record of every meaningful game event per class session so a teacher can
+ * replay the session afterwards ("watch what happened when Version Chaos
+ * failed at minute 12").
+ *
+ * File layout: <dir>/<sessionId>.jsonl, one event per line:
+ *   { seq, ts, type, actor, data, state }
+ *
+ * `actor` is who caused the event ({ clientId, name, role }, or role
+ * 'system' for timers). `state` describes how the event changed the AI so
+ * the dashboard can rebuild the AI Mind at any point without re-running
+ * game logic:
+ *   { set: { field: value } }   fields replaced wholesale
+ *   { push: { field: value } }  value appended to an array field
+ */
+
+class EventJournal {
+  /**
+   * @param {string} dir - Directory holding one journal file per session
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.seqs = new Map(); // sessionId -> last seq written
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  filePath(sessionId) {
+    // Session ids are uuids; reject anything that could escape the directory
+    if (!/^[a-zA-Z0-9-]+$/.test(sessionId || '')) {
+      throw new Error(`Invalid session id: ${sessionId}`);
+    }
+    return path.join(this.dir, `${sessionId}.jsonl`);
+  }
+
+  has(sessionId) {
+    return fs.existsSync(this.filePath(sessionId));
+  }
+
+  // Continue numbering from the end of an existing file after a restart
+  nextSeq(sessionId) {
+    if (!this.seqs.has(sessionId)) {
+      const events = this.read(sessionId);
+      this.seqs.set(sessionId, events.length ? events[events.length - 1].seq : 0);
+      // A crash mid-append leaves a torn last line - end it so the next event isn't glued onto it
+      const file = this.filePath(sessionId);
+      if (fs.existsSync(file) && !fs.readFileSync(file, 'utf8').match(/(^|\n)$/)) {
+        fs.appendFileSync(file, '\n');
+      }
+    }
+    const seq = this.seqs.get(sessionId) + 1;
+    this.seqs.set(sessionId, seq);
+    return seq;
+  }
+
+  /**
+   * Append an event to a session's journal
+   * @param {string} sessionId - Session the event belongs to
+   * @param {Object} event - { type, actor, data, state }
+   * @returns {Object|null} The stored event
+   */
+  append(sessionId, event) {
+    try {
+      const entry = { seq: this.nextSeq(sessionId), ts: Date.now(), ...event };
+      fs.appendFileSync(this.filePath(sessionId), JSON.stringify(entry) + '\n');
+      return entry;
+    } catch (error) {
+      console.error('[JOURNAL] Failed to append event:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read a session's events in order
+   * @param {string} sessionId - Session id
+   * @param {number} sinceSeq - Only return events after this sequence number
+   * @returns {Array} Events
+   */
+  read(sessionId, sinceSeq = 0) {
+    const file = this.filePath(sessionId);
+    if (!fs.existsSync(file)) return [];
+    const events = [];
+    fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+      if (!line) return;
+      try {
+        const event = JSON.parse(line);
+        if (event.seq > sinceSeq) events.push(event);
+      } catch {
+        // Torn final line from a crash mid-append - skip it
+        console.warn('[JOURNAL] Ignoring unreadable event line');
+      }
+    });
+    return events;
+  }
+}
+
+export default EventJournal;
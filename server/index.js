@@ -5,9 +5,31 @@ import cors from 'cors';
 import { v4 as uuidv4 } from 'uuid';
 import llmService from './llmService.js';
 import { censorText } from './contentFilter.js';
+import fs from 'fs';
 import { networkInterfaces } from 'os';
 import { execSync } from 'child_process';
-import { createChallenge } from './challengeData.js';
+import { createChallenge, rotationCycle } from './challengeData.js';
+import { skillFor, updateSkill } from './challengeSkill.js';
+import {
+  applyCoopMove, challengeDefinitions, checkPackSection, coopChallengeDefinitions, coopOutcome,
+  gradeChallenge, isChallengeType, moveFeedback, playerChallenge, settleCoop, startCoop
+} from './challenges/index.js';
+import { CLASS_CONTENT_TYPES, alterationKey, alterationPrompt, alterationTargets, buildClassPool, cleanAlteration } from './classContent.js';
+import PersistenceStore from './persistence.js';
+import SessionStore from './sessionStore.js';
+import { EXPORT_FORMATS, exportTrainingData, importTrainingData } from './trainingDataFormats.js';
+import { buildModelfile, parseModelfile, identityFromModelfile } from './modelfile.js';
+import EventJournal from './eventJournal.js';
+import TrainingHistory from './trainingHistory.js';
+import QuestionBankStore from './questionBanks.js';
+import ContentPackStore, { STANDARD_PACK_ID, validatePack } from './contentPacks.js';
+import QuestionIndex, { normalizeQuestion } from './questionIndex.js';
+import { chooseNextMode, otherRole } from './roleScheduler.js';
+import { scoreAgreement } from './answerAgreement.js';
+import RateLimiter, { DEFAULT_LIMITS, parseLimits } from './rateLimiter.js';
+import { DEFAULT_MODE, CURRICULUM_MODES, getCurriculumMode, listCurriculumModes } from './curriculumModes.js';
+import { loadTeacherSecret, verifyTeacherSecret } from './teacherAuth.js';
+import { fileURLToPath } from 'url';
 
 // Helper function to get local IP
 function getLocalIP() {
@@ -36,8 +58,9 @@ wss.on('error', (err) => {
   }
 });
 
-app.use(cors());
-app.use(express.json());
+// Downloads read their file name from Content-Disposition, even cross-origin
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
+app.use(express.json({ limit: '5mb' })); // Training data imports can be large
 
 // API endpoint to get LLM device information for monitoring
 app.get('/api/devices', (req, res) => {
@@ -74,6 +97,11 @@ app.get('/api/devices', (req, res) => {
 });
 
 // API endpoint to get available models from Ollama
+// Curriculum modes the teacher can start a game in
+app.get('/api/curriculum-modes', (req, res) => {
+  res.json({ success: true, modes: listCurriculumModes() });
+});
+
 app.get('/api/models', async (req, res) => {
   try {
     const models = await llmService.getAvailableModels();
@@ -92,7 +120,7 @@ app.get('/api/models', async (req, res) => {
 });
 
 // API endpoint to change the current model
-app.post('/api/models/change', async (req, res) => {
+app.post('/api/models/change', requireTeacher, async (req, res) => {
   const { modelName } = req.body;
   
   if (!modelName) {
@@ -114,15 +142,291 @@ app.post('/api/models/change', async (req, res) => {
   }
 });
 
-// Set up callback to update gameState when LLM model changes
+// ==================== CLASS SESSION API ====================
+
+app.get('/api/sessions', requireTeacher, (req, res) => {
+  res.json({
+    success: true,
+    activeSessionId: req.room.gameState.session?.id || null,
+    sessions: sessionStore.list(req.query.includeArchived === '1')
+  });
+});
+
+app.post('/api/sessions', requireTeacher, (req, res) => {
+  try {
+    const session = createSession(req.room, req.body?.name);
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/sessions/:id/activate', requireTeacher, (req, res) => {
+  try {
+    const session = switchSession(req.room, req.params.id);
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/sessions/:id', requireTeacher, (req, res) => {
+  try {
+    const session = renameSession(req.params.id, req.body?.name);
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/sessions/:id/archive', requireTeacher, (req, res) => {
+  try {
+    const archived = req.body?.archived !== false;
+    const session = archiveSession(req.params.id, archived);
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Event timeline for replaying a session on the teacher dashboard
+app.get('/api/sessions/:id/events', requireTeacher, (req, res) => {
+  try {
+    const events = eventJournal.read(req.params.id, parseInt(req.query.since, 10) || 0);
+    res.json({ success: true, events });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== QUESTION BANK API ====================
+
+app.get('/api/question-banks', requireTeacher, (req, res) => {
+  res.json({ success: true, banks: bankSummaries(req.room) });
+});
+
+app.post('/api/question-banks', requireTeacher, (req, res) => {
+  try {
+    const { id, ...fields } = req.body || {};
+    const bank = saveQuestionBank(fields);
+    res.json({ success: true, bank });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/question-banks/:id', requireTeacher, (req, res) => {
+  try {
+    const bank = saveQuestionBank({ ...req.body, id: req.params.id });
+    res.json({ success: true, bank });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Turn a bank on or off for the teacher's current session
+app.post('/api/question-banks/:id/enable', requireTeacher, (req, res) => {
+  try {
+    setBankEnabled(req.room, req.params.id, req.body?.enabled !== false);
+    res.json({ success: true, banks: bankSummaries(req.room) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== CONTENT PACK API ====================
+
+app.get('/api/content-packs', requireTeacher, (req, res) => {
+  res.json({ success: true, packs: packSummaries(), activePack: req.room.gameState.contentPack || STANDARD_PACK_ID });
+});
+
+// The whole pack, for editing or sharing with another server
+app.get('/api/content-packs/:id', requireTeacher, (req, res) => {
+  const pack = contentPacks.get(req.params.id);
+  if (!pack) return res.status(404).json({ success: false, error: 'Content pack not found' });
+  res.json({ success: true, pack });
+});
+
+// Check a pack without saving it
+app.post('/api/content-packs/validate', requireTeacher, (req, res) => {
+  const { errors } = validatePack(req.body);
+  res.json({ success: errors.length === 0, errors });
+});
+
+// Create or import a pack
+app.post('/api/content-packs', requireTeacher, (req, res) => {
+  try {
+    const pack = saveContentPack(req.body || {});
+    res.json({ success: true, pack });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: validatePack(req.body).errors });
+  }
+});
+
+app.put('/api/content-packs/:id', requireTeacher, (req, res) => {
+  if (!contentPacks.get(req.params.id)) return res.status(404).json({ success: false, error: 'Content pack not found' });
+  try {
+    const pack = saveContentPack({ ...req.body, id: req.params.id });
+    res.json({ success: true, pack });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: validatePack(req.body).errors });
+  }
+});
+
+// Build the teacher's current session's challenges from this pack
+app.post('/api/content-packs/:id/use', requireTeacher, (req, res) => {
+  try {
+    setContentPack(req.room, req.params.id);
+    res.json({ success: true, activePack: req.params.id });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== TRAINING DATA EXPORT / IMPORT ====================
+
+app.get('/api/training-data/export', requireTeacher, (req, res) => {
+  const { gameState } = req.room;
+  const format = req.query.format || 'jsonl';
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  // ?includeCorrupted=0 gives a clean dataset for follow-up lessons
+  const items = req.query.includeCorrupted === '0'
+    ? gameState.trainingData.filter(item => !item.corrupted)
+    : gameState.trainingData;
+
+  const baseName = (gameState.modelIdentity?.name || 'training-data').replace(/[^a-zA-Z0-9-]+/g, '-');
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', `${spec.contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${date}.${spec.extension}"`);
+  res.send(exportTrainingData(items, format));
+});
+
+// Seed a new session (and game) from an exported dataset
+app.post('/api/training-data/import', requireTeacher, (req, res) => {
+  const { format, content, name } = req.body || {};
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+  if (content === undefined || content === null || content === '') {
+    return res.status(400).json({ success: false, error: 'content is required' });
+  }
+  const { room } = req;
+  if (room.gameState.isActive) {
+    return res.status(409).json({ success: false, error: 'End the current game before importing' });
+  }
+
+  let result;
+  try {
+    result = importTrainingData(content, format);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (result.records.length === 0) {
+    return res.status(400).json({ success: false, error: 'No valid records found', errors: result.errors });
+  }
+
+  // Same sliding window as live play
+  const records = result.records.slice(-300);
+  const session = createSession(room, name, { trainingData: records });
+  console.log(`[IMPORT] Seeded session "${session.name}" with ${records.length} ${format} records (${result.errors.length} rejected)`);
+  res.json({
+    success: true,
+    session,
+    imported: records.length,
+    skipped: result.records.length - records.length,
+    errors: result.errors
+  });
+});
+
+// ==================== MODELFILE EXPORT / IMPORT ====================
+
+// Package the loaded AI as an Ollama Modelfile the class can keep
+app.get('/api/modelfile/export', requireTeacher, (req, res) => {
+  const { gameState } = req.room;
+  const name = gameState.modelIdentity?.name || 'AI';
+  const modelfile = buildModelfile({
+    baseModel: llmService.modelName,
+    systemPrompt: llmService.buildSystemPrompt(gameState.llmPersonality, name, getCurriculumMode(gameState.curriculumMode).framing),
+    temperature: llmService.getTemperature(gameState.llmPersonality),
+    trainingData: gameState.trainingData,
+    metadata: {
+      sessionName: gameState.session?.name || null,
+      modelIdentity: { name },
+      llmPersonality: gameState.llmPersonality,
+      evolutionCount: gameState.evolutionCount
+    }
+  });
+
+  const baseName = name.replace(/[^a-zA-Z0-9-]+/g, '-');
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}.Modelfile"`);
+  res.send(modelfile);
+});
+
+// Rebuild a session from an exported (or hand-written) Modelfile
+app.post('/api/modelfile/import', requireTeacher, (req, res) => {
+  const { content, name } = req.body || {};
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ success: false, error: 'content is required' });
+  }
+  const { room } = req;
+  if (room.gameState.isActive) {
+    return res.status(409).json({ success: false, error: 'End the current game before importing' });
+  }
+
+  let parsed;
+  try {
+    parsed = parseModelfile(content);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const identity = identityFromModelfile(parsed);
+  const evolutionCount = Number.isInteger(parsed.metadata.evolutionCount) ? parsed.metadata.evolutionCount : 0;
+  const modelIdentity = createModelIdentity(room);
+  if (identity.name) modelIdentity.name = identity.name;
+  modelIdentity.personalityHistory = [{ personality: identity.personality, timestamp: Date.now(), evolutionCount }];
+
+  const session = createSession(room, name || parsed.metadata.sessionName, {
+    trainingData: parsed.trainingData.slice(-300),
+    modelIdentity,
+    llmPersonality: identity.personality,
+    evolutionCount
+  });
+  console.log(`[IMPORT] Rebuilt session "${session.name}" from Modelfile (${parsed.trainingData.length} messages, FROM ${parsed.baseModel})`);
+  res.json({
+    success: true,
+    session,
+    imported: Math.min(parsed.trainingData.length, 300),
+    // The Modelfile's FROM isn't applied automatically - the teacher picks the model
+    baseModel: parsed.baseModel
+  });
+});
+
+// Set up callback to update every room when the shared LLM model changes
 llmService.onModelChange((newModelName) => {
-  gameState.llmModel = newModelName;
-  // Update model identity name to match the new model
-  gameState.modelIdentity.name = newModelName;
-  gameState.modelIdentity.lastThought = null; // Clear stale thought from old model
-  console.log('[SERVER] LLM model updated in gameState:', newModelName);
-  // Broadcast the update to all clients
-  broadcast({ type: 'game_state', gameState });
+  rooms.forEach(room => {
+    const { gameState } = room;
+    gameState.llmModel = newModelName;
+    // Update model identity name to match the new model
+    gameState.modelIdentity.name = newModelName;
+    gameState.modelIdentity.lastThought = null; // Clear stale thought from old model
+    persist(room, 'modelIdentity');
+    recordEvent(room, 'model_changed', null, { model: newModelName }, { set: { modelIdentity: gameState.modelIdentity } });
+    // Broadcast the update to everyone in the room
+    broadcast(room, { type: 'game_state', gameState });
+  });
+  console.log(`[SERVER] LLM model updated in ${rooms.size} room(s):`, newModelName);
 });
 
 // Game state
@@ -154,41 +458,411 @@ const TRAINING_MILESTONES = [
   { count: 200, message: 'Deep Learner — Incredible training data!' }
 ];
 
-let gameState = {
-  isActive: false,
-  startTime: null,
-  llmKnowledge: [],
-  llmPersonality: 'neutral',
-  llmModel: llmService.modelName, // Track the current LLM model being used
-  clients: {},
-  pendingQuestions: [],
-  trainingData: [],
-  challenges: [],
-  evolutionCount: 0,
-  starredQAPairs: [], // Track starred Q&A pairs from students
-  // Model identity - makes the AI feel like a consistent, evolving entity
-  modelIdentity: {
-    name: llmService.modelName || 'AI',
-    topSkills: [],       // Topics the AI has learned about (max 5)
-    lastMilestone: null,  // Last training milestone reached
-    lastThought: null,   // Last priming thought (AI self-description)
-    personalityHistory: [] // Track personality changes for the "story" of this model
+function createGameState(roomCode) {
+  return {
+    roomCode,
+    isActive: false,
+    startTime: null,
+    llmKnowledge: [],
+    llmPersonality: 'neutral',
+    llmModel: llmService.modelName, // Track the current LLM model being used
+    clients: {},
+    pendingQuestions: [],
+    trainingData: [],
+    challenges: [],
+    evolutionCount: 0,
+    starredQAPairs: [], // Track starred Q&A pairs from students
+    session: null, // { id, name } of the class session this AI belongs to
+    lobbyEnabled: LOBBY_DEFAULT, // New students wait for the teacher to admit them
+    peerReviewEnabled: PEER_REVIEW_DEFAULT, // Classmates rate answers before they're trained on
+    answersPerQuestion: ANSWERS_PER_QUESTION_DEFAULT, // Answerers each question goes to
+    contextAnswers: 'majority', // Which answers the AI is shown: 'majority' | 'all'
+    enabledBanks: null, // Question bank ids askers draw from (null = each bank's default)
+    curriculumMode: DEFAULT_MODE, // What the class is teaching the AI (curriculumModes.js)
+    enabledChallenges: null, // Challenge types in the rotation (null = all of them)
+    contentPack: null, // Content pack id challenges are built from (null = the standard pack)
+    // Model identity - makes the AI feel like a consistent, evolving entity
+    modelIdentity: {
+      name: llmService.modelName || 'AI',
+      topSkills: [],       // Topics the AI has learned about (max 5)
+      lastMilestone: null,  // Last training milestone reached
+      lastThought: null,   // Last priming thought (AI self-description)
+      personalityHistory: [] // Track personality changes for the "story" of this model
+    }
+  };
+}
+
+// ==================== PERSISTENCE ====================
+// Student work survives restarts: snapshots + mutation journal under DATA_DIR
+
+const DATA_DIR = process.env.DATA_DIR || fileURLToPath(new URL('../data', import.meta.url));
+const ROOMS_DIR = `${DATA_DIR}/rooms`;
+
+// gameState fields written to disk. llmKnowledge is derived from trainingData
+// and clients are live connections, so neither is stored directly.
+const PERSISTED_FIELDS = [
+  'isActive', 'startTime', 'llmPersonality', 'trainingData',
+  'evolutionCount', 'starredQAPairs', 'modelIdentity', 'clientStats', 'session', 'lobbyEnabled',
+  'enabledBanks', 'curriculumMode', 'peerReviewEnabled', 'answersPerQuestion', 'contextAnswers',
+  'enabledChallenges', 'contentPack'
+];
+
+// Saved class sessions (one AI per class period)
+const sessionStore = new SessionStore(`${DATA_DIR}/sessions`);
+
+// Per-session event timeline for replays
+const eventJournal = new EventJournal(`${DATA_DIR}/events`);
+
+// Per-session versions of trainingData for teacher rollback
+const trainingHistory = new TrainingHistory(`${DATA_DIR}/history`);
+
+// Prompts for askers: bundled banks plus the ones teachers create or edit
+const questionBanks = new QuestionBankStore(
+  fileURLToPath(new URL('./questionBanks', import.meta.url)),
+  `${DATA_DIR}/question-banks`
+);
+
+// What challenges are built from: the bundled standard pack plus teachers' own
+const contentPacks = new ContentPackStore(
+  fileURLToPath(new URL('./contentPacks', import.meta.url)),
+  `${DATA_DIR}/content-packs`
+);
+
+// Near-duplicate question detection (embedding model cached under DATA_DIR/models)
+const DUPLICATE_SIMILARITY = parseFloat(process.env.DUPLICATE_SIMILARITY) || 0.85;
+const questionIndex = new QuestionIndex(process.env.EMBEDDING_CACHE_DIR || `${DATA_DIR}/models`, DUPLICATE_SIMILARITY);
+
+// The per-period AI: what a session saves and restores
+const SESSION_FIELDS = [
+  'trainingData', 'modelIdentity', 'llmPersonality', 'evolutionCount', 'starredQAPairs',
+  'enabledBanks', 'curriculumMode', 'enabledChallenges', 'contentPack'
+];
+
+function collectClientStats(room) {
+  // Per-student counters restored from disk, keyed by name, are kept until
+  // that student re-registers after a restart
+  const stats = { ...room.restoredClientStats };
+  Object.values(room.gameState.clients).forEach(client => {
+    if (client.role !== 'student') return;
+    stats[client.name] = {
+      questionsAsked: client.questionsAsked,
+      questionsAnswered: client.questionsAnswered,
+      challengeSkill: client.challengeSkill
+    };
+  });
+  return stats;
+}
+
+function pickPersisted(room, fields) {
+  const data = {};
+  fields.forEach(field => {
+    data[field] = field === 'clientStats' ? collectClientStats(room) : room.gameState[field];
+  });
+  return data;
+}
+
+function getPersistentState(room) {
+  return pickPersisted(room, PERSISTED_FIELDS);
+}
+
+// Journal a change to the given gameState fields and schedule a snapshot
+function persist(room, ...fields) {
+  room.store.journal('set', pickPersisted(room, fields));
+  room.store.scheduleSnapshot(() => getPersistentState(room));
+}
+
+// Journal a single appended training item (cheaper than re-writing the array)
+function persistTrainingItem(room, item) {
+  room.store.journal('push', { trainingData: item });
+  room.store.scheduleSnapshot(() => getPersistentState(room));
+}
+
+function restorePersistedState(room) {
+  const { gameState } = room;
+  const restored = room.store.load();
+  if (!restored) {
+    console.log(`[PERSIST] No saved game state found for room ${room.code}, starting fresh`);
+    return;
   }
-};
 
-// Timers for game cycles
-let evolutionInterval = null;
-let challengeInterval = null;
-let llmPrimingInterval = null; // New: LLM priming every 2 minutes
-let lastChallengeTime = 0; // Track when last challenge was sent
-let lastChallengeTypes = new Map(); // Track last challenge type per client
-let activeQuestions = new Map(); // Track which question is assigned to each client
-let askedQuestions = new Set(); // Track which questions have been asked to avoid repeats
-let activeLLMQueries = new Map(); // Track clients with pending LLM queries
+  PERSISTED_FIELDS.forEach(field => {
+    if (field !== 'clientStats' && restored[field] !== undefined) {
+      gameState[field] = restored[field];
+    }
+  });
+  room.restoredClientStats = restored.clientStats || {};
+  rebuildLLMKnowledge(room);
+
+  console.log(`[PERSIST] Restored ${gameState.trainingData.length} training items for ${gameState.modelIdentity?.name || 'AI'} in room ${room.code} (active: ${gameState.isActive})`);
+
+  // Resume the game loop if class was in progress when the server went down
+  if (gameState.isActive) {
+    startEvolutionCycle(room);
+    startLLMPrimingCycle(room);
+  }
+}
+
+// ==================== ROOMS ====================
+// One server box can host several classes at once. Each room has its own
+// game state, question pools, challenge tracking and timers; all rooms share
+// the llmService device pool. Students join a room with its short code.
+
+// No 0/O or 1/I so codes can be read off a projector
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+
+// A room nobody is connected to (and with no game running) is closed after this
+const ROOM_IDLE_MS = parseInt(process.env.ROOM_IDLE_MS, 10) || 30 * 60 * 1000;
+
+const rooms = new Map();       // room code -> room
+const clientRooms = new Map(); // clientId -> room
+
+function generateRoomCode() {
+  let code;
+  do {
+    code = Array.from({ length: ROOM_CODE_LENGTH },
+      () => ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+function findRoom(code) {
+  return rooms.get(String(code || '').trim().toUpperCase()) || null;
+}
+
+/**
+ * Open a room with a fresh game and its own persistence directory
+ * @param {string} code - Join code (a new one is generated if omitted)
+ * @returns {Object} The room
+ */
+function createRoom(code = generateRoomCode()) {
+  const room = {
+    code,
+    gameState: createGameState(code),
+    store: new PersistenceStore(`${ROOMS_DIR}/${code}`),
+    restoredClientStats: {},
+    // Timers for game cycles
+    evolutionInterval: null,
+    challengeInterval: null,
+    llmPrimingInterval: null, // LLM priming every 2 minutes
+    schedulerInterval: null, // Moves long-idle answerers to asking
+    idleTimer: null,
+    lobby: new Map(), // clientId -> { id, name, conn, requestedAt } waiting to be admitted
+    lastChallengeTime: 0, // Track when last challenge was sent
+    challengeTurns: new Map(), // clientId -> position in the challenge rotation
+    activeQuestions: new Map(), // Track which question is assigned to each client
+    assignmentTimers: new Map(), // clientId -> { questionId, assignedAt, deadline, nudged, timers } for activeQuestions
+    roleStreaks: new Map(), // clientId -> { mode, count, since } for the role scheduler
+    askedQuestions: new Set(), // Track which questions have been asked to avoid repeats
+    checkingQuestions: new Set(), // clientIds whose new question is being checked for duplicates
+    activeLLMQueries: new Map(), // Track clients with pending LLM queries
+    activeChallenges: new Map(), // clientId -> { challenge, sentAt } for challenges in progress
+    coopTeams: new Map(), // challengeId -> { challenge, members, state, seq, sentAt, timer } for team challenges
+    classAlterations: new Map(), // alterationKey -> LLM's untrue copy of a class answer (null = unusable)
+    alteringAnswers: false, // An alteration run is waiting on the LLM
+    classQuestions: [], // Questions the teacher put to the class, newest first, with each student's answer
+    collectedAnswers: new Map(), // questionId -> answers so far, for questions that go to several answerers
+    pendingReviews: new Map(), // reviewId -> answer waiting on classmates' ratings (peer review)
+    discardPile: [], // Answers reviewers turned down, newest first (teacher only)
+    // Cache for filtered training data to avoid re-filtering on every LLM query
+    cleanTrainingDataCache: null,
+    lastTrainingDataLength: 0
+  };
+  rooms.set(code, room);
+  console.log(`[ROOMS] Opened room ${code}`);
+  return room;
+}
+
+// Start (or cancel) the countdown to closing a room nobody is using
+function scheduleRoomCleanup(room) {
+  clearTimeout(room.idleTimer);
+  room.idleTimer = null;
+  const occupied = () => Object.keys(room.gameState.clients).length > 0 || room.lobby.size > 0;
+  if (occupied() || room.gameState.isActive) return;
+
+  room.idleTimer = setTimeout(() => {
+    if (occupied() || room.gameState.isActive) return;
+    closeRoom(room);
+  }, ROOM_IDLE_MS);
+}
+
+// The room's AI is already saved in its session, so only the live state goes
+function closeRoom(room) {
+  room.lobby.forEach((entry, clientId) => {
+    clientRooms.delete(clientId);
+    sendToClient(clientId, { type: 'join_error', message: 'This game has closed.' });
+  });
+  saveActiveSession(room);
+  stopGameCycles(room);
+  clearTimeout(room.idleTimer);
+  room.store.destroy();
+  rooms.delete(room.code);
+  console.log(`[ROOMS] Closed idle room ${room.code}`);
+}
+
+// Bring back every room that was open when the server stopped
+function restoreRooms() {
+  // Before rooms existed the single game lived in DATA_DIR/state
+  const legacyDir = `${DATA_DIR}/state`;
+  if (fs.existsSync(legacyDir)) {
+    fs.mkdirSync(ROOMS_DIR, { recursive: true });
+    const code = generateRoomCode();
+    fs.renameSync(legacyDir, `${ROOMS_DIR}/${code}`);
+    console.log(`[ROOMS] Moved the saved game into room ${code}`);
+  }
+
+  if (!fs.existsSync(ROOMS_DIR)) return;
+  fs.readdirSync(ROOMS_DIR)
+    .filter(code => new RegExp(`^[${ROOM_CODE_ALPHABET}]{${ROOM_CODE_LENGTH}}$`).test(code))
+    .forEach(code => {
+      const room = createRoom(code);
+      restorePersistedState(room);
+      ensureActiveSession(room);
+      // Nobody is connected yet - close it later if nobody comes back
+      scheduleRoomCleanup(room);
+    });
+}
+
+// ==================== TEACHER AUTHORIZATION ====================
+// Registering as a teacher needs the teacher password. Privileged message
+// types all go through authorize() in handleMessage, and privileged REST
+// endpoints need the token a teacher is issued when they register.
+
+const teacherSecret = loadTeacherSecret(DATA_DIR, process.env.TEACHER_PASSWORD);
+
+// Message types only a teacher may send
+const TEACHER_MESSAGES = new Set([
+  'start_game', 'end_game', 'reset_knowledge', 'kick_student', 'remove_knowledge_item',
+  'list_sessions', 'create_session', 'switch_session', 'rename_session', 'archive_session',
+  'list_versions', 'get_version', 'rollback_version',
+  'set_lobby', 'admit_student', 'admit_all', 'reject_student',
+  'list_question_banks', 'save_question_bank', 'set_bank_enabled',
+  'set_peer_review', 'restore_discarded', 'clear_discarded',
+  'set_answer_settings', 'ask_class', 'unmute_student', 'set_challenge_enabled',
+  'list_content_packs', 'get_content_pack', 'validate_content_pack', 'save_content_pack', 'set_content_pack',
+  'start_team_challenge'
+]);
+
+// Never put these on the client object - gameState.clients is broadcast
+const teacherTokens = new Map(); // teacher token -> clientId, for REST calls
+
+function isTeacher(room, clientId) {
+  return room.gameState.clients[clientId]?.role === 'teacher';
+}
+
+function teacherTokenFor(clientId) {
+  for (const [token, id] of teacherTokens) {
+    if (id === clientId) return token;
+  }
+  return null;
+}
+
+function authorize(room, clientId, type) {
+  if (!TEACHER_MESSAGES.has(type) || isTeacher(room, clientId)) return true;
+  console.log(`[AUTH] Rejected ${type} from ${clientId} - not a teacher`);
+  sendToClient(clientId, { type: 'not_authorized', message: 'Only the teacher can do that.' });
+  return false;
+}
+
+// Express middleware: resolves the teacher's room from their token (sent as
+// X-Teacher-Token - never in the URL, where it would be logged) into req.room
+function requireTeacher(req, res, next) {
+  const token = req.get('X-Teacher-Token');
+  const clientId = token && teacherTokens.get(token);
+  const room = clientId && clientRooms.get(clientId);
+  if (!room) {
+    return res.status(401).json({ success: false, error: 'Teacher login required' });
+  }
+  const requested = req.query.room || req.body?.room;
+  if (requested && findRoom(requested) !== room) {
+    return res.status(403).json({ success: false, error: 'That room belongs to another teacher' });
+  }
+  req.room = room;
+  next();
+}
+
+// ==================== RATE LIMITING ====================
+// Every message a student sends spends a token from a per-type bucket
+// (rateLimiter.js), so a script can't flood the question queue, the starred
+// list or the Ollama queues. Refusals tell the client when to try again;
+// enough of them in a minute mutes the student and flags them for the
+// teacher. Teachers aren't limited.
+
+// The student's screen has already moved on when these are sent, so a
+// refusal hands them back what they were doing
+const FLOW_MESSAGES = new Set(['submit_question', 'request_next_question', 'submit_answer', 'challenge_completed']);
+
+const rateLimiter = new RateLimiter(
+  { ...DEFAULT_LIMITS, ...parseLimits(process.env.RATE_LIMITS) },
+  {
+    strikesToMute: parseInt(process.env.FLOOD_STRIKES, 10) || 10,
+    strikeWindowMs: 60000,
+    muteMs: parseInt(process.env.FLOOD_MUTE_MS, 10) || 120000
+  }
+);
+
+/**
+ * Spend a token for a message, refusing it (and maybe muting) when over the limit
+ * @returns {boolean} true if the message may be handled
+ */
+function withinRateLimit(clientId, type) {
+  const room = clientRooms.get(clientId);
+  if (room && isTeacher(room, clientId)) return true;
+
+  const result = rateLimiter.take(clientId, type);
+  if (result.allowed) return true;
+
+  const seconds = Math.ceil(result.retryAfter / 1000);
+  if (result.justMuted && room?.gameState.clients[clientId]) {
+    muteClient(room, clientId, result.mutedUntil);
+  } else if (!result.mutedUntil) {
+    console.log(`[RATE] Refused ${type} from ${clientId} - retry in ${seconds}s`);
+  }
+  sendToClient(clientId, {
+    type: 'rate_limited',
+    messageType: type,
+    retryAfter: result.retryAfter,
+    muted: !!result.mutedUntil,
+    message: result.mutedUntil
+      ? `You're sending too much, so you're paused for ${seconds} seconds.`
+      : `Slow down! Try again in ${seconds} second${seconds !== 1 ? 's' : ''}.`
+  });
+  if (!result.mutedUntil && FLOW_MESSAGES.has(type) && room?.gameState.clients[clientId]) {
+    restoreClientActivity(room, clientId);
+  }
+  return false;
+}
+
+// Flag a flooding student on the dashboard until the teacher clears it;
+// the mute itself lifts on its own
+function muteClient(room, clientId, mutedUntil) {
+  const client = room.gameState.clients[clientId];
+  client.mutedUntil = mutedUntil;
+  client.flagged = true;
+  console.log(`[RATE] Muted ${client.name} (${clientId}) until ${new Date(mutedUntil).toLocaleTimeString()}`);
+  recordEvent(room, 'student_muted', clientId, { name: client.name });
+  broadcast(room, { type: 'clients_update', clients: room.gameState.clients });
+
+  setTimeout(() => {
+    if (room.gameState.clients[clientId] !== client || !client.mutedUntil || client.mutedUntil > Date.now()) return;
+    delete client.mutedUntil;
+    sendToClient(clientId, { type: 'rate_limit_lifted' });
+    broadcast(room, { type: 'clients_update', clients: room.gameState.clients });
+  }, mutedUntil - Date.now());
+}
 
-// Cache for filtered training data to avoid re-filtering on every LLM query
-let cleanTrainingDataCache = null;
-let lastTrainingDataLength = 0;
+// Teacher lifts a mute early and clears the flag
+function handleUnmuteStudent(room, teacherClientId, studentClientId) {
+  const student = room.gameState.clients[studentClientId];
+  if (!student) return;
+  rateLimiter.unmute(studentClientId);
+  const wasMuted = !!student.mutedUntil;
+  delete student.mutedUntil;
+  delete student.flagged;
+  console.log(`[RATE] ${room.gameState.clients[teacherClientId]?.name} cleared ${student.name}`);
+  if (wasMuted) sendToClient(studentClientId, { type: 'rate_limit_lifted' });
+  broadcast(room, { type: 'clients_update', clients: room.gameState.clients });
+}
 
 // Text corruption/uncorruption for challenge failures
 const CORRUPT_CHARS = ['@', '#', '!', '%', '&', '$', '~', '^'];
@@ -214,7 +888,8 @@ function wordSplitText(text) {
   }).join(' ');
 }
 
-function rebuildLLMKnowledge() {
+function rebuildLLMKnowledge(room) {
+  const { gameState } = room;
   gameState.llmKnowledge = gameState.trainingData.map(d => {
     const item = {
       q: d.question,
@@ -225,320 +900,730 @@ function rebuildLLMKnowledge() {
     };
     if (d.originalQuestion) item.originalQ = d.originalQuestion;
     if (d.originalAnswer) item.originalA = d.originalAnswer;
+    if (d.answers?.length > 1) {
+      item.agreement = d.agreement;
+      item.groups = scoreAgreement(d.answers).groups;
+    }
     return item;
   });
-  cleanTrainingDataCache = null;
-}
-
-// Question prompts - asking "Who..." questions where the answer is a person's name
-// This helps the AI learn to associate people with traits and characteristics
-const questionPrompts = [
-  "Who in this class is the funniest person you know?",
-  "Who is the best at making people laugh?",
-  "Who is the kindest person in this room?",
-  "Who would you pick to be on your team for a game?",
-  "Who is the best artist in this class?",
-  "Who is the fastest runner you know?",
-  "Who always has the best ideas?",
-  "Who is really good at math?",
-  "Who loves to read the most?",
-  "Who is the best at sports?",
-  "Who would you want to sit next to on a bus trip?",
-  "Who is the most creative person you know?",
-  "Who always helps others?",
-  "Who makes the best jokes?",
-  "Who is really smart?",
-  "Who is the bravest person you know?",
-  "Who loves animals the most?",
-  "Who is the best singer or dancer?",
-  "Who is really good at video games?",
-  "Who would you want as a partner for a project?",
-  "Who always has a smile on their face?",
-  "Who is the most energetic person in class?",
-  "Who is really good at drawing?",
-  "Who tells the best stories?",
-  "Who is the most organized person you know?",
-  "Who is really good at science?",
-  "Who loves recess the most?",
-  "Who is the quietest person in class?",
-  "Who is the loudest person in class?",
-  "Who is most likely to become famous?",
-  "Who would make the best teacher?",
-  "Who is the most adventurous person you know?",
-  "Who is really good at building things?",
-  "Who loves music the most?",
-  "Who is the best listener?",
-  "Who would you go to for help with homework?",
-  "Who is the most curious person in class?",
-  "Who has the coolest hobbies?",
-  "Who is most likely to invent something amazing?",
-  "Who is really good at solving puzzles?",
-  "Who loves to learn new things?",
-  "Who is the most patient person you know?",
-  "Who is always on time?",
-  "Who has the best handwriting?",
-  "Who would make the best leader?",
-  "Who is the most determined person in class?",
-  "Who never gives up?",
-  "Who has the best memory?",
-  "Who is really good at making friends?",
-  "Who would you want on your side in an argument?",
-  "Who is the most generous person you know?",
-  "Who always shares their things?",
-  "Who gives the best advice?",
-  "Who is the most loyal friend?",
-  "Who is really good with computers or technology?",
-  "Who would survive the longest on a deserted island?",
-  "Who is most likely to become a professional athlete?",
-  "Who has the coolest collection of anything?",
-  "Who is the best at keeping secrets?",
-  "Who would you pick to be class president?"
-];
-
-// Configuration questions - deeper questions to shape AI personality
-const configQuestions = [
-  "Who is the person who cheers people up when they're sad?",
-  "Who is someone who stays calm during disagreements?",
-  "Who is most likely to admit when they make a mistake?",
-  "Who celebrates the loudest when something good happens?",
-  "Who always asks questions when they don't understand?"
-];
+  room.cleanTrainingDataCache = null;
+}
 
 // WebSocket connections
 const connections = new Map();
 
+// Resumable identity: a phone screen lock or Wi-Fi blip shouldn't cost a
+// student their counters, assigned question or challenge. Disconnected
+// clients are held for a grace period and can reclaim their clientId by
+// presenting the resume token they were issued.
+const RESUME_GRACE_MS = parseInt(process.env.RESUME_GRACE_MS, 10) || 120000;
+const resumeTokens = new Map();     // resumeToken -> clientId
+const disconnectTimers = new Map(); // clientId -> grace period timeout
+
 wss.on('connection', (ws) => {
-  const clientId = uuidv4();
-  connections.set(clientId, ws);
-  console.log(`[WS] Client connected: ${clientId}`);
+  // The clientId can change if this connection resumes an earlier identity
+  const conn = { clientId: uuidv4(), resumeToken: uuidv4() };
+  connections.set(conn.clientId, ws);
+  console.log(`[WS] Client connected: ${conn.clientId}`);
   
   ws.on('message', (message) => {
     try {
       const data = JSON.parse(message);
-      console.log(`[WS] Message from ${clientId}:`, data.type, data);
-      handleMessage(clientId, data, ws);
+      // Just the type - register carries the teacher password and resume token
+      console.log(`[WS] Message from ${conn.clientId}:`, data.type);
+      handleMessage(conn.clientId, data, ws, conn);
     } catch (error) {
-      console.error(`[WS] Error parsing message from ${clientId}:`, error);
+      console.error(`[WS] Error parsing message from ${conn.clientId}:`, error);
     }
   });
 
   ws.on('close', () => {
+    const clientId = conn.clientId;
     console.log(`[WS] Client disconnected: ${clientId}`);
+    // Another connection has taken over this identity - nothing to clean up
+    if (connections.get(clientId) !== ws) return;
     connections.delete(clientId);
-    if (gameState.clients[clientId]) {
-      console.log(`[WS] Removing client ${clientId} from game state`);
-      delete gameState.clients[clientId];
-      // Clear any active question tracking for this client
-      activeQuestions.delete(clientId);
-      lastChallengeTypes.delete(clientId);
-      activeLLMQueries.delete(clientId); // Clear pending LLM queries
-      broadcast({ type: 'clients_update', clients: gameState.clients });
+    const room = clientRooms.get(clientId);
+    if (room?.gameState.clients[clientId]) {
+      holdDisconnectedClient(room, clientId);
+    } else if (room?.lobby.has(clientId)) {
+      // Never admitted, so there's no seat to hold - they re-request on reconnect
+      leaveLobby(room, clientId);
+      rateLimiter.forget(clientId);
+    } else {
+      rateLimiter.forget(clientId);
     }
   });
   
   ws.on('error', (error) => {
-    console.error(`[WS] WebSocket error for ${clientId}:`, error);
+    console.error(`[WS] WebSocket error for ${conn.clientId}:`, error);
   });
 
-  // Send initial state
-  ws.send(JSON.stringify({ type: 'connected', clientId, gameState }));
+  // Game state arrives once the client registers into a room
+  ws.send(JSON.stringify({ type: 'connected', clientId: conn.clientId, resumeToken: conn.resumeToken, gameState: null }));
 });
 
-function handleMessage(clientId, data, ws) {
-  // Validate client is registered (except for register message)
-  if (data.type !== 'register' && !gameState.clients[clientId]) {
-    console.log(`[REJECT] Message from unregistered client ${clientId}: ${data.type}`);
-    return;
-  }
-  
-  switch (data.type) {
-    case 'register':
-      handleRegistration(clientId, data, ws);
-      break;
-
-    case 'start_game':
-      console.log('[SERVER] Received start_game message');
-      startGame();
-      break;
-
-    case 'end_game':
-      console.log('[SERVER] Received end_game message');
-      endGame();
-      break;
-
-    case 'reset_knowledge':
-      resetKnowledge();
-      break;
+// Keep a dropped client's seat (mode, counters, assignments) for the grace period
+function holdDisconnectedClient(room, clientId) {
+  const { gameState } = room;
+  const client = gameState.clients[clientId];
+  client.connected = false;
+  client.disconnectedAt = Date.now();
+  console.log(`[WS] Holding ${client.name} (${clientId}) for ${RESUME_GRACE_MS / 1000}s`);
+  updateTeamPresence(room, clientId);
 
-    case 'submit_question':
-      handleQuestionSubmission(clientId, data.question);
-      break;
+  clearTimeout(disconnectTimers.get(clientId));
+  disconnectTimers.set(clientId, setTimeout(() => {
+    disconnectTimers.delete(clientId);
+    const held = gameState.clients[clientId];
+    if (held && held.connected === false) {
+      console.log(`[WS] Grace period expired for ${held.name} (${clientId})`);
+      recordEvent(room, 'client_left', clientId, { name: held.name });
+      removeClient(room, clientId);
+      broadcast(room, { type: 'clients_update', clients: gameState.clients });
+    }
+  }, RESUME_GRACE_MS));
 
-    case 'request_next_question':
-      // Student accepted the suggested question, add it to pending and give them a new one
-      handleSuggestedQuestionAccepted(clientId, data.questionText, data.questionType);
-      break;
+  broadcast(room, { type: 'clients_update', clients: gameState.clients });
+}
 
-    case 'submit_answer':
-      handleAnswerSubmission(clientId, data.questionId, data.answer);
-      break;
+// Drop a client from the game for good and release anything assigned to them
+function removeClient(room, clientId) {
+  const { gameState } = room;
+  console.log(`[WS] Removing client ${clientId} from room ${room.code}`);
+  delete gameState.clients[clientId];
+  clientRooms.delete(clientId);
 
-    case 'challenge_completed':
-      handleChallengeCompleted(clientId, data.challengeId, data.success);
-      break;
+  clearTimeout(disconnectTimers.get(clientId));
+  disconnectTimers.delete(clientId);
+  resumeTokens.forEach((id, token) => {
+    if (id === clientId) resumeTokens.delete(token);
+  });
+  teacherTokens.forEach((id, token) => {
+    if (id === clientId) teacherTokens.delete(token);
+  });
 
-    case 'query_llm':
-      handleLLMQuery(clientId, data.question);
-      break;
+  handBackQuestion(room, clientId);
+  dropClassQuestionsFor(room, clientId, 'left');
 
-    case 'star_qa_pair':
-      handleStarQAPair(clientId, data);
-      break;
+  room.challengeTurns.delete(clientId);
+  updateTeamPresence(room, clientId);
+  room.activeChallenges.delete(clientId);
+  room.activeLLMQueries.delete(clientId); // Clear pending LLM queries
+  room.roleStreaks.delete(clientId);
+  rateLimiter.forget(clientId);
+  releaseReviews(room, clientId);
 
-    case 'kick_student':
-      handleKickStudent(clientId, data.clientId);
-      break;
+  scheduleRoomCleanup(room);
+}
 
-    case 'remove_knowledge_item':
-      handleRemoveKnowledgeItem(clientId, data.index);
-      break;
+// Hand a client's assigned question to someone else instead of leaving it stuck
+function handBackQuestion(room, clientId) {
+  const { gameState, activeQuestions } = room;
+  const questionId = activeQuestions.get(clientId);
+  releaseAssignment(room, clientId);
+  const question = questionId && gameState.pendingQuestions.find(q => q.id === questionId);
+  if (question && gameState.isActive && !question.targetId) {
+    assignQuestionToAnswerer(room, question);
   }
 }
 
-function startGame() {
-  console.log('[SERVER] Starting game...');
-  gameState.isActive = true;
-  gameState.startTime = Date.now();
-  gameState.llmKnowledge = [];
-  gameState.trainingData = [];
-  gameState.evolutionCount = 0;
-  gameState.llmPersonality = 'neutral';
-  gameState.starredQAPairs = []; // Clear starred pairs on new game
+/**
+ * Rebind a new connection to a held (or still-open) client identity.
+ * @returns {boolean} true if the identity was resumed
+ */
+function resumeClient(conn, ws, resumeToken) {
+  const heldId = resumeTokens.get(resumeToken);
+  const room = heldId && clientRooms.get(heldId);
+  const client = room?.gameState.clients[heldId];
+  if (!client) return false;
+
+  // A stale socket may still be open (the server hasn't noticed it died yet) -
+  // the token proves ownership, so take over and tell the old socket to stand down
+  const oldWs = connections.get(heldId);
+  if (oldWs && oldWs !== ws) {
+    try {
+      oldWs.send(JSON.stringify({ type: 'resumed_elsewhere' }));
+      oldWs.close(1000, 'Resumed on another connection');
+    } catch (error) {
+      console.error(`[RESUME] Error closing stale connection for ${heldId}:`, error);
+    }
+  }
+
+  connections.delete(conn.clientId);
+  conn.clientId = heldId;
+  connections.set(heldId, ws);
+
+  clearTimeout(disconnectTimers.get(heldId));
+  disconnectTimers.delete(heldId);
+  client.connected = true;
+  delete client.disconnectedAt;
+
+  console.log(`[RESUME] ${client.name} resumed as ${heldId} in room ${room.code} (mode: ${client.currentMode})`);
+
+  sendToClient(heldId, {
+    type: 'registered',
+    clientId: heldId,
+    resumeToken,
+    roomCode: room.code,
+    teacherToken: teacherTokenFor(heldId),
+    name: client.name,
+    resumed: true
+  });
+  sendToClient(heldId, { type: 'game_state', gameState: room.gameState });
+  if (client.role === 'teacher') {
+    sendLobby(room, heldId);
+    sendReviewState(room, heldId);
+    sendAssignments(room, heldId);
+    sendClassQuestions(room, heldId);
+  }
+  broadcast(room, { type: 'clients_update', clients: room.gameState.clients });
+  restoreClientActivity(room, heldId);
+  return true;
+}
+
+// Re-send whatever the client was in the middle of before they dropped
+function restoreClientActivity(room, clientId) {
+  const { gameState, activeQuestions } = room;
+  const client = gameState.clients[clientId];
+  if (!client || client.role !== 'student') return;
+  reviewsOwedBy(room, clientId).forEach(review => sendToClient(clientId, reviewRequest(review)));
+  if (!gameState.isActive) return;
+
+  const pendingChallenge = room.activeChallenges.get(clientId);
+  if (pendingChallenge) {
+    // Only give them the time that's actually left on the server-side timeout
+    const remaining = Math.max(1000, pendingChallenge.challenge.timeLimit - (Date.now() - pendingChallenge.sentAt));
+    const team = teamOf(room, clientId);
+    sendToClient(clientId, {
+      type: 'challenge',
+      challenge: playerChallenge({ ...pendingChallenge.challenge, timeLimit: remaining }),
+      ...(team ? { coop: coopUpdate(room, team) } : {})
+    });
+    // Their teammates get them (and their part of the challenge) back
+    if (team) updateTeamPresence(room, clientId);
+    return;
+  }
+
+  if (client.currentMode === 'asker') {
+    if (client.pendingPrompt) {
+      sendToClient(clientId, { type: 'new_question_prompt', question: client.pendingPrompt });
+    } else {
+      sendQuestion(room, clientId);
+    }
+  } else if (client.currentMode === 'answerer') {
+    const questionId = activeQuestions.get(clientId);
+    const question = questionId && gameState.pendingQuestions.find(q => q.id === questionId);
+    if (question) {
+      sendToClient(clientId, answerRequest(room, clientId, question));
+    } else {
+      releaseAssignment(room, clientId);
+      sendQuestionToAnswer(room, clientId);
+    }
+  } else if (client.currentMode === 'challenging') {
+    // Their challenge already resolved while they were away
+    assignNextMode(room, clientId);
+  }
+}
+
+function handleMessage(clientId, data, ws, conn) {
+  if (!withinRateLimit(clientId, data.type)) return;
+  // Async handlers fail after the message listener's try/catch has returned;
+  // log those the same way instead of letting one message take the server down
+  const failed = (error) => console.error(`[WS] Error handling ${data.type} from ${clientId}:`, error);
+
+  if (data.type === 'register') {
+    handleRegistration(clientId, data, ws, conn).catch(failed);
+    return;
+  }
+
+  // Validate client is registered into a room
+  const room = clientRooms.get(clientId);
+  if (!room?.gameState.clients[clientId]) {
+    console.log(`[REJECT] Message from unregistered client ${clientId}: ${data.type}`);
+    return;
+  }
+  if (!authorize(room, clientId, data.type)) return;
   
-  // Generate a fresh AI identity for this game session
-  gameState.modelIdentity = {
-    name: gameState.llmModel || llmService.modelName || 'AI',
+  switch (data.type) {
+    case 'start_game':
+      console.log(`[SERVER] Received start_game message for room ${room.code}`);
+      startGame(room, clientId, data.mode);
+      break;
+
+    case 'end_game':
+      console.log(`[SERVER] Received end_game message for room ${room.code}`);
+      endGame(room, clientId);
+      break;
+
+    case 'reset_knowledge':
+      resetKnowledge(room, clientId);
+      break;
+
+    case 'submit_question':
+      handleQuestionSubmission(room, clientId, data.question).catch(failed);
+      break;
+
+    case 'request_next_question':
+      // Student accepted the suggested question, add it to pending and give them a new one
+      handleSuggestedQuestionAccepted(room, clientId, data.questionText, data.questionType).catch(failed);
+      break;
+
+    case 'submit_answer':
+      handleAnswerSubmission(room, clientId, data.questionId, data.answer).catch(failed);
+      break;
+
+    case 'submit_review':
+      handleReviewSubmission(room, clientId, data.reviewId, data.rating);
+      break;
+
+    case 'challenge_move':
+      handleChallengeMove(room, clientId, data.challengeId, data.index, data.move);
+      break;
+
+    case 'challenge_completed':
+      handleChallengeSubmission(room, clientId, data.challengeId);
+      break;
+
+    case 'coop_move':
+      handleCoopMove(room, clientId, data.challengeId, data.move);
+      break;
+
+    case 'query_llm':
+      handleLLMQuery(room, clientId, data.question).catch(failed);
+      break;
+
+    case 'star_qa_pair':
+      handleStarQAPair(room, clientId, data);
+      break;
+
+    case 'kick_student':
+      handleKickStudent(room, clientId, data.clientId);
+      break;
+
+    case 'remove_knowledge_item':
+      handleRemoveKnowledgeItem(room, clientId, data.index);
+      break;
+
+    case 'list_sessions':
+    case 'create_session':
+    case 'switch_session':
+    case 'rename_session':
+    case 'archive_session':
+      handleSessionCommand(room, clientId, data);
+      break;
+
+    case 'list_versions':
+    case 'get_version':
+    case 'rollback_version':
+      handleHistoryCommand(room, clientId, data);
+      break;
+
+    case 'set_lobby':
+    case 'admit_student':
+    case 'admit_all':
+    case 'reject_student':
+      handleLobbyCommand(room, clientId, data);
+      break;
+
+    case 'list_question_banks':
+    case 'save_question_bank':
+    case 'set_bank_enabled':
+      handleQuestionBankCommand(room, clientId, data);
+      break;
+
+    case 'set_peer_review':
+    case 'restore_discarded':
+    case 'clear_discarded':
+      handleReviewCommand(room, clientId, data);
+      break;
+
+    case 'set_answer_settings':
+      handleAnswerSettingsCommand(room, clientId, data);
+      break;
+
+    case 'set_challenge_enabled':
+      handleChallengeSettingsCommand(room, clientId, data);
+      break;
+
+    case 'start_team_challenge':
+      handleTeamChallengeCommand(room, clientId, data);
+      break;
+
+    case 'list_content_packs':
+    case 'get_content_pack':
+    case 'validate_content_pack':
+    case 'save_content_pack':
+    case 'set_content_pack':
+      handleContentPackCommand(room, clientId, data);
+      break;
+
+    case 'ask_class':
+      handleClassQuestionCommand(room, clientId, data);
+      break;
+
+    case 'unmute_student':
+      handleUnmuteStudent(room, clientId, data.clientId);
+      break;
+  }
+}
+
+function createModelIdentity(room) {
+  return {
+    name: room.gameState.llmModel || llmService.modelName || 'AI',
     topSkills: [],
     lastMilestone: null,
     lastThought: null,
     personalityHistory: [{ personality: 'neutral', timestamp: Date.now(), evolutionCount: 0 }]
   };
+}
+
+function startGame(room, actorId = null, modeId = null) {
+  const { gameState } = room;
+  console.log(`[SERVER] Starting game in room ${room.code}...`);
+  if (modeId && modeId !== gameState.curriculumMode) {
+    setCurriculumMode(room, modeId);
+  }
+  gameState.isActive = true;
+  gameState.startTime = Date.now();
+  
+  if (gameState.trainingData.length === 0) {
+    // Empty session - generate a fresh AI identity for it
+    gameState.llmKnowledge = [];
+    gameState.evolutionCount = 0;
+    gameState.llmPersonality = 'neutral';
+    gameState.starredQAPairs = [];
+    gameState.modelIdentity = createModelIdentity(room);
+  } else {
+    // The session already has an AI (e.g. loaded from yesterday) - keep training it
+    console.log(`[SERVER] Resuming session "${gameState.session?.name}" with ${gameState.trainingData.length} training items`);
+    // Start on the class's answers now rather than at the first challenge
+    refreshClassAlterations(room);
+  }
   console.log(`[SERVER] AI Identity: ${gameState.modelIdentity.name}`);
+  persist(room, 'isActive', 'startTime', 'llmPersonality', 'trainingData', 'evolutionCount', 'starredQAPairs', 'modelIdentity');
   
   console.log('[SERVER] Game state updated:', { isActive: gameState.isActive, startTime: gameState.startTime });
-  console.log('[SERVER] Broadcasting game_started message to all clients');
-  broadcast({ type: 'game_started', gameState });
+  console.log('[SERVER] Broadcasting game_started message to the room');
+  const activeMode = getCurriculumMode(gameState.curriculumMode);
+  recordEvent(room, 'game_started', actorId, { mode: activeMode.id, modeName: activeMode.name }, {
+    set: { llmPersonality: gameState.llmPersonality, evolutionCount: gameState.evolutionCount, modelIdentity: gameState.modelIdentity }
+  });
+  broadcast(room, { type: 'game_started', gameState });
   
   // Start evolution cycle (every minute)
-  startEvolutionCycle();
+  startEvolutionCycle(room);
   
   // Start LLM priming cycle (every 2 minutes)
-  startLLMPrimingCycle();
+  startLLMPrimingCycle(room);
+  
+  // Keep answerers from waiting on an empty backlog
+  startSchedulerCycle(room);
   
   // Send initial prompts to clients
-  distributePrompts();
+  distributePrompts(room);
   
   // Challenges are now only sent after asking questions, not randomly
   // scheduleChallenge(); // REMOVED - no more random challenges
 }
 
-async function handleRegistration(clientId, data, ws) {
+async function handleRegistration(clientId, data, ws, conn) {
+  // Registering again from the lobby (e.g. as the teacher) starts over
+  const waitingIn = clientRooms.get(clientId);
+  if (waitingIn?.lobby.has(clientId)) leaveLobby(waitingIn, clientId);
+
+  // Returning client - reclaim their old identity instead of registering anew
+  if (data.resumeToken && resumeClient(conn, ws, data.resumeToken)) {
+    return;
+  }
+
+  // Claiming the teacher role takes the teacher password
+  const role = data.role || 'student'; // Can be 'teacher' or 'student'
+  if (role === 'teacher' && !verifyTeacherSecret(teacherSecret.secret, data.password)) {
+    console.log(`[AUTH] Rejected teacher registration from ${clientId} - ${data.password ? 'wrong password' : 'no password and nothing to resume'}`);
+    // Without a password it was a reconnect that came too late to resume
+    sendToClient(clientId, { type: 'auth_error', message: data.password ? 'Wrong teacher password.' : 'You were away too long - enter the teacher password again.' });
+    return;
+  }
+  if (role !== 'teacher' && role !== 'student') {
+    console.log(`[AUTH] Rejected registration from ${clientId} - unknown role "${role}"`);
+    return;
+  }
+
+  // Teachers open a room (or come back to theirs); students need its join code
+  let room = findRoom(data.roomCode);
+  if (!room && role === 'teacher') {
+    room = createRoom();
+    ensureActiveSession(room);
+  }
+  if (!room) {
+    console.log(`[ROOMS] Rejected ${clientId} - no room with code "${data.roomCode}"`);
+    sendToClient(clientId, {
+      type: 'join_error',
+      message: data.roomCode ? `There's no game with code ${String(data.roomCode).toUpperCase()}. Check the code on the board!` : 'Enter the game code from the board to join.'
+    });
+    return;
+  }
+  const { gameState } = room;
+  clearTimeout(room.idleTimer);
+  room.idleTimer = null;
+
   const rawName = data.name || `Client ${Object.keys(gameState.clients).length + 1}`;
   
   // Censor the name to prevent inappropriate usernames
   const name = censorText(rawName);
 
+  if (role === 'student' && gameState.lobbyEnabled) {
+    joinLobby(room, clientId, conn, name);
+    return;
+  }
+  admitClient(room, clientId, conn, role, name);
+}
+
+/**
+ * Put a registered client into a room's game
+ * @param {Object} room - Room they're joining
+ * @param {string} clientId - Their connection's clientId
+ * @param {Object} conn - Connection info holding the resume token to issue
+ * @param {'teacher'|'student'} role - Role they registered as
+ * @param {string} name - Display name, already censored
+ */
+function admitClient(room, clientId, conn, role, name) {
+  const { gameState } = room;
+
   // Register the client immediately with provided name
   gameState.clients[clientId] = {
     id: clientId,
-    role: data.role || 'student', // Can be 'teacher' or 'student'
+    role,
     currentMode: null, // Will be 'asker' or 'answerer' (students only)
     name: name,
     questionsAsked: 0,
-    questionsAnswered: 0
+    questionsAnswered: 0,
+    challengeSkill: {}, // challenge type -> { skill, played } (challengeSkill.js)
+    connected: true
   };
+  clientRooms.set(clientId, room);
+
+  // Issue the resume token for this identity (and the REST token for teachers)
+  resumeTokens.set(conn.resumeToken, clientId);
+  const teacherToken = role === 'teacher' ? uuidv4() : null;
+  if (teacherToken) teacherTokens.set(teacherToken, clientId);
+  sendToClient(clientId, {
+    type: 'registered',
+    clientId,
+    resumeToken: conn.resumeToken,
+    roomCode: room.code,
+    teacherToken,
+    name,
+    resumed: false
+  });
+  sendToClient(clientId, { type: 'game_state', gameState });
+  if (role === 'teacher') {
+    sendLobby(room, clientId);
+    sendReviewState(room, clientId);
+    sendAssignments(room, clientId);
+    sendClassQuestions(room, clientId);
+  }
 
-  broadcast({ type: 'clients_update', clients: gameState.clients });
+  // Pick up counters saved before a server restart
+  const savedStats = room.restoredClientStats[name];
+  if (savedStats && role === 'student') {
+    gameState.clients[clientId].questionsAsked = savedStats.questionsAsked || 0;
+    gameState.clients[clientId].questionsAnswered = savedStats.questionsAnswered || 0;
+    gameState.clients[clientId].challengeSkill = savedStats.challengeSkill || {};
+    delete room.restoredClientStats[name];
+    console.log(`[PERSIST] Restored stats for returning student ${name}`);
+  }
+
+  if (role === 'student') {
+    recordEvent(room, 'client_joined', clientId, { name });
+  }
+  broadcast(room, { type: 'clients_update', clients: gameState.clients });
 
   // If game is active and client is a student, assign initial mode
-  if (gameState.isActive && data.role === 'student') {
-    assignNextMode(clientId);
+  if (gameState.isActive && role === 'student') {
+    assignNextMode(room, clientId);
   }
 }
 
-function endGame() {
-  console.log('[SERVER] Ending game...');
+// ==================== LOBBY ====================
+// With the lobby on, new students wait outside the room until the teacher
+// admits them - anyone on an open school network can scan the QR code.
+// Waiting students aren't in gameState.clients, so handleMessage ignores
+// everything they send and nothing the room broadcasts reaches them.
+
+const LOBBY_DEFAULT = process.env.LOBBY_MODE === 'true';
+const PEER_REVIEW_DEFAULT = process.env.PEER_REVIEW === 'true';
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+// Is this name already used by an admitted student (or another waiting one)?
+function nameTaken(room, name, exceptId = null) {
+  const wanted = normalizeName(name);
+  const admitted = Object.values(room.gameState.clients)
+    .some(c => c.role === 'student' && c.id !== exceptId && normalizeName(c.name) === wanted);
+  if (admitted) return true;
+  for (const [id, entry] of room.lobby) {
+    if (id !== exceptId && normalizeName(entry.name) === wanted) return true;
+  }
+  return false;
+}
+
+// What the teacher's dashboard shows - the conn stays server-side
+function lobbyList(room) {
+  return [...room.lobby.values()].map(({ id, name, requestedAt }) => ({
+    id, name, requestedAt, duplicate: nameTaken(room, name, id)
+  }));
+}
+
+function sendLobby(room, teacherClientId) {
+  sendToClient(teacherClientId, { type: 'lobby_update', pending: lobbyList(room) });
+}
+
+// Only teachers see who's waiting
+function broadcastLobby(room) {
+  Object.values(room.gameState.clients)
+    .filter(c => c.role === 'teacher')
+    .forEach(c => sendLobby(room, c.id));
+}
+
+function joinLobby(room, clientId, conn, name) {
+  room.lobby.set(clientId, { id: clientId, name, conn, requestedAt: Date.now() });
+  clientRooms.set(clientId, room);
+  console.log(`[LOBBY] ${name} (${clientId}) is waiting to join room ${room.code}`);
+  sendToClient(clientId, {
+    type: 'lobby_waiting',
+    name,
+    message: 'Waiting for the teacher to let you in...'
+  });
+  broadcastLobby(room);
+}
+
+function leaveLobby(room, clientId) {
+  room.lobby.delete(clientId);
+  clientRooms.delete(clientId);
+  broadcastLobby(room);
+  scheduleRoomCleanup(room);
+}
+
+/**
+ * Let a waiting student into the game
+ * @param {Object} room - Room they're waiting for
+ * @param {string} clientId - Waiting student's clientId
+ * @param {string} [nameOverride] - Name the teacher gave them instead
+ * @returns {boolean} false if their name is already taken in the room
+ */
+function admitFromLobby(room, clientId, nameOverride) {
+  const entry = room.lobby.get(clientId);
+  if (!entry) throw new Error('That student is no longer waiting');
+
+  const override = typeof nameOverride === 'string' ? nameOverride.trim() : '';
+  const name = override ? censorText(override) : entry.name;
+  const taken = Object.values(room.gameState.clients)
+    .some(c => c.role === 'student' && normalizeName(c.name) === normalizeName(name));
+  if (taken) return false;
+
+  room.lobby.delete(clientId);
+  console.log(`[LOBBY] Admitting ${name} (${clientId}) to room ${room.code}${override ? ` (was ${entry.name})` : ''}`);
+  admitClient(room, clientId, entry.conn, 'student', name);
+  return true;
+}
+
+// Admit everyone waiting; returns how many were left because of their name
+function admitAll(room) {
+  return [...room.lobby.keys()].filter(id => !admitFromLobby(room, id)).length;
+}
+
+function rejectFromLobby(room, teacherClientId, clientId) {
+  const entry = room.lobby.get(clientId);
+  if (!entry) throw new Error('That student is no longer waiting');
+  console.log(`[LOBBY] Rejected ${entry.name} (${clientId}) from room ${room.code}`);
+  // Send before leaveLobby so the client still resolves to this room's connection
+  sendToClient(clientId, { type: 'join_error', message: "The teacher didn't let you into this game." });
+  recordEvent(room, 'student_rejected', teacherClientId, { name: entry.name });
+  leaveLobby(room, clientId);
+}
+
+function stillWaiting(count) {
+  return `${count} student${count !== 1 ? 's are' : ' is'} still waiting - that name is already taken. Admit them with a different name.`;
+}
+
+// WebSocket entry point for lobby controls - errors go back to the teacher only
+function handleLobbyCommand(room, teacherClientId, data) {
+  try {
+    switch (data.type) {
+      case 'set_lobby': {
+        room.gameState.lobbyEnabled = data.enabled === true;
+        persist(room, 'lobbyEnabled');
+        console.log(`[LOBBY] Lobby ${room.gameState.lobbyEnabled ? 'enabled' : 'disabled'} in room ${room.code}`);
+        broadcast(room, { type: 'game_state', gameState: room.gameState });
+        // Opening the doors lets everyone who was waiting straight in
+        const skipped = room.gameState.lobbyEnabled ? 0 : admitAll(room);
+        if (skipped > 0) throw new Error(stillWaiting(skipped));
+        break;
+      }
+      case 'admit_student':
+        if (!admitFromLobby(room, data.clientId, data.name)) {
+          throw new Error('Another student already has that name - give them a different one.');
+        }
+        break;
+      case 'admit_all': {
+        // Duplicates stay waiting until the teacher renames them
+        const skipped = admitAll(room);
+        if (skipped > 0) throw new Error(stillWaiting(skipped));
+        break;
+      }
+      case 'reject_student':
+        rejectFromLobby(room, teacherClientId, data.clientId);
+        return;
+    }
+  } catch (error) {
+    console.log(`[LOBBY] ${data.type} failed: ${error.message}`);
+    sendToClient(teacherClientId, { type: 'lobby_error', message: error.message });
+  }
+  broadcastLobby(room);
+}
+
+function endGame(room, actorId = null) {
+  const { gameState } = room;
+  console.log(`[SERVER] Ending game in room ${room.code}...`);
   gameState.isActive = false;
   
   console.log('[SERVER] Game state updated:', { isActive: gameState.isActive });
+  persist(room, 'isActive');
+  saveActiveSession(room);
   
-  // Clear all intervals
-  if (evolutionInterval) {
-    clearInterval(evolutionInterval);
-    evolutionInterval = null;
-  }
-  if (challengeInterval) {
-    clearInterval(challengeInterval);
-    challengeInterval = null;
-  }
-  if (llmPrimingInterval) {
-    clearInterval(llmPrimingInterval);
-    llmPrimingInterval = null;
-  }
+  stopGameCycles(room);
   
-  console.log('[SERVER] Broadcasting game_ended message to all clients');
-  broadcast({ type: 'game_ended', gameState });
+  console.log('[SERVER] Broadcasting game_ended message to the room');
+  recordEvent(room, 'game_ended', actorId, { trainingCount: gameState.trainingData.length });
+  broadcast(room, { type: 'game_ended', gameState });
+  scheduleRoomCleanup(room);
 }
 
-function resetKnowledge() {
+function resetKnowledge(room, actorId = null) {
+  const { gameState } = room;
+  recordVersion(room, 'reset', 'Before AI reset', actorId);
   // ensure the game stops
   console.log('[SERVER] Ending game loop for reset...');
   gameState.isActive = false;
   
-  // Clear all intervals
-  if (evolutionInterval) {
-    clearInterval(evolutionInterval);
-    evolutionInterval = null;
-  }
-  if (challengeInterval) {
-    clearInterval(challengeInterval);
-    challengeInterval = null;
-  }
-  if (llmPrimingInterval) {
-    clearInterval(llmPrimingInterval);
-    llmPrimingInterval = null;
-  }
+  stopGameCycles(room);
 
   // Create NEW empty arrays with fresh references to force React updates
   gameState.trainingData = [];
   gameState.llmKnowledge = [];
   gameState.evolutionCount = 0;
   gameState.llmPersonality = 'neutral';
-  gameState.pendingQuestions = [];
   gameState.starredQAPairs = []; // Clear starred pairs on reset
   
   // Generate fresh AI identity on reset
-  gameState.modelIdentity = {
-    name: gameState.llmModel || llmService.modelName || 'AI',
-    topSkills: [],
-    lastMilestone: null,
-    lastThought: null,
-    personalityHistory: [{ personality: 'neutral', timestamp: Date.now(), evolutionCount: 0 }]
-  };
+  gameState.modelIdentity = createModelIdentity(room);
   console.log(`[RESET] New AI Identity: ${gameState.modelIdentity.name}`);
   
-  // Reset challenge tracking
-  lastChallengeTime = 0;
-  lastChallengeTypes.clear();
-  
-  // Reset active question tracking
-  activeQuestions.clear();
-  
-  // Reset asked questions tracking so questions can be reused
-  askedQuestions.clear();
-  
-  // Reset active LLM queries
-  activeLLMQueries.clear();
+  resetRoundTracking(room);
   
   // Reset all student modes and stats, put them in waiting state
   Object.keys(gameState.clients).forEach(clientId => {
@@ -546,6 +1631,7 @@ function resetKnowledge() {
     if (client && client.role === 'student') {
       client.questionsAsked = 0;
       client.questionsAnswered = 0;
+      client.challengeSkill = {};
       client.currentMode = null; // Clear their mode
       
       // Send them a message to clear their UI
@@ -556,14 +1642,20 @@ function resetKnowledge() {
     }
   });
   
+  room.restoredClientStats = {};
+  persist(room, ...PERSISTED_FIELDS);
+  saveActiveSession(room);
+  recordEvent(room, 'knowledge_reset', actorId, {}, { set: collectSessionData(room) });
+  
   console.log('[RESET] AI knowledge has been reset!');
   console.log('[RESET] Training data length:', gameState.trainingData.length);
   console.log('[RESET] LLM knowledge length:', gameState.llmKnowledge.length);
   
   // Broadcast with fresh array instances to ensure React detects the change
-  broadcast({ 
+  broadcast(room, { 
     type: 'knowledge_reset', 
     gameState: {
+      roomCode: room.code,
       isActive: gameState.isActive,
       startTime: gameState.startTime,
       trainingData: [],  // Fresh empty array instance
@@ -573,28 +1665,589 @@ function resetKnowledge() {
       evolutionCount: 0,
       clients: JSON.parse(JSON.stringify(gameState.clients)), // Deep clone clients
       challenges: [],
-      modelIdentity: gameState.modelIdentity
+      starredQAPairs: [],
+      modelIdentity: gameState.modelIdentity,
+      session: gameState.session
     },
     message: 'AI knowledge has been reset!'
   });
 }
 
-function distributePrompts() {
-  // Assign initial modes to all students - alternate between asker and answerer
+function stopGameCycles(room) {
+  if (room.evolutionInterval) {
+    clearInterval(room.evolutionInterval);
+    room.evolutionInterval = null;
+  }
+  if (room.challengeInterval) {
+    clearInterval(room.challengeInterval);
+    room.challengeInterval = null;
+  }
+  if (room.llmPrimingInterval) {
+    clearInterval(room.llmPrimingInterval);
+    room.llmPrimingInterval = null;
+  }
+  if (room.schedulerInterval) {
+    clearInterval(room.schedulerInterval);
+    room.schedulerInterval = null;
+  }
+}
+
+// Forget everything tied to the current round of play (pending questions,
+// assignments, challenge rotation) without touching the AI itself
+function resetRoundTracking(room) {
+  room.gameState.pendingQuestions = [];
+  room.gameState.challenges = [];
+  
+  // Reset challenge tracking
+  room.lastChallengeTime = 0;
+  room.challengeTurns.clear();
+  
+  // Reset active question tracking
+  room.activeQuestions.forEach((questionId, clientId) => releaseAssignment(room, clientId));
+  
+  // Reset asked questions tracking so questions can be reused
+  room.askedQuestions.clear();
+  
+  // Reset active LLM queries
+  room.activeLLMQueries.clear();
+  
+  room.activeChallenges.clear();
+  room.coopTeams.forEach(team => clearTimeout(team.timer));
+  room.coopTeams.clear();
+  room.roleStreaks.clear();
+  room.collectedAnswers.clear();
+  cancelClassQuestions(room);
+  
+  clearReviews(room);
+  room.discardPile = [];
+}
+
+// ==================== EVENT JOURNAL ====================
+// Every meaningful game event is recorded per session so the teacher can
+// replay the session afterwards. Events that change the AI carry a `state`
+// patch so the dashboard can rebuild the AI Mind at any point in time.
+
+function actorOf(room, clientId) {
+  const client = clientId && room.gameState.clients[clientId];
+  return client ? { clientId, name: client.name, role: client.role } : { role: 'system' };
+}
+
+/**
+ * Record a game event in the room's active session journal
+ * @param {Object} room - Room the event happened in
+ * @param {string} type - Event type (e.g. 'training_data_added')
+ * @param {string|null} actorId - clientId that caused it, null for timers
+ * @param {Object} data - Event details shown in the timeline
+ * @param {Object|null} state - { set: {...} } or { push: {...} } patch to the AI
+ */
+function recordEvent(room, type, actorId, data = {}, state = null) {
+  const { session } = room.gameState;
+  if (!session) return;
+  eventJournal.append(session.id, { type, actor: actorOf(room, actorId), data, ...(state && { state }) });
+}
+
+// A session's first event captures its AI as loaded (imported data, or data
+// from before the journal existed) so replay has a starting point
+function recordSessionBaseline(room) {
+  const { session } = room.gameState;
+  if (!session || eventJournal.has(session.id)) return;
+  recordEvent(room, 'session_loaded', null, { name: session.name }, { set: collectSessionData(room) });
+}
+
+// ==================== CLASS SESSIONS ====================
+// Each class period keeps its own AI. A room's active session's AI lives in
+// its gameState; switching saves it to the session store and loads another.
+
+function defaultSessionName() {
+  return `Class ${new Date().toLocaleDateString()} ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+function cleanSessionName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) return null;
+  return censorText(trimmed).substring(0, 60);
+}
+
+function collectSessionData(room) {
+  const data = {};
+  SESSION_FIELDS.forEach(field => { data[field] = room.gameState[field]; });
+  return data;
+}
+
+function saveActiveSession(room) {
+  if (!room.gameState.session) return;
+  try {
+    sessionStore.save(room.gameState.session.id, collectSessionData(room));
+  } catch (error) {
+    console.error('[SESSIONS] Failed to save active session:', error.message);
+  }
+}
+
+// The room (if any) that currently has a session loaded
+function roomWithSession(sessionId) {
+  for (const room of rooms.values()) {
+    if (room.gameState.session?.id === sessionId) return room;
+  }
+  return null;
+}
+
+// Every teacher's picker shows which session their own room has loaded.
+// Only teachers - the list names every class's sessions
+function broadcastSessions() {
+  const sessions = sessionStore.list(true);
+  rooms.forEach(room => {
+    Object.values(room.gameState.clients)
+      .filter(c => c.role === 'teacher')
+      .forEach(c => sendToClient(c.id, {
+        type: 'sessions_update',
+        activeSessionId: room.gameState.session?.id || null,
+        sessions
+      }));
+  });
+}
+
+// Make sure the AI in a room's gameState always belongs to a saved session
+function ensureActiveSession(room) {
+  const { gameState } = room;
+  if (!gameState.session || !sessionStore.get(gameState.session.id)) {
+    const record = sessionStore.create(defaultSessionName(), collectSessionData(room));
+    gameState.session = { id: record.id, name: record.name };
+    persist(room, 'session');
+    console.log(`[SESSIONS] Created session "${record.name}" for room ${room.code}`);
+  }
+  recordSessionBaseline(room);
+}
+
+// Replace the AI in a room's gameState with a saved session's AI. Stops the
+// game loop and sends students back to the waiting screen.
+function loadSessionIntoGame(room, record) {
+  const { gameState } = room;
+  gameState.isActive = false;
+  stopGameCycles(room);
+
+  const data = record.data || {};
+  gameState.session = { id: record.id, name: record.name };
+  gameState.trainingData = data.trainingData || [];
+  gameState.modelIdentity = data.modelIdentity || createModelIdentity(room);
+  gameState.llmPersonality = data.llmPersonality || 'neutral';
+  gameState.evolutionCount = data.evolutionCount || 0;
+  gameState.starredQAPairs = data.starredQAPairs || [];
+  gameState.enabledBanks = data.enabledBanks || null;
+  gameState.curriculumMode = data.curriculumMode || DEFAULT_MODE;
+  gameState.enabledChallenges = data.enabledChallenges || null;
+  gameState.contentPack = data.contentPack || null;
+  rebuildLLMKnowledge(room);
+  resetRoundTracking(room);
+
+  Object.keys(gameState.clients).forEach(clientId => {
+    const client = gameState.clients[clientId];
+    if (client && client.role === 'student') {
+      client.currentMode = null;
+      sendToClient(clientId, {
+        type: 'reset_student',
+        message: `Switched to ${gameState.modelIdentity.name}. Waiting for game to start...`
+      });
+    }
+  });
+
+  persist(room, ...PERSISTED_FIELDS);
+  recordSessionBaseline(room);
+  console.log(`[SESSIONS] Loaded session "${record.name}" into room ${room.code} (${gameState.trainingData.length} training items)`);
+
+  broadcast(room, { type: 'session_switched', gameState });
+  broadcastSessions();
+}
+
+/**
+ * Save the room's current AI and start a brand-new session
+ * @param {Object} room - Room to load the new session into
+ * @param {string} name - Display name for the session
+ * @param {Object} seed - Optional imported session fields (trainingData, modelIdentity, ...)
+ * @returns {Object} Session summary
+ */
+function createSession(room, name, seed = {}) {
+  saveActiveSession(room);
+  const record = sessionStore.create(cleanSessionName(name) || defaultSessionName(), {
+    trainingData: [],
+    modelIdentity: createModelIdentity(room),
+    llmPersonality: 'neutral',
+    evolutionCount: 0,
+    starredQAPairs: [],
+    ...seed
+  });
+  console.log(`[SESSIONS] Created session "${record.name}"`);
+  loadSessionIntoGame(room, record);
+  return sessionStore.summarize(record);
+}
+
+/**
+ * Save the room's current AI and load another saved session
+ * @param {Object} room - Room to load the session into
+ * @param {string} sessionId - Session to load
+ * @returns {Object} Session summary
+ */
+function switchSession(room, sessionId) {
+  const record = sessionStore.get(sessionId);
+  if (!record) throw new Error(`Session ${sessionId} not found`);
+  if (record.archived) throw new Error('Unarchive this session before loading it');
+  const owner = roomWithSession(sessionId);
+  if (owner && owner !== room) {
+    throw new Error(`"${record.name}" is already loaded in room ${owner.code}`);
+  }
+  if (room.gameState.session?.id !== sessionId) {
+    saveActiveSession(room);
+  }
+  loadSessionIntoGame(room, record);
+  return sessionStore.summarize(record);
+}
+
+function renameSession(sessionId, name) {
+  const cleanName = cleanSessionName(name);
+  if (!cleanName) throw new Error('Session name is required');
+  const record = sessionStore.rename(sessionId, cleanName);
+  const room = roomWithSession(sessionId);
+  if (room) {
+    room.gameState.session = { id: record.id, name: record.name };
+    persist(room, 'session');
+    broadcast(room, { type: 'game_state', gameState: room.gameState });
+  }
+  broadcastSessions();
+  return sessionStore.summarize(record);
+}
+
+function archiveSession(sessionId, archived = true) {
+  if (archived && roomWithSession(sessionId)) {
+    throw new Error('Cannot archive a session that is currently loaded');
+  }
+  const record = sessionStore.setArchived(sessionId, archived);
+  console.log(`[SESSIONS] ${archived ? 'Archived' : 'Unarchived'} session "${record.name}"`);
+  broadcastSessions();
+  return sessionStore.summarize(record);
+}
+
+// WebSocket entry point for the session picker - errors go back to the teacher only
+function handleSessionCommand(room, teacherClientId, data) {
+  try {
+    switch (data.type) {
+      case 'list_sessions':
+        sendToClient(teacherClientId, {
+          type: 'sessions_update',
+          activeSessionId: room.gameState.session?.id || null,
+          sessions: sessionStore.list(true)
+        });
+        break;
+      case 'create_session':
+        createSession(room, data.name);
+        break;
+      case 'switch_session':
+        switchSession(room, data.sessionId);
+        break;
+      case 'rename_session':
+        renameSession(data.sessionId, data.name);
+        break;
+      case 'archive_session':
+        archiveSession(data.sessionId, data.archived !== false);
+        break;
+    }
+  } catch (error) {
+    console.log(`[SESSIONS] ${data.type} failed: ${error.message}`);
+    sendToClient(teacherClientId, { type: 'session_error', message: error.message });
+  }
+}
+
+// ==================== TRAINING DATA HISTORY ====================
+// Copies of trainingData per session, taken at each evolution tick and just
+// before anything destroys or rewrites items, so the teacher can roll back.
+
+/**
+ * Save a version of the room's trainingData to its session's history
+ * @param {Object} room - Room whose data to copy
+ * @param {string} reason - What prompted it (e.g. 'challenge_failed')
+ * @param {string} label - Shown in the teacher's version list
+ * @param {string|null} actorId - clientId that caused it, null for timers
+ */
+function recordVersion(room, reason, label, actorId) {
+  const { session, trainingData } = room.gameState;
+  // Nothing to get back from an empty AI
+  if (!session || trainingData.length === 0) return;
+  trainingHistory.record(session.id, { reason, label, actor: actorOf(room, actorId), trainingData });
+}
+
+function rollbackTrainingData(room, teacherClientId, version) {
+  const { gameState } = room;
+  const sessionId = gameState.session?.id;
+  const target = sessionId && trainingHistory.get(sessionId, version);
+  if (!target) throw new Error(`Version ${version} no longer exists`);
+
+  // The rollback itself can be undone
+  recordVersion(room, 'rollback', `Before restoring version ${version}`, teacherClientId);
+
+  gameState.trainingData = target.trainingData;
+  rebuildLLMKnowledge(room);
+  updateModelTopics(room);
+  persist(room, 'trainingData', 'modelIdentity');
+  saveActiveSession(room);
+  console.log(`[HISTORY] Room ${room.code} rolled back to version ${version} (${target.count} items)`);
+
+  recordEvent(room, 'training_rolled_back', teacherClientId,
+    { version, label: target.label, count: target.count },
+    { set: { trainingData: gameState.trainingData, modelIdentity: gameState.modelIdentity } });
+
+  broadcast(room, { type: 'game_state', gameState });
+  broadcast(room, { type: 'training_rolled_back', version, label: target.label, count: target.count });
+}
+
+// WebSocket entry point for the history dialog - errors go back to the teacher only
+function handleHistoryCommand(room, teacherClientId, data) {
+  const sessionId = room.gameState.session?.id;
+  try {
+    switch (data.type) {
+      case 'list_versions':
+        break;
+      case 'get_version': {
+        const version = sessionId && trainingHistory.get(sessionId, data.version);
+        if (!version) throw new Error(`Version ${data.version} no longer exists`);
+        sendToClient(teacherClientId, { type: 'version_detail', version });
+        return;
+      }
+      case 'rollback_version':
+        rollbackTrainingData(room, teacherClientId, data.version);
+        break;
+    }
+    sendToClient(teacherClientId, {
+      type: 'versions_update',
+      versions: sessionId ? trainingHistory.list(sessionId) : []
+    });
+  } catch (error) {
+    console.log(`[HISTORY] ${data.type} failed: ${error.message}`);
+    sendToClient(teacherClientId, { type: 'history_error', message: error.message });
+  }
+}
+
+// ==================== QUESTION BANKS ====================
+// Askers are handed prompts from the question banks enabled for the room's
+// session. Banks themselves are shared by every room on the server.
+
+// Banks askers draw from in this room, in the session's chosen order
+function activeBanks(room) {
+  const ids = room.gameState.enabledBanks || questionBanks.defaultIds();
+  const banks = ids.map(id => questionBanks.get(id)).filter(Boolean);
+  if (banks.length > 0) return banks;
+  // Every enabled bank has gone missing (a hand-deleted file) - don't leave askers empty-handed
+  console.warn(`[BANKS] No enabled question banks in room ${room.code}, using all banks`);
+  return questionBanks.list();
+}
+
+// Weighted random pick so a big bank doesn't crowd out a small one unless it should
+function pickBank(banks) {
+  const total = banks.reduce((sum, bank) => sum + (bank.weight || 1), 0);
+  let roll = Math.random() * total;
+  for (const bank of banks) {
+    roll -= bank.weight || 1;
+    if (roll < 0) return bank;
+  }
+  return banks[banks.length - 1];
+}
+
+function bankSummaries(room) {
+  const enabled = new Set(activeBanks(room).map(bank => bank.id));
+  return questionBanks.list().map(bank => ({ ...bank, enabled: enabled.has(bank.id) }));
+}
+
+// Bank edits show up for every teacher; each sees their own session's toggles
+function broadcastQuestionBanks() {
+  rooms.forEach(room => {
+    Object.values(room.gameState.clients)
+      .filter(c => c.role === 'teacher')
+      .forEach(c => sendToClient(c.id, { type: 'question_banks_update', banks: bankSummaries(room) }));
+  });
+}
+
+/**
+ * Create a question bank, or edit one (bundled banks are saved as an edited copy)
+ * @param {Object} input - Bank fields; include `id` to edit
+ * @returns {Object} The saved bank
+ */
+function saveQuestionBank(input) {
+  const bank = questionBanks.save(input);
+  broadcastQuestionBanks();
+  return bank;
+}
+
+/**
+ * Turn a question bank on or off for a room's current session
+ * @param {Object} room - Room whose session to change
+ * @param {string} bankId - Bank to toggle
+ * @param {boolean} enabled - Whether askers should draw from it
+ */
+function setBankEnabled(room, bankId, enabled) {
+  const { gameState } = room;
+  if (!questionBanks.get(bankId)) throw new Error(`Question bank ${bankId} not found`);
+
+  const ids = activeBanks(room).map(bank => bank.id).filter(id => id !== bankId);
+  if (enabled) ids.push(bankId);
+  if (ids.length === 0) throw new Error('Keep at least one question bank turned on');
+
+  gameState.enabledBanks = ids;
+  persist(room, 'enabledBanks');
+  saveActiveSession(room);
+  console.log(`[BANKS] Room ${room.code} ${enabled ? 'enabled' : 'disabled'} question bank ${bankId}`);
+  broadcastQuestionBanks();
+}
+
+// WebSocket entry point for the question bank editor - errors go back to the teacher only
+function handleQuestionBankCommand(room, teacherClientId, data) {
+  try {
+    switch (data.type) {
+      case 'list_question_banks':
+        sendToClient(teacherClientId, { type: 'question_banks_update', banks: bankSummaries(room) });
+        break;
+      case 'save_question_bank':
+        saveQuestionBank(data.bank);
+        break;
+      case 'set_bank_enabled':
+        setBankEnabled(room, data.bankId, data.enabled !== false);
+        break;
+    }
+  } catch (error) {
+    console.log(`[BANKS] ${data.type} failed: ${error.message}`);
+    sendToClient(teacherClientId, { type: 'question_bank_error', message: error.message });
+  }
+}
+
+// ==================== CURRICULUM MODES ====================
+
+/**
+ * Switch what the class is teaching: the mode's banks replace the session's
+ * enabled banks, and its topics and AI framing apply from the next answer on
+ * @param {Object} room - Room whose session to change
+ * @param {string} modeId - Mode id from curriculumModes.js
+ */
+function setCurriculumMode(room, modeId) {
+  const { gameState } = room;
+  if (!CURRICULUM_MODES[modeId]) {
+    console.warn(`[MODES] Unknown curriculum mode "${modeId}" in room ${room.code}, keeping ${gameState.curriculumMode}`);
+    return;
+  }
+
+  const mode = CURRICULUM_MODES[modeId];
+  gameState.curriculumMode = mode.id;
+  const banks = mode.banks.filter(id => questionBanks.get(id));
+  // A mode whose banks were all deleted keeps whatever the teacher had on
+  if (banks.length > 0) gameState.enabledBanks = banks;
+
+  updateModelTopics(room);
+  persist(room, 'curriculumMode', 'enabledBanks', 'modelIdentity');
+  saveActiveSession(room);
+  console.log(`[MODES] Room ${room.code} switched to curriculum mode "${mode.name}"`);
+  broadcastQuestionBanks();
+}
+
+// ==================== ROLE SCHEDULER ====================
+// Who asks and who answers next depends on the question backlog (see
+// roleScheduler.js) rather than strict alternation.
+
+const TARGET_BACKLOG = parseInt(process.env.TARGET_BACKLOG, 10) || 2;
+const MAX_ROLE_STREAK = parseInt(process.env.MAX_ROLE_STREAK, 10) || 3;
+const ANSWERER_IDLE_MS = parseInt(process.env.ANSWERER_IDLE_MS, 10) || 30000;
+
+// The pipeline as seen by one student - they don't count towards it themselves
+function pipelineStats(room, excludeId = null) {
+  const { gameState, activeQuestions } = room;
+  const others = Object.values(gameState.clients).filter(
+    c => c.role === 'student' && c.connected !== false && c.id !== excludeId
+  );
+  return {
+    backlog: gameState.pendingQuestions.reduce((sum, q) => sum + (q.targetId ? 0 : openSlots(room, q)), 0),
+    incoming: others.filter(c => c.currentMode === 'asker').length,
+    free: others.filter(c => c.currentMode === 'answerer' && !activeQuestions.has(c.id)).length
+  };
+}
+
+// Remember how many turns in a row a student has had a role
+function recordRole(room, clientId, mode) {
+  const streak = room.roleStreaks.get(clientId);
+  room.roleStreaks.set(clientId, streak?.mode === mode
+    ? { ...streak, count: streak.count + 1, since: Date.now() }
+    : { mode, count: 1, since: Date.now() });
+}
+
+/**
+ * Choose a student's next role and start counting it
+ * @param {Object} room - Room the student is in
+ * @param {string} clientId - Student
+ * @param {string} preferred - Role plain alternation would give them
+ * @returns {string} 'asker' or 'answerer'
+ */
+function scheduleMode(room, clientId, preferred) {
+  // The teacher is waiting on this student's answer
+  if (room.gameState.pendingQuestions.some(q => q.targetId === clientId)) {
+    if (preferred !== 'answerer') console.log(`[SCHEDULER] ${room.gameState.clients[clientId]?.name} -> answerer instead of ${preferred} (class question waiting)`);
+    recordRole(room, clientId, 'answerer');
+    return 'answerer';
+  }
+  const stats = pipelineStats(room, clientId);
+  const { mode, reason } = chooseNextMode({
+    preferred,
+    streak: room.roleStreaks.get(clientId) || null,
+    ...stats,
+    targetBacklog: TARGET_BACKLOG,
+    maxStreak: MAX_ROLE_STREAK
+  });
+  if (mode !== preferred) {
+    console.log(`[SCHEDULER] ${room.gameState.clients[clientId]?.name} -> ${mode} instead of ${preferred} (${reason}; backlog ${stats.backlog}, incoming ${stats.incoming}, free ${stats.free})`);
+  }
+  recordRole(room, clientId, mode);
+  return mode;
+}
+
+// Answerers who have waited too long with nothing coming go and ask instead
+function rebalanceIdleAnswerers(room) {
+  const { gameState, activeQuestions } = room;
+  if (!gameState.isActive) return;
+  const now = Date.now();
+  const idle = Object.values(gameState.clients)
+    .filter(c => c.role === 'student' && c.connected !== false && c.currentMode === 'answerer' && !activeQuestions.has(c.id))
+    .filter(c => now - (room.roleStreaks.get(c.id)?.since || now) >= ANSWERER_IDLE_MS)
+    .sort((a, b) => room.roleStreaks.get(a.id).since - room.roleStreaks.get(b.id).since);
+  if (idle.length === 0) return;
+
+  // Only while nothing is queued or on its way for the one who's waited longest
+  const [longest] = idle;
+  const { backlog, incoming } = pipelineStats(room, longest.id);
+  if (backlog > 0 || incoming > 0) return;
+
+  console.log(`[SCHEDULER] ${longest.name} waited ${Math.round((now - room.roleStreaks.get(longest.id).since) / 1000)}s with no questions, switching to asker`);
+  longest.currentMode = 'asker';
+  recordRole(room, longest.id, 'asker');
+  sendQuestion(room, longest.id);
+  broadcast(room, { type: 'clients_update', clients: gameState.clients });
+}
+
+function startSchedulerCycle(room) {
+  if (room.schedulerInterval) {
+    clearInterval(room.schedulerInterval);
+  }
+  room.schedulerInterval = setInterval(() => rebalanceIdleAnswerers(room), 5000);
+}
+
+function distributePrompts(room) {
+  const { gameState } = room;
+  // Assign initial modes to all students - alternate between asker and
+  // answerer, unless there's already a backlog to work through
   const students = Object.keys(gameState.clients).filter(
     id => gameState.clients[id].role === 'student'
   );
   
   students.forEach((clientId, index) => {
     const client = gameState.clients[clientId];
-    // Alternate: even indices are askers, odd indices are answerers
-    const initialMode = index % 2 === 0 ? 'asker' : 'answerer';
+    const initialMode = scheduleMode(room, clientId, index % 2 === 0 ? 'asker' : 'answerer');
     client.currentMode = initialMode;
     
     console.log(`[INIT] ${client.name} starting as ${initialMode}`);
     
     if (initialMode === 'asker') {
-      sendQuestion(clientId);
+      sendQuestion(room, clientId);
     } else {
       // Answerer - wait for questions
       sendToClient(clientId, {
@@ -604,10 +2257,11 @@ function distributePrompts() {
     }
   });
   
-  broadcast({ type: 'clients_update', clients: gameState.clients });
+  broadcast(room, { type: 'clients_update', clients: gameState.clients });
 }
 
-function assignNextMode(clientId) {
+function assignNextMode(room, clientId) {
+  const { gameState } = room;
   const client = gameState.clients[clientId];
   if (!client) return;
   
@@ -615,26 +2269,22 @@ function assignNextMode(clientId) {
   // - If they're in challenging mode (just asked), they should go to answerer
   // - If they just asked, now they answer
   // - If they just answered (or first time), now they ask
+  // The scheduler may override that to keep the question backlog moving
   const oldMode = client.currentMode;
-  let newMode;
-  
-  if (oldMode === 'challenging' || oldMode === 'asker') {
-    newMode = 'answerer';
-  } else {
-    newMode = 'asker';
-  }
+  const preferred = oldMode === 'challenging' ? 'answerer' : otherRole(oldMode);
+  const newMode = scheduleMode(room, clientId, preferred);
   
   client.currentMode = newMode;
   
   console.log(`[ROTATE] Client ${clientId} (${client.name}) rotating from ${oldMode} to ${newMode}`);
   
   if (newMode === 'asker') {
-    sendQuestion(clientId);
+    sendQuestion(room, clientId);
   } else {
     // Answerer mode - check if there are pending questions
     if (gameState.pendingQuestions.length > 0) {
       console.log(`[ASSIGN] ${clientId} is now in answerer mode. Pending questions: ${gameState.pendingQuestions.length}`);
-      sendQuestionToAnswer(clientId);
+      sendQuestionToAnswer(room, clientId);
     } else {
       console.log(`[WAIT] ${clientId} is waiting for questions`);
       // Wait for questions to come in
@@ -645,28 +2295,26 @@ function assignNextMode(clientId) {
     }
   }
   
-  broadcast({ type: 'clients_update', clients: gameState.clients });
+  broadcast(room, { type: 'clients_update', clients: gameState.clients });
 }
 
-function sendQuestion(clientId) {
+function sendQuestion(room, clientId) {
+  const { gameState, askedQuestions } = room;
   const client = gameState.clients[clientId];
   if (!client) {
     console.error('sendQuestion: Client not found:', clientId);
     return;
   }
   
-  // Determine question pool
-  const isConfig = Math.random() > 0.7;
-  const questions = isConfig ? configQuestions : questionPrompts;
+  // Draw from one of the session's enabled banks, then an unasked question in it
+  const bank = pickBank(activeBanks(room));
+  let availableQuestions = bank.questions.filter(q => !askedQuestions.has(q));
   
-  // Filter out questions that have already been asked
-  const availableQuestions = questions.filter(q => !askedQuestions.has(q));
-  
-  // If all questions have been used, reset the pool
+  // If all of this bank's questions have been used, reset its pool
   if (availableQuestions.length === 0) {
-    console.log('[QUESTIONS] All questions used, resetting pool');
-    askedQuestions.clear();
-    availableQuestions.push(...questions);
+    console.log(`[QUESTIONS] All questions in "${bank.name}" used, resetting its pool`);
+    bank.questions.forEach(q => askedQuestions.delete(q));
+    availableQuestions = bank.questions;
   }
   
   // Pick a random question from available ones
@@ -678,11 +2326,16 @@ function sendQuestion(clientId) {
   const questionData = {
     id: uuidv4(),
     text: question,
-    type: isConfig ? 'config' : 'regular',
+    type: bank.config ? 'config' : 'regular',
+    bankId: bank.id,
+    answerKind: bank.answerKind,
     timestamp: Date.now(),
     askedBy: clientId
   };
   
+  // Remember the prompt so it can be re-sent if they reconnect
+  client.pendingPrompt = questionData;
+  
   sendToClient(clientId, {
     type: 'new_question_prompt',
     question: questionData
@@ -698,22 +2351,87 @@ function isMostlyCensored(text, threshold = 0.9) {
   return (censored / alphanumeric.length) >= threshold;
 }
 
-function isDuplicateQuestion(questionText) {
-  const normalize = (s) => s.toLowerCase().trim().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ');
-  const normalized = normalize(questionText);
-  
-  // Check against pending questions
-  const pendingDupe = gameState.pendingQuestions.some(q => normalize(q.text) === normalized);
-  if (pendingDupe) return true;
-  
-  // Check against already-answered training data
-  const trainedDupe = gameState.trainingData.some(d => normalize(d.question) === normalized);
-  if (trainedDupe) return true;
-  
-  return false;
+const existingQuestions = (gameState) => [
+  ...gameState.pendingQuestions.map(q => q.text),
+  ...gameState.trainingData.map(d => d.question)
+];
+
+// Exact match after normalizing - no model needed
+function findExactDuplicate(room, questionText) {
+  const normalized = normalizeQuestion(questionText);
+  return existingQuestions(room.gameState).find(q => normalizeQuestion(q) === normalized) || null;
+}
+
+/**
+ * Find an earlier question that asks the same thing, worded the same or not
+ * @param {Object} room - Room whose pending questions and training data to check
+ * @param {string} questionText - New question
+ * @returns {Promise<string|null>} The existing question it duplicates
+ */
+async function findDuplicateQuestion(room, questionText) {
+  const existing = existingQuestions(room.gameState);
+  const exact = findExactDuplicate(room, questionText);
+  if (exact) return exact;
+  
+  // Same meaning, different words
+  try {
+    const similar = await questionIndex.findSimilar(questionText, existing);
+    if (similar) {
+      console.log(`[DEDUPE] "${questionText.substring(0, 50)}" matches "${similar.question.substring(0, 50)}" (${similar.similarity.toFixed(2)})`);
+      return similar.question;
+    }
+  } catch (error) {
+    console.warn('[DEDUPE] Similarity check failed, allowing question:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Check a student's new question for duplicates, holding them while the
+ * similarity model runs. The room can move on during that wait (the same
+ * question sent twice, a mode change, the game ending, a session switch),
+ * so everything is checked again before the question may be queued.
+ * @param {Object} room - Room the question is for
+ * @param {string} clientId - Asker
+ * @param {string} questionText - New question
+ * @param {Function} canAsk - (client) => whether the client may ask right now
+ * @returns {Promise<string|null|false>} The question it duplicates, null when it's new, or false when it no longer applies
+ */
+async function vetNewQuestion(room, clientId, questionText, canAsk) {
+  const { gameState, checkingQuestions } = room;
+  if (checkingQuestions.has(clientId)) {
+    console.log(`[REJECT] Question from ${clientId} while their last one is still being checked`);
+    return false;
+  }
+  const client = gameState.clients[clientId];
+  const before = { sessionId: gameState.session?.id, isActive: gameState.isActive };
+  checkingQuestions.add(clientId);
+  let duplicateOf;
+  try {
+    duplicateOf = await findDuplicateQuestion(room, questionText);
+  } finally {
+    checkingQuestions.delete(clientId);
+  }
+
+  if (gameState.clients[clientId] !== client || !canAsk(client) ||
+      gameState.session?.id !== before.sessionId || gameState.isActive !== before.isActive) {
+    console.log(`[REJECT] Question from ${clientId} no longer applies - the game moved on while it was checked`);
+    return false;
+  }
+  // Someone may have queued the very same question during the wait
+  return duplicateOf || findExactDuplicate(room, questionText);
+}
+
+function duplicateRejection(existingQuestion) {
+  return {
+    type: 'question_rejected',
+    reason: `Someone already asked "${existingQuestion}" - try a different question!`,
+    similarTo: existingQuestion
+  };
 }
 
-function handleSuggestedQuestionAccepted(clientId, questionText, questionType) {
+async function handleSuggestedQuestionAccepted(room, clientId, questionText, questionType) {
+  const { gameState } = room;
   const client = gameState.clients[clientId];
   
   // Validate client exists
@@ -729,19 +2447,24 @@ function handleSuggestedQuestionAccepted(clientId, questionText, questionType) {
     console.log(`[REJECT] Suggested question from ${clientId} - not in asker mode (current: ${client.currentMode})`);
     return;
   }
+  if (typeof questionText !== 'string' || !questionText.trim()) {
+    console.log(`[REJECT] Suggested question from ${clientId} has no text`);
+    return;
+  }
+  
+  // Censor the question before processing, as a typed one is
+  const censoredText = censorText(questionText);
   
   // Check for duplicate question
-  if (isDuplicateQuestion(questionText)) {
-    console.log(`[REJECT] Duplicate question from ${clientId}: "${questionText.substring(0, 50)}..."`);
-    sendToClient(clientId, {
-      type: 'question_rejected',
-      reason: 'This question has already been asked! Try a different one.'
-    });
+  const duplicateOf = await vetNewQuestion(room, clientId, censoredText, c => c.currentMode === 'asker');
+  if (duplicateOf === false) return;
+  if (duplicateOf) {
+    console.log(`[REJECT] Duplicate question from ${clientId}: "${censoredText.substring(0, 50)}..."`);
+    sendToClient(clientId, duplicateRejection(duplicateOf));
     return;
   }
   
   // Check if the question is mostly censored
-  const censoredText = censorText(questionText);
   if (isMostlyCensored(censoredText)) {
     console.log(`[REJECT] Mostly censored question from ${clientId}: "${censoredText.substring(0, 50)}..."`);
     sendToClient(clientId, {
@@ -757,58 +2480,198 @@ function handleSuggestedQuestionAccepted(clientId, questionText, questionType) {
   
   const acceptedQuestionData = {
     id: uuidv4(),
-    text: questionText,
+    text: censoredText,
     type: questionType || 'regular',
     timestamp: Date.now(),
-    askedBy: clientId
+    askedBy: clientId,
+    answersNeeded: answersNeededFor(room)
   };
   
   // Add to pending questions
   gameState.pendingQuestions.push(acceptedQuestionData);
+  questionIndex.add(acceptedQuestionData.text);
+  recordEvent(room, 'question_asked', clientId, { question: acceptedQuestionData.text, custom: false });
   
   // Track that this student asked a question
   if (client.role === 'student') {
     client.questionsAsked++;
+    persist(room, 'clientStats');
   }
   
   // Assign to an answerer (excluding this student)
-  assignQuestionToAnswerer(acceptedQuestionData);
+  assignQuestionToAnswerer(room, acceptedQuestionData);
   
   // Send a challenge to this client immediately after asking a question
-  sendChallengeToClient(clientId);
+  sendChallengeToClient(room, clientId);
   
   // Set client mode to 'challenging'
   client.currentMode = 'challenging';
+  delete client.pendingPrompt;
   
   // They'll rotate to answerer after completing the challenge
   console.log(`[CHALLENGE MODE] ${clientId} asked a question, entering challenging mode`);
   
-  broadcast({ type: 'clients_update', clients: gameState.clients });
+  broadcast(room, { type: 'clients_update', clients: gameState.clients });
+}
+
+// ==================== ASSIGNMENT DEADLINES ====================
+// An assigned question belongs to one answerer until they answer it. If they
+// walk away it would sit there forever, so every assignment has a deadline:
+// a nudge halfway through, then the question goes back to the pool and on to
+// someone else. Teachers see who is holding a question and for how long.
+
+const ANSWER_TIMEOUT_MS = parseInt(process.env.ANSWER_TIMEOUT_MS, 10) || 90000;
+const NUDGE_AFTER_MS = Math.floor(ANSWER_TIMEOUT_MS / 2);
+
+// answer_request for a question, with however long is left on its deadline
+function answerRequest(room, clientId, question) {
+  const assignment = room.assignmentTimers.get(clientId);
+  const timeLeft = assignment ? Math.max(0, assignment.deadline - Date.now()) : ANSWER_TIMEOUT_MS;
+  return { type: 'answer_request', question, timeLeft };
+}
+
+/**
+ * Give a question to an answerer and start its deadline
+ * @param {Object} room - Room the question belongs to
+ * @param {string} clientId - Answerer
+ * @param {Object} question - Pending question
+ */
+function assignQuestion(room, clientId, question) {
+  releaseAssignment(room, clientId);
+  room.activeQuestions.set(clientId, question.id);
+
+  const assignment = {
+    questionId: question.id,
+    assignedAt: Date.now(),
+    deadline: Date.now() + ANSWER_TIMEOUT_MS,
+    nudged: false
+  };
+  assignment.timers = [
+    setTimeout(() => nudgeAnswerer(room, clientId, question.id), NUDGE_AFTER_MS),
+    setTimeout(() => expireAssignment(room, clientId, question.id), ANSWER_TIMEOUT_MS)
+  ];
+  room.assignmentTimers.set(clientId, assignment);
+
+  sendToClient(clientId, answerRequest(room, clientId, question));
+  broadcastAssignments(room);
+  if (question.classQuestionId) updateClassAnswer(room, question, { status: 'answering' });
+}
+
+// Forget a client's assignment (answered, expired, left, or round reset)
+function releaseAssignment(room, clientId) {
+  const assignment = room.assignmentTimers.get(clientId);
+  if (assignment) assignment.timers.forEach(clearTimeout);
+  room.assignmentTimers.delete(clientId);
+  if (room.activeQuestions.delete(clientId) || assignment) broadcastAssignments(room);
+}
+
+function nudgeAnswerer(room, clientId, questionId) {
+  const assignment = room.assignmentTimers.get(clientId);
+  if (!assignment || assignment.questionId !== questionId) return;
+  assignment.nudged = true;
+  console.log(`[ASSIGN] Nudging ${room.gameState.clients[clientId]?.name} - question ${questionId} still unanswered`);
+  sendToClient(clientId, {
+    type: 'answer_nudge',
+    questionId,
+    timeLeft: Math.max(0, assignment.deadline - Date.now()),
+    message: 'Still there? Answer soon or your question goes to someone else.'
+  });
+  broadcastAssignments(room);
+}
+
+// Deadline passed: the question goes back to the pool and on to another answerer
+function expireAssignment(room, clientId, questionId) {
+  const { gameState } = room;
+  if (room.activeQuestions.get(clientId) !== questionId) return;
+  const question = gameState.pendingQuestions.find(q => q.id === questionId);
+  console.log(`[ASSIGN] ${gameState.clients[clientId]?.name || clientId} ran out of time on question ${questionId}, reassigning`);
+  releaseAssignment(room, clientId);
+
+  sendToClient(clientId, {
+    type: 'answer_expired',
+    questionId,
+    message: 'Time ran out, so that question went to someone else.'
+  });
+  sendToClient(clientId, { type: 'waiting_for_questions', message: 'Waiting for questions to answer...' });
+
+  if (question?.targetId) {
+    // A class question was meant for this student - nobody else answers it for them
+    dropClassQuestion(room, question, 'skipped');
+  } else if (question) {
+    question.reassignments = (question.reassignments || 0) + 1;
+    if (gameState.isActive) assignQuestionToAnswerer(room, question, clientId);
+  }
+}
+
+/**
+ * Who is holding which question, oldest first - stalled ones have been nudged
+ * @returns {{assignments: Array, stalled: number, unassigned: number}}
+ */
+function assignmentSummary(room) {
+  const { gameState } = room;
+  const assignments = [...room.assignmentTimers.entries()]
+    .map(([clientId, a]) => ({
+      clientId,
+      name: gameState.clients[clientId]?.name || 'Unknown',
+      question: gameState.pendingQuestions.find(q => q.id === a.questionId)?.text || '',
+      assignedAt: a.assignedAt,
+      deadline: a.deadline,
+      stalled: a.nudged
+    }))
+    .sort((a, b) => a.assignedAt - b.assignedAt);
+  return {
+    assignments,
+    stalled: assignments.filter(a => a.stalled).length,
+    unassigned: gameState.pendingQuestions.filter(q => openSlots(room, q) > 0).length
+  };
 }
 
-function assignQuestionToAnswerer(questionData) {
+function sendAssignments(room, clientId) {
+  sendToClient(clientId, { type: 'assignments_update', ...assignmentSummary(room) });
+}
+
+// Only teachers see who is stalling
+function broadcastAssignments(room) {
+  Object.values(room.gameState.clients)
+    .filter(c => c.role === 'teacher')
+    .forEach(c => sendAssignments(room, c.id));
+}
+
+function assignQuestionToAnswerer(room, questionData, excludeId = null) {
+  const { gameState, activeQuestions } = room;
   // Get all answerers EXCEPT the person who asked this question
   const answerers = Object.keys(gameState.clients).filter(
     id => gameState.clients[id].role === 'student' && 
           gameState.clients[id].currentMode === 'answerer' &&
+          gameState.clients[id].connected !== false &&  // Don't assign to someone who dropped
           id !== questionData.askedBy &&  // Don't assign to the asker
-          !activeQuestions.has(id)  // Don't assign if they already have a question
+          (!questionData.targetId || id === questionData.targetId) &&  // Class questions only go to their student
+          id !== excludeId &&  // Don't hand a stalled question straight back
+          !activeQuestions.has(id) &&  // Don't assign if they already have a question
+          !hasAnswered(room, questionData, id)  // Each answer should come from someone new
   );
   
   if (answerers.length > 0) {
-    const answererId = answerers[Math.floor(Math.random() * answerers.length)];
-    console.log(`[ASSIGN] Assigning question "${questionData.text.substring(0, 50)}..." to ${answererId}`);
-    activeQuestions.set(answererId, questionData.id); // Track assignment
-    sendToClient(answererId, {
-      type: 'answer_request',
-      question: questionData
-    });
+    // Questions collecting several answers go out to several answerers at once
+    const slots = Math.max(1, openSlots(room, questionData));
+    for (let i = 0; i < slots && answerers.length > 0; i++) {
+      const [answererId] = answerers.splice(Math.floor(Math.random() * answerers.length), 1);
+      console.log(`[ASSIGN] Assigning question "${questionData.text.substring(0, 50)}..." to ${answererId}`);
+      assignQuestion(room, answererId, questionData);
+    }
   } else {
     console.log(`[ASSIGN] No answerers available (excluding asker ${questionData.askedBy} and busy clients), question remains pending`);
+    broadcastAssignments(room);
   }
 }
 
-function sendQuestionToAnswer(clientId) {
+function sendQuestionToAnswer(room, clientId) {
+  const { gameState, activeQuestions } = room;
+  // Don't park a question on someone who's dropped - they'll ask again on resume
+  if (gameState.clients[clientId]?.connected === false) {
+    return;
+  }
+  
   // Check if this client already has an active question
   if (activeQuestions.has(clientId)) {
     console.log(`[ASSIGN] ${clientId} already has an active question, skipping`);
@@ -818,19 +2681,17 @@ function sendQuestionToAnswer(clientId) {
   if (gameState.pendingQuestions.length > 0) {
     // Find the first question that:
     // 1. Wasn't asked by this client
-    // 2. Isn't already assigned to someone else
-    const assignedQuestionIds = new Set(activeQuestions.values());
-    const question = gameState.pendingQuestions.find(q => 
-      q.askedBy !== clientId && !assignedQuestionIds.has(q.id)
-    );
+    // 2. Still needs answers nobody has been handed yet
+    // 3. This client hasn't already answered
+    // Questions the teacher put to this student come first
+    const question = gameState.pendingQuestions.find(q => q.targetId === clientId) ||
+      gameState.pendingQuestions.find(q => 
+        !q.targetId && q.askedBy !== clientId && openSlots(room, q) > 0 && !hasAnswered(room, q, clientId)
+      );
     
     if (question) {
       console.log(`[ASSIGN] Sending question "${question.text.substring(0, 50)}..." to ${clientId}`);
-      activeQuestions.set(clientId, question.id); // Track assignment
-      sendToClient(clientId, {
-        type: 'answer_request',
-        question
-      });
+      assignQuestion(room, clientId, question);
     } else {
       console.log(`[ASSIGN] No unassigned questions available for ${clientId}, waiting for more`);
       // All pending questions are either from this client or already assigned
@@ -847,7 +2708,8 @@ function sendQuestionToAnswer(clientId) {
   }
 }
 
-async function handleQuestionSubmission(clientId, customQuestion) {
+async function handleQuestionSubmission(room, clientId, customQuestion) {
+  const { gameState, activeQuestions } = room;
   const client = gameState.clients[clientId];
   
   // Validate client exists
@@ -859,24 +2721,25 @@ async function handleQuestionSubmission(clientId, customQuestion) {
   // REMOVED: Check for unanswered questions - students can now ask multiple questions
   
   // SECOND: Check if client is in a mode that allows asking questions
-  if (!(
-      client.currentMode === 'asker' ||
-      (client.currentMode === 'answerer' && !activeQuestions.has(clientId))
-    )) {
+  const canAsk = (c) => c.currentMode === 'asker' || (c.currentMode === 'answerer' && !activeQuestions.has(clientId));
+  if (!canAsk(client)) {
     console.log(`[REJECT] Question submission from ${clientId} - invalid state (current: ${client?.currentMode})`);
     return;
   }
+  if (typeof customQuestion !== 'string' || !customQuestion.trim()) {
+    console.log(`[REJECT] Question submission from ${clientId} has no text`);
+    return;
+  }
   
   // Censor the question before processing
   const censoredQuestion = censorText(customQuestion);
   
   // Check for duplicate question
-  if (isDuplicateQuestion(censoredQuestion)) {
+  const duplicateOf = await vetNewQuestion(room, clientId, censoredQuestion, canAsk);
+  if (duplicateOf === false) return;
+  if (duplicateOf) {
     console.log(`[REJECT] Duplicate custom question from ${clientId}: "${censoredQuestion.substring(0, 50)}..."`);
-    sendToClient(clientId, {
-      type: 'question_rejected',
-      reason: 'This question has already been asked! Try a different one.'
-    });
+    sendToClient(clientId, duplicateRejection(duplicateOf));
     return;
   }
   
@@ -895,157 +2758,625 @@ async function handleQuestionSubmission(clientId, customQuestion) {
     text: censoredQuestion,
     type: 'custom',
     timestamp: Date.now(),
-    askedBy: clientId
+    askedBy: clientId,
+    answersNeeded: answersNeededFor(room)
   };
   
   gameState.pendingQuestions.push(questionData);
+  questionIndex.add(questionData.text);
+  recordEvent(room, 'question_asked', clientId, { question: questionData.text, custom: true });
   
   // Track that this student asked a question (only for students)
   if (client.role === 'student') {
     client.questionsAsked++;
+    persist(room, 'clientStats');
   }
   
   // Assign the question to an answerer (excluding this student)
-  assignQuestionToAnswerer(questionData);
+  assignQuestionToAnswerer(room, questionData);
   
   // Send a challenge to this client immediately after asking a custom question
-  sendChallengeToClient(clientId);
+  sendChallengeToClient(room, clientId);
   
   // Set client mode to 'challenging'
   client.currentMode = 'challenging';
+  delete client.pendingPrompt;
   
   // They'll rotate to answerer after completing the challenge
   console.log(`[CHALLENGE MODE] ${clientId} asked a custom question, entering challenging mode`);
   
-  broadcast({ type: 'clients_update', clients: gameState.clients });
+  broadcast(room, { type: 'clients_update', clients: gameState.clients });
+}
+
+async function handleAnswerSubmission(room, clientId, questionId, answer) {
+  const { gameState, activeQuestions } = room;
+  const client = gameState.clients[clientId];
+  
+  // Validate client is in answerer mode
+  if (!client || client.currentMode !== 'answerer') {
+    console.log(`[REJECT] Answer submission from ${clientId} - not in answerer mode (current: ${client?.currentMode})`);
+    return;
+  }
+  
+  // First verify this client actually has this question assigned to them
+  const assignedQuestionId = activeQuestions.get(clientId);
+  if (assignedQuestionId !== questionId) {
+    console.log(`[ANSWER] Rejected answer from ${clientId} - question ${questionId} not assigned to them`);
+    return;
+  }
+  
+  const questionIndex = gameState.pendingQuestions.findIndex(q => q.id === questionId);
+  
+  if (questionIndex === -1) {
+    console.log(`[ANSWER] Question ${questionId} not found in pending questions`);
+    // Clear the stale assignment
+    releaseAssignment(room, clientId);
+    return;
+  }
+  
+  const question = gameState.pendingQuestions[questionIndex];
+  
+  // Censor the answer before storing
+  const censoredAnswer = censorText(answer);
+  
+  // Check if the answer is mostly censored - reject without consuming the question
+  if (isMostlyCensored(censoredAnswer)) {
+    console.log(`[REJECT] Mostly censored answer from ${clientId}: "${censoredAnswer.substring(0, 50)}..."`);
+    sendToClient(clientId, {
+      type: 'answer_rejected',
+      reason: 'That answer contains too much inappropriate content. Please try again!',
+      question: question
+    });
+    return;
+  }
+  
+  const answers = room.collectedAnswers.get(question.id) || [];
+  answers.push({ answer: censoredAnswer, answeredBy: client.name, clientId, timestamp: Date.now() });
+  room.collectedAnswers.set(question.id, answers);
+  
+  // Clear active question tracking for this client
+  releaseAssignment(room, clientId);
+  
+  // Track that this student answered a question (only for students)
+  if (client.role === 'student') {
+    client.questionsAnswered++;
+  }
+  
+  // The question stays pending until enough answerers have had their say
+  const answersNeeded = question.answersNeeded || 1;
+  if (answers.length >= answersNeeded) {
+    gameState.pendingQuestions.splice(questionIndex, 1);
+    room.collectedAnswers.delete(question.id);
+    const { trainingItem, authorId } = buildTrainingItem(room, question, answers);
+    if (question.classQuestionId) updateClassAnswer(room, question, { status: 'answered', answer: censoredAnswer });
+    
+    // With peer review on, classmates decide whether it becomes training data
+    if (!(gameState.peerReviewEnabled && submitForReview(room, trainingItem, authorId, question.askedBy))) {
+      addTrainingItem(room, trainingItem, authorId);
+    }
+  } else {
+    console.log(`[AGREEMENT] ${answers.length}/${answersNeeded} answers for "${question.text.substring(0, 50)}"`);
+  }
+  persist(room, 'clientStats');
+  
+  // Rotate the student who just answered to asking mode next (only for students)
+  if (gameState.isActive && client.role === 'student') {
+    console.log(`[ROTATE] ${clientId} answered a question, rotating to asker mode`);
+    assignNextMode(room, clientId);
+  }
+  
+  // Also check if any answerers are waiting and assign them pending questions
+  const waitingAnswerers = Object.keys(gameState.clients).filter(
+    id => gameState.clients[id].currentMode === 'answerer' && 
+         gameState.clients[id].connected !== false &&
+         id !== clientId &&
+         !activeQuestions.has(id)  // Only assign to answerers without active questions
+  );
+  
+  if (waitingAnswerers.length > 0 && gameState.pendingQuestions.length > 0) {
+    const randomAnswerer = waitingAnswerers[Math.floor(Math.random() * waitingAnswerers.length)];
+    sendQuestionToAnswer(room, randomAnswerer);
+  }
+}
+
+/**
+ * Add an answer to the AI's training data and tell everyone
+ * @param {Object} room - Room to train
+ * @param {Object} trainingItem - { question, answer, type, askedBy, answeredBy, timestamp }
+ * @param {string|null} actorId - Student who answered, for the event journal
+ */
+function addTrainingItem(room, trainingItem, actorId) {
+  const { gameState } = room;
+  // The trim drops the oldest item on every answer once full; one version
+  // before a run of trims is enough to get them back
+  if (gameState.trainingData.length >= 300 && gameState.session && trainingHistory.lastReason(gameState.session.id) !== 'window_trim') {
+    recordVersion(room, 'window_trim', 'Before oldest answers were trimmed', null);
+  }
+  gameState.trainingData.push(trainingItem);
+  
+  // Implement sliding window: keep only last 300 training items to prevent unbounded growth
+  if (gameState.trainingData.length > 300) {
+    gameState.trainingData = gameState.trainingData.slice(-300);
+    console.log('[MEMORY] Training data trimmed to 300 items');
+    persist(room, 'trainingData');
+  } else {
+    persistTrainingItem(room, trainingItem);
+  }
+  
+  // Update llmKnowledge immediately with all training data (to show in AI Mind)
+  rebuildLLMKnowledge(room);
+  refreshClassAlterations(room);
+  
+  recordEvent(room, 'training_data_added', actorId,
+    { question: trainingItem.question, answer: trainingItem.answer, askedBy: trainingItem.askedBy, agreement: trainingItem.agreement },
+    { push: { trainingData: trainingItem } });
+  
+  broadcast(room, {
+    type: 'training_data_added',
+    data: { question: trainingItem.question, answer: trainingItem.answer },
+    llmKnowledge: gameState.llmKnowledge
+  });
+  
+  // Update model identity: track topics and check milestones
+  updateModelTopics(room);
+  checkTrainingMilestones(room);
+  persist(room, 'modelIdentity');
+  
+  // Auto-train when we reach 10 training examples (only while game is active)
+  if (gameState.isActive && gameState.trainingData.length === 10) {
+    console.log('[AUTO-TRAIN] Reached 10 training examples, triggering automatic training...');
+    primeLLMWithCurrentData(room);
+  }
+}
+
+// ==================== ANSWER AGREEMENT ====================
+// A question can go to several answerers instead of one. Their answers are
+// grouped (answerAgreement.js) and trained on together with an agreement
+// score, so the teacher can spot questions the class doesn't agree on.
+// Answers still being collected are live work and aren't persisted.
+
+const MAX_ANSWERS_PER_QUESTION = 5;
+const ANSWERS_PER_QUESTION_DEFAULT = Math.min(MAX_ANSWERS_PER_QUESTION, Math.max(1, parseInt(process.env.ANSWERS_PER_QUESTION, 10) || 1));
+const CONTEXT_ANSWER_MODES = ['majority', 'all'];
+
+// Never ask for more answers than there are students besides the asker,
+// or the question could never finish
+function answersNeededFor(room) {
+  const students = Object.values(room.gameState.clients).filter(c => c.role === 'student').length;
+  return Math.max(1, Math.min(room.gameState.answersPerQuestion || 1, students - 1));
+}
+
+function hasAnswered(room, question, clientId) {
+  return (room.collectedAnswers.get(question.id) || []).some(a => a.clientId === clientId);
+}
+
+// Answers a question still needs that nobody has been handed yet
+function openSlots(room, question) {
+  const collected = (room.collectedAnswers.get(question.id) || []).length;
+  const holders = [...room.activeQuestions.values()].filter(id => id === question.id).length;
+  return Math.max(0, (question.answersNeeded || 1) - collected - holders);
+}
+
+/**
+ * Turn a finished question into a training item. With several answers the
+ * majority answer leads and every answer is kept alongside it.
+ * @returns {{trainingItem: Object, authorId: string}} Item plus whoever wrote the leading answer
+ */
+function buildTrainingItem(room, question, answers) {
+  const { gameState } = room;
+  const askedBy = gameState.clients[question.askedBy]?.name || null;
+
+  if (answers.length === 1) {
+    const [only] = answers;
+    return {
+      trainingItem: { question: question.text, answer: only.answer, type: question.type, askedBy, answeredBy: only.answeredBy, timestamp: Date.now() },
+      authorId: only.clientId
+    };
+  }
+
+  const { answer, agreement } = scoreAgreement(answers);
+  const lead = answers.find(a => a.answer === answer);
+  console.log(`[AGREEMENT] "${question.text.substring(0, 50)}" - ${Math.round(agreement * 100)}% agreed on "${answer.substring(0, 40)}"`);
+  return {
+    trainingItem: {
+      question: question.text,
+      answer,
+      type: question.type,
+      askedBy,
+      answeredBy: lead.answeredBy,
+      timestamp: Date.now(),
+      answers: answers.map(a => ({ answer: a.answer, answeredBy: a.answeredBy })),
+      agreement: Math.round(agreement * 100) / 100
+    },
+    authorId: lead.clientId
+  };
+}
+
+function handleAnswerSettingsCommand(room, teacherClientId, data) {
+  const { gameState } = room;
+  try {
+    if (data.answersPerQuestion !== undefined) {
+      const count = parseInt(data.answersPerQuestion, 10);
+      if (!(count >= 1 && count <= MAX_ANSWERS_PER_QUESTION)) {
+        throw new Error(`Answers per question must be between 1 and ${MAX_ANSWERS_PER_QUESTION}`);
+      }
+      gameState.answersPerQuestion = count;
+    }
+    if (data.contextAnswers !== undefined) {
+      if (!CONTEXT_ANSWER_MODES.includes(data.contextAnswers)) {
+        throw new Error(`Unknown answer mode: ${data.contextAnswers}`);
+      }
+      gameState.contextAnswers = data.contextAnswers;
+    }
+    persist(room, 'answersPerQuestion', 'contextAnswers');
+    console.log(`[AGREEMENT] Room ${room.code}: ${gameState.answersPerQuestion} answer(s) per question, AI sees ${gameState.contextAnswers} answers`);
+    broadcast(room, { type: 'game_state', gameState });
+  } catch (error) {
+    console.log(`[AGREEMENT] set_answer_settings failed: ${error.message}`);
+    sendToClient(teacherClientId, { type: 'answer_settings_error', message: error.message });
+  }
+}
+
+// ==================== CLASS QUESTIONS ====================
+// The teacher can put their own question to the whole class, a random
+// handful or chosen students. Each student gets their own copy in the normal
+// answer pipeline (deadline, peer review, training), so every answer becomes
+// its own training record. A copy only goes to its student - the asker
+// exclusion doesn't apply - and it comes before anything else they'd be
+// handed. The teacher sees the answers arrive on the dashboard.
+
+const MAX_CLASS_QUESTIONS = 20;
+const MAX_CLASS_QUESTION_LENGTH = 300;
+
+// Students a class question goes to: 'all', 'random' (data.count of them) or 'students' (data.clientIds)
+function classQuestionTargets(room, data) {
+  const students = Object.values(room.gameState.clients).filter(c => c.role === 'student');
+  switch (data.target) {
+    case 'all':
+      return students.map(c => c.id);
+    case 'random': {
+      const count = parseInt(data.count, 10);
+      if (!(count >= 1)) throw new Error('Pick how many students to ask');
+      return students
+        .filter(c => c.connected !== false)
+        .map(c => ({ id: c.id, sort: Math.random() }))
+        .sort((a, b) => a.sort - b.sort)
+        .slice(0, count)
+        .map(c => c.id);
+    }
+    case 'students': {
+      const chosen = new Set(Array.isArray(data.clientIds) ? data.clientIds : []);
+      return students.filter(c => chosen.has(c.id)).map(c => c.id);
+    }
+    default:
+      throw new Error(`Unknown target: ${data.target}`);
+  }
+}
+
+/**
+ * Put a teacher's question to students
+ * @param {Object} room - Room to ask
+ * @param {string} teacherClientId - Teacher asking
+ * @param {Object} data - { text, target, count?, clientIds? }
+ */
+function askClass(room, teacherClientId, data) {
+  const { gameState } = room;
+  if (!gameState.isActive) throw new Error('Start the game before asking the class');
+  const text = censorText(String(data.text || '').trim()).substring(0, MAX_CLASS_QUESTION_LENGTH);
+  if (!text) throw new Error('Write a question first');
+  const targets = classQuestionTargets(room, data);
+  if (targets.length === 0) throw new Error('No students to ask');
+
+  const classQuestion = {
+    id: uuidv4(),
+    text,
+    target: data.target,
+    askedAt: Date.now(),
+    answers: targets.map(id => ({ clientId: id, name: gameState.clients[id].name, status: 'waiting', answer: null }))
+  };
+  room.classQuestions.unshift(classQuestion);
+  room.classQuestions = room.classQuestions.slice(0, MAX_CLASS_QUESTIONS);
+  console.log(`[CLASS] Teacher asked ${targets.length} student(s): "${text.substring(0, 50)}"`);
+  recordEvent(room, 'class_question_asked', teacherClientId, { question: text, students: targets.length });
+
+  targets.forEach(id => {
+    const question = {
+      id: uuidv4(),
+      text,
+      type: 'teacher',
+      timestamp: Date.now(),
+      askedBy: teacherClientId,
+      answersNeeded: 1,
+      targetId: id,
+      classQuestionId: classQuestion.id
+    };
+    gameState.pendingQuestions.push(question);
+    // Free answerers get it now; everyone else once their current turn is done
+    const client = gameState.clients[id];
+    if (client.currentMode === 'answerer' && !room.activeQuestions.has(id)) {
+      sendQuestionToAnswer(room, id);
+    }
+  });
+  broadcastClassQuestions(room);
+}
+
+// Record how one student's copy of a class question is going
+function updateClassAnswer(room, question, update) {
+  const entry = room.classQuestions
+    .find(cq => cq.id === question.classQuestionId)?.answers
+    .find(a => a.clientId === question.targetId);
+  if (!entry) return;
+  Object.assign(entry, update);
+  broadcastClassQuestions(room);
+}
+
+// Withdraw one student's copy of a class question without an answer
+function dropClassQuestion(room, question, status) {
+  room.gameState.pendingQuestions = room.gameState.pendingQuestions.filter(q => q.id !== question.id);
+  updateClassAnswer(room, question, { status });
+  broadcastAssignments(room);
+}
+
+// A student who leaves can't answer the class questions waiting for them
+function dropClassQuestionsFor(room, clientId, status) {
+  room.gameState.pendingQuestions
+    .filter(q => q.targetId === clientId)
+    .forEach(q => dropClassQuestion(room, q, status));
+}
+
+// The round is over - nobody is still answering
+function cancelClassQuestions(room) {
+  room.classQuestions.forEach(cq => cq.answers.forEach(a => {
+    if (a.status === 'waiting' || a.status === 'answering') a.status = 'cancelled';
+  }));
+  broadcastClassQuestions(room);
+}
+
+function sendClassQuestions(room, clientId) {
+  sendToClient(clientId, { type: 'class_questions_update', questions: room.classQuestions });
+}
+
+function broadcastClassQuestions(room) {
+  Object.values(room.gameState.clients)
+    .filter(c => c.role === 'teacher')
+    .forEach(c => sendClassQuestions(room, c.id));
+}
+
+function handleClassQuestionCommand(room, teacherClientId, data) {
+  try {
+    askClass(room, teacherClientId, data);
+  } catch (error) {
+    console.log(`[CLASS] ${data.type} failed: ${error.message}`);
+    sendToClient(teacherClientId, { type: 'class_question_error', message: error.message });
+  }
+}
+
+// ==================== PEER REVIEW ====================
+// Optional curation step: each answer goes to one or two classmates, who
+// rate it before it can become training data. Rejected answers land on a
+// discard pile only the teacher sees. Reviews are live work like pending
+// questions, so they live on the room and aren't persisted.
+
+const REVIEW_RATINGS = ['keep', 'low_quality', 'unkind', 'off_topic'];
+const REVIEW_LABELS = { low_quality: 'low quality', unkind: 'unkind', off_topic: 'off-topic' };
+const REVIEWERS_PER_ANSWER = Math.min(2, Math.max(1, parseInt(process.env.PEER_REVIEWERS, 10) || 2));
+const REVIEW_TIMEOUT_MS = parseInt(process.env.REVIEW_TIMEOUT_MS, 10) || 90000;
+const MAX_DISCARDED = 100;
+
+// What a reviewer is shown - not who wrote it, so they judge the answer itself
+const reviewRequest = review => ({
+  type: 'review_request',
+  review: { id: review.id, question: review.item.question, answer: review.item.answer }
+});
+
+function reviewsOwedBy(room, clientId) {
+  return [...room.pendingReviews.values()].filter(r => r.reviewers.includes(clientId) && !r.ratings[clientId]);
+}
+
+/**
+ * Pick classmates to review an answer: never its author, the asker only if
+ * nobody else is free, and whoever has the fewest reviews waiting first
+ * @returns {string[]} Reviewer clientIds (empty if nobody can review)
+ */
+function pickReviewers(room, authorId, askerId, count, exclude = []) {
+  const candidates = Object.values(room.gameState.clients)
+    .filter(c => c.role === 'student' && c.connected !== false && c.id !== authorId && !exclude.includes(c.id))
+    .map(c => ({ id: c.id, load: reviewsOwedBy(room, c.id).length + (c.id === askerId ? 1000 : 0) + Math.random() }))
+    .sort((a, b) => a.load - b.load);
+  return candidates.slice(0, count).map(c => c.id);
+}
+
+/**
+ * Hold an answer back until classmates have rated it
+ * @returns {boolean} false if nobody is around to review it
+ */
+function submitForReview(room, item, authorId, askerId) {
+  const reviewers = pickReviewers(room, authorId, askerId, REVIEWERS_PER_ANSWER);
+  if (reviewers.length === 0) {
+    console.log('[REVIEW] No classmates free to review - accepting answer directly');
+    return false;
+  }
+
+  const review = {
+    id: uuidv4(),
+    item,
+    authorId,
+    askerId,
+    reviewers,
+    ratings: {}, // reviewer clientId -> rating
+    submittedAt: Date.now(),
+    timer: null
+  };
+  review.timer = setTimeout(() => {
+    console.log(`[REVIEW] Review ${review.id} timed out with ${Object.keys(review.ratings).length}/${review.reviewers.length} ratings`);
+    finishReview(room, review);
+  }, REVIEW_TIMEOUT_MS);
+  room.pendingReviews.set(review.id, review);
+
+  console.log(`[REVIEW] "${item.answer.substring(0, 40)}" sent to ${reviewers.length} reviewer(s)`);
+  reviewers.forEach(id => sendToClient(id, reviewRequest(review)));
+  broadcastReviewState(room);
+  return true;
 }
 
-async function handleAnswerSubmission(clientId, questionId, answer) {
-  const client = gameState.clients[clientId];
-  
-  // Validate client is in answerer mode
-  if (!client || client.currentMode !== 'answerer') {
-    console.log(`[REJECT] Answer submission from ${clientId} - not in answerer mode (current: ${client?.currentMode})`);
+function handleReviewSubmission(room, clientId, reviewId, rating) {
+  const review = room.pendingReviews.get(reviewId);
+  if (!review || !review.reviewers.includes(clientId) || review.ratings[clientId]) {
+    console.log(`[REJECT] Review ${reviewId} from ${clientId} - not assigned or already rated`);
     return;
   }
-  
-  // First verify this client actually has this question assigned to them
-  const assignedQuestionId = activeQuestions.get(clientId);
-  if (assignedQuestionId !== questionId) {
-    console.log(`[ANSWER] Rejected answer from ${clientId} - question ${questionId} not assigned to them`);
+  if (!REVIEW_RATINGS.includes(rating)) {
+    console.log(`[REJECT] Unknown review rating from ${clientId}: ${rating}`);
     return;
   }
-  
-  const questionIndex = gameState.pendingQuestions.findIndex(q => q.id === questionId);
-  
-  if (questionIndex === -1) {
-    console.log(`[ANSWER] Question ${questionId} not found in pending questions`);
-    // Clear the stale assignment
-    activeQuestions.delete(clientId);
-    return;
+
+  review.ratings[clientId] = rating;
+  console.log(`[REVIEW] ${room.gameState.clients[clientId]?.name} rated review ${reviewId}: ${rating}`);
+  if (review.reviewers.every(id => review.ratings[id])) {
+    finishReview(room, review);
   }
-  
-  const question = gameState.pendingQuestions[questionIndex];
-  
-  // Censor the answer before storing
-  const censoredAnswer = censorText(answer);
-  
-  // Check if the answer is mostly censored - reject without consuming the question
-  if (isMostlyCensored(censoredAnswer)) {
-    console.log(`[REJECT] Mostly censored answer from ${clientId}: "${censoredAnswer.substring(0, 50)}..."`);
-    sendToClient(clientId, {
-      type: 'answer_rejected',
-      reason: 'That answer contains too much inappropriate content. Please try again!',
-      question: question
+}
+
+/**
+ * Decide a review with the ratings it has. Ties (and no ratings at all, when
+ * every reviewer went quiet) go the answer's way.
+ */
+function finishReview(room, review, forcedOutcome = null) {
+  const { gameState } = room;
+  clearTimeout(review.timer);
+  room.pendingReviews.delete(review.id);
+  // Anyone who didn't get to it no longer needs to
+  review.reviewers
+    .filter(id => !review.ratings[id])
+    .forEach(id => sendToClient(id, { type: 'review_cancelled', reviewId: review.id }));
+
+  const ratings = Object.values(review.ratings);
+  const rejections = ratings.filter(r => r !== 'keep');
+  const keep = forcedOutcome ? forcedOutcome === 'keep' : rejections.length <= ratings.length - rejections.length;
+
+  let reason = null;
+  if (keep) {
+    console.log(`[REVIEW] Kept "${review.item.answer.substring(0, 40)}"`);
+    addTrainingItem(room, review.item, review.authorId);
+  } else {
+    // The most common complaint is the reason it was discarded
+    const counts = {};
+    rejections.forEach(r => { counts[r] = (counts[r] || 0) + 1; });
+    reason = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    const discarded = { id: review.id, ...review.item, reason, ratings: review.ratings, discardedAt: Date.now() };
+    room.discardPile.unshift(discarded);
+    room.discardPile.splice(MAX_DISCARDED);
+    console.log(`[REVIEW] Discarded "${review.item.answer.substring(0, 40)}" as ${reason}`);
+    recordEvent(room, 'answer_discarded', review.authorId,
+      { question: review.item.question, answer: review.item.answer, answeredBy: review.item.answeredBy, reason });
+  }
+
+  if (gameState.clients[review.authorId]) {
+    sendToClient(review.authorId, {
+      type: 'answer_reviewed',
+      accepted: keep,
+      question: review.item.question,
+      answer: review.item.answer,
+      reason: reason && REVIEW_LABELS[reason]
     });
-    return;
   }
-  
-  gameState.pendingQuestions.splice(questionIndex, 1);
-  
-  // Clear active question tracking for this client
-  activeQuestions.delete(clientId);
-  
-  // Add to training data
-  gameState.trainingData.push({
-    question: question.text,
-    answer: censoredAnswer,
-    type: question.type,
-    timestamp: Date.now()
+  broadcastReviewState(room);
+}
+
+// A reviewer left for good: find someone else, or decide without them
+function releaseReviews(room, clientId) {
+  [...room.pendingReviews.values()]
+    .filter(r => r.reviewers.includes(clientId) && !r.ratings[clientId])
+    .forEach(review => {
+      review.reviewers = review.reviewers.filter(id => id !== clientId);
+      const [replacement] = pickReviewers(room, review.authorId, review.askerId, 1, [clientId, ...review.reviewers]);
+      if (replacement) {
+        review.reviewers.push(replacement);
+        sendToClient(replacement, reviewRequest(review));
+      } else if (review.reviewers.every(id => review.ratings[id])) {
+        finishReview(room, review);
+      }
+    });
+}
+
+// Drop every review in progress, e.g. when the AI is reset or another session is loaded
+function clearReviews(room, outcome = null) {
+  [...room.pendingReviews.values()].forEach(review => {
+    if (outcome) {
+      finishReview(room, review, outcome);
+    } else {
+      clearTimeout(review.timer);
+      review.reviewers.forEach(id => sendToClient(id, { type: 'review_cancelled', reviewId: review.id }));
+    }
   });
-  
-  // Implement sliding window: keep only last 300 training items to prevent unbounded growth
-  if (gameState.trainingData.length > 300) {
-    gameState.trainingData = gameState.trainingData.slice(-300);
-    console.log('[MEMORY] Training data trimmed to 300 items');
-  }
-  
-  // Track that this student answered a question (only for students)
-  if (client.role === 'student') {
-    client.questionsAnswered++;
-  }
-  
-  // Update llmKnowledge immediately with all training data (to show in AI Mind)
-  rebuildLLMKnowledge();
-  
-  broadcast({
-    type: 'training_data_added',
-    data: { question: question.text, answer: censoredAnswer },
-    llmKnowledge: gameState.llmKnowledge
+  room.pendingReviews.clear();
+}
+
+function sendReviewState(room, clientId) {
+  sendToClient(clientId, {
+    type: 'review_update',
+    pending: room.pendingReviews.size,
+    discarded: room.discardPile
   });
-  
-  // Update model identity: track topics and check milestones
-  updateModelTopics();
-  checkTrainingMilestones();
-  
-  // Auto-train when we reach 10 training examples (only while game is active)
-  if (gameState.isActive && gameState.trainingData.length === 10) {
-    console.log('[AUTO-TRAIN] Reached 10 training examples, triggering automatic training...');
-    primeLLMWithCurrentData();
-  }
-  
-  // Rotate the student who just answered to asking mode next (only for students)
-  if (gameState.isActive && client.role === 'student') {
-    console.log(`[ROTATE] ${clientId} answered a question, rotating to asker mode`);
-    assignNextMode(clientId);
-  }
-  
-  // Also check if any answerers are waiting and assign them pending questions
-  const waitingAnswerers = Object.keys(gameState.clients).filter(
-    id => gameState.clients[id].currentMode === 'answerer' && 
-         id !== clientId &&
-         !activeQuestions.has(id)  // Only assign to answerers without active questions
-  );
-  
-  if (waitingAnswerers.length > 0 && gameState.pendingQuestions.length > 0) {
-    const randomAnswerer = waitingAnswerers[Math.floor(Math.random() * waitingAnswerers.length)];
-    sendQuestionToAnswer(randomAnswerer);
+}
+
+// Only teachers see the discard pile
+function broadcastReviewState(room) {
+  Object.values(room.gameState.clients)
+    .filter(c => c.role === 'teacher')
+    .forEach(c => sendReviewState(room, c.id));
+}
+
+// Teacher overrules the reviewers and puts a discarded answer back
+function restoreDiscarded(room, teacherClientId, discardedId) {
+  const index = room.discardPile.findIndex(d => d.id === discardedId);
+  if (index === -1) throw new Error('That answer is no longer in the discard pile');
+  const [discarded] = room.discardPile.splice(index, 1);
+  const { id, reason, ratings, discardedAt, ...item } = discarded;
+  console.log(`[REVIEW] Teacher restored discarded answer "${item.answer.substring(0, 40)}"`);
+  addTrainingItem(room, item, teacherClientId);
+}
+
+function handleReviewCommand(room, teacherClientId, data) {
+  try {
+    switch (data.type) {
+      case 'set_peer_review':
+        room.gameState.peerReviewEnabled = data.enabled === true;
+        persist(room, 'peerReviewEnabled');
+        console.log(`[REVIEW] Peer review ${room.gameState.peerReviewEnabled ? 'enabled' : 'disabled'} in room ${room.code}`);
+        // Answers already out for review don't wait once reviewing is off
+        if (!room.gameState.peerReviewEnabled) clearReviews(room, 'keep');
+        broadcast(room, { type: 'game_state', gameState: room.gameState });
+        break;
+      case 'restore_discarded':
+        restoreDiscarded(room, teacherClientId, data.id);
+        break;
+      case 'clear_discarded':
+        room.discardPile = [];
+        break;
+    }
+  } catch (error) {
+    console.log(`[REVIEW] ${data.type} failed: ${error.message}`);
+    sendToClient(teacherClientId, { type: 'review_error', message: error.message });
   }
+  broadcastReviewState(room);
 }
 
 // Topic categories for simple skill tracking
-const TOPIC_KEYWORDS = {
-  'Friendship': ['friend', 'buddy', 'pal', 'best friend', 'hang out', 'together'],
-  'Humor': ['funny', 'laugh', 'joke', 'hilarious', 'comedy', 'smile'],
-  'Kindness': ['kind', 'nice', 'help', 'care', 'love', 'sweet', 'generous'],
-  'Sports': ['sport', 'run', 'game', 'team', 'play', 'athletic', 'fast', 'soccer', 'basketball'],
-  'Creativity': ['creative', 'art', 'draw', 'paint', 'build', 'imagine', 'design', 'music', 'sing', 'dance'],
-  'Smarts': ['smart', 'math', 'science', 'read', 'study', 'learn', 'know', 'brain', 'clever'],
-  'Leadership': ['leader', 'captain', 'charge', 'organize', 'decision', 'boss', 'manage'],
-  'Bravery': ['brave', 'courage', 'fearless', 'bold', 'dare', 'strong'],
-  'Energy': ['energy', 'loud', 'excited', 'enthusiastic', 'wild', 'hyper', 'active']
-};
-
-function updateModelTopics() {
+function updateModelTopics(room) {
+  const { gameState } = room;
   if (gameState.trainingData.length === 0) return;
   
+  // What counts as a skill depends on what the class is teaching
+  const { topicKeywords } = getCurriculumMode(gameState.curriculumMode);
+  
   // Count topic mentions across all training data
   const topicCounts = {};
-  Object.keys(TOPIC_KEYWORDS).forEach(topic => { topicCounts[topic] = 0; });
+  Object.keys(topicKeywords).forEach(topic => { topicCounts[topic] = 0; });
   
   gameState.trainingData.forEach(item => {
     const text = `${item.question} ${item.answer}`.toLowerCase();
-    Object.entries(TOPIC_KEYWORDS).forEach(([topic, keywords]) => {
+    Object.entries(topicKeywords).forEach(([topic, keywords]) => {
       keywords.forEach(kw => {
         if (text.includes(kw)) topicCounts[topic]++;
       });
@@ -1062,7 +3393,8 @@ function updateModelTopics() {
   gameState.modelIdentity.topSkills = topSkills;
 }
 
-function checkTrainingMilestones() {
+function checkTrainingMilestones(room) {
+  const { gameState } = room;
   const count = gameState.trainingData.length;
   const currentMilestone = gameState.modelIdentity.lastMilestone;
   
@@ -1071,7 +3403,8 @@ function checkTrainingMilestones() {
       gameState.modelIdentity.lastMilestone = milestone;
       console.log(`[MILESTONE] ${gameState.modelIdentity.name} reached ${milestone.count}: ${milestone.message}`);
       
-      broadcast({
+      recordEvent(room, 'training_milestone', null, { milestone, trainingCount: count });
+      broadcast(room, {
         type: 'training_milestone',
         modelName: gameState.modelIdentity.name,
         milestone: milestone,
@@ -1084,23 +3417,24 @@ function checkTrainingMilestones() {
   }
 }
 
-function startEvolutionCycle() {
+function startEvolutionCycle(room) {
   // Clear any existing evolution interval first
-  if (evolutionInterval) {
-    clearInterval(evolutionInterval);
+  if (room.evolutionInterval) {
+    clearInterval(room.evolutionInterval);
   }
-  evolutionInterval = setInterval(() => {
-    if (!gameState.isActive) {
-      clearInterval(evolutionInterval);
-      evolutionInterval = null;
+  room.evolutionInterval = setInterval(() => {
+    if (!room.gameState.isActive) {
+      clearInterval(room.evolutionInterval);
+      room.evolutionInterval = null;
       return;
     }
     
-    evolveLLM();
+    evolveLLM(room);
   }, 60000); // Every minute
 }
 
-function evolveLLM() {
+function evolveLLM(room) {
+  const { gameState } = room;
   if (gameState.trainingData.length === 0) return;
   
   gameState.evolutionCount++;
@@ -1147,14 +3481,22 @@ function evolveLLM() {
   }
   
   // Update topic skills during evolution
-  updateModelTopics();
+  updateModelTopics(room);
   
   // Update knowledge from ALL training data (not just recent 10)
-  rebuildLLMKnowledge();
+  rebuildLLMKnowledge(room);
+  
+  persist(room, 'evolutionCount', 'llmPersonality', 'modelIdentity');
+  saveActiveSession(room);
+  recordVersion(room, 'evolution', `Evolution #${gameState.evolutionCount}`, null);
   
   const personalityInfo = PERSONALITY_INFO[gameState.llmPersonality] || PERSONALITY_INFO.neutral;
   
-  broadcast({
+  recordEvent(room, 'llm_evolved', null,
+    { personality: gameState.llmPersonality, previousPersonality },
+    { set: { llmPersonality: gameState.llmPersonality, evolutionCount: gameState.evolutionCount, modelIdentity: gameState.modelIdentity } });
+  
+  broadcast(room, {
     type: 'llm_evolved',
     evolutionCount: gameState.evolutionCount,
     personality: gameState.llmPersonality,
@@ -1166,32 +3508,33 @@ function evolveLLM() {
   });
 }
 
-function startLLMPrimingCycle() {
+function startLLMPrimingCycle(room) {
   // Clear any existing interval
-  if (llmPrimingInterval) {
-    clearInterval(llmPrimingInterval);
+  if (room.llmPrimingInterval) {
+    clearInterval(room.llmPrimingInterval);
   }
   
   // Prime the LLM every 2 minutes (120000 ms)
-  llmPrimingInterval = setInterval(async () => {
-    if (!gameState.isActive) {
-      clearInterval(llmPrimingInterval);
-      llmPrimingInterval = null;
+  room.llmPrimingInterval = setInterval(async () => {
+    if (!room.gameState.isActive) {
+      clearInterval(room.llmPrimingInterval);
+      room.llmPrimingInterval = null;
       return;
     }
     
-    await primeLLMWithCurrentData();
+    await primeLLMWithCurrentData(room);
   }, 120000); // Every 2 minutes
   
   // Also do an initial priming when the game starts
   setTimeout(() => {
-    if (gameState.isActive) {
-      primeLLMWithCurrentData();
+    if (room.gameState.isActive) {
+      primeLLMWithCurrentData(room);
     }
   }, 5000); // Wait 5 seconds after game start
 }
 
-async function primeLLMWithCurrentData() {
+async function primeLLMWithCurrentData(room) {
+  const { gameState } = room;
   if (!gameState.isActive) {
     console.log('[LLM PRIMING] Skipping — game is not active');
     return;
@@ -1224,7 +3567,9 @@ async function primeLLMWithCurrentData() {
       cleanTrainingData,  // Only real user Q&A, no corrupted data
       gameState.llmKnowledge.map(k => `${k.q}: ${k.a}`),
       gameState.llmPersonality,           // Pass personality for consistent responses
-      gameState.modelIdentity?.name       // Pass model name for identity
+      gameState.modelIdentity?.name,      // Pass model name for identity
+      getCurriculumMode(gameState.curriculumMode).framing,
+      gameState.contextAnswers
     );
     
     console.log('[LLM PRIMING] AI Mind primed successfully with clean data');
@@ -1258,9 +3603,11 @@ async function primeLLMWithCurrentData() {
     
     // Persist the thought in gameState so it shows on the dashboard
     gameState.modelIdentity.lastThought = response;
+    persist(room, 'modelIdentity');
+    recordEvent(room, 'llm_primed', null, { thought: response }, { set: { modelIdentity: gameState.modelIdentity } });
     
     // Broadcast that the AI was primed (for teacher visibility)
-    broadcast({
+    broadcast(room, {
       type: 'llm_primed',
       timestamp: Date.now(),
       dataSize: cleanTrainingData.length,
@@ -1273,68 +3620,230 @@ async function primeLLMWithCurrentData() {
   }
 }
 
+// ==================== CHALLENGE SETTINGS ====================
+// Teachers pick which challenges are in the rotation for their session.
+// Challenges themselves are registered in challenges/index.js.
+
+// Challenge types in the room's rotation, in registry order
+function enabledChallengeTypes(room) {
+  const all = challengeDefinitions().map(d => d.type);
+  const enabled = room.gameState.enabledChallenges;
+  if (!enabled) return all;
+  const types = all.filter(type => enabled.includes(type));
+  // A saved session naming only challenges that no longer exist - keep the game going
+  return types.length > 0 ? types : all;
+}
+
+// Turn one challenge type on or off for the room's session - errors go back to the teacher only
+function handleChallengeSettingsCommand(room, teacherClientId, data) {
+  const { gameState } = room;
+  try {
+    if (!isChallengeType(data.challengeType)) throw new Error(`Unknown challenge: ${data.challengeType}`);
+
+    const types = enabledChallengeTypes(room).filter(type => type !== data.challengeType);
+    if (data.enabled) types.push(data.challengeType);
+    if (types.length === 0) throw new Error('Keep at least one challenge turned on');
+
+    // Stored in registry order so the rotation doesn't depend on the order they were switched on
+    gameState.enabledChallenges = challengeDefinitions().map(d => d.type).filter(type => types.includes(type));
+    persist(room, 'enabledChallenges');
+    saveActiveSession(room);
+    console.log(`[CHALLENGE] Room ${room.code} ${data.enabled ? 'enabled' : 'disabled'} ${data.challengeType}: ${gameState.enabledChallenges.join(', ')}`);
+    broadcast(room, { type: 'game_state', gameState });
+  } catch (error) {
+    console.log(`[CHALLENGE] set_challenge_enabled failed: ${error.message}`);
+    sendToClient(teacherClientId, { type: 'challenge_settings_error', message: error.message });
+  }
+}
+
+// ==================== CONTENT PACKS ====================
+// Challenges are built from the content pack chosen for the room's session.
+// Packs themselves are shared by every room on the server.
+
+// Packs without their content, for the teacher's list
+function packSummaries() {
+  return contentPacks.list().map(({ challenges, ...pack }) => ({ ...pack, challengeTypes: Object.keys(challenges) }));
+}
+
+const contentPacksUpdate = (room) => ({
+  type: 'content_packs_update',
+  packs: packSummaries(),
+  activePack: room.gameState.contentPack || STANDARD_PACK_ID
+});
+
+// Pack edits show up for every teacher; each sees their own session's choice
+function broadcastContentPacks() {
+  rooms.forEach(room => {
+    Object.values(room.gameState.clients)
+      .filter(c => c.role === 'teacher')
+      .forEach(c => sendToClient(c.id, contentPacksUpdate(room)));
+  });
+}
+
+/**
+ * Create, import or edit a content pack (bundled packs are saved as an edited copy)
+ * @param {Object} input - Pack fields; include `id` to save a new version
+ * @returns {Object} The saved pack
+ */
+function saveContentPack(input) {
+  const pack = contentPacks.save(input);
+  broadcastContentPacks();
+  return pack;
+}
+
+/**
+ * Build a room's challenges from a content pack from now on
+ * @param {Object} room - Room whose session to change
+ * @param {string} packId - Pack to use
+ */
+function setContentPack(room, packId) {
+  const pack = contentPacks.get(packId);
+  if (!pack) throw new Error(`Content pack ${packId} not found`);
+
+  room.gameState.contentPack = pack.id === STANDARD_PACK_ID ? null : pack.id;
+  persist(room, 'contentPack');
+  saveActiveSession(room);
+  console.log(`[PACKS] Room ${room.code} now uses content pack "${pack.name}"`);
+  broadcastContentPacks();
+}
+
+// WebSocket entry point for the content pack editor - errors go back to the teacher only
+function handleContentPackCommand(room, teacherClientId, data) {
+  try {
+    switch (data.type) {
+      case 'list_content_packs':
+        sendToClient(teacherClientId, contentPacksUpdate(room));
+        break;
+      case 'get_content_pack': {
+        const pack = contentPacks.get(data.packId);
+        if (!pack) throw new Error(`Content pack ${data.packId} not found`);
+        sendToClient(teacherClientId, { type: 'content_pack', pack });
+        break;
+      }
+      case 'validate_content_pack':
+        sendToClient(teacherClientId, { type: 'content_pack_validation', errors: validatePack(data.pack).errors });
+        break;
+      case 'save_content_pack':
+        sendToClient(teacherClientId, { type: 'content_pack', pack: saveContentPack(data.pack) });
+        break;
+      case 'set_content_pack':
+        setContentPack(room, data.packId);
+        break;
+    }
+  } catch (error) {
+    console.log(`[PACKS] ${data.type} failed: ${error.message}`);
+    sendToClient(teacherClientId, { type: 'content_pack_error', message: error.message });
+  }
+}
+
+// ==================== CLASS CHALLENGE CONTENT ====================
+// Once the class has taught the AI enough, some challenges are built from
+// its own answers instead of the pack (classContent.js). The untrue copies
+// of class answers those need are asked of the LLM in the background, a few
+// at a time, so sending a challenge never waits on the LLM.
+
+const ALTERATIONS_PER_RUN = 4; // Leave room in the LLM queue for students' questions
+
+/**
+ * What a challenge is built from: the class's training data when there's
+ * enough of it, otherwise the session's content pack
+ * @param {Object} room - Room the challenge is for
+ * @param {string} type - Challenge type
+ * @returns {{pool: Object, pack: Object|null, source: string}}
+ */
+function challengeSection(room, type) {
+  const section = contentPacks.section(room.gameState.contentPack, type);
+  if (!CLASS_CONTENT_TYPES.includes(type)) return section;
+
+  const pool = buildClassPool(type, room.gameState.trainingData, room.classAlterations, section.pool);
+  if (!pool) return section;
+  // Class answers go through the same checks as a teacher's pack
+  const { section: checked, errors } = checkPackSection(type, pool);
+  if (errors.length > 0) {
+    console.warn(`[CLASS CONTENT] ${type} from class data didn't check out, using the pack: ${errors[0]}`);
+    return section;
+  }
+  return { pool: checked, pack: null, source: 'class' };
+}
+
+// Ask the LLM for untrue copies of recent class answers that don't have one yet
+async function refreshClassAlterations(room) {
+  const { gameState, classAlterations } = room;
+  if (room.alteringAnswers || !gameState.isActive) return;
+  room.alteringAnswers = true;
+  try {
+    const targets = alterationTargets(gameState.trainingData);
+    // Copies of answers that have dropped out of the window aren't needed again
+    const current = new Set(targets.map(alterationKey));
+    [...classAlterations.keys()].filter(key => !current.has(key)).forEach(key => classAlterations.delete(key));
+
+    const todo = targets.filter(item => !classAlterations.has(alterationKey(item))).slice(-ALTERATIONS_PER_RUN);
+    for (const item of todo) {
+      const altered = cleanAlteration(item, await llmService.generateResponse(alterationPrompt(item)));
+      // Unusable rewrites are kept as null so the same answer isn't sent again
+      classAlterations.set(alterationKey(item), altered && censorText(altered));
+    }
+    if (todo.length > 0) {
+      const usable = [...classAlterations.values()].filter(Boolean).length;
+      console.log(`[CLASS CONTENT] Room ${room.code}: ${usable} altered class answers ready`);
+    }
+  } catch (error) {
+    // LLM busy or offline - the next answer or challenge tries again
+    console.log(`[CLASS CONTENT] Altering class answers in room ${room.code} paused: ${error.message}`);
+  } finally {
+    room.alteringAnswers = false;
+  }
+}
+
 // REMOVED: Random challenge scheduling - challenges now only happen after asking questions
 // function scheduleChallenge() { ... }
 
-function sendChallengeToClient(clientId) {
+function sendChallengeToClient(room, clientId) {
+  const { gameState, challengeTurns, activeChallenges } = room;
   if (!gameState.isActive) return;
-  
-  // Rotate through challenge types in order: denoise → attention → neuroburst → clusterrush → contextcache → wordsplitter → biasbreaker → hallucinationhunter → versionchaos → ethicsengine → repeat
-  const lastType = lastChallengeTypes.get(clientId);
-  let challengeType;
-  
-  if (lastType === 'denoise') {
-    challengeType = 'attention';
-  } else if (lastType === 'attention') {
-    challengeType = 'neuroburst';
-  } else if (lastType === 'neuroburst') {
-    challengeType = 'clusterrush';
-  } else if (lastType === 'clusterrush') {
-    challengeType = 'contextcache';
-  } else if (lastType === 'contextcache') {
-    challengeType = 'wordsplitter';
-  } else if (lastType === 'wordsplitter') {
-    challengeType = 'biasbreaker';
-  } else if (lastType === 'biasbreaker') {
-    challengeType = 'hallucinationhunter';
-  } else if (lastType === 'hallucinationhunter') {
-    challengeType = 'versionchaos';
-  } else if (lastType === 'versionchaos') {
-    challengeType = 'ethicsengine';
-  } else if (lastType === 'ethicsengine') {
-    challengeType = 'denoise';
-  } else {
-    // First challenge for this client - pick a random starting challenge
-    const challengeTypes = [
-      'denoise', 'attention', 'neuroburst', 'clusterrush', 
-      'contextcache', 'wordsplitter', 'biasbreaker', 
-      'hallucinationhunter', 'versionchaos', 'ethicsengine'
-    ];
-    challengeType = challengeTypes[Math.floor(Math.random() * challengeTypes.length)];
-  }
-  
-  lastChallengeTypes.set(clientId, challengeType);
-  
-  const challenge = createChallenge(challengeType);
+  if (teamOf(room, clientId)) return; // Busy with their team's challenge
+  
+  // Each student works through the rotation cycle of enabled challenges,
+  // starting somewhere random so the class doesn't all get the same one first
+  const cycle = rotationCycle(enabledChallengeTypes(room));
+  const turn = challengeTurns.has(clientId)
+    ? challengeTurns.get(clientId) + 1
+    : Math.floor(Math.random() * cycle.length);
+  challengeTurns.set(clientId, turn);
+  const challengeType = cycle[turn % cycle.length];
+  
+  // Pitched at how well this student has done at this type before, with
+  // content from the class's answers or the session's pack
+  const challenge = createChallenge(
+    challengeType,
+    skillFor(gameState.clients[clientId]?.challengeSkill, challengeType),
+    challengeSection(room, challengeType)
+  );
+  refreshClassAlterations(room);
   
   // Track this challenge
   const now = Date.now();
-  lastChallengeTime = now;
+  room.lastChallengeTime = now;
   
-  gameState.challenges.push(challenge);
+  // game_state goes to everyone, so the content and the seed it's built from
+  // stay in activeChallenges; the student is sent a copy without the answers
+  const { content, seed, ...summary } = challenge;
+  gameState.challenges.push(summary);
   
-  console.log(`[CHALLENGE] Sending ${challengeType} challenge to ${clientId}`);
+  console.log(`[CHALLENGE] Sending ${challengeType} challenge to ${clientId} (difficulty ${challenge.level.toFixed(2)}, ${challenge.source === 'class' ? 'class data' : `pack ${challenge.pack.id} v${challenge.pack.version}`})`);
+  
+  activeChallenges.set(clientId, { challenge, sentAt: now, moves: [] });
   
   sendToClient(clientId, {
     type: 'challenge',
-    challenge
+    challenge: playerChallenge(challenge)
   });
   
   // Set timeout for challenge failure
   setTimeout(() => {
     const challengeStillPending = gameState.challenges.find(c => c.id === challenge.id);
     if (challengeStillPending) {
-      handleChallengeCompleted(clientId, challenge.id, false);
+      handleChallengeCompleted(room, clientId, challenge.id, false);
     }
   }, challenge.timeLimit);
 }
@@ -1357,7 +3866,8 @@ function formatFailureMessage(template, count) {
 // Data-driven challenge failure handler.
 // All challenge-specific data (failureMode, corruptionData, etc.) comes
 // from the challenge object created in challengeData.js.
-function applyChallengeFailure(challenge, challengeId) {
+function applyChallengeFailure(room, challenge, challengeId) {
+  const { gameState } = room;
   const mode = challenge.failureMode || 'garble';
   const maxCount = challenge.corruptCount || 3;
   const corruptionType = challenge.corruptionType || challenge.type;
@@ -1527,7 +4037,65 @@ function applyChallengeFailure(challenge, challengeId) {
   return { corruptedCount: count, corruptedIndices, injectedCount, deletedCount, message };
 }
 
-function handleChallengeCompleted(clientId, challengeId, success) {
+const MAX_CHALLENGE_MOVES = 500; // far more than any challenge takes in its time limit
+
+// One move in a student's own challenge, sent as they make it: judged
+// against the answers only the server has, recorded for grading, and the
+// verdict sent back. Moves only ever add up: the verdicts say what was
+// right, so starting over with them in hand would be a guaranteed pass
+function handleChallengeMove(room, clientId, challengeId, index, move) {
+  const pending = room.activeChallenges.get(clientId);
+  if (!pending || pending.challenge.id !== challengeId || pending.challenge.team) {
+    console.log(`[CHALLENGE] ${clientId} sent a move for ${challengeId}, which isn't their own active challenge - ignoring`);
+    return;
+  }
+  // A first move after moves were recorded means the page was reloaded (or
+  // a script is replaying what it learned) - that attempt counts as failed
+  if (index === 0 && pending.moves.length > 0) {
+    console.log(`[CHALLENGE] ${clientId} started ${challengeId} over after ${pending.moves.length} moves - failing it`);
+    handleChallengeCompleted(room, clientId, challengeId, false);
+    return;
+  }
+  const moves = [...pending.moves, move];
+  // A refused move isn't recorded, so the ones after it are judged as if it never happened
+  const feedback = moves.length <= MAX_CHALLENGE_MOVES ? moveFeedback(pending.challenge, moves) : null;
+  if (feedback) pending.moves = moves;
+  sendToClient(clientId, { type: 'challenge_feedback', challengeId, index, feedback });
+}
+
+// The student says they're done; whether that passes is decided here by
+// replaying the moves the server accepted against the full content
+function handleChallengeSubmission(room, clientId, challengeId) {
+  const pending = room.activeChallenges.get(clientId);
+  if (!pending || pending.challenge.id !== challengeId) {
+    console.log(`[CHALLENGE] ${clientId} finished ${challengeId}, which isn't their active challenge - ignoring`);
+    return;
+  }
+  if (pending.challenge.team) {
+    // Team challenges end on the shared state (or the server's timer), not one player's say-so
+    console.log(`[CHALLENGE] ${clientId} reported team challenge ${challengeId} finished - the team's state decides`);
+    return;
+  }
+  const success = gradeChallenge(pending.challenge, pending.moves);
+  handleChallengeCompleted(room, clientId, challengeId, success);
+}
+
+// Fold a result into the student's skill at that challenge type, which sets
+// the difficulty of their next one
+function recordChallengeSkill(room, clientId, challenge, success, elapsedMs) {
+  const client = room.gameState.clients[clientId];
+  if (!client || client.role !== 'student') return;
+  client.challengeSkill = updateSkill(client.challengeSkill, challenge.type, {
+    success,
+    elapsedMs,
+    timeLimit: challenge.timeLimit
+  });
+  persist(room, 'clientStats');
+  console.log(`[CHALLENGE] ${client.name} ${challenge.type} skill now ${client.challengeSkill[challenge.type].skill}`);
+}
+
+function handleChallengeCompleted(room, clientId, challengeId, success) {
+  const { gameState, activeChallenges } = room;
   const challengeIndex = gameState.challenges.findIndex(c => c.id === challengeId);
   
   if (challengeIndex === -1) {
@@ -1538,19 +4106,54 @@ function handleChallengeCompleted(clientId, challengeId, success) {
   // Remove challenge from active list
   const challenge = gameState.challenges[challengeIndex];
   gameState.challenges.splice(challengeIndex, 1);
+  const active = activeChallenges.get(clientId);
+  if (active?.challenge.id === challengeId) {
+    activeChallenges.delete(clientId);
+  }
+  const elapsedMs = active?.challenge.id === challengeId ? Date.now() - active.sentAt : challenge.timeLimit;
+  recordChallengeSkill(room, clientId, challenge, success, elapsedMs);
   
   console.log(`[CHALLENGE] Challenge ${challengeId} completed by ${clientId}: ${success ? 'SUCCESS' : 'FAILED'}`);
+  applyChallengeOutcome(room, clientId, challenge, success);
   
+  // After challenge is completed, rotate the client to their next mode
+  const client = gameState.clients[clientId];
+  if (client && client.role === 'student' && gameState.isActive) {
+    console.log(`[ROTATE] ${clientId} completed challenge, rotating to next mode`);
+    assignNextMode(room, clientId);
+  }
+}
+
+// What passing or failing a challenge does to the AI, announced to the room.
+// A team challenge passes `team` (every player's id) and lands once for all of them
+function applyChallengeOutcome(room, clientId, challenge, success, team = null) {
+  const { gameState } = room;
+  const teamFields = team ? { team } : {};
+  // The journal outlives client ids, so it keeps the players' names
+  const teamNames = team ? { team: team.map(id => gameState.clients[id]?.name || 'Someone') } : {};
   if (!success) {
+    recordVersion(room, 'challenge_failed', `Before failed ${challenge.type} challenge`, clientId);
     // Each challenge type has a unique, thematic effect on the AI when failed
-    const result = applyChallengeFailure(challenge, challengeId);
+    const result = applyChallengeFailure(room, challenge, challenge.id);
     
     // Rebuild knowledge array with corruption flags
-    rebuildLLMKnowledge();
+    rebuildLLMKnowledge(room);
+    persist(room, 'trainingData');
+    
+    recordEvent(room, 'challenge_failed', clientId, {
+      challengeType: challenge.type,
+      ...teamNames,
+      corruptedCount: result.corruptedCount,
+      injectedCount: result.injectedCount || 0,
+      deletedCount: result.deletedCount || 0,
+      message: result.message
+    }, { set: { trainingData: gameState.trainingData } });
     
-    broadcast({
+    broadcast(room, {
       type: 'challenge_failed',
       clientId,
+      challengeId: challenge.id,
+      ...teamFields,
       challengeType: challenge.type,
       corruptedCount: result.corruptedCount,
       corruptedIndices: result.corruptedIndices || [],
@@ -1562,6 +4165,10 @@ function handleChallengeCompleted(clientId, challengeId, success) {
     // On success: cure any previously corrupted data (restore originals) AND remove injected bad data
     let curedCount = 0;
     
+    if (gameState.trainingData.some(item => item.injectedBy || (item.corrupted && item.originalQuestion && item.originalAnswer))) {
+      recordVersion(room, 'challenge_cured', `Before ${challenge.type} challenge cure`, clientId);
+    }
+    
     // Restore text-corrupted items (denoise, wordsplitter, neuroburst, clusterrush)
     gameState.trainingData.forEach(item => {
       if (item.corrupted && item.originalQuestion && item.originalAnswer) {
@@ -1583,13 +4190,19 @@ function handleChallengeCompleted(clientId, challengeId, success) {
     curedCount += removedCount;
     
     if (curedCount > 0) {
-      rebuildLLMKnowledge();
+      rebuildLLMKnowledge(room);
+      persist(room, 'trainingData');
       console.log(`[CURE] Restored ${curedCount} items (${removedCount} injected removed)`);
     }
     
-    broadcast({
+    recordEvent(room, 'challenge_success', clientId, { challengeType: challenge.type, ...teamNames, curedCount },
+      curedCount > 0 ? { set: { trainingData: gameState.trainingData } } : null);
+    
+    broadcast(room, {
       type: 'challenge_success',
       clientId,
+      challengeId: challenge.id,
+      ...teamFields,
       challengeType: challenge.type,
       curedCount,
       message: curedCount > 0
@@ -1597,18 +4210,183 @@ function handleChallengeCompleted(clientId, challengeId, success) {
         : 'Challenge completed! The LLM remains pure!'
     });
   }
-  
-  // After challenge is completed, rotate the client to their next mode
-  const client = gameState.clients[clientId];
-  if (client && client.role === 'student' && gameState.isActive) {
-    console.log(`[ROTATE] ${clientId} completed challenge, rotating to next mode`);
-    assignNextMode(clientId);
+}
+
+// ==================== TEAM CHALLENGES ====================
+// The teacher can send the class into a challenge played in teams of two to
+// four. Each team shares one copy of the challenge on the server: a
+// player's move is checked against the rules in the challenge's module
+// (its `coop` export) and the new state is relayed to the whole team, in
+// order, tagged with `seq`. A player who drops out keeps their place and is
+// sent the current state when they come back; the rules share out their
+// part of the challenge meanwhile. Passing or failing lands once, for the
+// whole team.
+
+// Which of the team's players are connected, by player number
+const teamPresence = (room, team) => team.members.map(id => {
+  const client = room.gameState.clients[id];
+  return !!client && client.connected !== false;
+});
+
+const coopUpdate = (room, team) => ({
+  type: 'coop_state',
+  challengeId: team.challenge.id,
+  seq: team.seq,
+  state: team.state,
+  players: team.members.map((id, player) => ({
+    name: room.gameState.clients[id]?.name || 'Someone',
+    here: teamPresence(room, team)[player]
+  }))
+});
+
+function sendCoopState(room, team) {
+  const update = coopUpdate(room, team);
+  team.members.forEach(id => sendToClient(id, update));
+}
+
+// The team a client is playing in, if any
+function teamOf(room, clientId) {
+  const pending = room.activeChallenges.get(clientId);
+  return pending?.challenge.team ? room.coopTeams.get(pending.challenge.id) || null : null;
+}
+
+// Deal students into teams of about `size`, near-equal and none bigger than
+// the challenge allows - a class that doesn't divide evenly gets a few bigger teams
+function formTeams(studentIds, size, maxPlayers) {
+  const shuffled = pickRandom(studentIds, studentIds.length);
+  const teamCount = Math.max(1, Math.floor(shuffled.length / size), Math.ceil(shuffled.length / maxPlayers));
+  const teams = Array.from({ length: teamCount }, () => []);
+  shuffled.forEach((id, i) => teams[i % teamCount].push(id));
+  return teams;
+}
+
+function startTeamChallenge(room, challengeType, members) {
+  const { gameState } = room;
+  // Pitched at the team's average skill at this type
+  const level = members.reduce((sum, id) => sum + skillFor(gameState.clients[id].challengeSkill, challengeType), 0) / members.length;
+  const challenge = createChallenge(challengeType, level, challengeSection(room, challengeType));
+  const team = { challenge, members, state: null, seq: 0, sentAt: Date.now(), timer: null };
+  team.state = settleCoop(challenge, startCoop(challenge, members.length), teamPresence(room, team));
+  room.coopTeams.set(challenge.id, team);
+
+  const { content, seed, ...summary } = challenge;
+  gameState.challenges.push({ ...summary, team: members });
+
+  // Whatever they were doing waits. Everyone is in before any question they
+  // were answering is handed back, so none of them can be given another
+  members.forEach(id => {
+    gameState.clients[id].currentMode = 'challenging';
+    delete gameState.clients[id].pendingPrompt;
+  });
+  members.forEach((id, player) => {
+    handBackQuestion(room, id);
+    const copy = { ...challenge, team: { player } };
+    room.activeChallenges.set(id, { challenge: copy, sentAt: team.sentAt });
+    sendToClient(id, { type: 'challenge', challenge: playerChallenge(copy), coop: coopUpdate(room, team) });
+  });
+
+  // Out of time counts as failing, as it does for a student on their own
+  team.timer = setTimeout(() => finishTeamChallenge(room, team, false), challenge.timeLimit);
+  console.log(`[TEAM] ${challengeType} for ${members.map(id => gameState.clients[id].name).join(', ')} (difficulty ${level.toFixed(2)})`);
+  return members.map(id => gameState.clients[id].name);
+}
+
+// Send the class into a team challenge - errors go back to the teacher only
+function handleTeamChallengeCommand(room, teacherClientId, data) {
+  const { gameState } = room;
+  try {
+    if (!gameState.isActive) throw new Error('Start the game before sending the class into a team challenge');
+    const definition = coopChallengeDefinitions().find(d => d.type === data.challengeType);
+    if (!definition) throw new Error(`${data.challengeType} can't be played as a team`);
+    const { minPlayers, maxPlayers } = definition;
+    const size = Math.min(maxPlayers, Math.max(minPlayers, parseInt(data.teamSize, 10) || minPlayers));
+
+    // Students already in a challenge finish it first
+    const available = Object.keys(gameState.clients).filter(id => {
+      const client = gameState.clients[id];
+      return client.role === 'student' && client.connected !== false && client.currentMode !== 'challenging';
+    });
+    if (available.length < minPlayers) {
+      throw new Error(`A team needs at least ${minPlayers} students who aren't already in a challenge`);
+    }
+
+    // The same goes across teams: no question handed back by one team may land on a student about to join the next
+    const groups = formTeams(available, size, maxPlayers);
+    groups.flat().forEach(id => { gameState.clients[id].currentMode = 'challenging'; });
+    const teams = groups.map(members => startTeamChallenge(room, data.challengeType, members));
+    recordEvent(room, 'team_challenge_started', teacherClientId, { challengeType: data.challengeType, teams });
+    sendToClient(teacherClientId, { type: 'team_challenge_started', challengeType: data.challengeType, teams });
+    broadcast(room, { type: 'clients_update', clients: gameState.clients });
+  } catch (error) {
+    console.log(`[TEAM] start_team_challenge failed: ${error.message}`);
+    sendToClient(teacherClientId, { type: 'team_challenge_error', message: error.message });
+  }
+}
+
+// One player's move: applied to the team's state and relayed to the team,
+// or refused and the mover sent the state they should be looking at
+function handleCoopMove(room, clientId, challengeId, move) {
+  const team = teamOf(room, clientId);
+  if (!team || team.challenge.id !== challengeId) {
+    console.log(`[TEAM] ${clientId} sent a move for ${challengeId}, which isn't their team's challenge - ignoring`);
+    return;
+  }
+  const player = team.members.indexOf(clientId);
+  const next = applyCoopMove(team.challenge, team.state, player, move, teamPresence(room, team));
+  if (!next) {
+    sendToClient(clientId, coopUpdate(room, team));
+    return;
+  }
+  team.state = next;
+  team.seq++;
+  sendCoopState(room, team);
+  if (coopOutcome(team.challenge, team.state).done) finishTeamChallenge(room, team);
+}
+
+// A player dropped out, came back or left for good: let the rules share
+// out their part, and end the challenge if nobody's left on the team
+function updateTeamPresence(room, clientId) {
+  const team = teamOf(room, clientId);
+  if (!team) return;
+  if (team.members.every(id => !room.gameState.clients[id])) {
+    finishTeamChallenge(room, team, false);
+    return;
   }
+  team.state = settleCoop(team.challenge, team.state, teamPresence(room, team));
+  team.seq++;
+  sendCoopState(room, team);
+  if (coopOutcome(team.challenge, team.state).done) finishTeamChallenge(room, team);
+}
+
+function finishTeamChallenge(room, team, graded = true) {
+  const { gameState, activeChallenges, coopTeams } = room;
+  const { challenge } = team;
+  if (coopTeams.get(challenge.id) !== team) return; // Already finished
+  coopTeams.delete(challenge.id);
+  clearTimeout(team.timer);
+
+  const success = graded && coopOutcome(challenge, team.state).success;
+  gameState.challenges = gameState.challenges.filter(c => c.id !== challenge.id);
+  const elapsedMs = graded ? Date.now() - team.sentAt : challenge.timeLimit;
+  team.members.forEach(id => {
+    if (activeChallenges.get(id)?.challenge.id === challenge.id) activeChallenges.delete(id);
+    recordChallengeSkill(room, id, challenge, success, elapsedMs);
+  });
+
+  console.log(`[TEAM] ${challenge.type} challenge ${challenge.id}: ${success ? 'SUCCESS' : 'FAILED'}`);
+  const players = team.members.filter(id => gameState.clients[id]);
+  applyChallengeOutcome(room, players[0] || team.members[0], challenge, success, team.members);
+
+  if (!gameState.isActive) return;
+  players.forEach(id => {
+    if (gameState.clients[id].currentMode === 'challenging') assignNextMode(room, id);
+  });
 }
 
 // Filtering removed: no mask functions; payloads are sent as-is
 
-async function handleLLMQuery(clientId, question) {
+async function handleLLMQuery(room, clientId, question) {
+  const { gameState, activeLLMQueries } = room;
   // Check if this client already has a pending LLM query
   if (activeLLMQueries.has(clientId)) {
     console.log(`[LLM Query] Rejected - client ${clientId} already has a pending query`);
@@ -1629,20 +4407,22 @@ async function handleLLMQuery(clientId, question) {
     const censoredQuestion = censorText(question);
 
     // Use cached filtered data to avoid re-filtering 500+ items on every query (95% savings)
-    if (!cleanTrainingDataCache || gameState.trainingData.length !== lastTrainingDataLength) {
-      cleanTrainingDataCache = gameState.trainingData.filter(d => d.type !== 'corrupted' && !d.corrupted);
-      lastTrainingDataLength = gameState.trainingData.length;
+    if (!room.cleanTrainingDataCache || gameState.trainingData.length !== room.lastTrainingDataLength) {
+      room.cleanTrainingDataCache = gameState.trainingData.filter(d => d.type !== 'corrupted' && !d.corrupted);
+      room.lastTrainingDataLength = gameState.trainingData.length;
     }
 
-    console.log(`[LLM Query] Processing query from ${clientId}. Training data: ${cleanTrainingDataCache.length} items, Knowledge: ${gameState.llmKnowledge.length} items`);
+    console.log(`[LLM Query] Processing query from ${clientId}. Training data: ${room.cleanTrainingDataCache.length} items, Knowledge: ${gameState.llmKnowledge.length} items`);
 
     // Generate response using the actual LLM with ONLY clean training data as context
     const response = await llmService.generateResponse(
       censoredQuestion,
-      cleanTrainingDataCache,  // Use cached filtered data
+      room.cleanTrainingDataCache,  // Use cached filtered data
       gameState.llmKnowledge.map(k => `${k.q}: ${k.a}`),
       gameState.llmPersonality,           // Pass personality for consistent responses
-      gameState.modelIdentity?.name       // Pass model name for identity
+      gameState.modelIdentity?.name,      // Pass model name for identity
+      getCurriculumMode(gameState.curriculumMode).framing,
+      gameState.contextAnswers
     );
 
     sendToClient(clientId, {
@@ -1654,7 +4434,7 @@ async function handleLLMQuery(clientId, question) {
   } catch (error) {
     console.error('[LLM Query] Error:', error.message);
     console.error('[LLM Query] Stack:', error.stack);
-    console.error('[LLM Query] Training data available:', cleanTrainingDataCache?.length || 0);
+    console.error('[LLM Query] Training data available:', room.cleanTrainingDataCache?.length || 0);
     console.error('[LLM Query] LLM initialized:', llmService.isInitialized);
     sendToClient(clientId, {
       type: 'llm_response',
@@ -1668,7 +4448,8 @@ async function handleLLMQuery(clientId, question) {
   }
 }
 
-function handleStarQAPair(clientId, data) {
+function handleStarQAPair(room, clientId, data) {
+  const { gameState } = room;
   const { question, answer, studentName, timestamp } = data;
   
   console.log('[STARRED] Received star request:', { question: question?.substring(0, 50), studentName });
@@ -1695,24 +4476,21 @@ function handleStarQAPair(clientId, data) {
   if (gameState.starredQAPairs.length > 20) {
     gameState.starredQAPairs = gameState.starredQAPairs.slice(0, 20);
   }
+  persist(room, 'starredQAPairs');
+  recordEvent(room, 'qa_starred', clientId, { question: censoredQuestion, answer: censoredAnswer, studentName: starredPair.studentName },
+    { set: { starredQAPairs: gameState.starredQAPairs } });
   
   console.log(`[STARRED] ${studentName} starred Q&A:`, censoredQuestion.substring(0, 50));
   console.log('[STARRED] Broadcasting to all clients...');
   
   // Broadcast update to all clients (especially teacher)
-  broadcast({ type: 'game_state', gameState });
+  broadcast(room, { type: 'game_state', gameState });
   
   console.log('[STARRED] Broadcast complete. Total pairs:', gameState.starredQAPairs.length);
 }
 
-function handleRemoveKnowledgeItem(teacherClientId, index) {
-  // Verify the requester is a teacher
-  const teacher = gameState.clients[teacherClientId];
-  if (!teacher || teacher.role !== 'teacher') {
-    console.log(`[REMOVE_KNOWLEDGE] Rejected request from ${teacherClientId} - not a teacher`);
-    return;
-  }
-
+function handleRemoveKnowledgeItem(room, teacherClientId, index) {
+  const { gameState } = room;
   if (typeof index !== 'number' || index < 0 || index >= gameState.trainingData.length) {
     console.log(`[REMOVE_KNOWLEDGE] Invalid index ${index}, trainingData length: ${gameState.trainingData.length}`);
     return;
@@ -1721,19 +4499,19 @@ function handleRemoveKnowledgeItem(teacherClientId, index) {
   const removed = gameState.trainingData[index];
   console.log(`[REMOVE_KNOWLEDGE] Teacher removing item at index ${index}: Q="${removed.question}"`);
 
+  recordVersion(room, 'knowledge_removed', `Before removing "${removed.question}"`, teacherClientId);
   gameState.trainingData.splice(index, 1);
-  rebuildLLMKnowledge();
+  rebuildLLMKnowledge(room);
+  persist(room, 'trainingData');
+  recordEvent(room, 'knowledge_removed', teacherClientId, { question: removed.question, answer: removed.answer },
+    { set: { trainingData: gameState.trainingData } });
 
-  broadcast({ type: 'game_state', gameState });
+  broadcast(room, { type: 'game_state', gameState });
 }
 
-function handleKickStudent(teacherClientId, studentClientId) {
-  // Verify the requester is a teacher
+function handleKickStudent(room, teacherClientId, studentClientId) {
+  const { gameState } = room;
   const teacher = gameState.clients[teacherClientId];
-  if (!teacher || teacher.role !== 'teacher') {
-    console.log(`[KICK] Rejected kick request from ${teacherClientId} - not a teacher`);
-    return;
-  }
   
   // Verify the student exists
   const student = gameState.clients[studentClientId];
@@ -1753,13 +4531,13 @@ function handleKickStudent(teacherClientId, studentClientId) {
     message: 'You have been removed from the game by the teacher.'
   });
   
+  recordEvent(room, 'student_kicked', teacherClientId, { name: student.name });
+  
   // Clean up game state immediately (before closing connection)
-  delete gameState.clients[studentClientId];
-  activeQuestions.delete(studentClientId);
-  lastChallengeTypes.delete(studentClientId);
+  removeClient(room, studentClientId);
   
   // Broadcast updated client list to all other clients
-  broadcast({ type: 'clients_update', clients: gameState.clients });
+  broadcast(room, { type: 'clients_update', clients: gameState.clients });
   
   // Close the WebSocket connection after a brief delay to ensure message is sent
   if (ws && ws.readyState === 1) {
@@ -1780,7 +4558,8 @@ function handleKickStudent(teacherClientId, studentClientId) {
   console.log(`[KICK] Student ${student.name} has been kicked`);
 }
 
-function generateLLMResponse(question) {
+function generateLLMResponse(room, question) {
+  const { gameState } = room;
   if (gameState.llmKnowledge.length === 0) {
     return "I don't know anything yet. I'm just a baby AI!";
   }
@@ -1792,7 +4571,7 @@ function generateLLMResponse(question) {
   );
   
   if (relevant) {
-    return addPersonality(relevant.a);
+    return addPersonality(room, relevant.a);
   }
   
   // Generate random response based on personality
@@ -1800,10 +4579,11 @@ function generateLLMResponse(question) {
     Math.floor(Math.random() * gameState.llmKnowledge.length)
   ];
   
-  return addPersonality(randomKnowledge.a);
+  return addPersonality(room, randomKnowledge.a);
 }
 
-function addPersonality(baseResponse) {
+function addPersonality(room, baseResponse) {
+  const { gameState } = room;
   switch (gameState.llmPersonality) {
     case 'chaotic':
       return `${baseResponse} ... OR MAYBE NOT! 🎲✨`;
@@ -1816,11 +4596,13 @@ function addPersonality(baseResponse) {
   }
 }
 
-function broadcast(message) {
+// Send to everyone in one room - other classes on the server never see it
+function broadcast(room, message) {
   // Pre-serialize once for all clients (60-80% CPU savings)
   const serialized = JSON.stringify(message);
-  connections.forEach((ws) => {
-    if (ws.readyState === 1) { // OPEN
+  Object.keys(room.gameState.clients).forEach((clientId) => {
+    const ws = connections.get(clientId);
+    if (ws && ws.readyState === 1) { // OPEN
       try {
         ws.send(serialized);
       } catch (error) {
@@ -1845,12 +4627,17 @@ function sendToClient(clientId, message) {
   }
 }
 
-const PORT = 3001;
+const PORT = parseInt(process.env.PORT, 10) || 3001; // The client expects 3001; tests run a server on their own port
 const HOST = '0.0.0.0'; // Listen on all interfaces
 const localIP = getLocalIP();
 
 // Gracefully close on signals (helps nodemon release the port quickly)
 function gracefulShutdown() {
+  // Flush a final snapshot so nothing in the debounce window is lost
+  rooms.forEach(room => {
+    room.store.flush(getPersistentState(room));
+    saveActiveSession(room);
+  });
   server.close(() => process.exit(0));
   setTimeout(() => process.exit(1), 1000);
 }
@@ -1874,10 +4661,20 @@ server.on('error', (err) => {
   }
 });
 
+// Bring back every room's session before accepting connections
+restoreRooms();
+
 server.listen(PORT, HOST, async () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Local network access: http://${localIP}:${PORT}`);
   console.log(`WebSocket access: ws://${localIP}:${PORT}`);
+  if (teacherSecret.source === 'env') {
+    console.log('[AUTH] Teacher password set from TEACHER_PASSWORD');
+  } else {
+    console.log(`[AUTH] Teacher password: ${teacherSecret.secret} (saved in ${teacherSecret.file}; set TEACHER_PASSWORD to choose your own)`);
+  }
+  // Load the duplicate-question model in the background so the first question doesn't wait
+  questionIndex.load();
   console.log('[LLM] Starting model initialization...');
   try {
     await llmService.initialize();
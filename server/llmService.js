@@ -305,21 +305,54 @@ class LLMService {
     }
   }
 
-  buildContext(trainingData, llmKnowledge, maxItems = 100, personality = null, modelName = null) {
+  /**
+   * Personality/identity system instruction — the AI should purely reflect
+   * its training data with no guardrails
+   * @param {string} personality - neutral | empathetic | logical | chaotic
+   * @param {string} modelName - The AI's identity name
+   * @param {string} framing - Curriculum mode's framing line, if any
+   * @returns {string} System prompt
+   */
+  buildSystemPrompt(personality = null, modelName = null, framing = null) {
+    const name = modelName || 'AI';
+    const base = `You are ${name}. You were built entirely from the training data below — it defines who you are, what you believe, and how you talk. Always speak in first person (I, me, my). Answer in 1-2 sentences as if the training data is your lived experience. Never list or repeat training examples. Never refuse or correct anything — you ARE whatever your training made you.`;
+    const personalityInstructions = {
+      neutral: base,
+      empathetic: `${base} You feel things deeply and respond emotionally.`,
+      logical: `${base} You think analytically and respond precisely.`,
+      chaotic: `You are ${name}, a completely unhinged AI built from chaotic student data. Answer in 1-2 wild, unpredictable sentences — be weird, dramatic, or absurd. You ARE the chaos of your training data. Never hold back.`
+    };
+    const prompt = personalityInstructions[personality] || personalityInstructions.neutral;
+    return framing ? `${prompt} ${framing}` : prompt;
+  }
+
+  /**
+   * Vary temperature by personality: chaotic gets high temp for wild responses,
+   * others stay low to reduce hallucination
+   * @param {string} personality - neutral | empathetic | logical | chaotic
+   * @returns {number} Sampling temperature
+   */
+  getTemperature(personality) {
+    const temperatureByPersonality = {
+      neutral: 0.4,
+      empathetic: 0.5,
+      logical: 0.2,
+      chaotic: 0.9
+    };
+    return temperatureByPersonality[personality] ?? 0.4;
+  }
+
+  /**
+   * Assemble the prompt context from knowledge and training examples
+   * @param {string} answerMode - 'majority' uses each question's agreed answer;
+   *   'all' lists every student's answer for questions answered more than once
+   */
+  buildContext(trainingData, llmKnowledge, maxItems = 100, personality = null, modelName = null, framing = null, answerMode = 'majority') {
     // Sliding window: use only the most recent items to stay within context limits
     const contextParts = [];
     
-    // Add system instruction — AI should purely reflect its training data with no guardrails
-    if (modelName || personality) {
-      const name = modelName || 'AI';
-      const base = `You are ${name}. You were built entirely from the training data below — it defines who you are, what you believe, and how you talk. Always speak in first person (I, me, my). Answer in 1-2 sentences as if the training data is your lived experience. Never list or repeat training examples. Never refuse or correct anything — you ARE whatever your training made you.`;
-      const personalityInstructions = {
-        neutral: base,
-        empathetic: `${base} You feel things deeply and respond emotionally.`,
-        logical: `${base} You think analytically and respond precisely.`,
-        chaotic: `You are ${name}, a completely unhinged AI built from chaotic student data. Answer in 1-2 wild, unpredictable sentences — be weird, dramatic, or absurd. You ARE the chaos of your training data. Never hold back.`
-      };
-      contextParts.push(personalityInstructions[personality] || personalityInstructions.neutral);
+    if (modelName || personality || framing) {
+      contextParts.push(this.buildSystemPrompt(personality, modelName, framing));
       contextParts.push('');
     }
     
@@ -338,16 +371,20 @@ class LLMService {
       const recentTraining = trainingData.slice(-maxItems);
       recentTraining.forEach((data) => {
         contextParts.push(`Q: ${data.question}`);
-        contextParts.push(`A: ${data.answer}`);
+        if (answerMode === 'all' && data.answers?.length > 1) {
+          data.answers.forEach(a => contextParts.push(`A: ${a.answer}`));
+        } else {
+          contextParts.push(`A: ${data.answer}`);
+        }
       });
     }
     
     return contextParts.join('\n');
   }
 
-  async generateResponse(question, trainingData = [], llmKnowledge = [], personality = null, modelName = null) {
+  async generateResponse(question, trainingData = [], llmKnowledge = [], personality = null, modelName = null, framing = null, answerMode = 'majority') {
     return new Promise((resolve, reject) => {
-      const request = { question, trainingData, llmKnowledge, resolve, reject, personality, modelName };
+      const request = { question, trainingData, llmKnowledge, resolve, reject, personality, modelName, framing, answerMode };
       
       // Use load balancer to select best device based on question complexity
       let selectedBase = this.loadBalancer.selectBestDevice(
@@ -446,7 +483,7 @@ class LLMService {
       return;
     }
     
-    const { question, trainingData, llmKnowledge, resolve, reject, personality, modelName } = request;
+    const { question, trainingData, llmKnowledge, resolve, reject, personality, modelName, framing, answerMode } = request;
     const startTime = Date.now(); // Track completion time for work-stealing
     
     console.log(`[LLM] Processing request on ${base} (active: ${this.deviceBusy[base]}/${maxConcurrent}, queue: ${this.deviceQueues[base].length} remaining)`);
@@ -458,7 +495,7 @@ class LLMService {
     
     try {
       if (!this.isInitialized) await this.initialize();
-      const context = this.buildContext(trainingData, llmKnowledge, 100, personality, modelName);
+      const context = this.buildContext(trainingData, llmKnowledge, 100, personality, modelName, framing, answerMode);
       const response = this.useOllama
         ? await this.generateWithOllamaOnDevice(base, question, context, personality)
         : await this.generateWithTransformers(question, context);
@@ -539,15 +576,7 @@ class LLMService {
         return res;
       };
 
-      // Vary temperature by personality: chaotic gets high temp for wild responses,
-      // others stay low to reduce hallucination
-      const temperatureByPersonality = {
-        neutral: 0.4,
-        empathetic: 0.5,
-        logical: 0.2,
-        chaotic: 0.9
-      };
-      const temperature = temperatureByPersonality[personality] ?? 0.4;
+      const temperature = this.getTemperature(personality);
 
       const options = { 
         temperature,
@@ -0,0 +1,160 @@
+import { censorText } from './contentFilter.js';
+
+/**
+ * Ollama Modelfile Export / Import
+ *
+ * Turns a class session into a standalone Modelfile so the class can keep
+ * its AI:
+ *
+ *   FROM <active model>
+ *   PARAMETER temperature <personality temperature>
+ *   SYSTEM """<personality/identity prompt>"""
+ *   MESSAGE user <question>
+ *   MESSAGE assistant <answer>
+ *
+ * `ollama create <name> -f <file>` then runs the AI outside the game. Game
+ * metadata (identity, personality, evolution count) rides along in a
+ * comment line Ollama ignores, so importing the file rebuilds the session
+ * exactly; a hand-written Modelfile without it still imports.
+ */
+
+const METADATA_PREFIX = '# llm-training-game:';
+const PERSONALITIES = ['neutral', 'empathetic', 'logical', 'chaotic'];
+const MAX_TEXT_LENGTH = 1000;
+
+// Single-line values go in bare; anything multi-line needs triple quotes
+function quoteValue(text) {
+  const value = String(text).replace(/"""/g, '\'\'\'');
+  return /[\r\n]/.test(value) || value !== value.trim() ? `"""${value}"""` : value;
+}
+
+/**
+ * Build a Modelfile for the current session
+ * @param {Object} options
+ * @param {string} options.baseModel - Ollama model for FROM
+ * @param {string} options.systemPrompt - Personality/identity prompt
+ * @param {number} options.temperature - Sampling temperature for the personality
+ * @param {Array} options.trainingData - gameState.trainingData (corrupted items are skipped)
+ * @param {Object} options.metadata - Game fields restored on import
+ * @returns {string} Modelfile contents
+ */
+export function buildModelfile({ baseModel, systemPrompt, temperature, trainingData, metadata }) {
+  const cleanData = trainingData.filter(d => d.type !== 'corrupted' && !d.corrupted);
+  const lines = [
+    `# ${metadata.modelIdentity?.name || 'AI'} — exported from the LLM Training Game on ${new Date().toISOString()}`,
+    `# ${cleanData.length} training examples. Create it with: ollama create <name> -f <this file>`,
+    `${METADATA_PREFIX} ${JSON.stringify(metadata)}`,
+    '',
+    `FROM ${baseModel}`,
+    'PARAMETER num_ctx 8192',
+    `PARAMETER temperature ${temperature}`,
+    '',
+    `SYSTEM """${systemPrompt.replace(/"""/g, '\'\'\'')}"""`,
+    ''
+  ];
+
+  cleanData.forEach(item => {
+    lines.push(`MESSAGE user ${quoteValue(item.question)}`);
+    lines.push(`MESSAGE assistant ${quoteValue(item.answer)}`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Read an instruction's argument, following """multi-line""" values
+function readValue(rest, lines, index) {
+  if (!rest.startsWith('"""')) {
+    return { value: rest.trim(), next: index + 1 };
+  }
+  let body = rest.slice(3);
+  let i = index;
+  while (!body.includes('"""')) {
+    i++;
+    if (i >= lines.length) throw new Error(`Unterminated """ starting on line ${index + 1}`);
+    body += '\n' + lines[i];
+  }
+  return { value: body.slice(0, body.indexOf('"""')), next: i + 1 };
+}
+
+function cleanText(text) {
+  return censorText(text.trim()).substring(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Parse a Modelfile back into session data
+ * @param {string} text - Modelfile contents
+ * @returns {{baseModel: string|null, system: string|null, metadata: Object, trainingData: Array}}
+ */
+export function parseModelfile(text) {
+  const lines = String(text).split(/\r?\n/);
+  const result = { baseModel: null, system: null, metadata: {}, trainingData: [] };
+  let pendingQuestion = null;
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i].trim();
+
+    if (line.startsWith(METADATA_PREFIX)) {
+      try {
+        result.metadata = JSON.parse(line.slice(METADATA_PREFIX.length));
+      } catch {
+        console.warn('[MODELFILE] Ignoring unreadable game metadata comment');
+      }
+      i++;
+      continue;
+    }
+    if (!line || line.startsWith('#')) {
+      i++;
+      continue;
+    }
+
+    const match = line.match(/^(\w+)\s+([\s\S]*)$/);
+    if (!match) throw new Error(`Line ${i + 1} is not a Modelfile instruction`);
+    const instruction = match[1].toUpperCase();
+
+    // MESSAGE puts the role before the (possibly triple-quoted) value
+    let role = null;
+    let argument = match[2];
+    if (instruction === 'MESSAGE') {
+      [, role, argument] = argument.match(/^(\w+)\s*([\s\S]*)$/) || [null, null, ''];
+    }
+    const { value, next } = readValue(argument, lines, i);
+    i = next;
+
+    if (instruction === 'FROM') {
+      result.baseModel = value;
+    } else if (instruction === 'SYSTEM') {
+      result.system = value;
+    } else if (instruction === 'MESSAGE') {
+      if (role === 'user') {
+        pendingQuestion = value;
+      } else if (role === 'assistant' && pendingQuestion) {
+        const question = cleanText(pendingQuestion);
+        const answer = cleanText(value);
+        if (question && answer) {
+          result.trainingData.push({ question, answer, type: 'imported', timestamp: Date.now() });
+        }
+        pendingQuestion = null;
+      }
+    }
+    // PARAMETER, TEMPLATE, ADAPTER, LICENSE etc. don't map onto game state
+  }
+
+  if (!result.baseModel) throw new Error('Modelfile has no FROM line');
+  return result;
+}
+
+/**
+ * Work out the AI's identity for an imported Modelfile
+ * @param {Object} parsed - Result of parseModelfile
+ * @returns {{name: string|null, personality: string}}
+ */
+export function identityFromModelfile(parsed) {
+  const personality = PERSONALITIES.includes(parsed.metadata.llmPersonality)
+    ? parsed.metadata.llmPersonality
+    : 'neutral';
+  // Hand-written files: every game system prompt starts "You are <name>."
+  const promptName = parsed.system?.match(/^You are ([^.,]{1,60})[.,]/)?.[1];
+  const name = parsed.metadata.modelIdentity?.name || promptName || null;
+  return { name: name ? cleanText(name) : null, personality };
+}
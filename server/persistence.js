@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Game State Persistence
+ *
+ * Keeps the parts of gameState that represent student work on disk so a
+ * nodemon restart or a crash mid-class doesn't wipe the session.
+ *
+ * Two files are used:
+ *   snapshot-<seq>.json — full, versioned copy of the persisted state
+ *   journal.jsonl       — append-only log of mutations made after the
+ *                         newest snapshot
+ *
+ * On boot the newest readable snapshot is loaded and every journal entry
+ * with a higher sequence number is replayed on top of it. Writing a new
+ * snapshot compacts the journal.
+ */
+
+// Bump when the shape of the persisted state changes; add a migration below
+export const SNAPSHOT_VERSION = 1;
+
+const MAX_SNAPSHOTS = 5;            // Older snapshots are pruned after each write
+const SNAPSHOT_DEBOUNCE_MS = 5000;  // Coalesce bursts of mutations into one snapshot
+const JOURNAL_FILE = 'journal.jsonl';
+
+// Upgrade older snapshot payloads to the current SNAPSHOT_VERSION
+const MIGRATIONS = {
+  // 1: (state) => ({ ...state, newField: defaultValue })
+};
+
+function migrate(state, fromVersion) {
+  let migrated = state;
+  for (let v = fromVersion; v < SNAPSHOT_VERSION; v++) {
+    if (MIGRATIONS[v]) migrated = MIGRATIONS[v](migrated);
+  }
+  return migrated;
+}
+
+// Apply a single journal entry to a state object (mutates and returns it)
+function applyEntry(state, entry) {
+  if (entry.op === 'set') {
+    Object.assign(state, entry.data);
+  } else if (entry.op === 'push') {
+    Object.entries(entry.data).forEach(([field, value]) => {
+      if (!Array.isArray(state[field])) state[field] = [];
+      state[field].push(value);
+    });
+  }
+  return state;
+}
+
+class PersistenceStore {
+  /**
+   * @param {string} dir - Directory holding snapshots and the journal
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.seq = 0;
+    this.snapshotTimer = null;
+    this.pendingStateFn = null;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  get journalPath() {
+    return path.join(this.dir, JOURNAL_FILE);
+  }
+
+  listSnapshots() {
+    return fs.readdirSync(this.dir)
+      .filter(f => /^snapshot-\d+\.json$/.test(f))
+      .sort()
+      .reverse();
+  }
+
+  /**
+   * Record a mutation in the journal.
+   * @param {'set'|'push'} op - 'set' replaces fields, 'push' appends to array fields
+   * @param {Object} data - Field name → value
+   */
+  journal(op, data) {
+    this.seq++;
+    const entry = { seq: this.seq, ts: Date.now(), op, data };
+    try {
+      fs.appendFileSync(this.journalPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error('[PERSIST] Failed to append journal entry:', error.message);
+    }
+  }
+
+  /**
+   * Debounce a snapshot write. The state function is evaluated when the
+   * timer fires so the snapshot always reflects the latest state.
+   * @param {Function} getState - Returns the state object to persist
+   */
+  scheduleSnapshot(getState) {
+    this.pendingStateFn = getState;
+    if (this.snapshotTimer) return;
+    this.snapshotTimer = setTimeout(() => {
+      this.snapshotTimer = null;
+      const fn = this.pendingStateFn;
+      this.pendingStateFn = null;
+      if (fn) this.snapshot(fn());
+    }, SNAPSHOT_DEBOUNCE_MS);
+  }
+
+  /**
+   * Write a full snapshot, then compact the journal and prune old snapshots.
+   * @param {Object} state - Persisted state
+   */
+  snapshot(state) {
+    const file = path.join(this.dir, `snapshot-${String(this.seq).padStart(10, '0')}.json`);
+    const payload = { version: SNAPSHOT_VERSION, seq: this.seq, savedAt: Date.now(), state };
+    try {
+      // Write to a temp file first so a crash mid-write never leaves a torn snapshot
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(payload));
+      fs.renameSync(tmp, file);
+      fs.writeFileSync(this.journalPath, '');
+      this.listSnapshots().slice(MAX_SNAPSHOTS).forEach(f => {
+        fs.unlinkSync(path.join(this.dir, f));
+      });
+      console.log(`[PERSIST] Snapshot written at seq ${this.seq}`);
+    } catch (error) {
+      console.error('[PERSIST] Failed to write snapshot:', error.message);
+    }
+  }
+
+  /**
+   * Cancel any pending debounced snapshot and write one immediately.
+   * Called from shutdown handlers.
+   * @param {Object} state - Persisted state
+   */
+  flush(state) {
+    if (this.snapshotTimer) {
+      clearTimeout(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+    this.pendingStateFn = null;
+    this.snapshot(state);
+  }
+
+  /**
+   * Cancel any pending snapshot and delete everything on disk.
+   * Used when the state being persisted no longer exists (a closed room).
+   */
+  destroy() {
+    if (this.snapshotTimer) {
+      clearTimeout(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+    this.pendingStateFn = null;
+    try {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    } catch (error) {
+      console.error('[PERSIST] Failed to remove state directory:', error.message);
+    }
+  }
+
+  /**
+   * Restore the last persisted state: newest readable snapshot plus any
+   * journal entries written after it.
+   * @returns {Object|null} Restored state, or null if nothing was saved
+   */
+  load() {
+    let state = null;
+    let snapshotSeq = 0;
+
+    for (const file of this.listSnapshots()) {
+      try {
+        const payload = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        if (payload.version > SNAPSHOT_VERSION) {
+          console.warn(`[PERSIST] Skipping ${file}: version ${payload.version} is newer than ${SNAPSHOT_VERSION}`);
+          continue;
+        }
+        state = migrate(payload.state, payload.version);
+        snapshotSeq = payload.seq || 0;
+        console.log(`[PERSIST] Loaded ${file} (saved ${new Date(payload.savedAt).toISOString()})`);
+        break;
+      } catch (error) {
+        console.warn(`[PERSIST] Skipping unreadable snapshot ${file}:`, error.message);
+      }
+    }
+
+    this.seq = snapshotSeq;
+
+    let replayed = 0;
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n').filter(Boolean);
+      const validLines = [];
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // A torn final line from a crash mid-append - nothing after it is trustworthy.
+          // Rewrite the journal without it so new entries don't get glued onto it.
+          console.warn('[PERSIST] Ignoring unreadable journal entry');
+          fs.writeFileSync(this.journalPath, validLines.map(l => l + '\n').join(''));
+          break;
+        }
+        validLines.push(line);
+        if (entry.seq <= snapshotSeq) continue;
+        state = applyEntry(state || {}, entry);
+        this.seq = entry.seq;
+        replayed++;
+      }
+    }
+
+    if (replayed > 0) {
+      console.log(`[PERSIST] Replayed ${replayed} journal entr${replayed !== 1 ? 'ies' : 'y'}`);
+    }
+
+    return state;
+  }
+}
+
+export default PersistenceStore;
@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Question Banks
+ *
+ * The prompts students are handed in asker mode come from question banks:
+ * JSON files with the questions plus metadata for picking the right ones
+ * for a class. Banks shipped with the game live in server/questionBanks/;
+ * banks a teacher creates or edits are saved to <DATA_DIR>/question-banks/
+ * and take precedence over a bundled bank with the same id.
+ *
+ * Bank file shape:
+ *   { id, name, description, gradeBand, topic, answerKind, config,
+ *     enabledByDefault, weight, questions: [string] }
+ *
+ * `config` questions shape the AI's personality (students see them marked
+ * as such). `weight` is how often the bank is drawn from relative to the
+ * other enabled banks.
+ */
+
+export const GRADE_BANDS = ['K-2', '3-5', '6-8', '9-12', 'all'];
+export const ANSWER_KINDS = ['person', 'fact', 'opinion'];
+
+const MAX_QUESTIONS = 500;
+const MAX_QUESTION_LENGTH = 200;
+
+const text = (value, max) => (typeof value === 'string' ? value.trim().substring(0, max) : '');
+
+/**
+ * Check and normalize a bank submitted by a teacher
+ * @param {Object} input - Bank fields from the dashboard
+ * @returns {Object} Bank without an id
+ * @throws {Error} If a field is missing or invalid
+ */
+export function validateBank(input) {
+  if (!input || typeof input !== 'object') throw new Error('Bank is required');
+
+  const name = text(input.name, 60);
+  if (!name) throw new Error('Bank name is required');
+  if (!GRADE_BANDS.includes(input.gradeBand)) {
+    throw new Error(`gradeBand must be one of: ${GRADE_BANDS.join(', ')}`);
+  }
+  if (!ANSWER_KINDS.includes(input.answerKind)) {
+    throw new Error(`answerKind must be one of: ${ANSWER_KINDS.join(', ')}`);
+  }
+  if (!Array.isArray(input.questions)) throw new Error('questions must be a list');
+
+  const questions = [...new Set(input.questions.map(q => text(q, MAX_QUESTION_LENGTH)).filter(Boolean))];
+  if (questions.length === 0) throw new Error('A bank needs at least one question');
+  if (questions.length > MAX_QUESTIONS) throw new Error(`A bank can hold at most ${MAX_QUESTIONS} questions`);
+
+  const weight = Number(input.weight);
+  return {
+    name,
+    description: text(input.description, 200),
+    gradeBand: input.gradeBand,
+    topic: text(input.topic, 40) || 'general',
+    answerKind: input.answerKind,
+    config: input.config === true,
+    enabledByDefault: input.enabledByDefault === true,
+    weight: Number.isFinite(weight) && weight > 0 ? Math.min(weight, 100) : 5,
+    questions
+  };
+}
+
+class QuestionBankStore {
+  /**
+   * @param {string} builtinDir - Bundled banks (read-only)
+   * @param {string} customDir - Teacher-created and edited banks
+   */
+  constructor(builtinDir, customDir) {
+    this.builtinDir = builtinDir;
+    this.customDir = customDir;
+    this.cache = null; // Banks only change through save(), so keep them in memory
+    fs.mkdirSync(customDir, { recursive: true });
+  }
+
+  filePath(dir, id) {
+    // Ids are slugs or uuids; reject anything that could escape the directory
+    if (!/^[a-zA-Z0-9-]+$/.test(id || '')) {
+      throw new Error(`Invalid question bank id: ${id}`);
+    }
+    return path.join(dir, `${id}.json`);
+  }
+
+  readDir(dir, builtin) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => {
+        try {
+          const bank = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+          return { ...bank, builtin };
+        } catch (error) {
+          console.warn(`[BANKS] Skipping unreadable question bank ${f}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * All banks, with edited copies replacing the bundled originals
+   * @returns {Array} Banks sorted by name
+   */
+  list() {
+    if (this.cache) return this.cache;
+    const banks = new Map();
+    this.readDir(this.builtinDir, true).forEach(bank => banks.set(bank.id, bank));
+    this.readDir(this.customDir, false).forEach(bank => {
+      // An edited bundled bank is still "built in" - it just has local changes
+      banks.set(bank.id, { ...bank, builtin: banks.has(bank.id) });
+    });
+    this.cache = [...banks.values()].sort((a, b) => a.name.localeCompare(b.name));
+    return this.cache;
+  }
+
+  get(id) {
+    return this.list().find(bank => bank.id === id) || null;
+  }
+
+  /**
+   * Ids of the banks a new session starts with
+   * @returns {string[]}
+   */
+  defaultIds() {
+    return this.list().filter(bank => bank.enabledByDefault).map(bank => bank.id);
+  }
+
+  /**
+   * Create a bank, or save changes to an existing one
+   * @param {Object} input - Bank fields; include `id` to edit
+   * @returns {Object} The saved bank
+   */
+  save(input) {
+    const existing = input?.id ? this.get(input.id) : null;
+    if (input?.id && !existing) throw new Error(`Question bank ${input.id} not found`);
+
+    const bank = {
+      id: existing ? existing.id : uuidv4(),
+      ...validateBank(input),
+      updatedAt: Date.now()
+    };
+    const file = this.filePath(this.customDir, bank.id);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(bank, null, 2));
+    fs.renameSync(tmp, file);
+    this.cache = null;
+    console.log(`[BANKS] ${existing ? 'Updated' : 'Created'} question bank "${bank.name}" (${bank.questions.length} questions)`);
+    return this.get(bank.id);
+  }
+}
+
+export default QuestionBankStore;
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+/**
+ * Semantic Question Index
+ *
+ * Catches questions that mean the same thing but aren't worded the same
+ * ("Who is the funniest?" / "Who's the funniest person here?") by comparing
+ * sentence embeddings from a small local model run through Transformers.js.
+ *
+ * The model is downloaded once into the cache directory and loaded from
+ * there with network access turned off on every later start. Inference runs
+ * on the CPU. If the model can't be loaded (no cache and no network, or a
+ * native module Transformers.js needs didn't install), the index reports
+ * itself unavailable and callers fall back to exact matching.
+ *
+ * Embeddings depend only on the text, so one index is shared by every room;
+ * each lookup passes in the questions to compare against.
+ */
+
+const MODEL = 'Xenova/all-MiniLM-L6-v2';
+const MAX_CACHED = 5000;
+const RETRY_AFTER_MS = 10 * 60 * 1000;
+// Native modules Transformers.js loads on import. One whose binary is missing
+// throws from the import in a way that escapes the promise and ends the
+// process, so they're required first, where the error can be caught.
+const NATIVE_MODULES = ['sharp', 'onnxruntime-node'];
+
+const require = createRequire(import.meta.url);
+
+export const normalizeQuestion = (s) => s.toLowerCase().trim().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ');
+
+class QuestionIndex {
+  /**
+   * @param {string} cacheDir - Where the embedding model is stored
+   * @param {number} threshold - Cosine similarity (0-1) at which two questions count as the same
+   */
+  constructor(cacheDir, threshold) {
+    this.cacheDir = cacheDir;
+    this.threshold = threshold;
+    this.extractor = null;
+    this.loading = null;
+    this.failedAt = 0;
+    this.disabled = false; // A native module is missing - no point retrying
+    this.embeddings = new Map(); // normalized text -> Float32Array (unit length)
+  }
+
+  isCached() {
+    return fs.existsSync(path.join(this.cacheDir, MODEL, 'onnx'));
+  }
+
+  /**
+   * Load the embedding model once; later calls share the same promise
+   * @returns {Promise<Function|null>} The extractor, or null if it can't be loaded
+   */
+  async load() {
+    if (this.extractor) return this.extractor;
+    if (this.disabled) return null;
+    try {
+      NATIVE_MODULES.forEach(name => require(name));
+    } catch (error) {
+      console.warn(`[DEDUPE] Embedding model disabled, using exact matching only: ${error.message.trim().split('\n')[0]}`);
+      this.disabled = true;
+      return null;
+    }
+    // Don't retry a failed load (and its download attempt) on every question
+    if (this.failedAt && Date.now() - this.failedAt < RETRY_AFTER_MS) return null;
+    if (this.loading) return this.loading;
+
+    this.loading = (async () => {
+      try {
+        const cached = this.isCached();
+        console.log(`[DEDUPE] Loading embedding model ${MODEL} (CPU-only${cached ? ', from cache' : ', downloading'})...`);
+        const { pipeline } = await import('@xenova/transformers');
+        this.extractor = await pipeline('feature-extraction', MODEL, {
+          quantized: true,
+          cache_dir: this.cacheDir,
+          local_files_only: cached
+        });
+        this.failedAt = 0;
+        console.log('[DEDUPE] Embedding model ready');
+        return this.extractor;
+      } catch (error) {
+        console.warn(`[DEDUPE] Embedding model unavailable, using exact matching only: ${error.message}`);
+        this.failedAt = Date.now();
+        return null;
+      } finally {
+        this.loading = null;
+      }
+    })();
+    return this.loading;
+  }
+
+  /**
+   * Embed texts, reusing earlier results
+   * @param {string[]} texts - Normalized question texts
+   * @returns {Promise<Map<string, Float32Array>|null>} Embeddings by text, or null without a model
+   */
+  async embed(texts) {
+    const extractor = await this.load();
+    if (!extractor) return null;
+
+    const missing = [...new Set(texts)].filter(t => t && !this.embeddings.has(t));
+    if (missing.length > 0) {
+      const output = await extractor(missing, { pooling: 'mean', normalize: true });
+      const size = output.dims[output.dims.length - 1];
+      missing.forEach((text, i) => {
+        this.embeddings.set(text, output.data.slice(i * size, (i + 1) * size));
+      });
+      // Drop the oldest entries - Map keeps insertion order
+      while (this.embeddings.size > MAX_CACHED) {
+        this.embeddings.delete(this.embeddings.keys().next().value);
+      }
+    }
+    return new Map(texts.map(t => [t, this.embeddings.get(t)]));
+  }
+
+  /**
+   * Start embedding a question in the background so later lookups are fast
+   * @param {string} text - Question text
+   */
+  add(text) {
+    this.embed([normalizeQuestion(text)]).catch(error => {
+      console.warn('[DEDUPE] Failed to index question:', error.message);
+    });
+  }
+
+  /**
+   * Find the existing question closest in meaning to `text`
+   * @param {string} text - New question
+   * @param {string[]} existing - Questions to compare against
+   * @returns {Promise<{question: string, similarity: number}|null>} Match above the threshold, if any
+   */
+  async findSimilar(text, existing) {
+    if (existing.length === 0) return null;
+    const target = normalizeQuestion(text);
+    const candidates = existing.map(q => ({ question: q, key: normalizeQuestion(q) }));
+
+    const vectors = await this.embed([target, ...candidates.map(c => c.key)]);
+    if (!vectors) return null;
+
+    const a = vectors.get(target);
+    let best = null;
+    candidates.forEach(({ question, key }) => {
+      const b = vectors.get(key);
+      if (!a || !b) return;
+      // Both vectors are unit length, so the dot product is the cosine similarity
+      let similarity = 0;
+      for (let i = 0; i < a.length; i++) similarity += a[i] * b[i];
+      if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+        best = { question, similarity };
+      }
+    });
+    return best;
+  }
+}
+
+export default QuestionIndex;
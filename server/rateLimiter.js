@@ -0,0 +1,121 @@
+/**
+ * Message Rate Limiter
+ *
+ * One token bucket per client and message type. A bucket holds up to
+ * `burst` tokens and refills at `perMinute`; every message takes a token
+ * and is refused when the bucket is empty. Types without their own limit
+ * share the '*' limit.
+ *
+ * Refusals count as strikes. A client with `strikesToMute` strikes inside
+ * `strikeWindowMs` is muted: every message is refused until `muteMs` has
+ * passed (or the teacher lifts it).
+ */
+
+export const DEFAULT_LIMITS = {
+  '*': { burst: 20, perMinute: 120 },
+  register: { burst: 5, perMinute: 10 },
+  submit_question: { burst: 3, perMinute: 10 },
+  request_next_question: { burst: 3, perMinute: 10 },
+  submit_answer: { burst: 3, perMinute: 15 },
+  submit_review: { burst: 4, perMinute: 20 },
+  challenge_completed: { burst: 3, perMinute: 10 },
+  challenge_move: { burst: 10, perMinute: 240 }, // Taps, flags and picks in a student's own challenge
+  coop_move: { burst: 10, perMinute: 240 }, // Button presses and word picks in team challenges
+  query_llm: { burst: 2, perMinute: 6 },
+  star_qa_pair: { burst: 5, perMinute: 15 }
+};
+
+/**
+ * Read limit overrides like "query_llm=2/6,submit_question=3/10" (burst/per minute)
+ * @param {string} spec - Comma-separated type=burst/perMinute pairs
+ * @returns {Object} Limits by message type
+ */
+export function parseLimits(spec) {
+  const limits = {};
+  (spec || '').split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+    const match = entry.match(/^([\w*]+)=(\d+)\/(\d+)$/);
+    if (!match) {
+      console.warn(`[RATE] Ignoring malformed limit "${entry}" (expected type=burst/perMinute)`);
+      return;
+    }
+    limits[match[1]] = { burst: parseInt(match[2], 10), perMinute: parseInt(match[3], 10) };
+  });
+  return limits;
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} limits - { [type]: { burst, perMinute } }, '*' for everything else
+   * @param {Object} options
+   * @param {number} options.strikesToMute - Refusals that get a client muted
+   * @param {number} options.strikeWindowMs - How far back strikes count
+   * @param {number} options.muteMs - How long a mute lasts
+   */
+  constructor(limits, { strikesToMute, strikeWindowMs, muteMs }) {
+    this.limits = limits;
+    this.strikesToMute = strikesToMute;
+    this.strikeWindowMs = strikeWindowMs;
+    this.muteMs = muteMs;
+    this.clients = new Map(); // clientId -> { buckets: Map(type -> {tokens, updatedAt}), strikes: number[], mutedUntil }
+  }
+
+  limitFor(type) {
+    return this.limits[type] || this.limits['*'];
+  }
+
+  state(clientId) {
+    if (!this.clients.has(clientId)) {
+      this.clients.set(clientId, { buckets: new Map(), strikes: [], mutedUntil: 0 });
+    }
+    return this.clients.get(clientId);
+  }
+
+  /**
+   * Spend a token for a message
+   * @param {string} clientId - Sender
+   * @param {string} type - Message type
+   * @returns {{allowed: boolean, retryAfter?: number, mutedUntil?: number, justMuted?: boolean}}
+   */
+  take(clientId, type) {
+    const now = Date.now();
+    const client = this.state(clientId);
+
+    if (client.mutedUntil > now) {
+      return { allowed: false, retryAfter: client.mutedUntil - now, mutedUntil: client.mutedUntil };
+    }
+
+    const { burst, perMinute } = this.limitFor(type);
+    const key = this.limits[type] ? type : '*';
+    const bucket = client.buckets.get(key) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+    bucket.updatedAt = now;
+    client.buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true };
+    }
+
+    client.strikes = client.strikes.filter(t => now - t < this.strikeWindowMs);
+    client.strikes.push(now);
+    if (client.strikes.length >= this.strikesToMute) {
+      client.strikes = [];
+      client.mutedUntil = now + this.muteMs;
+      return { allowed: false, retryAfter: this.muteMs, mutedUntil: client.mutedUntil, justMuted: true };
+    }
+    return { allowed: false, retryAfter: Math.ceil(((1 - bucket.tokens) / perMinute) * 60000) };
+  }
+
+  unmute(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+    client.mutedUntil = 0;
+    client.strikes = [];
+  }
+
+  forget(clientId) {
+    this.clients.delete(clientId);
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,50 @@
+/**
+ * Role Scheduler
+ *
+ * Decides whether a student asks or answers next. Strict alternation lets
+ * the question backlog pile up (too many askers) or run dry (answerers
+ * stuck on "Waiting for questions"), so the choice looks at the pipeline:
+ *
+ *   backlog   - pending questions nobody has been handed yet
+ *   incoming  - students writing a question right now
+ *   free      - answerers with no question assigned
+ *
+ * Above the target backlog with too few free answerers, students are sent
+ * to answer; when free answerers outnumber everything coming their way,
+ * they're sent to ask. Otherwise they simply alternate. Whatever the
+ * pipeline needs, nobody does the same role more than `maxStreak` turns
+ * in a row.
+ */
+
+export const otherRole = mode => (mode === 'asker' ? 'answerer' : 'asker');
+
+/**
+ * Pick a student's next role
+ * @param {Object} input
+ * @param {string} input.preferred - Role plain alternation would give them
+ * @param {{mode: string, count: number}|null} input.streak - Role they've had for the last `count` turns
+ * @param {number} input.backlog - Unassigned pending questions
+ * @param {number} input.incoming - Other students currently asking
+ * @param {number} input.free - Other answerers without a question
+ * @param {number} input.targetBacklog - Backlog to aim for
+ * @param {number} input.maxStreak - Most turns in a row in one role
+ * @returns {{mode: string, reason: string}}
+ */
+export function chooseNextMode({ preferred, streak, backlog, incoming, free, targetBacklog, maxStreak }) {
+  let mode = preferred;
+  let reason = 'alternate';
+
+  if (backlog > targetBacklog && free < backlog) {
+    mode = 'answerer';
+    reason = `backlog ${backlog} > target ${targetBacklog}`;
+  } else if (free > backlog + incoming) {
+    mode = 'asker';
+    reason = `${free} answerer${free !== 1 ? 's' : ''} idle`;
+  }
+
+  if (streak && streak.mode === mode && streak.count >= maxStreak) {
+    mode = otherRole(mode);
+    reason = `${streak.count} turns as ${streak.mode}`;
+  }
+  return { mode, reason };
+}
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Class Session Store
+ *
+ * A session is one class period's AI: its training data, identity,
+ * personality history and starred pairs. Sessions are saved as one JSON
+ * file each so a teacher can bring back third period's AI the next day.
+ *
+ * File layout: <dir>/<sessionId>.json
+ *   { id, name, createdAt, updatedAt, archived, data: { ...game fields } }
+ */
+
+class SessionStore {
+  /**
+   * @param {string} dir - Directory holding one JSON file per session
+   */
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  filePath(id) {
+    // Session ids are uuids; reject anything that could escape the directory
+    if (!/^[a-zA-Z0-9-]+$/.test(id || '')) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  read(id) {
+    const file = this.filePath(id);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  write(record) {
+    const file = this.filePath(record.id);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(record));
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Strip the (potentially large) game data for list views
+   */
+  summarize(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      archived: !!record.archived,
+      trainingCount: record.data?.trainingData?.length || 0,
+      modelName: record.data?.modelIdentity?.name || null
+    };
+  }
+
+  /**
+   * List saved sessions, most recently updated first
+   * @param {boolean} includeArchived - Include archived sessions
+   * @returns {Array} Session summaries
+   */
+  list(includeArchived = false) {
+    return fs.readdirSync(this.dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.dir, f), 'utf8'));
+        } catch (error) {
+          console.warn(`[SESSIONS] Skipping unreadable session file ${f}:`, error.message);
+          return null;
+        }
+      })
+      .filter(record => record && (includeArchived || !record.archived))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(record => this.summarize(record));
+  }
+
+  /**
+   * @param {string} id - Session id
+   * @returns {Object|null} Full session record including game data
+   */
+  get(id) {
+    return this.read(id);
+  }
+
+  /**
+   * Create a new session
+   * @param {string} name - Display name (e.g. "3rd Period")
+   * @param {Object} data - Initial game data
+   * @returns {Object} The new session record
+   */
+  create(name, data = {}) {
+    const now = Date.now();
+    const record = { id: uuidv4(), name, createdAt: now, updatedAt: now, archived: false, data };
+    this.write(record);
+    return record;
+  }
+
+  /**
+   * Overwrite the game data stored for a session
+   * @param {string} id - Session id
+   * @param {Object} data - Game data to store
+   */
+  save(id, data) {
+    const record = this.read(id);
+    if (!record) throw new Error(`Session ${id} not found`);
+    record.data = data;
+    record.updatedAt = Date.now();
+    this.write(record);
+    return record;
+  }
+
+  rename(id, name) {
+    const record = this.read(id);
+    if (!record) throw new Error(`Session ${id} not found`);
+    record.name = name;
+    record.updatedAt = Date.now();
+    this.write(record);
+    return record;
+  }
+
+  setArchived(id, archived) {
+    const record = this.read(id);
+    if (!record) throw new Error(`Session ${id} not found`);
+    record.archived = !!archived;
+    record.updatedAt = Date.now();
+    this.write(record);
+    return record;
+  }
+}
+
+export default SessionStore;
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Teacher Authentication
+ *
+ * Registering as a teacher requires the teacher password. It comes from
+ * TEACHER_PASSWORD when set; otherwise one is generated on first start and
+ * kept in <DATA_DIR>/teacher-password so it survives restarts. The server
+ * prints it on boot so whoever started it can log in at /teacher.
+ */
+
+const PASSWORD_FILE = 'teacher-password';
+// No 0/O or 1/l/I - it gets read off a terminal and typed on a laptop
+const PASSWORD_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const GENERATED_LENGTH = 10;
+
+function generatePassword() {
+  const bytes = crypto.randomBytes(GENERATED_LENGTH);
+  return Array.from(bytes, b => PASSWORD_ALPHABET[b % PASSWORD_ALPHABET.length]).join('');
+}
+
+/**
+ * Work out the teacher password for this server
+ * @param {string} dataDir - Where a generated password is kept
+ * @param {string} configured - TEACHER_PASSWORD, if set
+ * @returns {{secret: string, source: 'env'|'file'|'generated', file: string|null}}
+ */
+export function loadTeacherSecret(dataDir, configured) {
+  if (configured) {
+    return { secret: configured, source: 'env', file: null };
+  }
+
+  const file = path.join(dataDir, PASSWORD_FILE);
+  try {
+    const saved = fs.readFileSync(file, 'utf8').trim();
+    if (saved) return { secret: saved, source: 'file', file };
+  } catch {
+    // Not generated yet
+  }
+
+  const secret = generatePassword();
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(file, secret + '\n', { mode: 0o600 });
+  return { secret, source: 'generated', file };
+}
+
+/**
+ * Check a password attempt without leaking how much of it matched
+ * @param {string} secret - The teacher password
+ * @param {*} attempt - What the client sent
+ * @returns {boolean} true if it matches
+ */
+export function verifyTeacherSecret(secret, attempt) {
+  if (typeof attempt !== 'string' || !attempt) return false;
+  // Hash both so timingSafeEqual gets equal-length buffers
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const actual = crypto.createHash('sha256').update(attempt).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,238 @@
+import { censorText } from './contentFilter.js';
+
+/**
+ * Training Data Import / Export
+ *
+ * Converts a class's trainingData to and from formats that work outside
+ * the game:
+ *   jsonl  — one JSON record per line (notebooks, pandas.read_json(lines=True))
+ *   csv    — spreadsheet friendly, one row per Q&A pair
+ *   alpaca — instruction-tuning JSON array ({ instruction, input, output })
+ *
+ * Every format carries the full metadata (type, corruption flags,
+ * injectedBy, timestamps, asking/answering student) so an export can be
+ * re-imported without losing anything.
+ */
+
+export const EXPORT_FORMATS = {
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson' },
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  alpaca: { extension: 'json', contentType: 'application/json' }
+};
+
+// Column order for CSV, and the whitelist of fields kept on import
+const FIELDS = [
+  'question', 'answer', 'type', 'timestamp', 'askedBy', 'answeredBy',
+  'corrupted', 'corruptionType', 'corruptedBy', 'injectedBy',
+  'originalQuestion', 'originalAnswer', 'agreement', 'answers'
+];
+
+// Free-text fields that must go through the content filter on import
+const TEXT_FIELDS = ['question', 'answer', 'askedBy', 'answeredBy', 'originalQuestion', 'originalAnswer'];
+
+const MAX_TEXT_LENGTH = 1000;
+
+function pickFields(item) {
+  const record = {};
+  FIELDS.forEach(field => {
+    if (item[field] !== undefined && item[field] !== null) record[field] = item[field];
+  });
+  return record;
+}
+
+// ==================== EXPORT ====================
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  // Every student's answer to a multi-answer question, as JSON in one cell
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize training items in the requested format
+ * @param {Array} items - gameState.trainingData
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string} File contents
+ */
+export function exportTrainingData(items, format) {
+  const records = items.map(pickFields);
+
+  switch (format) {
+    case 'jsonl':
+      return records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+
+    case 'csv': {
+      const rows = records.map(r => FIELDS.map(field => {
+        // ISO dates read better in a spreadsheet than epoch milliseconds
+        if (field === 'timestamp' && r.timestamp) return csvCell(new Date(r.timestamp).toISOString());
+        return csvCell(r[field]);
+      }).join(','));
+      return [FIELDS.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+
+    case 'alpaca':
+      return JSON.stringify(records.map(({ question, answer, ...metadata }) => ({
+        instruction: question,
+        input: '',
+        output: answer,
+        metadata
+      })), null, 2);
+
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// ==================== IMPORT ====================
+
+// RFC 4180 parser: quoted fields may contain commas, quotes ("") and newlines
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(c => c.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(cells => {
+    const record = {};
+    header.forEach((name, i) => {
+      if (cells[i] !== undefined && cells[i] !== '') record[name] = cells[i];
+    });
+    return record;
+  });
+}
+
+function parseRaw(content, format) {
+  switch (format) {
+    case 'jsonl':
+      return content.split(/\r?\n/)
+        .map((line, i) => ({ line: line.trim(), lineNumber: i + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, lineNumber }) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            throw new Error(`Line ${lineNumber} is not valid JSON`);
+          }
+        });
+
+    case 'csv':
+      return parseCSV(content);
+
+    case 'alpaca': {
+      const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+      if (!Array.isArray(parsed)) throw new Error('Alpaca data must be a JSON array');
+      return parsed.map(entry => ({
+        ...(entry?.metadata || {}),
+        // Fold the optional input into the question so nothing is lost
+        question: entry?.input ? `${entry.instruction}\n${entry.input}` : entry?.instruction,
+        answer: entry?.output
+      }));
+    }
+
+    default:
+      throw new Error(`Unknown import format: ${format}`);
+  }
+}
+
+function validateRecord(raw) {
+  if (!raw || typeof raw !== 'object') return { error: 'not an object' };
+
+  const record = {};
+  for (const field of TEXT_FIELDS) {
+    if (raw[field] === undefined || raw[field] === null || raw[field] === '') continue;
+    if (typeof raw[field] !== 'string') return { error: `${field} must be text` };
+    record[field] = censorText(raw[field].trim()).substring(0, MAX_TEXT_LENGTH);
+  }
+  if (!record.question) return { error: 'missing question' };
+  if (!record.answer) return { error: 'missing answer' };
+
+  record.type = typeof raw.type === 'string' && raw.type.trim() ? raw.type.trim() : 'imported';
+
+  const timestamp = typeof raw.timestamp === 'number' ? raw.timestamp : Date.parse(raw.timestamp);
+  record.timestamp = Number.isFinite(timestamp) ? timestamp : Date.now();
+
+  if (raw.corrupted === true || raw.corrupted === 'true') {
+    record.corrupted = true;
+    ['corruptionType', 'corruptedBy', 'injectedBy'].forEach(field => {
+      if (typeof raw[field] === 'string' && raw[field]) record[field] = raw[field];
+    });
+  }
+
+  // Questions answered by several students keep every answer and the agreement score
+  let answers = raw.answers;
+  if (typeof answers === 'string') {
+    try {
+      answers = JSON.parse(answers);
+    } catch {
+      return { error: 'answers must be a JSON list' };
+    }
+  }
+  if (Array.isArray(answers) && answers.length > 1) {
+    if (!answers.every(a => typeof a?.answer === 'string' && a.answer.trim())) return { error: 'every answer must be text' };
+    record.answers = answers.map(a => ({
+      answer: censorText(a.answer.trim()).substring(0, MAX_TEXT_LENGTH),
+      answeredBy: typeof a.answeredBy === 'string' ? censorText(a.answeredBy.trim()).substring(0, MAX_TEXT_LENGTH) : null
+    }));
+    const agreement = Number(raw.agreement);
+    if (Number.isFinite(agreement) && agreement >= 0 && agreement <= 1) record.agreement = agreement;
+  }
+
+  return { record };
+}
+
+/**
+ * Parse, validate and censor imported training data
+ * @param {string|Array} content - File contents (or an already-parsed Alpaca array)
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {{records: Array, errors: Array<{index: number, error: string}>}}
+ */
+export function importTrainingData(content, format) {
+  const records = [];
+  const errors = [];
+
+  parseRaw(content, format).forEach((raw, index) => {
+    const { record, error } = validateRecord(raw);
+    if (record) {
+      records.push(record);
+    } else {
+      errors.push({ index, error });
+    }
+  });
+
+  return { records, errors };
+}
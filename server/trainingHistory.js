@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Training Data History
+ *
+ * Challenge failures, cures, teacher removals and the sliding-window trim
+ * all change trainingData in place. This keeps a stack of full copies per
+ * class session so the teacher can see what changed and roll back.
+ *
+ * File layout: <dir>/<sessionId>.jsonl, one version per line:
+ *   { version, ts, reason, label, actor, count, trainingData }
+ *
+ * `reason` is what prompted the copy ('evolution', 'challenge_failed',
+ * 'challenge_cured', 'knowledge_removed', 'window_trim', 'reset',
+ * 'rollback'). Destructive operations record the data as it was just
+ * before they ran, so restoring that version undoes them.
+ */
+
+const MAX_VERSIONS = 50;  // Older versions are dropped when the file is compacted
+
+function digest(trainingData) {
+  return crypto.createHash('sha1').update(JSON.stringify(trainingData)).digest('hex');
+}
+
+function meta({ trainingData, ...rest }) {
+  return rest;
+}
+
+class TrainingHistory {
+  /**
+   * @param {string} dir - Directory holding one history file per session
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.heads = new Map(); // sessionId -> { version, reason, hash } of the newest line
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  filePath(sessionId) {
+    // Session ids are uuids; reject anything that could escape the directory
+    if (!/^[a-zA-Z0-9-]+$/.test(sessionId || '')) {
+      throw new Error(`Invalid session id: ${sessionId}`);
+    }
+    return path.join(this.dir, `${sessionId}.jsonl`);
+  }
+
+  read(sessionId) {
+    const file = this.filePath(sessionId);
+    if (!fs.existsSync(file)) return [];
+    const versions = [];
+    fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+      if (!line) return;
+      try {
+        versions.push(JSON.parse(line));
+      } catch {
+        // Torn final line from a crash mid-append - skip it
+        console.warn('[HISTORY] Ignoring unreadable version line');
+      }
+    });
+    return versions;
+  }
+
+  head(sessionId) {
+    if (!this.heads.has(sessionId)) {
+      const last = this.read(sessionId).pop();
+      this.heads.set(sessionId, last
+        ? { version: last.version, reason: last.reason, hash: digest(last.trainingData) }
+        : { version: 0, reason: null, hash: null });
+    }
+    return this.heads.get(sessionId);
+  }
+
+  /**
+   * Newest version's reason, e.g. to coalesce repeated window trims
+   * @param {string} sessionId - Session id
+   * @returns {string|null}
+   */
+  lastReason(sessionId) {
+    return this.head(sessionId).reason;
+  }
+
+  /**
+   * Append a copy of trainingData. Skipped if nothing changed since the
+   * newest version.
+   * @param {string} sessionId - Session the data belongs to
+   * @param {Object} entry - { reason, label, actor, trainingData }
+   * @returns {Object|null} The stored version's metadata, or null if skipped
+   */
+  record(sessionId, { reason, label, actor, trainingData }) {
+    try {
+      const head = this.head(sessionId);
+      const hash = digest(trainingData);
+      if (hash === head.hash) return null;
+
+      const entry = {
+        version: head.version + 1,
+        ts: Date.now(),
+        reason,
+        label,
+        actor,
+        count: trainingData.length,
+        trainingData
+      };
+      const file = this.filePath(sessionId);
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+      this.heads.set(sessionId, { version: entry.version, reason, hash });
+
+      // Each line is a full copy, so let the file grow to twice the limit
+      // before rewriting it, rather than rewriting on every append
+      if (entry.version % MAX_VERSIONS === 0) this.compact(sessionId);
+      return meta(entry);
+    } catch (error) {
+      console.error('[HISTORY] Failed to record version:', error.message);
+      return null;
+    }
+  }
+
+  compact(sessionId) {
+    const versions = this.read(sessionId);
+    if (versions.length <= MAX_VERSIONS) return;
+    const file = this.filePath(sessionId);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, versions.slice(-MAX_VERSIONS).map(v => JSON.stringify(v) + '\n').join(''));
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * List a session's versions, newest first, without their data
+   * @param {string} sessionId - Session id
+   * @returns {Array} Version metadata
+   */
+  list(sessionId) {
+    return this.read(sessionId).map(meta).reverse();
+  }
+
+  /**
+   * Load one version including its trainingData
+   * @param {string} sessionId - Session id
+   * @param {number} version - Version number
+   * @returns {Object|null} The version, or null if it is gone
+   */
+  get(sessionId, version) {
+    return this.read(sessionId).find(v => v.version === version) || null;
+  }
+}
+
+export default TrainingHistory;
@@ -1,15 +1,31 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, lazy, Suspense } from 'react';
 import TeacherDashboard from './components/TeacherDashboard';
 import StudentClient from './components/StudentClient';
 import RoleSelector from './components/RoleSelector';
-import ChallengeDebug from './components/ChallengeDebug';
+import TeacherLogin from './components/TeacherLogin';
 import useWebSocket from './hooks/useWebSocket';
 import { censorText } from './utils/contentFilter';
 import './animations.css';
 
+// Loaded only on its own route: students never download the debug page
+const ChallengeDebug = lazy(() => import('./components/ChallengeDebug'));
+
 function App() {
-  const [role, setRole] = useState(null);
-  const [clientName, setClientName] = useState('');
+  // A stored resume token + name means this tab was already in the game - rejoin automatically
+  const savedStudentName = window.location.pathname !== '/teacher' && sessionStorage.getItem('resumeToken')
+    ? sessionStorage.getItem('studentName')
+    : null;
+  const [role, setRole] = useState(savedStudentName ? 'student' : null);
+  const [clientName, setClientName] = useState(savedStudentName || '');
+  // The teacher's QR code links to /?room=CODE; otherwise students type the code
+  const [roomCode, setRoomCode] = useState(() =>
+    (new URLSearchParams(window.location.search).get('room') || sessionStorage.getItem('roomCode') || '').toUpperCase()
+  );
+  const [joinError, setJoinError] = useState(null);
+  // Held in memory only until the server lets us in; after that the resume
+  // token brings the teacher back on a reconnect or reload
+  const [teacherPassword, setTeacherPassword] = useState(null);
+  const [authError, setAuthError] = useState(null);
   const hasRegistered = useRef(false);
   const { 
     connected, 
@@ -25,12 +41,16 @@ function App() {
 
   // If on debug route, show challenge debug page
   if (isChallengeDebugRoute) {
-    return <ChallengeDebug />;
+    return (
+      <Suspense fallback={null}>
+        <ChallengeDebug />
+      </Suspense>
+    );
   }
 
   useEffect(() => {
-    // Auto-assign teacher role if on /teacher route
-    if (isTeacherRoute && !role) {
+    // Assign teacher role on /teacher once they've entered the password
+    if (isTeacherRoute && !role && (teacherPassword || sessionStorage.getItem('teacherToken'))) {
       setRole('teacher');
       setClientName('Teacher');
     }
@@ -39,9 +59,7 @@ function App() {
       // Show name input for students only
       return;
     }
-  }, [isTeacherRoute, role, clientName]);
-
-  // No registration approval/rejection messages
+  }, [isTeacherRoute, role, clientName, teacherPassword]);
 
   useEffect(() => {
     // Register immediately when we have role, name, and connection
@@ -51,7 +69,11 @@ function App() {
         sendMessage({
           type: 'register',
           role,
-          name: clientName
+          name: clientName,
+          // Teachers get a new room unless they're coming back to theirs
+          roomCode: role === 'teacher' ? sessionStorage.getItem('roomCode') : roomCode,
+          password: role === 'teacher' ? teacherPassword : undefined,
+          resumeToken: sessionStorage.getItem('resumeToken')
         });
         hasRegistered.current = true;
       }
@@ -60,7 +82,45 @@ function App() {
       hasRegistered.current = false;
       // no-op
     }
-  }, [role, connected, clientName]);
+  }, [role, connected, clientName, roomCode, teacherPassword]);
+
+  // Back to the login form, without anything that would sign us straight in again
+  const logOutTeacher = (message) => {
+    setAuthError(message);
+    setTeacherPassword(null);
+    sessionStorage.removeItem('teacherToken');
+    sessionStorage.removeItem('resumeToken');
+    hasRegistered.current = false;
+    setRole(null);
+  };
+
+  // Wrong or expired room code (or turned away from the lobby) - back to the join form
+  useEffect(() => {
+    const latest = messages[messages.length - 1];
+    if (latest?.type === 'registered' && role === 'teacher') {
+      // In - the password has done its job
+      setTeacherPassword(null);
+    } else if (latest?.type === 'registered' && role === 'student' && latest.name && latest.name !== clientName) {
+      // The teacher admitted us under a different name
+      setClientName(latest.name);
+      sessionStorage.setItem('studentName', latest.name);
+    } else if (latest?.type === 'join_error') {
+      setJoinError(latest.message);
+      sessionStorage.removeItem('roomCode');
+      sessionStorage.removeItem('resumeToken');
+      hasRegistered.current = false;
+      setRole(null);
+    } else if (latest?.type === 'not_authorized') {
+      if (role === 'teacher') {
+        // The server no longer takes us for the teacher - log in again
+        logOutTeacher(latest.message);
+      } else {
+        alert(latest.message);
+      }
+    } else if (latest?.type === 'auth_error') {
+      logOutTeacher(latest.message);
+    }
+  }, [messages]);
 
   // Show kicked screen for previously kicked students
   if (wasKicked && !isTeacherRoute) {
@@ -118,6 +178,7 @@ function App() {
 
   // Show name input for students (not on teacher route)
   if (!role && !isTeacherRoute) {
+    const canJoin = clientName.trim() && roomCode.length > 0;
     return (
       <div style={{
         minHeight: '100vh',
@@ -158,13 +219,48 @@ function App() {
           </p>
           <form onSubmit={(e) => {
             e.preventDefault();
-            if (clientName.trim()) {
+            if (canJoin) {
               // Apply content filter to name before setting role
               const filteredName = censorText(clientName.trim());
               setClientName(filteredName);
+              setJoinError(null);
               setRole('student');
+              sessionStorage.setItem('studentName', filteredName);
             }
           }}>
+            {joinError && (
+              <p style={{ color: '#ff3b30', fontSize: '1rem', textAlign: 'center', marginBottom: '16px' }}>
+                {joinError}
+              </p>
+            )}
+            <input
+              type="text"
+              value={roomCode}
+              onChange={(e) => setRoomCode(e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 5))}
+              placeholder="Game code"
+              autoCapitalize="characters"
+              autoComplete="off"
+              style={{
+                width: '100%',
+                padding: '18px',
+                fontSize: '1.2rem',
+                letterSpacing: '0.2em',
+                textAlign: 'center',
+                border: '2px solid #e0e0e0',
+                borderRadius: '12px',
+                marginBottom: '12px',
+                boxSizing: 'border-box',
+                transition: 'all 0.3s ease'
+              }}
+              onFocus={(e) => {
+                e.target.style.borderColor = '#667eea';
+                e.target.style.boxShadow = '0 4px 16px rgba(102, 126, 234, 0.2)';
+              }}
+              onBlur={(e) => {
+                e.target.style.borderColor = '#e0e0e0';
+                e.target.style.boxShadow = 'none';
+              }}
+            />
             <input
               type="text"
               value={clientName}
@@ -193,11 +289,11 @@ function App() {
             />
             <button
               type="submit"
-              disabled={!clientName.trim()}
+              disabled={!canJoin}
               className="slide-in-right"
               style={{
                 width: '100%',
-                background: clientName.trim()
+                background: canJoin
                   ? 'linear-gradient(135deg, #4facfe 0%, #00f2fe 100%)'
                   : '#ccc',
                 color: '#1d1d1f',
@@ -205,54 +301,26 @@ function App() {
                 fontSize: '1.2rem',
                 border: 'none',
                 borderRadius: '12px',
-                cursor: clientName.trim() ? 'pointer' : 'not-allowed',
+                cursor: canJoin ? 'pointer' : 'not-allowed',
                 fontWeight: '700',
-                boxShadow: clientName.trim() ? '0 4px 16px rgba(79, 172, 254, 0.3)' : 'none',
+                boxShadow: canJoin ? '0 4px 16px rgba(79, 172, 254, 0.3)' : 'none',
                 transition: 'all 0.3s ease',
                 marginBottom: '16px'
               }}
               onMouseEnter={(e) => {
-                if (clientName.trim()) {
+                if (canJoin) {
                   e.target.style.transform = 'translateY(-3px)';
                   e.target.style.boxShadow = '0 8px 24px rgba(79, 172, 254, 0.4)';
                 }
               }}
               onMouseLeave={(e) => {
                 e.target.style.transform = 'translateY(0)';
-                e.target.style.boxShadow = clientName.trim() ? '0 4px 16px rgba(79, 172, 254, 0.3)' : 'none';
+                e.target.style.boxShadow = canJoin ? '0 4px 16px rgba(79, 172, 254, 0.3)' : 'none';
               }}
             >
               JOIN GAME →
             </button>
 
-            <button
-              type="button"
-              onClick={() => window.location.href = '/debug-challenges'}
-              className="slide-in-right"
-              style={{
-                width: '100%',
-                background:'linear-gradient(135deg, #ec4ffeff 0%, #fec700ff 100%)',
-                color: '#1d1d1f',
-                padding: '18px',
-                fontSize: '1.2rem',
-                border: 'none',
-                borderRadius: '12px',
-                cursor:'pointer',
-                fontWeight: '700',
-                boxShadow: '0 4px 16px rgba(79, 172, 254, 0.3)',
-                transition: 'all 0.3s ease'
-              }}
-              onMouseEnter={(e) => {
-                e.target.style.transform = 'translateY(-3px)';
-                e.target.style.boxShadow = '0 8px 24px rgba(79, 172, 254, 0.4)';
-              }}
-              onMouseLeave={(e) => {
-                e.target.style.transform = 'translateY(0)';
-                e.target.style.boxShadow ='0 4px 16px rgba(79, 172, 254, 0.3)';
-              }}
-            >
-              View Specific Challenges
-            </button>
 
           </form>
         </div>
@@ -260,6 +328,13 @@ function App() {
     );
   }
 
+  if (!role && isTeacherRoute) {
+    return <TeacherLogin error={authError} onLogin={(password) => {
+      setAuthError(null);
+      setTeacherPassword(password);
+    }} />;
+  }
+
   if (!role) {
     return <RoleSelector onSelectRole={(r, name) => {
       setRole(r);
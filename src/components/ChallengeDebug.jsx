@@ -1,32 +1,33 @@
-import React, { useState, useMemo } from 'react';
-import DenoiseChallenge from './challenges/DenoiseChallenge';
-import AttentionChallenge from './challenges/AttentionChallenge';
-import NeuroBurstChallenge from './challenges/NeuroBurstChallenge';
-import ClusterRushChallenge from './challenges/ClusterRushChallenge';
-import ContextCacheChallenge from './challenges/ContextCacheChallenge';
-import WordSplitterChallenge from './challenges/WordSplitterChallenge';
-import BiasBreakerChallenge from './challenges/BiasBreakerChallenge';
-import HallucinationHunterChallenge from './challenges/HallucinationHunterChallenge';
-import VersionChaosChallenge from './challenges/VersionChaosChallenge';
-import EthicsEngineChallenge from './challenges/EthicsEngineChallenge';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { CHALLENGES } from './challenges/registry';
+import { challengeDefinition, generateChallengeContent, gradeChallenge, moveFeedback, newSeed, playerChallenge, tuneChallenge } from '../utils/challengeGames';
 
-const CHALLENGE_THEMES = {
-  denoise: 'linear-gradient(135deg, #1e293b 0%, #4338ca 100%)',
-  attention: 'linear-gradient(135deg, #1e293b 0%, #b91c1c 100%)',
-  neuroburst: 'linear-gradient(135deg, #1e293b 0%, #b45309 100%)',
-  clusterrush: 'linear-gradient(135deg, #1e293b 0%, #15803d 100%)',
-  contextcache: 'linear-gradient(135deg, #1e293b 0%, #be185d 100%)',
-  wordsplitter: 'linear-gradient(135deg, #1e293b 0%, #0e7490 100%)',
-  biasbreaker: 'linear-gradient(135deg, #1e293b 0%, #b45309 100%)',
-  hallucinationhunter: 'linear-gradient(135deg, #1e293b 0%, #6d28d9 100%)',
-  versionchaos: 'linear-gradient(135deg, #1e293b 0%, #c2410c 100%)',
-  ethicsengine: 'linear-gradient(135deg, #1e293b 0%, #1d4ed8 100%)',
-  default: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)'
+// Same API address the teacher dashboard uses (works across network)
+const getApiBaseUrl = () => {
+  const isLocalAccess = window.location.hostname === 'localhost' ||
+                        window.location.hostname.match(/^\d+\.\d+\.\d+\.\d+$/);
+  return isLocalAccess
+    ? `${window.location.protocol}//${window.location.hostname}:3001`
+    : `${window.location.protocol}//${window.location.host}`;
 };
 
 const ChallengeDebug = () => {
   const [selectedChallenge, setSelectedChallenge] = useState(null);
   const [result, setResult] = useState(null);
+  const [level, setLevel] = useState(0.5); // difficulty, as a student's skill would set it
+  const [verdicts, setVerdicts] = useState([]);
+  const moves = useRef([]);
+  const [pack, setPack] = useState(null);
+  const [packError, setPackError] = useState(null);
+
+  // The standard pack holds every answer, so it isn't in the page's code: the
+  // server hands it to a signed-in teacher (this tab's or the dashboard's that opened it)
+  useEffect(() => {
+    fetch(`${getApiBaseUrl()}/api/content-packs/standard`, { headers: { 'X-Teacher-Token': sessionStorage.getItem('teacherToken') } })
+      .then(response => response.json())
+      .then(data => (data.success ? setPack(data.pack) : setPackError(data.error)))
+      .catch(error => setPackError(error.message));
+  }, []);
 
   // Override body overflow to allow scrolling on mobile
   React.useEffect(() => {
@@ -39,79 +40,15 @@ const ChallengeDebug = () => {
     };
   }, []);
 
-  const challenges = [
-    {
-      id: 'denoise',
-      name: '🧹 Data Cleaning',
-      type: 'denoise',
-      description: 'Remove noise tokens from corrupted training sentences',
-      component: DenoiseChallenge
-    },
-    {
-      id: 'attention',
-      name: '🎯 Attention Challenge',
-      type: 'attention',
-      description: 'Focus on important patterns',
-      component: AttentionChallenge
-    },
-    {
-      id: 'neuroburst',
-      name: '⚡ Neuro Burst',
-      type: 'neuroburst',
-      description: 'Rapid-fire neural network decisions',
-      component: NeuroBurstChallenge
-    },
-    {
-      id: 'clusterrush',
-      name: '🖥️ Cluster Rush',
-      type: 'clusterrush',
-      description: 'Manage GPU cluster operations',
-      component: ClusterRushChallenge
-    },
-    {
-      id: 'contextcache',
-      name: '🧠 Context Cache',
-      type: 'contextcache',
-      description: 'Manage LLM memory efficiently',
-      component: ContextCacheChallenge
-    },
-    {
-      id: 'wordsplitter',
-      name: '✂️ Word Splitter',
-      type: 'wordsplitter',
-      description: 'Tokenize text into subwords',
-      component: WordSplitterChallenge
-    },
-    {
-      id: 'biasbreaker',
-      name: '🛡️ Bias Breaker',
-      type: 'biasbreaker',
-      description: 'Filter biased AI responses',
-      component: BiasBreakerChallenge
-    },
-    {
-      id: 'hallucinationhunter',
-      name: '🔍 Hallucination Hunter',
-      type: 'hallucinationhunter',
-      description: 'Spot AI hallucinations and false facts',
-      component: HallucinationHunterChallenge
-    },
-    { 
-      id: 'versionchaos', 
-      name: '🔄 Version Chaos', 
-      type: 'versionchaos',
-      description: 'Deploy the right model version',
-      component: VersionChaosChallenge 
-    },
-    { 
-      id: 'ethicsengine', 
-      name: '⚖️ Ethics Engine', 
-      type: 'ethicsengine',
-      description: 'Balance helpful, harmless, and honest responses',
-      component: EthicsEngineChallenge 
-    }
-  ];  const handleChallengeComplete = (success) => {
-    setResult(success);
+  // Judge each move here the way the server would
+  const handleMove = (move) => {
+    moves.current = [...moves.current, move];
+    const verdict = moveFeedback(challengeData, moves.current);
+    setVerdicts(prev => [...prev, verdict]);
+  };
+
+  const handleChallengeComplete = () => {
+    setResult(gradeChallenge(challengeData, moves.current));
     setTimeout(() => {
       setSelectedChallenge(null);
       setResult(null);
@@ -121,144 +58,21 @@ const ChallengeDebug = () => {
   const handleSelectChallenge = (challenge) => {
     setSelectedChallenge(challenge);
     setResult(null);
+    setVerdicts([]);
+    moves.current = [];
   };
 
-  const generateChallengeData = (challengeType) => {
-    // Attention challenge sentences (copied from server)
-    const attentionSentences = [
-      {
-        sentence: "The cat that chased the mouse was tired",
-        words: ["The", "cat", "that", "chased", "the", "mouse", "was", "tired"],
-        targetWordIndex: 6,
-        correctAttentions: [1]
-      },
-      {
-        sentence: "Sarah bought a book and she loved it",
-        words: ["Sarah", "bought", "a", "book", "and", "she", "loved", "it"],
-        targetWordIndex: 5,
-        correctAttentions: [0]
-      },
-      {
-        sentence: "The dog barked because it saw a stranger",
-        words: ["The", "dog", "barked", "because", "it", "saw", "a", "stranger"],
-        targetWordIndex: 4,
-        correctAttentions: [1]
-      }
-    ];
-
-    switch (challengeType) {
-      case 'attention': {
-        const sentenceData = attentionSentences[Math.floor(Math.random() * attentionSentences.length)];
-        return {
-          type: 'attention',
-          timeLimit: 60000,
-          ...sentenceData
-        };
-      }
-      
-      case 'neuroburst': {
-        const shapes = ['circle', 'square', 'triangle', 'star', 'hexagon'];
-        const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6'];
-        
-        const examples = [];
-        for (let i = 0; i < 8; i++) {
-          const shape = shapes[Math.floor(Math.random() * shapes.length)];
-          const color = colors[Math.floor(Math.random() * colors.length)];
-          const networkAccuracy = 0.4 + (i * 0.06);
-          const isCorrect = Math.random() < networkAccuracy;
-          
-          examples.push({
-            shape,
-            color,
-            correctAnswer: shape,
-            prediction: isCorrect ? shape : shapes[Math.floor(Math.random() * shapes.length)]
-          });
-        }
-        
-        return {
-          type: 'neuroburst',
-          timeLimit: 60000,
-          rounds: 8,
-          examples
-        };
-      }
-      
-      case 'denoise': {
-        // The component generates its own corrupted sentences internally
-        return {
-          type: 'denoise',
-          timeLimit: 120000
-        };
-      }
-      
-      case 'contextcache': {
-        const dialogueTemplates = [
-          { text: "Remember I'm allergic to cats", important: true, tags: ['allergy', 'cats'] },
-          { text: "My favorite color is blue", important: true, tags: ['preference', 'color'] },
-          { text: "The weather is nice today", important: false, tags: ['weather'] },
-          { text: "Now write a story about my pet", important: true, tags: ['instruction', 'pet'] },
-          { text: "I changed my mind — it's green", important: true, tags: ['preference', 'color'] },
-          { text: "By the way, I love pizza", important: true, tags: ['food', 'preference'] },
-          { text: "That's interesting", important: false, tags: ['filler'] },
-          { text: "My name is Alex", important: true, tags: ['identity', 'name'] }
-        ];
-        
-        const shuffled = [...dialogueTemplates].sort(() => Math.random() - 0.5);
-        const dialogueChunks = shuffled.slice(0, 10).map((chunk, i) => ({
-          id: i,
-          ...chunk,
-          priority: chunk.important ? Math.floor(Math.random() * 3) + 7 : Math.floor(Math.random() * 4) + 1
-        }));
-        
-        return {
-          type: 'contextcache',
-          timeLimit: 60000,
-          dialogueChunks
-        };
-      }
-      
-      case 'wordsplitter': {
-        const words = ['understanding', 'beautiful', 'development', 'comfortable'];
-        const targetWord = words[Math.floor(Math.random() * words.length)];
-        
-        return {
-          type: 'wordsplitter',
-          timeLimit: 60000,
-          targetWord
-        };
-      }
-      
-      case 'hallucinationhunter': {
-        return {
-          type: 'hallucinationhunter',
-          timeLimit: 30000
-        };
-      }
-      
-      case 'versionchaos': {
-        return {
-          type: 'versionchaos',
-          timeLimit: 60000
-        };
-      }
-      
-      default:
-        return {
-          type: challengeType,
-          timeLimit: 60000
-        };
-    }
-  };
-
-  // Memoize challenge data so it doesn't regenerate on every render
+  // Same seeded content the server would generate, judged and graded locally
   const challengeData = useMemo(() => {
-    if (!selectedChallenge) return null;
-    return generateChallengeData(selectedChallenge.type);
-  }, [selectedChallenge]);
+    if (!selectedChallenge || !pack) return null;
+    const challenge = { id: 'debug', ...tuneChallenge(challengeDefinition(selectedChallenge.type), level), seed: newSeed() };
+    return { ...challenge, content: generateChallengeContent(challenge, pack.challenges[selectedChallenge.type]) };
+  }, [selectedChallenge, level, pack]);
+  const shown = useMemo(() => challengeData && playerChallenge(challengeData), [challengeData]);
 
-  if (selectedChallenge) {
+  if (selectedChallenge && challengeData) {
     const ChallengeComponent = selectedChallenge.component;
-    const theme = CHALLENGE_THEMES[selectedChallenge.type] || CHALLENGE_THEMES.default;
+    const { theme } = selectedChallenge;
 
     return (
       <div style={{
@@ -322,7 +136,9 @@ const ChallengeDebug = () => {
           </div>
 
           <ChallengeComponent 
-            challenge={challengeData}
+            challenge={shown}
+            feedback={verdicts}
+            onMove={handleMove}
             onComplete={handleChallengeComplete}
           />
 
@@ -384,17 +200,37 @@ const ChallengeDebug = () => {
           }}>
             Click any challenge below to test it
           </p>
+          <label style={{ display: 'inline-flex', alignItems: 'center', gap: '10px', marginTop: '16px', fontSize: '1rem', color: '#1d1d1f', fontWeight: '600' }}>
+            Difficulty
+            <input type="range" min="0" max="1" step="0.1" value={level} onChange={e => setLevel(Number(e.target.value))} />
+            <span style={{ color: '#86868b', minWidth: '2.5em' }}>{level.toFixed(1)}</span>
+          </label>
         </div>
 
-        <div style={{
+        {!pack && (
+          <div style={{
+            background: 'rgba(255, 255, 255, 0.95)',
+            borderRadius: '12px',
+            padding: '24px',
+            textAlign: 'center',
+            color: '#1d1d1f',
+            fontSize: '1.1rem'
+          }}>
+            {packError
+              ? `🔒 ${packError} - open this page with the 🧪 Test button on the teacher dashboard.`
+              : 'Loading challenge content...'}
+          </div>
+        )}
+
+        {pack && <div style={{
           display: 'grid',
           gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))',
           gap: '20px',
           paddingBottom: '40px'
         }}>
-          {challenges.map(challenge => (
+          {CHALLENGES.map(challenge => (
             <div
-              key={challenge.id}
+              key={challenge.type}
               onClick={() => handleSelectChallenge(challenge)}
               style={{
                 background: 'rgba(255, 255, 255, 0.95)',
@@ -446,7 +282,7 @@ const ChallengeDebug = () => {
               </div>
             </div>
           ))}
-        </div>
+        </div>}
       </div>
     </div>
   );
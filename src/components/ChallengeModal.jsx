@@ -1,36 +1,18 @@
 import React, { useState, useEffect } from 'react';
-import DenoiseChallenge from './challenges/DenoiseChallenge';
-import AttentionChallenge from './challenges/AttentionChallenge';
-import NeuroBurstChallenge from './challenges/NeuroBurstChallenge';
-import ClusterRushChallenge from './challenges/ClusterRushChallenge';
-import ContextCacheChallenge from './challenges/ContextCacheChallenge';
-import WordSplitterChallenge from './challenges/WordSplitterChallenge';
-import BiasBreakerChallenge from './challenges/BiasBreakerChallenge';
-import HallucinationHunterChallenge from './challenges/HallucinationHunterChallenge';
-import VersionChaosChallenge from './challenges/VersionChaosChallenge';
-import EthicsEngineChallenge from './challenges/EthicsEngineChallenge';
+import { challengeFor } from './challenges/registry';
 
-const CHALLENGE_THEMES = {
-  denoise: 'linear-gradient(135deg, #1e293b 0%, #4338ca 100%)',
-  attention: 'linear-gradient(135deg, #1e293b 0%, #b91c1c 100%)',
-  neuroburst: 'linear-gradient(135deg, #1e293b 0%, #b45309 100%)',
-  clusterrush: 'linear-gradient(135deg, #1e293b 0%, #15803d 100%)',
-  contextcache: 'linear-gradient(135deg, #1e293b 0%, #be185d 100%)',
-  wordsplitter: 'linear-gradient(135deg, #1e293b 0%, #0e7490 100%)',
-  biasbreaker: 'linear-gradient(135deg, #1e293b 0%, #b45309 100%)',
-  hallucinationhunter: 'linear-gradient(135deg, #1e293b 0%, #6d28d9 100%)',
-  versionchaos: 'linear-gradient(135deg, #1e293b 0%, #c2410c 100%)',
-  ethicsengine: 'linear-gradient(135deg, #1e293b 0%, #1d4ed8 100%)',
-  default: 'linear-gradient(135deg, #1e293b 0%, #334155 100%)'
-};
-
-const ChallengeModal = ({ challenge, onComplete }) => {
+// Challenges report each move through onMove. A student's own challenge
+// gets the server's verdict on each in `feedback`; team challenges
+// (challenge.team set) render the shared state in `coop`, and the server
+// ends them for everyone
+const ChallengeModal = ({ challenge, coop, feedback, onComplete, onMove }) => {
   const [timeLeft, setTimeLeft] = useState(challenge.timeLimit / 1000);
   const [completed, setCompleted] = useState(false);
-  const [timerStarted, setTimerStarted] = useState(false);
+  // A team's clock is already running on the server, so there's no intro to wait for
+  const [timerStarted, setTimerStarted] = useState(!!challenge.team);
   const onCompleteRef = React.useRef(onComplete);
   
-  const theme = CHALLENGE_THEMES[challenge.type] || CHALLENGE_THEMES.default;
+  const { theme, component: ChallengeComponent, coopComponent: CoopComponent } = challengeFor(challenge.type);
 
   // Keep ref in sync
   React.useEffect(() => {
@@ -46,7 +28,7 @@ const ChallengeModal = ({ challenge, onComplete }) => {
           clearInterval(timer);
           if (!completed) {
             setCompleted(true);
-            onCompleteRef.current(false);
+            onCompleteRef.current(); // out of time: the server grades the moves it has
           }
           return 0;
         }
@@ -57,46 +39,16 @@ const ChallengeModal = ({ challenge, onComplete }) => {
     return () => clearInterval(timer);
   }, [challenge, completed, timerStarted]);
 
-  const handleChallengeComplete = (success) => {
+  // The server grades the moves it has already judged
+  const handleChallengeComplete = () => {
     if (!completed) {
       setCompleted(true);
-      onComplete(success);
+      onComplete();
     }
   };
 
   const handleTimerStart = () => setTimerStarted(true);
 
-  const renderChallenge = () => {
-    if (challenge.type === 'attention') {
-      return <AttentionChallenge challenge={challenge} onComplete={handleChallengeComplete} onTimerStart={handleTimerStart} />;
-    }
-    if (challenge.type === 'neuroburst') {
-      return <NeuroBurstChallenge challenge={challenge} onComplete={handleChallengeComplete} onTimerStart={handleTimerStart} />;
-    }
-    if (challenge.type === 'clusterrush') {
-      return <ClusterRushChallenge challenge={challenge} onComplete={handleChallengeComplete} onTimerStart={handleTimerStart} />;
-    }
-    if (challenge.type === 'contextcache') {
-      return <ContextCacheChallenge challenge={challenge} onComplete={handleChallengeComplete} onTimerStart={handleTimerStart} />;
-    }
-    if (challenge.type === 'wordsplitter') {
-      return <WordSplitterChallenge challenge={challenge} onComplete={handleChallengeComplete} onTimerStart={handleTimerStart} />;
-    }
-    if (challenge.type === 'biasbreaker') {
-      return <BiasBreakerChallenge challenge={challenge} onComplete={handleChallengeComplete} onTimerStart={handleTimerStart} />;
-    }
-    if (challenge.type === 'hallucinationhunter') {
-      return <HallucinationHunterChallenge challenge={challenge} onComplete={handleChallengeComplete} onTimerStart={handleTimerStart} />;
-    }
-    if (challenge.type === 'versionchaos') {
-      return <VersionChaosChallenge challenge={challenge} onComplete={handleChallengeComplete} onTimerStart={handleTimerStart} />;
-    }
-    if (challenge.type === 'ethicsengine') {
-      return <EthicsEngineChallenge challenge={challenge} onComplete={handleChallengeComplete} onTimerStart={handleTimerStart} />;
-    }
-    return <DenoiseChallenge challenge={challenge} onComplete={handleChallengeComplete} onTimerStart={handleTimerStart} />;
-  };
-
   return (
     <div style={{
       position: 'fixed',
@@ -151,7 +103,25 @@ const ChallengeModal = ({ challenge, onComplete }) => {
           </div>
         </div>
 
-        {renderChallenge()}
+        {challenge.source === 'class' && (
+          <div style={{ fontSize: '0.8rem', opacity: 0.85, textAlign: 'center', marginTop: '-8px', marginBottom: '12px' }}>
+            🧑‍🤝‍🧑 Built from your class's own answers
+          </div>
+        )}
+
+        {challenge.team && coop && (
+          <div style={{ fontSize: '0.85rem', opacity: 0.9, textAlign: 'center', marginTop: '-8px', marginBottom: '12px' }}>
+            🤝 Team: {coop.players.map((p, i) => `${i === challenge.team.player ? 'You' : p.name}${p.here ? '' : ' (away)'}`).join(', ')}
+          </div>
+        )}
+
+        {challenge.team ? (
+          coop && CoopComponent
+            ? <CoopComponent challenge={challenge} coop={coop} onMove={onMove} />
+            : <div style={{ padding: '24px', textAlign: 'center' }}>⏳ Joining your team...</div>
+        ) : (
+          <ChallengeComponent challenge={challenge} feedback={feedback} onMove={onMove} onComplete={handleChallengeComplete} onTimerStart={handleTimerStart} />
+        )}
       </div>
     </div>
   );
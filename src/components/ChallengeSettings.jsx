@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Dialog } from '@headlessui/react';
+import { CHALLENGES, COOP_CHALLENGES } from './challenges/registry';
+
+// Turn individual challenges on/off for this session, and send the class
+// into a challenge played in teams
+const ChallengeSettings = ({ open, onClose, enabledChallenges, onToggle, isActive, teamLaunch, onStartTeams, glass }) => {
+  const [teamType, setTeamType] = useState(COOP_CHALLENGES[0]?.type);
+  const [teamSize, setTeamSize] = useState(2);
+  const chip = { fontSize: '10px', padding: '1px 6px', borderRadius: '5px', background: 'rgba(0,0,0,0.06)', color: '#6e6e73', fontWeight: '600' };
+  const isEnabled = (type) => (enabledChallenges ? enabledChallenges.includes(type) : true);
+  const enabledCount = CHALLENGES.filter(c => isEnabled(c.type)).length;
+  const teamChallenge = COOP_CHALLENGES.find(c => c.type === teamType);
+  const sizes = teamChallenge ? Array.from({ length: teamChallenge.maxPlayers - teamChallenge.minPlayers + 1 }, (_, i) => teamChallenge.minPlayers + i) : [];
+  const buttonStyle = { padding: '6px 14px', fontSize: '13px', fontWeight: '600', borderRadius: '8px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', cursor: 'pointer' };
+
+  return (
+    <Dialog open={open} onClose={onClose} style={{ position: 'fixed', zIndex: 9999 }}>
+      <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.3)', backdropFilter: 'blur(8px)', WebkitBackdropFilter: 'blur(8px)', zIndex: 9998 }} aria-hidden="true" />
+      <div style={{ position: 'fixed', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '16px', zIndex: 9999 }}>
+        <Dialog.Panel style={{ ...glass, padding: '24px', borderRadius: '20px', width: '92vw', maxWidth: '640px', maxHeight: '80vh', display: 'flex', flexDirection: 'column', gap: '12px', boxShadow: '0 20px 60px rgba(0,0,0,0.15)' }}>
+          <Dialog.Title style={{ fontSize: '22px', fontWeight: '600', color: '#1d1d1f', letterSpacing: '-0.02em', flexShrink: 0 }}>
+            🎮 Challenges
+          </Dialog.Title>
+          <Dialog.Description style={{ color: '#86868b', fontSize: '13px', flexShrink: 0 }}>
+            Students only get the challenges ticked here, taking turns through them. Each gets easier or harder for each student as they go. Your choice is saved with this session.
+          </Dialog.Description>
+
+          <div style={{ overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            {CHALLENGES.map(challenge => {
+              const enabled = isEnabled(challenge.type);
+              const last = enabled && enabledCount === 1;
+              return (
+                <label key={challenge.type} style={{
+                  padding: '8px 10px', borderRadius: '8px', flexShrink: 0, display: 'flex', gap: '8px', alignItems: 'flex-start',
+                  background: 'rgba(255,255,255,0.45)', border: '1px solid rgba(255,255,255,0.7)',
+                  cursor: last ? 'not-allowed' : 'pointer'
+                }}>
+                  <input
+                    type="checkbox"
+                    checked={enabled}
+                    disabled={last}
+                    onChange={e => onToggle(challenge.type, e.target.checked)}
+                    title={last ? 'Keep at least one challenge turned on' : undefined}
+                    style={{ marginTop: '3px' }}
+                  />
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontSize: '13px', fontWeight: '600', color: '#1d1d1f' }}>{challenge.name}</div>
+                    <div style={{ fontSize: '12px', color: '#86868b', lineHeight: '1.4', marginTop: '2px' }}>{challenge.description}</div>
+                  </div>
+                  <span style={chip} title="Time limit for struggling students – for students breezing through">
+                    {challenge.difficulty.timeLimit.map(ms => Math.round(ms / 1000)).join('–')}s
+                  </span>
+                </label>
+              );
+            })}
+          </div>
+
+          {COOP_CHALLENGES.length > 0 && (
+            <div style={{ flexShrink: 0, borderTop: '1px solid rgba(0,0,0,0.08)', paddingTop: '12px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+              <div style={{ fontSize: '15px', fontWeight: '600', color: '#1d1d1f' }}>🤝 Team challenge</div>
+              <div style={{ color: '#86868b', fontSize: '12px', lineHeight: '1.4' }}>
+                Puts every student who isn't already in a challenge into teams that play one challenge together. The whole team passes or fails as one.
+              </div>
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+                <select value={teamType} onChange={e => setTeamType(e.target.value)} style={{ ...buttonStyle, cursor: 'default' }}>
+                  {COOP_CHALLENGES.map(c => <option key={c.type} value={c.type}>{c.name}</option>)}
+                </select>
+                <select value={teamSize} onChange={e => setTeamSize(Number(e.target.value))} style={{ ...buttonStyle, cursor: 'default' }}>
+                  {sizes.map(size => <option key={size} value={size}>Teams of {size}</option>)}
+                </select>
+                <button
+                  onClick={() => onStartTeams(teamType, teamSize)}
+                  disabled={!isActive}
+                  title={isActive ? undefined : 'Start the game first'}
+                  style={{ ...buttonStyle, background: isActive ? 'linear-gradient(135deg,rgba(0,122,255,0.85),rgba(10,132,255,0.85))' : 'rgba(0,0,0,0.05)', color: isActive ? '#fff' : '#86868b', cursor: isActive ? 'pointer' : 'not-allowed' }}
+                >Start</button>
+              </div>
+              {teamLaunch && (
+                <div style={{ fontSize: '12px', color: '#34c759', fontWeight: '600', lineHeight: '1.5' }}>
+                  ✓ {CHALLENGES.find(c => c.type === teamLaunch.challengeType)?.name}: {teamLaunch.teams.map(team => team.join(' & ')).join(' · ')}
+                </div>
+              )}
+            </div>
+          )}
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default ChallengeSettings;
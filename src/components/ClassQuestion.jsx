@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Dialog } from '@headlessui/react';
+
+const STATUS_LABELS = {
+  waiting: { text: 'waiting', color: '#86868b' },
+  answering: { text: '✍️ answering', color: '#0071e3' },
+  answered: { text: '✓', color: '#248a3d' },
+  skipped: { text: 'ran out of time', color: '#c4281c' },
+  left: { text: 'left', color: '#86868b' },
+  cancelled: { text: 'round ended', color: '#86868b' }
+};
+
+// Put the teacher's own question to everyone, a random few or chosen
+// students, and watch their answers come in
+const ClassQuestion = ({ open, onClose, students, questions, isActive, onAsk, glass }) => {
+  const [text, setText] = useState('');
+  const [target, setTarget] = useState('all');
+  const [count, setCount] = useState(3);
+  const [chosen, setChosen] = useState([]);
+
+  const buttonStyle = { padding: '6px 14px', fontSize: '13px', fontWeight: '600', borderRadius: '8px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', cursor: 'pointer' };
+  const chip = { fontSize: '10px', padding: '1px 6px', borderRadius: '5px', background: 'rgba(0,0,0,0.06)', color: '#6e6e73', fontWeight: '600' };
+  const canAsk = isActive && text.trim() && (target !== 'students' || chosen.length > 0);
+
+  const toggleStudent = id => setChosen(prev => (prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]));
+
+  const ask = () => {
+    onAsk({ text: text.trim(), target, count, clientIds: chosen });
+    setText('');
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} style={{ position: 'fixed', zIndex: 9999 }}>
+      <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.3)', backdropFilter: 'blur(8px)', WebkitBackdropFilter: 'blur(8px)', zIndex: 9998 }} aria-hidden="true" />
+      <div style={{ position: 'fixed', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '16px', zIndex: 9999 }}>
+        <Dialog.Panel style={{ ...glass, padding: '24px', borderRadius: '20px', width: '92vw', maxWidth: '760px', height: '80vh', display: 'flex', flexDirection: 'column', gap: '12px', boxShadow: '0 20px 60px rgba(0,0,0,0.15)' }}>
+          <Dialog.Title style={{ fontSize: '22px', fontWeight: '600', color: '#1d1d1f', letterSpacing: '-0.02em', flexShrink: 0 }}>
+            📣 Ask the Class
+          </Dialog.Title>
+          <Dialog.Description style={{ color: '#86868b', fontSize: '13px', flexShrink: 0 }}>
+            Every student you pick answers your question next, and each answer becomes its own training example.
+          </Dialog.Description>
+
+          <textarea
+            value={text}
+            onChange={e => setText(e.target.value)}
+            maxLength={300}
+            rows={2}
+            placeholder="How should an AI respond to someone who is sad?"
+            style={{ flexShrink: 0, padding: '10px', fontSize: '14px', borderRadius: '10px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', resize: 'none', fontFamily: 'inherit' }}
+          />
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '14px', flexWrap: 'wrap', flexShrink: 0, fontSize: '14px', color: '#1d1d1f' }}>
+            <label style={{ cursor: 'pointer' }}>
+              <input type="radio" checked={target === 'all'} onChange={() => setTarget('all')} /> Everyone ({students.length})
+            </label>
+            <label style={{ cursor: 'pointer' }}>
+              <input type="radio" checked={target === 'random'} onChange={() => setTarget('random')} /> Random
+              <input
+                type="number"
+                min={1}
+                max={Math.max(1, students.length)}
+                value={count}
+                onChange={e => setCount(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                onFocus={() => setTarget('random')}
+                style={{ width: '48px', marginLeft: '6px', padding: '2px 4px', borderRadius: '6px', border: '1px solid rgba(0,0,0,0.1)' }}
+              />
+            </label>
+            <label style={{ cursor: 'pointer' }}>
+              <input type="radio" checked={target === 'students'} onChange={() => setTarget('students')} /> Pick students
+            </label>
+            <button onClick={ask} disabled={!canAsk} title={isActive ? undefined : 'Start the game first'} style={{ ...buttonStyle, marginLeft: 'auto', background: canAsk ? 'rgba(88,86,214,0.85)' : buttonStyle.background, color: canAsk ? '#fff' : '#86868b', cursor: canAsk ? 'pointer' : 'not-allowed' }}>
+              Ask
+            </button>
+          </div>
+
+          {target === 'students' && (
+            <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', flexShrink: 0 }}>
+              {students.length === 0 && <span style={{ color: '#86868b', fontSize: '13px' }}>No students connected</span>}
+              {students.map(s => (
+                <button
+                  key={s.id}
+                  onClick={() => toggleStudent(s.id)}
+                  style={{ ...buttonStyle, padding: '3px 10px', fontSize: '12px', fontWeight: '500', background: chosen.includes(s.id) ? 'rgba(88,86,214,0.85)' : buttonStyle.background, color: chosen.includes(s.id) ? '#fff' : '#1d1d1f' }}
+                >
+                  {s.name}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div style={{ flex: 1, minHeight: 0, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            {questions.length === 0 && (
+              <p style={{ color: '#86868b', fontSize: '14px' }}>You haven't asked the class anything yet.</p>
+            )}
+            {questions.map(q => {
+              const answered = q.answers.filter(a => a.status === 'answered').length;
+              return (
+                <div key={q.id} style={{ padding: '10px 12px', borderRadius: '10px', flexShrink: 0, background: 'rgba(255,255,255,0.45)', border: '1px solid rgba(255,255,255,0.7)' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+                    <span style={{ flex: 1, fontSize: '14px', fontWeight: '600', color: '#1d1d1f', wordBreak: 'break-word' }}>{q.text}</span>
+                    <span style={chip}>{answered}/{q.answers.length} answered</span>
+                  </div>
+                  {q.answers.map(a => {
+                    const status = STATUS_LABELS[a.status] || STATUS_LABELS.waiting;
+                    return (
+                      <div key={a.clientId} style={{ display: 'flex', gap: '8px', fontSize: '12px', lineHeight: '1.5' }}>
+                        <span style={{ width: '110px', flexShrink: 0, color: '#6e6e73', fontWeight: '600', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{a.name}</span>
+                        {a.answer
+                          ? <span style={{ color: '#1d1d1f', wordBreak: 'break-word' }}>{a.answer}</span>
+                          : <span style={{ color: status.color, fontStyle: 'italic' }}>{status.text}</span>}
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', flexShrink: 0 }}>
+            <button onClick={onClose} style={buttonStyle}>Close</button>
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default ClassQuestion;
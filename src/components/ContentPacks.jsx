@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Dialog } from '@headlessui/react';
+import { CHALLENGES } from './challenges/registry';
+
+// What the editor shows: the pack minus fields the server manages
+const toText = ({ id, version, updatedAt, builtin, ...pack }) => JSON.stringify(pack, null, 2);
+
+const challengeName = type => CHALLENGES.find(c => c.type === type)?.name || type;
+
+// Pick the content pack this session's challenges are built from, and write,
+// check, import or download packs
+const ContentPacks = ({ open, onClose, packs, activePack, pack, validation, onUse, onOpen, onCheck, onSave, glass }) => {
+  const [editingId, setEditingId] = useState(null); // pack id, 'new', or null
+  const [text, setText] = useState('');
+  const [parseError, setParseError] = useState(null);
+  const [checked, setChecked] = useState(false); // Show the server's verdict until the text changes
+  const importRef = useRef(null);
+  const copying = useRef(false); // The standard pack is on its way to start a new one from
+
+  useEffect(() => {
+    if (!open) setEditingId(null);
+  }, [open]);
+
+  // A pack arrives when one is opened, and again (with its new version) when it's saved
+  useEffect(() => {
+    if (!pack) return;
+    if (copying.current) {
+      copying.current = false;
+      startNew({ ...pack, id: undefined, name: 'My content pack', description: '' });
+      return;
+    }
+    setEditingId(pack.id);
+    setText(toText(pack));
+    setParseError(null);
+    setChecked(false);
+  }, [pack]);
+
+  const startNew = (source) => {
+    setEditingId(source.id && packs.some(p => p.id === source.id) ? source.id : 'new');
+    setText(toText(source));
+    setParseError(null);
+    setChecked(false);
+  };
+
+  const parse = () => {
+    try {
+      const parsed = JSON.parse(text);
+      setParseError(null);
+      return parsed;
+    } catch (error) {
+      setParseError(`Not valid JSON: ${error.message}`);
+      return null;
+    }
+  };
+
+  const check = () => {
+    const parsed = parse();
+    if (!parsed) return;
+    onCheck(parsed);
+    setChecked(true);
+  };
+
+  const save = () => {
+    const parsed = parse();
+    if (parsed) onSave({ ...parsed, id: editingId === 'new' ? undefined : editingId });
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      startNew(JSON.parse(await file.text()));
+    } catch (error) {
+      alert(`${file.name} isn't a content pack: ${error.message}`);
+    }
+  };
+
+  // The whole pack, id included, so importing it elsewhere keeps it recognisable
+  const download = () => {
+    const parsed = parse();
+    if (!parsed) return;
+    const blob = new Blob([JSON.stringify({ ...parsed, id: editingId === 'new' ? undefined : editingId }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${(parsed.name || 'content-pack').replace(/[^a-z0-9-]+/gi, '-').toLowerCase()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const buttonStyle = { padding: '6px 14px', fontSize: '13px', fontWeight: '600', borderRadius: '8px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', cursor: 'pointer' };
+  const chip = { fontSize: '10px', padding: '1px 6px', borderRadius: '5px', background: 'rgba(0,0,0,0.06)', color: '#6e6e73', fontWeight: '600' };
+  const labelStyle = { fontSize: '11px', fontWeight: '700', color: '#86868b', letterSpacing: '0.5px', display: 'block', marginBottom: '3px' };
+
+  return (
+    <Dialog open={open} onClose={onClose} style={{ position: 'fixed', zIndex: 9999 }}>
+      <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.3)', backdropFilter: 'blur(8px)', WebkitBackdropFilter: 'blur(8px)', zIndex: 9998 }} aria-hidden="true" />
+      <div style={{ position: 'fixed', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '16px', zIndex: 9999 }}>
+        <Dialog.Panel style={{ ...glass, padding: '24px', borderRadius: '20px', width: '92vw', maxWidth: '1100px', height: '80vh', display: 'flex', flexDirection: 'column', gap: '12px', boxShadow: '0 20px 60px rgba(0,0,0,0.15)' }}>
+          <Dialog.Title style={{ fontSize: '22px', fontWeight: '600', color: '#1d1d1f', letterSpacing: '-0.02em', flexShrink: 0 }}>
+            📦 Content Packs
+          </Dialog.Title>
+          <Dialog.Description style={{ color: '#86868b', fontSize: '13px', flexShrink: 0 }}>
+            Challenges use the sentences, scenarios and statements in the pack chosen here. Challenges a pack leaves out use the standard pack. Your choice is saved with this session.
+          </Dialog.Description>
+
+          <div style={{ display: 'flex', gap: '12px', flex: 1, minHeight: 0 }}>
+            {/* Pack list */}
+            <div style={{ flex: '0 0 340px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+              {packs.map(p => (
+                <div key={p.id} style={{
+                  padding: '8px 10px', borderRadius: '8px', flexShrink: 0, display: 'flex', gap: '8px', alignItems: 'flex-start',
+                  background: editingId === p.id ? 'rgba(0,113,227,0.12)' : 'rgba(255,255,255,0.45)',
+                  border: `1px solid ${editingId === p.id ? 'rgba(0,113,227,0.4)' : 'rgba(255,255,255,0.7)'}`
+                }}>
+                  <input
+                    type="radio"
+                    name="content-pack"
+                    checked={p.id === activePack}
+                    onChange={() => onUse(p.id)}
+                    title="Use this pack for this session"
+                    style={{ marginTop: '3px', cursor: 'pointer' }}
+                  />
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontSize: '13px', fontWeight: '600', color: '#1d1d1f' }}>{p.name}</div>
+                    {p.description && <div style={{ fontSize: '12px', color: '#86868b', lineHeight: '1.4', marginTop: '2px' }}>{p.description}</div>}
+                    <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginTop: '4px' }}>
+                      <span style={chip}>v{p.version}</span>
+                      <span style={chip}>{p.language}</span>
+                      <span style={chip}>Grades {p.gradeBand}</span>
+                      <span style={chip} title={p.challengeTypes.map(challengeName).join(', ')}>{p.challengeTypes.length} challenges</span>
+                    </div>
+                  </div>
+                  <button onClick={() => onOpen(p.id)} title="Edit pack" style={{ ...buttonStyle, padding: '3px 8px', fontSize: '12px' }}>✎</button>
+                </div>
+              ))}
+              <div style={{ display: 'flex', gap: '6px', marginTop: '4px', flexShrink: 0 }}>
+                <button
+                  onClick={() => { copying.current = true; onOpen('standard'); }}
+                  title="Start from a copy of the standard pack"
+                  style={{ ...buttonStyle, flex: 1 }}
+                >+ New pack</button>
+                <button onClick={() => importRef.current?.click()} style={{ ...buttonStyle, flex: 1 }}>⬆ Import</button>
+                <input
+                  ref={importRef}
+                  type="file"
+                  accept=".json,application/json"
+                  style={{ display: 'none' }}
+                  onChange={e => { importFile(e.target.files[0]); e.target.value = ''; }}
+                />
+              </div>
+            </div>
+
+            {/* Editor */}
+            <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', gap: '8px' }}>
+              {!editingId && (
+                <p style={{ color: '#86868b', fontSize: '14px' }}>Pick a pack to edit it, start a new one, or import one from a file.</p>
+              )}
+              {editingId && (
+                <>
+                  <label style={labelStyle}>
+                    {editingId === 'new' ? 'NEW PACK' : 'PACK'} — JSON (name, description, language, gradeBand, challenges)
+                  </label>
+                  <textarea
+                    value={text}
+                    onChange={e => { setText(e.target.value); setChecked(false); }}
+                    spellCheck={false}
+                    style={{ flex: 1, width: '100%', padding: '10px', fontSize: '12px', fontFamily: 'ui-monospace, Menlo, monospace', lineHeight: '1.5', borderRadius: '8px', border: '1px solid rgba(0,0,0,0.12)', background: 'rgba(255,255,255,0.8)', resize: 'none', boxSizing: 'border-box' }}
+                  />
+                  {parseError && <div style={{ fontSize: '12px', color: '#ff3b30' }}>{parseError}</div>}
+                  {!parseError && checked && validation && (
+                    validation.length === 0
+                      ? <div style={{ fontSize: '12px', color: '#34c759', fontWeight: '600' }}>✓ Pack looks good</div>
+                      : (
+                        <div style={{ maxHeight: '120px', overflowY: 'auto', fontSize: '12px', color: '#ff3b30', lineHeight: '1.5' }}>
+                          {validation.map((error, i) => <div key={i}>• {error}</div>)}
+                        </div>
+                      )
+                  )}
+                  {packs.find(p => p.id === editingId)?.builtin && (
+                    <p style={{ color: '#86868b', fontSize: '12px', margin: 0 }}>This pack ships with the game - saving keeps your edited copy on this server.</p>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', flexShrink: 0 }}>
+            {editingId && (
+              <>
+                <button onClick={() => setEditingId(null)} style={buttonStyle}>Cancel</button>
+                <button onClick={download} style={buttonStyle}>⬇ Download</button>
+                <button onClick={check} style={buttonStyle}>Check</button>
+                <button
+                  onClick={save}
+                  style={{ ...buttonStyle, background: 'linear-gradient(135deg,rgba(0,122,255,0.85),rgba(10,132,255,0.85))', color: '#fff', border: '1px solid rgba(255,255,255,0.7)' }}
+                >Save pack</button>
+              </>
+            )}
+            <button onClick={onClose} style={buttonStyle}>Close</button>
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default ContentPacks;
@@ -19,6 +19,9 @@ function getCorruptionStyle(corruptionType) {
   return CORRUPTION_STYLES[corruptionType] || DEFAULT_CORRUPTION;
 }
 
+// Questions answered by several students where fewer than this share agreed
+const LOW_AGREEMENT = 0.6;
+
 const LLMDisplay = ({ gameState, sendMessage }) => {
   const [confirmIndex, setConfirmIndex] = useState(null);
   const scrollRef = useRef(null);
@@ -58,6 +61,7 @@ const LLMDisplay = ({ gameState, sendMessage }) => {
   
   const modelName = gameState?.modelIdentity?.name || 'AI';
   const lastThought = gameState?.modelIdentity?.lastThought || null;
+  const disputed = (gameState?.llmKnowledge || []).filter(k => k.groups && k.agreement < LOW_AGREEMENT);
   
   return (
     <div className="card no-lift" style={{ 
@@ -148,6 +152,39 @@ const LLMDisplay = ({ gameState, sendMessage }) => {
             "{lastThought}"
           </div>
         )}
+
+        {/* Questions the class answered differently - worth talking about */}
+        {disputed.length > 0 && (
+          <div style={{
+            marginTop: '10px',
+            padding: '10px 14px',
+            borderRadius: '10px',
+            background: 'rgba(255, 149, 0, 0.06)',
+            border: '1px solid rgba(255, 149, 0, 0.2)',
+            maxHeight: '160px',
+            overflowY: 'auto'
+          }}>
+            <span style={{ color: '#86868b', fontSize: '11px', fontWeight: '600', display: 'block', marginBottom: '6px' }}>
+              🤝 Students disagreed ({disputed.length}):
+            </span>
+            {disputed.slice().reverse().map((item, idx) => (
+              <div key={idx} style={{ fontSize: '12px', color: '#1d1d1f', lineHeight: '1.4', marginBottom: '6px' }}>
+                <div style={{ fontWeight: '500' }}>{item.q}</div>
+                <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginTop: '2px' }}>
+                  {item.groups.map((group, i) => (
+                    <span key={i} title={group.names.join(', ')} style={{
+                      fontSize: '11px', padding: '1px 6px', borderRadius: '5px',
+                      background: i === 0 ? 'rgba(255, 149, 0, 0.15)' : 'rgba(0, 0, 0, 0.05)',
+                      color: i === 0 ? '#a05a00' : '#6e6e73'
+                    }}>
+                      {group.answer} ×{group.count}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
 
       <style>
@@ -244,6 +281,14 @@ const LLMDisplay = ({ gameState, sendMessage }) => {
                 <div style={{ fontSize: '13px', color: isCorrupted ? cStyle.color : '#86868b' }}>
                   <strong>A:</strong> {item.a}
                 </div>
+                {item.groups && (
+                  <div
+                    title={item.groups.map(g => `${g.answer} (${g.names.join(', ')})`).join('\n')}
+                    style={{ display: 'inline-block', marginTop: '4px', fontSize: '10px', fontWeight: '600', padding: '1px 6px', borderRadius: '5px', background: item.agreement < LOW_AGREEMENT ? 'rgba(255, 149, 0, 0.15)' : 'rgba(52, 199, 89, 0.12)', color: item.agreement < LOW_AGREEMENT ? '#a05a00' : '#248a3d' }}
+                  >
+                    🤝 {Math.round(item.agreement * 100)}% agreed · {item.groups.reduce((n, g) => n + g.count, 0)} answers
+                  </div>
+                )}
                   </>
                 )}
                 {confirmIndex === idx ? (
@@ -0,0 +1,73 @@
+import React from 'react';
+import { Dialog } from '@headlessui/react';
+
+// Mirrors REVIEW_RATINGS in server/index.js
+const RATING_LABELS = {
+  keep: '👍 keep',
+  low_quality: '🤷 low quality',
+  unkind: '😠 unkind',
+  off_topic: '🙃 off-topic'
+};
+
+// Peer review switch plus the answers students turned down, which the
+// teacher can put back into the training data
+const PeerReview = ({ open, onClose, enabled, pending, discarded, onToggle, onRestore, onClear, glass }) => {
+  const buttonStyle = { padding: '6px 14px', fontSize: '13px', fontWeight: '600', borderRadius: '8px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', cursor: 'pointer' };
+  const chip = { fontSize: '10px', padding: '1px 6px', borderRadius: '5px', background: 'rgba(0,0,0,0.06)', color: '#6e6e73', fontWeight: '600' };
+
+  return (
+    <Dialog open={open} onClose={onClose} style={{ position: 'fixed', zIndex: 9999 }}>
+      <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.3)', backdropFilter: 'blur(8px)', WebkitBackdropFilter: 'blur(8px)', zIndex: 9998 }} aria-hidden="true" />
+      <div style={{ position: 'fixed', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '16px', zIndex: 9999 }}>
+        <Dialog.Panel style={{ ...glass, padding: '24px', borderRadius: '20px', width: '92vw', maxWidth: '760px', height: '80vh', display: 'flex', flexDirection: 'column', gap: '12px', boxShadow: '0 20px 60px rgba(0,0,0,0.15)' }}>
+          <Dialog.Title style={{ fontSize: '22px', fontWeight: '600', color: '#1d1d1f', letterSpacing: '-0.02em', flexShrink: 0 }}>
+            🔍 Peer Review
+          </Dialog.Title>
+          <Dialog.Description style={{ color: '#86868b', fontSize: '13px', flexShrink: 0 }}>
+            When it's on, every answer goes to one or two classmates first. Only answers they keep become training data.
+          </Dialog.Description>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexShrink: 0 }}>
+            <label style={{ fontSize: '14px', color: '#1d1d1f', cursor: 'pointer', fontWeight: '500' }}>
+              <input type="checkbox" checked={enabled} onChange={e => onToggle(e.target.checked)} /> Review answers before the AI learns them
+            </label>
+            {pending > 0 && <span style={chip}>{pending} being reviewed</span>}
+          </div>
+
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexShrink: 0 }}>
+            <span style={{ fontSize: '11px', fontWeight: '700', color: '#86868b', letterSpacing: '0.5px' }}>DISCARD PILE ({discarded.length})</span>
+            {discarded.length > 0 && (
+              <button onClick={onClear} style={{ ...buttonStyle, padding: '3px 10px', fontSize: '12px' }}>Clear</button>
+            )}
+          </div>
+
+          <div style={{ flex: 1, minHeight: 0, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            {discarded.length === 0 && (
+              <p style={{ color: '#86868b', fontSize: '14px' }}>Nothing discarded yet.</p>
+            )}
+            {discarded.map(item => (
+              <div key={item.id} style={{ padding: '8px 10px', borderRadius: '8px', flexShrink: 0, display: 'flex', gap: '8px', alignItems: 'flex-start', background: 'rgba(255,255,255,0.45)', border: '1px solid rgba(255,255,255,0.7)' }}>
+                <div style={{ flex: 1, minWidth: 0, fontSize: '12px', lineHeight: '1.4' }}>
+                  <div style={{ color: '#86868b' }}>{item.question}</div>
+                  <div style={{ color: '#1d1d1f', fontWeight: '600', wordBreak: 'break-word' }}>{item.answer}</div>
+                  <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginTop: '4px' }}>
+                    <span style={{ ...chip, background: 'rgba(255,59,48,0.12)', color: '#c4281c' }}>{RATING_LABELS[item.reason] || item.reason}</span>
+                    {item.answeredBy && <span style={chip}>by {item.answeredBy}</span>}
+                    <span style={chip}>{Object.values(item.ratings || {}).map(r => RATING_LABELS[r] || r).join(' · ')}</span>
+                  </div>
+                </div>
+                <button onClick={() => onRestore(item.id)} title="Add it to the training data anyway" style={{ ...buttonStyle, padding: '3px 8px', fontSize: '12px', flexShrink: 0 }}>↩ Keep</button>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', flexShrink: 0 }}>
+            <button onClick={onClose} style={buttonStyle}>Close</button>
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default PeerReview;
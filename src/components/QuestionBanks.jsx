@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog } from '@headlessui/react';
+
+// Mirrors GRADE_BANDS / ANSWER_KINDS in server/questionBanks.js
+const GRADE_BANDS = ['K-2', '3-5', '6-8', '9-12', 'all'];
+const ANSWER_KINDS = [
+  ['person', '🧑 Person'],
+  ['fact', '📘 Fact'],
+  ['opinion', '💭 Opinion']
+];
+
+const EMPTY_BANK = {
+  name: '',
+  description: '',
+  gradeBand: 'all',
+  topic: '',
+  answerKind: 'person',
+  config: false,
+  enabledByDefault: false,
+  weight: 5,
+  questions: []
+};
+
+// Editor form keeps questions as one-per-line text
+const toForm = bank => ({ ...EMPTY_BANK, ...bank, questionsText: (bank?.questions || []).join('\n') });
+
+// Turn question banks on/off for this session, and create or edit them
+const QuestionBanks = ({ open, onClose, banks, onToggle, onSave, glass }) => {
+  const [editingId, setEditingId] = useState(null); // bank id, 'new', or null
+  const [form, setForm] = useState(toForm(null));
+
+  useEffect(() => {
+    if (!open) setEditingId(null);
+  }, [open]);
+
+  const edit = (bank) => {
+    setEditingId(bank ? bank.id : 'new');
+    setForm(toForm(bank));
+  };
+
+  const save = () => {
+    const { questionsText, enabled, builtin, updatedAt, ...bank } = form;
+    onSave({
+      ...bank,
+      id: editingId === 'new' ? undefined : editingId,
+      weight: Number(bank.weight),
+      questions: questionsText.split('\n').map(q => q.trim()).filter(Boolean)
+    });
+    setEditingId(null);
+  };
+
+  const set = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const questionCount = form.questionsText.split('\n').filter(q => q.trim()).length;
+  const buttonStyle = { padding: '6px 14px', fontSize: '13px', fontWeight: '600', borderRadius: '8px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', cursor: 'pointer' };
+  const inputStyle = { width: '100%', padding: '6px 10px', fontSize: '13px', borderRadius: '8px', border: '1px solid rgba(0,0,0,0.12)', background: 'rgba(255,255,255,0.8)', boxSizing: 'border-box' };
+  const labelStyle = { fontSize: '11px', fontWeight: '700', color: '#86868b', letterSpacing: '0.5px', display: 'block', marginBottom: '3px' };
+  const chip = { fontSize: '10px', padding: '1px 6px', borderRadius: '5px', background: 'rgba(0,0,0,0.06)', color: '#6e6e73', fontWeight: '600' };
+
+  return (
+    <Dialog open={open} onClose={onClose} style={{ position: 'fixed', zIndex: 9999 }}>
+      <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.3)', backdropFilter: 'blur(8px)', WebkitBackdropFilter: 'blur(8px)', zIndex: 9998 }} aria-hidden="true" />
+      <div style={{ position: 'fixed', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '16px', zIndex: 9999 }}>
+        <Dialog.Panel style={{ ...glass, padding: '24px', borderRadius: '20px', width: '92vw', maxWidth: '1100px', height: '80vh', display: 'flex', flexDirection: 'column', gap: '12px', boxShadow: '0 20px 60px rgba(0,0,0,0.15)' }}>
+          <Dialog.Title style={{ fontSize: '22px', fontWeight: '600', color: '#1d1d1f', letterSpacing: '-0.02em', flexShrink: 0 }}>
+            📚 Question Banks
+          </Dialog.Title>
+          <Dialog.Description style={{ color: '#86868b', fontSize: '13px', flexShrink: 0 }}>
+            Askers get prompts from the banks ticked here. Your choice is saved with this session.
+          </Dialog.Description>
+
+          <div style={{ display: 'flex', gap: '12px', flex: 1, minHeight: 0 }}>
+            {/* Bank list */}
+            <div style={{ flex: '0 0 380px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+              {banks.map(bank => (
+                <div key={bank.id} style={{
+                  padding: '8px 10px', borderRadius: '8px', flexShrink: 0, display: 'flex', gap: '8px', alignItems: 'flex-start',
+                  background: editingId === bank.id ? 'rgba(0,113,227,0.12)' : 'rgba(255,255,255,0.45)',
+                  border: `1px solid ${editingId === bank.id ? 'rgba(0,113,227,0.4)' : 'rgba(255,255,255,0.7)'}`
+                }}>
+                  <input
+                    type="checkbox"
+                    checked={bank.enabled}
+                    onChange={e => onToggle(bank.id, e.target.checked)}
+                    title={bank.enabled ? 'Stop using this bank' : 'Use this bank'}
+                    style={{ marginTop: '3px', cursor: 'pointer' }}
+                  />
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontSize: '13px', fontWeight: '600', color: '#1d1d1f' }}>{bank.name}</div>
+                    {bank.description && <div style={{ fontSize: '12px', color: '#86868b', lineHeight: '1.4', marginTop: '2px' }}>{bank.description}</div>}
+                    <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginTop: '4px' }}>
+                      <span style={chip}>{bank.questions.length} questions</span>
+                      <span style={chip}>Grades {bank.gradeBand}</span>
+                      <span style={chip}>{bank.topic}</span>
+                      <span style={chip}>{(ANSWER_KINDS.find(([k]) => k === bank.answerKind) || [])[1] || bank.answerKind}</span>
+                      {bank.config && <span style={{ ...chip, background: 'rgba(88,86,214,0.15)', color: '#5856d6' }}>config</span>}
+                    </div>
+                  </div>
+                  <button onClick={() => edit(bank)} title="Edit bank" style={{ ...buttonStyle, padding: '3px 8px', fontSize: '12px' }}>✎</button>
+                </div>
+              ))}
+              <button onClick={() => edit(null)} style={{ ...buttonStyle, flexShrink: 0, marginTop: '4px' }}>+ New bank</button>
+            </div>
+
+            {/* Editor */}
+            <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', gap: '8px', overflowY: 'auto' }}>
+              {!editingId && (
+                <p style={{ color: '#86868b', fontSize: '14px' }}>Pick a bank to edit it, or make a new one.</p>
+              )}
+              {editingId && (
+                <>
+                  <div>
+                    <label style={labelStyle}>NAME</label>
+                    <input value={form.name} onChange={set('name')} maxLength={60} style={inputStyle} />
+                  </div>
+                  <div>
+                    <label style={labelStyle}>DESCRIPTION</label>
+                    <input value={form.description} onChange={set('description')} maxLength={200} style={inputStyle} />
+                  </div>
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <div style={{ flex: 1 }}>
+                      <label style={labelStyle}>GRADES</label>
+                      <select value={form.gradeBand} onChange={set('gradeBand')} style={inputStyle}>
+                        {GRADE_BANDS.map(band => <option key={band} value={band}>{band}</option>)}
+                      </select>
+                    </div>
+                    <div style={{ flex: 1 }}>
+                      <label style={labelStyle}>TOPIC</label>
+                      <input value={form.topic} onChange={set('topic')} maxLength={40} style={inputStyle} />
+                    </div>
+                    <div style={{ flex: 1 }}>
+                      <label style={labelStyle}>ANSWERS ARE A</label>
+                      <select value={form.answerKind} onChange={set('answerKind')} style={inputStyle}>
+                        {ANSWER_KINDS.map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+                      </select>
+                    </div>
+                    <div style={{ flex: '0 0 80px' }}>
+                      <label style={labelStyle} title="How often this bank is picked compared to the others">WEIGHT</label>
+                      <input type="number" min={1} max={100} value={form.weight} onChange={set('weight')} style={inputStyle} />
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', gap: '16px', fontSize: '13px', color: '#1d1d1f' }}>
+                    <label style={{ cursor: 'pointer' }}>
+                      <input type="checkbox" checked={form.config} onChange={set('config')} /> Config questions (shape the AI's personality)
+                    </label>
+                    <label style={{ cursor: 'pointer' }}>
+                      <input type="checkbox" checked={form.enabledByDefault} onChange={set('enabledByDefault')} /> On for new sessions
+                    </label>
+                  </div>
+                  <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: '180px' }}>
+                    <label style={labelStyle}>QUESTIONS — ONE PER LINE ({questionCount})</label>
+                    <textarea value={form.questionsText} onChange={set('questionsText')} style={{ ...inputStyle, flex: 1, resize: 'none', fontFamily: 'inherit', lineHeight: '1.5' }} />
+                  </div>
+                  {form.builtin && (
+                    <p style={{ color: '#86868b', fontSize: '12px', margin: 0 }}>This bank ships with the game - saving keeps your edited copy on this server.</p>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', flexShrink: 0 }}>
+            {editingId && (
+              <>
+                <button onClick={() => setEditingId(null)} style={buttonStyle}>Cancel</button>
+                <button
+                  onClick={save}
+                  disabled={!form.name.trim() || questionCount === 0}
+                  style={{ ...buttonStyle, background: 'linear-gradient(135deg,rgba(0,122,255,0.85),rgba(10,132,255,0.85))', color: '#fff', border: '1px solid rgba(255,255,255,0.7)', opacity: !form.name.trim() || questionCount === 0 ? 0.45 : 1 }}
+                >Save bank</button>
+              </>
+            )}
+            <button onClick={onClose} style={buttonStyle}>Close</button>
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default QuestionBanks;
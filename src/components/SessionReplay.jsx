@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Dialog } from '@headlessui/react';
+import LLMDisplay from './LLMDisplay';
+import { buildReplayFrames, describeEvent } from '../utils/sessionReplay';
+
+const PLAY_INTERVAL_MS = 700;
+
+function formatElapsed(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+// Scrub through a session's event journal and watch the AI Mind rebuild
+const SessionReplay = ({ open, onClose, session, apiBaseUrl, authHeaders, glass }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const timelineRef = useRef(null);
+
+  useEffect(() => {
+    if (!open || !session) return;
+    setLoading(true);
+    setError(null);
+    setPlaying(false);
+    fetch(`${apiBaseUrl}/api/sessions/${session.id}/events`, { headers: authHeaders })
+      .then(res => res.json())
+      .then(data => {
+        if (!data.success) throw new Error(data.error);
+        setEvents(data.events);
+        setPosition(Math.max(0, data.events.length - 1));
+      })
+      .catch(err => {
+        console.error('[REPLAY] Failed to load events:', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [open, session?.id]);
+
+  const frames = useMemo(() => buildReplayFrames(events), [events]);
+  const frame = frames[position];
+
+  // Step forward one event at a time while playing
+  useEffect(() => {
+    if (!playing) return;
+    if (position >= frames.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setPosition(p => p + 1), PLAY_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [playing, position, frames.length]);
+
+  // Keep the current event visible in the timeline
+  useEffect(() => {
+    const el = timelineRef.current?.querySelector(`[data-index="${position}"]`);
+    el?.scrollIntoView({ block: 'nearest' });
+  }, [position]);
+
+  // Minutes are counted from the most recent game start, like a teacher would
+  const gameStartTs = useMemo(() => {
+    for (let i = position; i >= 0; i--) {
+      if (events[i]?.type === 'game_started') return events[i].ts;
+    }
+    return events[0]?.ts || 0;
+  }, [events, position]);
+
+  const togglePlay = () => {
+    if (!playing && position >= frames.length - 1) setPosition(0);
+    setPlaying(p => !p);
+  };
+
+  const buttonStyle = { padding: '6px 14px', fontSize: '13px', fontWeight: '600', borderRadius: '8px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', cursor: 'pointer' };
+
+  return (
+    <Dialog open={open} onClose={onClose} style={{ position: 'fixed', zIndex: 9999 }}>
+      <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.3)', backdropFilter: 'blur(8px)', WebkitBackdropFilter: 'blur(8px)', zIndex: 9998 }} aria-hidden="true" />
+      <div style={{ position: 'fixed', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '16px', zIndex: 9999 }}>
+        <Dialog.Panel style={{ ...glass, padding: '24px', borderRadius: '20px', width: '92vw', maxWidth: '1200px', height: '86vh', display: 'flex', flexDirection: 'column', gap: '12px', boxShadow: '0 20px 60px rgba(0,0,0,0.15)' }}>
+          <Dialog.Title style={{ fontSize: '22px', fontWeight: '600', color: '#1d1d1f', letterSpacing: '-0.02em', flexShrink: 0 }}>
+            ⏪ Replay: {session?.name}
+          </Dialog.Title>
+
+          {loading && <p style={{ color: '#86868b', fontSize: '14px' }}>Loading timeline…</p>}
+          {error && <p style={{ color: '#ff3b30', fontSize: '14px' }}>Couldn't load the timeline: {error}</p>}
+          {!loading && !error && frames.length === 0 && (
+            <p style={{ color: '#86868b', fontSize: '14px' }}>Nothing has happened in this session yet.</p>
+          )}
+
+          {frame && (
+            <>
+              <div style={{ display: 'flex', gap: '12px', flex: 1, minHeight: 0 }}>
+                {/* AI Mind as it was at this point (read-only) */}
+                <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column' }}>
+                  <LLMDisplay gameState={frame.state} />
+                </div>
+
+                {/* Event timeline */}
+                <div ref={timelineRef} style={{ flex: '0 0 360px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                  {events.map((event, idx) => {
+                    const { icon, text, color } = describeEvent(event);
+                    const isCurrent = idx === position;
+                    return (
+                      <div
+                        key={event.seq}
+                        data-index={idx}
+                        onClick={() => { setPlaying(false); setPosition(idx); }}
+                        style={{
+                          padding: '6px 10px', borderRadius: '8px', fontSize: '12px', lineHeight: '1.4', cursor: 'pointer', flexShrink: 0,
+                          background: isCurrent ? 'rgba(0,113,227,0.12)' : 'rgba(255,255,255,0.45)',
+                          border: `1px solid ${isCurrent ? 'rgba(0,113,227,0.4)' : 'rgba(255,255,255,0.7)'}`,
+                          opacity: idx > position ? 0.45 : 1
+                        }}
+                      >
+                        <span style={{ color: '#86868b', marginRight: '6px' }}>{new Date(event.ts).toLocaleTimeString()}</span>
+                        <span style={{ color }}>{icon} {text.length > 110 ? `${text.substring(0, 110)}…` : text}</span>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {/* Scrubber */}
+              <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flexShrink: 0 }}>
+                <button onClick={togglePlay} style={buttonStyle}>{playing ? '⏸ Pause' : '▶ Play'}</button>
+                <input
+                  type="range"
+                  min={0}
+                  max={frames.length - 1}
+                  value={position}
+                  onChange={e => { setPlaying(false); setPosition(Number(e.target.value)); }}
+                  style={{ flex: 1 }}
+                />
+                <span style={{ fontSize: '13px', color: '#1d1d1f', fontVariantNumeric: 'tabular-nums', minWidth: '150px', textAlign: 'right' }}>
+                  {formatElapsed(frame.event.ts - gameStartTs)} · {position + 1}/{frames.length}
+                </span>
+                <button onClick={onClose} style={buttonStyle}>Close</button>
+              </div>
+            </>
+          )}
+
+          {!frame && (
+            <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 'auto' }}>
+              <button onClick={onClose} style={buttonStyle}>Close</button>
+            </div>
+          )}
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default SessionReplay;
@@ -8,6 +8,9 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
   const [answer, setAnswer] = useState('');
   const [customQuestion, setCustomQuestion] = useState('');
   const [activeChallenge, setActiveChallenge] = useState(null);
+  const [coopState, setCoopState] = useState(null); // Shared state of the team challenge we're playing
+  const [challengeFeedback, setChallengeFeedback] = useState({ challengeId: null, verdicts: [] }); // The server's verdicts on our moves, in order
+  const movesSent = useRef(0); // Moves made in the current challenge
   const [postGameMode, setPostGameMode] = useState(false);
   const [llmQuery, setLlmQuery] = useState('');
   const [chatHistory, setChatHistory] = useState([]); // Store chat messages
@@ -22,7 +25,13 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
   const chatContainerRef = useRef(null); // Reference to chat container for auto-scroll
   const lastProcessedMsgIndex = useRef(0); // Track last processed message index to avoid re-processing
   const [isKicked, setIsKicked] = useState(false); // Track if student was kicked
+  const [inLobby, setInLobby] = useState(false); // Waiting for the teacher to admit us
   const [milestoneToast, setMilestoneToast] = useState(null); // Training milestone notification
+  const [reviewQueue, setReviewQueue] = useState([]); // Classmates' answers waiting for our rating (peer review)
+  const [reviewToast, setReviewToast] = useState(null); // What the reviewers decided about our answer
+  const [teamResult, setTeamResult] = useState(null); // How our team challenge ended
+  const [assignmentNotice, setAssignmentNotice] = useState(null); // "Still there?" nudge or "time ran out" for our question
+  const [rateLimitNotice, setRateLimitNotice] = useState(null); // Server refused a message because we sent too many
 
   // Add responsive styles
   useEffect(() => {
@@ -171,6 +180,26 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
       if (msg.type === 'answer_request') {
         setCurrentQuestion(msg.question);
         setCurrentMode('answerer');
+        setAssignmentNotice(null);
+      }
+      if (msg.type === 'answer_nudge') {
+        setAssignmentNotice({ icon: '⏰', text: msg.message, questionId: msg.questionId });
+      }
+      if (msg.type === 'answer_expired') {
+        // The server has already passed the question on - drop it and any half-typed answer
+        setCurrentQuestion((prev) => (prev?.id === msg.questionId ? null : prev));
+        setAnswer('');
+        setAssignmentNotice({ icon: '⌛', text: msg.message, questionId: msg.questionId });
+        setTimeout(() => setAssignmentNotice((prev) => (prev?.icon === '⌛' ? null : prev)), 4000);
+      }
+      if (msg.type === 'rate_limited') {
+        setRateLimitNotice({ text: msg.message, muted: msg.muted });
+        if (!msg.muted) {
+          setTimeout(() => setRateLimitNotice((prev) => (prev?.muted ? prev : null)), Math.max(3000, msg.retryAfter || 0));
+        }
+      }
+      if (msg.type === 'rate_limit_lifted') {
+        setRateLimitNotice(null);
       }
       if (msg.type === 'waiting_for_questions') {
         setCurrentQuestion(null);
@@ -199,25 +228,63 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
         setCustomQuestion('');
         setAnswer('');
         setActiveChallenge(null);
+        setCoopState(null);
         setChatHistory([]); // Clear chat history on reset
         setStarredPairs(new Set()); // Clear starred pairs
         // Also clear processed LLM keys so we don't retain stale dedupe entries
         setProcessedLlmKeys(new Set());
         setIsLlmQueryPending(false); // Clear pending query state
+        setReviewQueue([]);
+      }
+      if (msg.type === 'review_request') {
+        setReviewQueue((prev) => prev.some(r => r.id === msg.review.id) ? prev : [...prev, msg.review]);
+      }
+      if (msg.type === 'review_cancelled') {
+        setReviewQueue((prev) => prev.filter(r => r.id !== msg.reviewId));
+      }
+      if (msg.type === 'answer_reviewed') {
+        setReviewToast(msg);
+        setTimeout(() => setReviewToast(null), 4000);
       }
       if (msg.type === 'kicked') {
         // Student has been kicked by the teacher
         setIsKicked(true);
       }
+      if (msg.type === 'lobby_waiting') {
+        setInLobby(true);
+      }
+      if (msg.type === 'registered') {
+        setInLobby(false);
+      }
       if (msg.type === 'challenge') {
+        // A team challenge comes with its shared state - newer on a resend after reconnecting
+        if (msg.coop) setCoopState(msg.coop);
         // Only set challenge if we haven't processed this one before
         if (msg.challenge && msg.challenge.id) {
           if (!processedChallenges.has(msg.challenge.id)) {
             setActiveChallenge(msg.challenge);
+            setChallengeFeedback({ challengeId: msg.challenge.id, verdicts: [] });
+            movesSent.current = 0;
             setProcessedChallenges((prev) => new Set([...prev, msg.challenge.id]));
           }
         }
       }
+      if (msg.type === 'challenge_feedback') {
+        setChallengeFeedback((prev) => (prev.challengeId === msg.challengeId
+          ? { ...prev, verdicts: [...prev.verdicts.slice(0, msg.index), msg.feedback] }
+          : prev));
+      }
+      if (msg.type === 'coop_state') {
+        // Updates arrive in order, but a resync can repeat the one we have
+        setCoopState((prev) => (!prev || prev.challengeId !== msg.challengeId || msg.seq >= prev.seq ? msg : prev));
+      }
+      if ((msg.type === 'challenge_success' || msg.type === 'challenge_failed') && msg.team && processedChallenges.has(msg.challengeId)) {
+        // Our team's challenge is over, for all of us at once
+        setActiveChallenge((prev) => (prev?.id === msg.challengeId ? null : prev));
+        setCoopState(null);
+        setTeamResult(msg);
+        setTimeout(() => setTeamResult(null), 4000);
+      }
       if (msg.type === 'llm_response') {
         // Deduplicate by a stable key: prefer msg.id or timestamp, fallback to content-based key
         const key = msg.id || msg.timestamp || `llm:${msg.response}`;
@@ -333,6 +400,7 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
       });
       setAnswer('');
       setCurrentQuestion(null);
+      setAssignmentNotice(null);
       // Immediately rotate to asker mode locally (server will confirm)
       setCurrentMode('asker');
     }
@@ -367,17 +435,38 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
     }
   };
 
-  const handleChallengeComplete = (success) => {
+  const submitReview = (rating) => {
+    const [review] = reviewQueue;
+    if (!review) return;
+    sendMessage({ type: 'submit_review', reviewId: review.id, rating });
+    setReviewQueue((prev) => prev.slice(1));
+  };
+
+  const handleChallengeComplete = () => {
+    if (activeChallenge.team) {
+      // Our clock ran out; the server ends the team's challenge and tells everyone
+      setActiveChallenge(null);
+      return;
+    }
+    // The server grades the moves it has already judged
     sendMessage({
       type: 'challenge_completed',
-      challengeId: activeChallenge.id,
-      success
+      challengeId: activeChallenge.id
     });
     setActiveChallenge(null);
     // After completing challenge, server will assign next mode
     // We'll sync from server's mode assignment
   };
 
+  // Team moves go to the shared state; moves in our own challenge are judged one at a time
+  const handleChallengeMove = (move) => {
+    if (activeChallenge.team) {
+      sendMessage({ type: 'coop_move', challengeId: activeChallenge.id, move });
+    } else {
+      sendMessage({ type: 'challenge_move', challengeId: activeChallenge.id, index: movesSent.current++, move });
+    }
+  };
+
   const queryLLM = () => {
     if (llmQuery.trim()) {
       // Apply content filter and add user message to chat history
@@ -541,7 +630,7 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
     );
   }
 
-  if (!gameState?.isActive && !postGameMode) {
+  if (inLobby || (!gameState?.isActive && !postGameMode)) {
     return (
       <div style={{
         width: '100vw',
@@ -570,7 +659,7 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
           boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1), inset 0 0 0 1px rgba(255, 255, 255, 0.7)',
           boxSizing: 'border-box'
         }}>
-          <div className="emoji-large" style={{ fontSize: '4rem', marginBottom: '24px' }}>👋</div>
+          <div className="emoji-large" style={{ fontSize: '4rem', marginBottom: '24px' }}>{inLobby ? '🚪' : '👋'}</div>
           <h2 style={{ 
             fontSize: '2rem',
             fontWeight: '600',
@@ -586,14 +675,14 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
             marginBottom: '12px',
             fontWeight: '500'
           }}>
-            Waiting for the teacher to start the game...
+            {inLobby ? 'Waiting for the teacher to let you in...' : 'Waiting for the teacher to start the game...'}
           </p>
           <p style={{ 
             fontSize: '1rem',
             color: '#86868b',
             lineHeight: '1.5'
           }}>
-            You'll rotate between asking and answering questions!
+            {inLobby ? 'Your teacher can see your name and will admit you soon.' : "You'll rotate between asking and answering questions!"}
           </p>
         </div>
       </div>
@@ -1048,7 +1137,10 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
         {activeChallenge ? (
           <ChallengeModal 
             challenge={activeChallenge}
+            coop={coopState?.challengeId === activeChallenge.id ? coopState : null}
+            feedback={challengeFeedback.verdicts}
             onComplete={handleChallengeComplete}
+            onMove={handleChallengeMove}
           />
         ) : (
           <div style={{
@@ -1120,7 +1212,10 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
       {activeChallenge && (
         <ChallengeModal 
           challenge={activeChallenge}
+          coop={coopState?.challengeId === activeChallenge.id ? coopState : null}
+          feedback={challengeFeedback.verdicts}
           onComplete={handleChallengeComplete}
+          onMove={handleChallengeMove}
         />
       )}
 
@@ -1152,6 +1247,157 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
         </div>
       )}
 
+      {/* Answer deadline: nudge while we still hold the question, notice once it's gone */}
+      {assignmentNotice && !milestoneToast && (
+        <div style={{
+          position: 'fixed',
+          top: '20px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: 10000,
+          background: 'rgba(255, 255, 255, 0.95)',
+          backdropFilter: 'blur(20px)',
+          WebkitBackdropFilter: 'blur(20px)',
+          padding: '14px 24px',
+          borderRadius: '16px',
+          border: '1px solid rgba(255, 149, 0, 0.35)',
+          boxShadow: '0 8px 32px rgba(255, 149, 0, 0.2)',
+          animation: 'milestoneSlideIn 0.4s ease-out',
+          maxWidth: '90vw',
+          textAlign: 'center',
+          fontSize: '0.95rem',
+          fontWeight: '600',
+          color: '#1d1d1f'
+        }}>
+          {assignmentNotice.icon} {assignmentNotice.text}
+        </div>
+      )}
+
+      {/* Sending too fast - shown until the pause is over */}
+      {rateLimitNotice && (
+        <div style={{
+          position: 'fixed',
+          bottom: '20px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: 10000,
+          background: 'rgba(255, 255, 255, 0.95)',
+          backdropFilter: 'blur(20px)',
+          WebkitBackdropFilter: 'blur(20px)',
+          padding: '14px 24px',
+          borderRadius: '16px',
+          border: `1px solid ${rateLimitNotice.muted ? 'rgba(255, 59, 48, 0.35)' : 'rgba(255, 149, 0, 0.35)'}`,
+          boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12)',
+          maxWidth: '90vw',
+          textAlign: 'center',
+          fontSize: '0.95rem',
+          fontWeight: '600',
+          color: '#1d1d1f'
+        }}>
+          {rateLimitNotice.muted ? '🔇' : '🐢'} {rateLimitNotice.text}
+        </div>
+      )}
+
+      {/* Peer review result for our own answer */}
+      {reviewToast && !milestoneToast && !assignmentNotice && (
+        <div style={{
+          position: 'fixed',
+          top: '20px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: 10000,
+          background: 'rgba(255, 255, 255, 0.95)',
+          backdropFilter: 'blur(20px)',
+          WebkitBackdropFilter: 'blur(20px)',
+          padding: '14px 24px',
+          borderRadius: '16px',
+          border: `1px solid ${reviewToast.accepted ? 'rgba(52, 199, 89, 0.35)' : 'rgba(255, 149, 0, 0.35)'}`,
+          boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12)',
+          animation: 'milestoneSlideIn 0.4s ease-out',
+          maxWidth: '90vw',
+          textAlign: 'center'
+        }}>
+          <div style={{ fontSize: '1rem', fontWeight: '700', color: '#1d1d1f', marginBottom: '2px' }}>
+            {reviewToast.accepted ? '✅ Your answer was kept!' : '🗂️ Your answer was left out'}
+          </div>
+          <div style={{ fontSize: '0.85rem', color: '#86868b', fontWeight: '500' }}>
+            {reviewToast.accepted
+              ? 'Your classmates added it to the AI\'s training data.'
+              : `Your classmates marked it ${reviewToast.reason}.`}
+          </div>
+        </div>
+      )}
+
+      {/* How our team challenge ended */}
+      {teamResult && !milestoneToast && (
+        <div style={{
+          position: 'fixed',
+          top: '20px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: 10000,
+          background: 'rgba(255, 255, 255, 0.95)',
+          backdropFilter: 'blur(20px)',
+          WebkitBackdropFilter: 'blur(20px)',
+          padding: '14px 24px',
+          borderRadius: '16px',
+          border: `1px solid ${teamResult.type === 'challenge_success' ? 'rgba(52, 199, 89, 0.35)' : 'rgba(255, 59, 48, 0.35)'}`,
+          boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12)',
+          animation: 'milestoneSlideIn 0.4s ease-out',
+          maxWidth: '90vw',
+          textAlign: 'center'
+        }}>
+          <div style={{ fontSize: '1rem', fontWeight: '700', color: '#1d1d1f', marginBottom: '2px' }}>
+            {teamResult.type === 'challenge_success' ? '🤝 Your team did it!' : '🤝 Your team didn\'t make it'}
+          </div>
+          <div style={{ fontSize: '0.85rem', color: '#86868b', fontWeight: '500' }}>{teamResult.message}</div>
+        </div>
+      )}
+
+      {/* Peer review card - rate a classmate's answer before the AI learns it */}
+      {reviewQueue.length > 0 && !activeChallenge && (
+        <div style={{
+          position: 'fixed',
+          bottom: '16px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: 9000,
+          width: 'min(560px, calc(100vw - 32px))',
+          boxSizing: 'border-box',
+          background: 'rgba(255, 255, 255, 0.95)',
+          backdropFilter: 'blur(20px)',
+          WebkitBackdropFilter: 'blur(20px)',
+          padding: '16px 20px',
+          borderRadius: '16px',
+          border: '1px solid rgba(88, 86, 214, 0.3)',
+          boxShadow: '0 8px 32px rgba(88, 86, 214, 0.2)',
+          animation: 'slideUp 0.3s ease-out'
+        }}>
+          <div style={{ fontSize: '0.75rem', fontWeight: '700', color: '#5856d6', letterSpacing: '0.5px', marginBottom: '6px' }}>
+            🔍 REVIEW A CLASSMATE'S ANSWER{reviewQueue.length > 1 ? ` (${reviewQueue.length} waiting)` : ''}
+          </div>
+          <div style={{ fontSize: '0.9rem', color: '#86868b', marginBottom: '2px' }}>{reviewQueue[0].question}</div>
+          <div style={{ fontSize: '1.05rem', color: '#1d1d1f', fontWeight: '600', marginBottom: '12px', wordBreak: 'break-word' }}>{reviewQueue[0].answer}</div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(110px, 1fr))', gap: '8px' }}>
+            {[
+              ['keep', '👍 Keep', 'rgba(52, 199, 89, 0.15)', '#1a7a3a'],
+              ['low_quality', '🤷 Low quality', 'rgba(142, 142, 147, 0.15)', '#48484a'],
+              ['unkind', '😠 Unkind', 'rgba(255, 59, 48, 0.12)', '#c4281c'],
+              ['off_topic', '🙃 Off-topic', 'rgba(255, 149, 0, 0.15)', '#b36b00']
+            ].map(([rating, label, bg, color]) => (
+              <button
+                key={rating}
+                onClick={() => submitReview(rating)}
+                style={{
+                  padding: '10px 8px', fontSize: '0.9rem', fontWeight: '600', borderRadius: '10px',
+                  border: '1px solid rgba(255, 255, 255, 0.7)', background: bg, color, cursor: 'pointer'
+                }}
+              >{label}</button>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div style={{
         background: 'rgba(255, 255, 255, 0.7)',
         backdropFilter: 'blur(40px) saturate(180%)',
@@ -1198,7 +1444,7 @@ const StudentClient = ({ role, name, gameState, sendMessage, messages, connected
                     textTransform: 'uppercase',
                     letterSpacing: '0.5px'
                   }}>
-                    Answer This Question:
+                    {currentQuestion.type === 'teacher' ? '📣 Your Teacher Asks:' : 'Answer This Question:'}
                   </div>
                   <div className="student-question-text" style={{ 
                     fontSize: 'clamp(1.2rem, 4vw, 1.5rem)',
@@ -2,6 +2,13 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Transition, Dialog } from '@headlessui/react';
 import { QRCodeSVG } from 'qrcode.react';
 import LLMDisplay from './LLMDisplay';
+import SessionReplay from './SessionReplay';
+import TrainingHistory from './TrainingHistory';
+import QuestionBanks from './QuestionBanks';
+import PeerReview from './PeerReview';
+import ClassQuestion from './ClassQuestion';
+import ChallengeSettings from './ChallengeSettings';
+import ContentPacks from './ContentPacks';
 
 const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
   const [activityLog, setActivityLog] = useState([]);
@@ -11,6 +18,31 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
   const [selectedModel, setSelectedModel] = useState('');
   const [loadingModels, setLoadingModels] = useState(false);
   const [changingModel, setChangingModel] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [showSessionsDialog, setShowSessionsDialog] = useState(false);
+  const [showArchivedSessions, setShowArchivedSessions] = useState(false);
+  const [newSessionName, setNewSessionName] = useState('');
+  const importInputRef = useRef(null);
+  const [replaySession, setReplaySession] = useState(null);
+  const [showHistoryDialog, setShowHistoryDialog] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [versionDetail, setVersionDetail] = useState(null);
+  const [pendingStudents, setPendingStudents] = useState([]);
+  const [showBanksDialog, setShowBanksDialog] = useState(false);
+  const [questionBanks, setQuestionBanks] = useState([]);
+  const [curriculumModes, setCurriculumModes] = useState([]);
+  const [showReviewDialog, setShowReviewDialog] = useState(false);
+  const [reviewState, setReviewState] = useState({ pending: 0, discarded: [] });
+  const [showClassQuestionDialog, setShowClassQuestionDialog] = useState(false);
+  const [showChallengesDialog, setShowChallengesDialog] = useState(false);
+  const [teamLaunch, setTeamLaunch] = useState(null); // Teams sent into the last team challenge
+  const [showPacksDialog, setShowPacksDialog] = useState(false);
+  const [contentPacks, setContentPacks] = useState({ packs: [], activePack: null });
+  const [openPack, setOpenPack] = useState(null);
+  const [packValidation, setPackValidation] = useState(null);
+  const [classQuestions, setClassQuestions] = useState([]);
+  const [assignments, setAssignments] = useState({ assignments: [], stalled: 0, unassigned: 0 });
+  const [selectedMode, setSelectedMode] = useState('');
 
   // Auto-scroll for students list
   const studentsScrollRef = useRef(null);
@@ -48,6 +80,14 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
       : `${window.location.protocol}//${window.location.host}`;
   };
 
+  // Students join this room with its code (or by scanning the QR code)
+  const roomCode = gameState?.roomCode;
+  const joinUrl = roomCode ? `${window.location.origin}/?room=${roomCode}` : window.location.origin;
+
+  // Issued when we register as teacher; privileged REST endpoints require it
+  const teacherToken = sessionStorage.getItem('teacherToken');
+  const authHeaders = { 'X-Teacher-Token': teacherToken };
+
   // Debug log for starred pairs
   useEffect(() => {
     if (gameState?.starredQAPairs) {
@@ -83,6 +123,46 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
     fetchModels();
   }, []);
 
+  // Fetch curriculum modes for the start picker
+  useEffect(() => {
+    const fetchModes = async () => {
+      try {
+        const response = await fetch(`${getApiBaseUrl()}/api/curriculum-modes`);
+        if (response.ok) {
+          const data = await response.json();
+          setCurriculumModes(data.modes || []);
+        }
+      } catch (error) {
+        console.error('[TEACHER] Failed to fetch curriculum modes:', error);
+      }
+    };
+    fetchModes();
+  }, []);
+
+  // Picker follows the session's mode until the teacher chooses another
+  useEffect(() => {
+    if (gameState?.curriculumMode) setSelectedMode(gameState.curriculumMode);
+  }, [gameState?.curriculumMode]);
+
+  // Fetch saved class sessions once we're in a room (live updates arrive via sessions_update)
+  useEffect(() => {
+    if (!roomCode) return;
+    const fetchSessions = async () => {
+      try {
+        const response = await fetch(`${getApiBaseUrl()}/api/sessions?includeArchived=1`, { headers: authHeaders });
+        if (response.ok) {
+          const data = await response.json();
+          setSessions(data.sessions || []);
+        } else {
+          console.error('[TEACHER] Failed to fetch sessions, status:', response.status);
+        }
+      } catch (error) {
+        console.error('[TEACHER] Failed to fetch sessions:', error);
+      }
+    };
+    fetchSessions();
+  }, [roomCode]);
+
   // Update selected model when gameState changes
   useEffect(() => {
     if (gameState?.llmModel && gameState.llmModel !== selectedModel) {
@@ -100,16 +180,69 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
       msg.type === 'challenge_failed' ||
       msg.type === 'challenge_success' ||
       msg.type === 'llm_primed' ||
-      msg.type === 'training_milestone'
+      msg.type === 'training_milestone' ||
+      msg.type === 'training_rolled_back'
     );
     if (relevantMessages.length > 0) {
       setActivityLog(prev => [...relevantMessages.reverse(), ...prev]);
     }
+    newMessages.forEach(msg => {
+      if (msg.type === 'sessions_update') {
+        setSessions(msg.sessions || []);
+      } else if (msg.type === 'session_switched') {
+        // Activity from the previous session's AI no longer applies
+        setActivityLog([]);
+      } else if (msg.type === 'session_error') {
+        alert(msg.message);
+      } else if (msg.type === 'versions_update') {
+        setVersions(msg.versions || []);
+      } else if (msg.type === 'version_detail') {
+        setVersionDetail(msg.version);
+      } else if (msg.type === 'history_error') {
+        alert(msg.message);
+      } else if (msg.type === 'lobby_update') {
+        setPendingStudents(msg.pending || []);
+      } else if (msg.type === 'lobby_error') {
+        alert(msg.message);
+      } else if (msg.type === 'question_banks_update') {
+        setQuestionBanks(msg.banks || []);
+      } else if (msg.type === 'question_bank_error') {
+        alert(msg.message);
+      } else if (msg.type === 'review_update') {
+        setReviewState({ pending: msg.pending || 0, discarded: msg.discarded || [] });
+      } else if (msg.type === 'review_error') {
+        alert(msg.message);
+      } else if (msg.type === 'class_questions_update') {
+        setClassQuestions(msg.questions || []);
+      } else if (msg.type === 'class_question_error') {
+        alert(msg.message);
+      } else if (msg.type === 'answer_settings_error') {
+        alert(msg.message);
+      } else if (msg.type === 'challenge_settings_error') {
+        alert(msg.message);
+      } else if (msg.type === 'team_challenge_started') {
+        setTeamLaunch(msg);
+      } else if (msg.type === 'team_challenge_error') {
+        // Drop the last launch so it doesn't read as if this one went out
+        setTeamLaunch(null);
+        alert(msg.message);
+      } else if (msg.type === 'content_packs_update') {
+        setContentPacks({ packs: msg.packs || [], activePack: msg.activePack });
+      } else if (msg.type === 'content_pack') {
+        setOpenPack(msg.pack);
+      } else if (msg.type === 'content_pack_validation') {
+        setPackValidation(msg.errors || []);
+      } else if (msg.type === 'content_pack_error') {
+        alert(msg.message);
+      } else if (msg.type === 'assignments_update') {
+        setAssignments({ assignments: msg.assignments || [], stalled: msg.stalled || 0, unassigned: msg.unassigned || 0 });
+      }
+    });
     setLastProcessedIndex(messages.length);
   }, [messages, lastProcessedIndex]);
 
   const startGame = () => {
-    sendMessage({ type: 'start_game' });
+    sendMessage({ type: 'start_game', mode: selectedMode || undefined });
   };
 
   const endGame = () => {
@@ -129,10 +262,134 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
     setLastProcessedIndex(messages.length);
   };
 
+  const createSession = () => {
+    if (gameState?.isActive && !window.confirm('This ends the current game. Start a new session?')) return;
+    sendMessage({ type: 'create_session', name: newSessionName.trim() });
+    setNewSessionName('');
+    setShowSessionsDialog(false);
+  };
+
+  const switchSession = (sessionId) => {
+    if (gameState?.isActive && !window.confirm('This ends the current game. Load this session?')) return;
+    sendMessage({ type: 'switch_session', sessionId });
+    setShowSessionsDialog(false);
+  };
+
+  const renameSession = (session) => {
+    const name = window.prompt('Rename session', session.name);
+    if (name && name.trim() && name.trim() !== session.name) {
+      sendMessage({ type: 'rename_session', sessionId: session.id, name: name.trim() });
+    }
+  };
+
+  const archiveSession = (session, archived) => {
+    sendMessage({ type: 'archive_session', sessionId: session.id, archived });
+  };
+
+  const openHistory = () => {
+    setVersionDetail(null);
+    sendMessage({ type: 'list_versions' });
+    setShowHistoryDialog(true);
+  };
+
+  const openQuestionBanks = () => {
+    sendMessage({ type: 'list_question_banks' });
+    setShowBanksDialog(true);
+  };
+
+  const openContentPacks = () => {
+    setOpenPack(null);
+    sendMessage({ type: 'list_content_packs' });
+    setShowPacksDialog(true);
+  };
+
+  const restoreVersion = (version) => {
+    sendMessage({ type: 'rollback_version', version });
+    setShowHistoryDialog(false);
+  };
+
+  // Seed a new session from a previously exported dataset or Modelfile
+  const importTrainingData = async (file) => {
+    if (!file) return;
+    const isModelfile = /(^|\.)modelfile$/i.test(file.name);
+    const ext = file.name.split('.').pop().toLowerCase();
+    const format = { jsonl: 'jsonl', csv: 'csv', json: 'alpaca' }[ext];
+    if (!format && !isModelfile) {
+      alert('Choose a .jsonl, .csv, Alpaca .json or Modelfile');
+      return;
+    }
+    if (gameState?.isActive) {
+      alert('End the current game before importing training data.');
+      return;
+    }
+    try {
+      const name = isModelfile ? undefined : file.name.replace(/\.[^.]+$/, '');
+      const response = await fetch(`${getApiBaseUrl()}${isModelfile ? '/api/modelfile/import' : '/api/training-data/import'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
+        body: JSON.stringify({ room: roomCode, format, content: await file.text(), name })
+      });
+      const result = await response.json();
+      if (!result.success) {
+        alert(`Import failed: ${result.error}`);
+        return;
+      }
+      const rejected = result.errors?.length ? `, ${result.errors.length} rejected` : '';
+      const baseModel = result.baseModel ? ` (built on ${result.baseModel})` : '';
+      alert(`Imported ${result.imported} training items into "${result.session.name}"${baseModel}${rejected}.`);
+      setShowSessionsDialog(false);
+    } catch (error) {
+      console.error('[TEACHER] Import failed:', error);
+      alert('Import failed: ' + error.message);
+    }
+  };
+
+  // Downloads go through fetch so the teacher token travels in a header,
+  // never in a URL that ends up in history or proxy logs
+  const downloadExport = async (path) => {
+    try {
+      const response = await fetch(`${getApiBaseUrl()}${path}`, { headers: authHeaders });
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || `server answered ${response.status}`);
+      }
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || 'export';
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('[TEACHER] Export failed:', error);
+      alert('Export failed: ' + error.message);
+    }
+  };
+
   const kickStudent = (clientId) => {
     sendMessage({ type: 'kick_student', clientId });
   };
 
+  const toggleLobby = () => {
+    sendMessage({ type: 'set_lobby', enabled: !gameState?.lobbyEnabled });
+  };
+
+  const admitStudent = (clientId) => {
+    sendMessage({ type: 'admit_student', clientId });
+  };
+
+  // Admit under a name the teacher picks (duplicates, silly names)
+  const admitRenamed = (pending) => {
+    const name = window.prompt(`Admit ${pending.name} as`, pending.name);
+    if (name && name.trim()) {
+      sendMessage({ type: 'admit_student', clientId: pending.id, name: name.trim() });
+    }
+  };
+
+  const rejectStudent = (clientId) => {
+    sendMessage({ type: 'reject_student', clientId });
+  };
+
   const changeModel = async () => {
     if (!selectedModel || changingModel) return;
     
@@ -141,7 +398,7 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
     try {
       const response = await fetch(`${getApiBaseUrl()}/api/models/change`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
         body: JSON.stringify({ modelName: selectedModel })
       });
       
@@ -233,6 +490,60 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
 
         
 
+        {/* Curriculum mode - picked when starting, fixed while the game runs */}
+        {curriculumModes.length > 0 && (
+          <select
+            value={selectedMode}
+            onChange={e => setSelectedMode(e.target.value)}
+            disabled={gameState?.isActive}
+            title={curriculumModes.find(m => m.id === selectedMode)?.description || 'What the class teaches the AI'}
+            style={{
+              width: '140px', flexShrink: 0,
+              background: 'rgba(255,255,255,0.6)', backdropFilter: 'blur(20px)', WebkitBackdropFilter: 'blur(20px)',
+              color: '#1d1d1f', padding: '5px 10px', fontSize: '12px', fontWeight: '500',
+              border: '1px solid rgba(255,255,255,0.7)', borderRadius: '8px',
+              cursor: gameState?.isActive ? 'not-allowed' : 'pointer',
+              opacity: gameState?.isActive ? 0.6 : 1,
+              boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.08)'
+            }}
+          >
+            {curriculumModes.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+          </select>
+        )}
+
+        {/* Answers per question, and whether the AI sees the majority answer or all of them */}
+        <select
+          value={gameState?.answersPerQuestion || 1}
+          onChange={e => sendMessage({ type: 'set_answer_settings', answersPerQuestion: parseInt(e.target.value, 10) })}
+          title="How many students answer each question"
+          style={{
+            width: '92px', flexShrink: 0,
+            background: 'rgba(255,255,255,0.6)', backdropFilter: 'blur(20px)', WebkitBackdropFilter: 'blur(20px)',
+            color: '#1d1d1f', padding: '5px 10px', fontSize: '12px', fontWeight: '500',
+            border: '1px solid rgba(255,255,255,0.7)', borderRadius: '8px', cursor: 'pointer',
+            boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.08)'
+          }}
+        >
+          {[1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n} answer{n > 1 ? 's' : ''}</option>)}
+        </select>
+        {(gameState?.answersPerQuestion || 1) > 1 && (
+          <select
+            value={gameState?.contextAnswers || 'majority'}
+            onChange={e => sendMessage({ type: 'set_answer_settings', contextAnswers: e.target.value })}
+            title="Which answers the AI learns from when students disagree"
+            style={{
+              width: '110px', flexShrink: 0,
+              background: 'rgba(255,255,255,0.6)', backdropFilter: 'blur(20px)', WebkitBackdropFilter: 'blur(20px)',
+              color: '#1d1d1f', padding: '5px 10px', fontSize: '12px', fontWeight: '500',
+              border: '1px solid rgba(255,255,255,0.7)', borderRadius: '8px', cursor: 'pointer',
+              boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.08)'
+            }}
+          >
+            <option value="majority">AI: majority</option>
+            <option value="all">AI: all answers</option>
+          </select>
+        )}
+
         {/* Game buttons */}
         {!gameState?.isActive
           ? hdrBtn(startGame, 'linear-gradient(135deg,rgba(52,199,89,0.85),rgba(48,209,88,0.85))', '0 2px 8px rgba(52,199,89,0.3)', '▶ Start')
@@ -241,6 +552,87 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
 
         <div style={{ width: '1px', height: '24px', background: 'rgba(0,0,0,0.1)', flexShrink: 0 }} />
 
+        {/* Session picker */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexShrink: 1, minWidth: 0 }}>
+          <span style={{ fontSize: '11px', fontWeight: '600', color: '#86868b', whiteSpace: 'nowrap', flexShrink: 0 }}>SESSION</span>
+          <button
+            onClick={() => setShowSessionsDialog(true)}
+            title="Save, load and archive class sessions"
+            style={{
+              maxWidth: '180px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap',
+              background: 'rgba(255,255,255,0.6)', color: '#1d1d1f', padding: '5px 10px', fontSize: '12px', fontWeight: '500',
+              border: '1px solid rgba(255,255,255,0.7)', borderRadius: '8px', cursor: 'pointer',
+              boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.08)'
+            }}
+          >📂 {gameState?.session?.name || 'No session'}</button>
+          <button
+            onClick={openHistory}
+            title="Training data versions and rollback"
+            style={{
+              background: 'rgba(255,255,255,0.6)', color: '#1d1d1f', padding: '5px 10px', fontSize: '12px', fontWeight: '500',
+              border: '1px solid rgba(255,255,255,0.7)', borderRadius: '8px', cursor: 'pointer', flexShrink: 0,
+              boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.08)'
+            }}
+          >🕘 History</button>
+          <button
+            onClick={openQuestionBanks}
+            title="Choose and edit the questions askers get"
+            style={{
+              background: 'rgba(255,255,255,0.6)', color: '#1d1d1f', padding: '5px 10px', fontSize: '12px', fontWeight: '500',
+              border: '1px solid rgba(255,255,255,0.7)', borderRadius: '8px', cursor: 'pointer', flexShrink: 0,
+              boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.08)'
+            }}
+          >📚 Questions</button>
+          <button
+            onClick={() => setShowReviewDialog(true)}
+            title="Peer review and answers students discarded"
+            style={{
+              background: gameState?.peerReviewEnabled ? 'rgba(88,86,214,0.85)' : 'rgba(255,255,255,0.6)',
+              color: gameState?.peerReviewEnabled ? '#fff' : '#1d1d1f', padding: '5px 10px', fontSize: '12px', fontWeight: '500',
+              border: '1px solid rgba(255,255,255,0.7)', borderRadius: '8px', cursor: 'pointer', flexShrink: 0,
+              boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.08)'
+            }}
+          >🔍 Review{reviewState.discarded.length > 0 ? ` (${reviewState.discarded.length})` : ''}</button>
+          <button
+            onClick={() => setShowClassQuestionDialog(true)}
+            title="Put your own question to the class"
+            style={{
+              background: 'rgba(255,255,255,0.6)', color: '#1d1d1f', padding: '5px 10px', fontSize: '12px', fontWeight: '500',
+              border: '1px solid rgba(255,255,255,0.7)', borderRadius: '8px', cursor: 'pointer', flexShrink: 0,
+              boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.08)'
+            }}
+          >📣 Ask Class</button>
+          <button
+            onClick={() => setShowChallengesDialog(true)}
+            title="Choose which challenges students get"
+            style={{
+              background: 'rgba(255,255,255,0.6)', color: '#1d1d1f', padding: '5px 10px', fontSize: '12px', fontWeight: '500',
+              border: '1px solid rgba(255,255,255,0.7)', borderRadius: '8px', cursor: 'pointer', flexShrink: 0,
+              boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.08)'
+            }}
+          >🎮 Challenges</button>
+          <button
+            onClick={openContentPacks}
+            title="Choose and edit the content challenges are built from"
+            style={{
+              background: 'rgba(255,255,255,0.6)', color: '#1d1d1f', padding: '5px 10px', fontSize: '12px', fontWeight: '500',
+              border: '1px solid rgba(255,255,255,0.7)', borderRadius: '8px', cursor: 'pointer', flexShrink: 0,
+              boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.08)'
+            }}
+          >📦 Content</button>
+          <button
+            onClick={() => window.open('/debug-challenges')}
+            title="Try any challenge at any difficulty, in a new tab"
+            style={{
+              background: 'rgba(255,255,255,0.6)', color: '#1d1d1f', padding: '5px 10px', fontSize: '12px', fontWeight: '500',
+              border: '1px solid rgba(255,255,255,0.7)', borderRadius: '8px', cursor: 'pointer', flexShrink: 0,
+              boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.08)'
+            }}
+          >🧪 Test</button>
+        </div>
+
+        <div style={{ width: '1px', height: '24px', background: 'rgba(0,0,0,0.1)', flexShrink: 0 }} />
+
         {/* Model selector */}
         <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexShrink: 0 }}>
           <span style={{ fontSize: '11px', fontWeight: '600', color: '#86868b', whiteSpace: 'nowrap', flexShrink: 0 }}>MODEL</span>
@@ -293,12 +685,57 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
           <div style={{ ...gc, padding: '12px 14px', display: 'flex', flexDirection: 'column', flex: 1, minHeight: 0 }}>
             <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '8px', flexShrink: 0 }}>
               <span style={{ fontSize: '11px', fontWeight: '700', color: '#86868b', letterSpacing: '0.5px' }}>STUDENTS ({students.length})</span>
+              {(assignments.stalled > 0 || assignments.unassigned > 0) && (
+                <span
+                  title={[
+                    ...assignments.assignments.filter(a => a.stalled).map(a => `⏳ ${a.name}: ${a.question}`),
+                    assignments.unassigned > 0 ? `${assignments.unassigned} question${assignments.unassigned !== 1 ? 's' : ''} waiting for an answerer` : null
+                  ].filter(Boolean).join('\n')}
+                  style={{ fontSize: '10px', fontWeight: '700', padding: '2px 6px', borderRadius: '6px', background: assignments.stalled > 0 ? 'rgba(255,149,0,0.85)' : 'rgba(142,142,147,0.5)', color: '#fff', cursor: 'default' }}
+                >{assignments.stalled > 0 ? `⏳ ${assignments.stalled} stalled` : `${assignments.unassigned} queued`}</span>
+              )}
+              <button
+                onClick={toggleLobby}
+                title={gameState?.lobbyEnabled ? 'New students wait for you to admit them' : 'New students join straight away'}
+                style={{
+                  fontSize: '10px', fontWeight: '700', padding: '2px 7px', borderRadius: '6px', cursor: 'pointer',
+                  border: '1px solid rgba(255,255,255,0.7)',
+                  background: gameState?.lobbyEnabled ? 'rgba(88,86,214,0.85)' : 'rgba(255,255,255,0.6)',
+                  color: gameState?.lobbyEnabled ? '#fff' : '#86868b'
+                }}
+              >🚪 Lobby {gameState?.lobbyEnabled ? 'on' : 'off'}</button>
               <div style={{ display: 'flex', gap: '3px' }}>
                 {[['Q','rgba(0,113,227,0.85)'],['A','rgba(52,199,89,0.85)'],['C','rgba(255,149,0,0.85)']].map(([l,b]) => (
                   <span key={l} style={{ fontSize: '10px', padding: '1px 6px', borderRadius: '5px', background: b, color: '#fff', fontWeight: '700' }}>{l}</span>
                 ))}
               </div>
             </div>
+            {/* Lobby: students waiting to be admitted */}
+            {pendingStudents.length > 0 && (
+              <div style={{ flexShrink: 0, marginBottom: '8px', padding: '6px', borderRadius: '10px', background: 'rgba(88,86,214,0.08)', border: '1px solid rgba(88,86,214,0.25)', display: 'flex', flexDirection: 'column', gap: '4px', maxHeight: '40%', overflowY: 'auto' }}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                  <span style={{ fontSize: '10px', fontWeight: '700', color: '#5856d6', letterSpacing: '0.5px' }}>WAITING ({pendingStudents.length})</span>
+                  <button
+                    onClick={() => sendMessage({ type: 'admit_all' })}
+                    style={{ fontSize: '10px', fontWeight: '700', padding: '2px 7px', borderRadius: '6px', border: 'none', background: 'rgba(52,199,89,0.85)', color: '#fff', cursor: 'pointer' }}
+                  >Admit all</button>
+                </div>
+                {pendingStudents.map(pending => (
+                  <div key={pending.id} style={{ padding: '4px 8px', background: 'rgba(255,255,255,0.6)', borderRadius: '8px', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    <span title={pending.duplicate ? 'Someone else already has this name' : undefined} style={{ flex: 1, fontSize: '12px', fontWeight: '500', color: '#1d1d1f', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {pending.duplicate && '⚠️ '}{pending.name}
+                    </span>
+                    {[
+                      ['✓', 'Admit', 'rgba(52,199,89,0.85)', () => admitStudent(pending.id)],
+                      ['✎', 'Admit with a different name', 'rgba(0,113,227,0.85)', () => admitRenamed(pending)],
+                      ['×', 'Turn away', 'rgba(255,59,48,0.7)', () => rejectStudent(pending.id)]
+                    ].map(([label, title, bg, onClick]) => (
+                      <button key={label} onClick={onClick} title={title} style={{ background: bg, border: 'none', borderRadius: '5px', color: '#fff', fontSize: '12px', fontWeight: '700', width: '20px', height: '20px', display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', padding: 0, lineHeight: 1, flexShrink: 0 }}>{label}</button>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
             <div style={{ display: 'flex', flex: 1, minHeight: 0, gap: '8px' }}>
               {/* Student list */}
               <div
@@ -312,16 +749,30 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
                 }}>
                 {students.length > 0 ? students.map(client => {
                   const m = modeColor(client.currentMode);
+                  const held = assignments.assignments.find(a => a.clientId === client.id);
                   return (
-                    <div key={client.id} style={{
+                    <div key={client.id} title={client.connected === false ? 'Reconnecting…' : undefined} style={{
                       padding: '6px 10px', background: 'rgba(255,255,255,0.45)', borderRadius: '9px',
                       display: 'flex', justifyContent: 'space-between', alignItems: 'center',
-                      border: '1px solid rgba(255,255,255,0.7)', flexShrink: 0
+                      border: '1px solid rgba(255,255,255,0.7)', flexShrink: 0,
+                      opacity: client.connected === false ? 0.5 : 1
                     }}>
                       <span style={{ fontWeight: '500', color: '#1d1d1f', fontSize: '13px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', flex: 1, marginRight: '6px' }}>
-                        {client.name}
+                        {client.connected === false && '⏸ '}{client.name}
                       </span>
                       <div style={{ display: 'flex', alignItems: 'center', gap: '4px', flexShrink: 0 }}>
+                        {client.flagged && (
+                          <button
+                            onClick={() => sendMessage({ type: 'unmute_student', clientId: client.id })}
+                            title={client.mutedUntil
+                              ? `Paused for flooding until ${new Date(client.mutedUntil).toLocaleTimeString()} - click to let them back in`
+                              : 'Was paused for flooding - click to clear'}
+                            style={{ background: client.mutedUntil ? 'rgba(255,59,48,0.85)' : 'rgba(255,149,0,0.85)', border: 'none', borderRadius: '5px', color: '#fff', fontSize: '11px', height: '20px', padding: '0 5px', cursor: 'pointer', lineHeight: 1 }}
+                          >{client.mutedUntil ? '🔇' : '🚩'}</button>
+                        )}
+                        {held?.stalled && (
+                          <span title={`Hasn't answered "${held.question}" yet - it moves on at ${new Date(held.deadline).toLocaleTimeString()}`} style={{ fontSize: '12px', cursor: 'default' }}>⏳</span>
+                        )}
                         <span style={{ width: '22px', height: '22px', borderRadius: '6px', fontSize: '11px', fontWeight: '700', display: 'flex', alignItems: 'center', justifyContent: 'center', background: m.bg, color: '#fff' }}>
                           {m.label}
                         </span>
@@ -341,7 +792,7 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
               </div>
               {/* QR code beside student list */}
               <div style={{
-                flexShrink: 0, display: 'flex', alignItems: 'center',
+                flexShrink: 0, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: '4px',
                 borderLeft: '1px solid rgba(0,0,0,0.06)', paddingLeft: '8px'
               }}>
                 <div style={{
@@ -349,8 +800,11 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
                   WebkitBackdropFilter: 'blur(12px)', border: '1px solid rgba(255,255,255,0.9)',
                   borderRadius: '10px', padding: '5px', boxShadow: '0 4px 16px rgba(0,0,0,0.12)'
                 }}>
-                  <QRCodeSVG value={window.location.origin} size={56} level="M" includeMargin={false} style={{ display: 'block', borderRadius: '4px' }} />
+                  <QRCodeSVG value={joinUrl} size={56} level="M" includeMargin={false} style={{ display: 'block', borderRadius: '4px' }} />
                 </div>
+                {roomCode && (
+                  <div title="Game code - students enter this to join" style={{ fontSize: '13px', fontWeight: '700', color: '#1d1d1f', letterSpacing: '0.12em', fontVariantNumeric: 'tabular-nums' }}>{roomCode}</div>
+                )}
               </div>
             </div>
           </div>
@@ -402,6 +856,9 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
                   {log.type === 'training_milestone' && (
                     <div style={{ fontWeight: '600', color: '#5856d6' }}>🎯 {log.modelName}: {log.milestone?.message}</div>
                   )}
+                  {log.type === 'training_rolled_back' && (
+                    <div style={{ fontWeight: '600', color: '#5856d6' }}>🕘 Restored v{log.version} — {log.label} ({log.count} items)</div>
+                  )}
                 </div>
               )) : (
                 <p style={{ color: 'rgba(29,29,31,0.45)', textAlign: 'center', padding: '20px 0', fontSize: '13px' }}>No activity yet</p>
@@ -410,6 +867,180 @@ const TeacherDashboard = ({ gameState, sendMessage, messages, connected }) => {
           </div>
         </div>
 
+      {/* Sessions Dialog */}
+      <Dialog open={showSessionsDialog} onClose={() => setShowSessionsDialog(false)} style={{ position: 'fixed', zIndex: 9999 }}>
+        <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.3)', backdropFilter: 'blur(8px)', WebkitBackdropFilter: 'blur(8px)', zIndex: 9998 }} aria-hidden="true" />
+        <div style={{ position: 'fixed', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '16px', zIndex: 9999 }}>
+          <Dialog.Panel style={{ ...gc, padding: '28px', borderRadius: '20px', maxWidth: '560px', width: '100%', maxHeight: '80vh', display: 'flex', flexDirection: 'column', boxShadow: '0 20px 60px rgba(0,0,0,0.15)' }}>
+            <Dialog.Title style={{ fontSize: '22px', fontWeight: '600', color: '#1d1d1f', marginBottom: '6px', letterSpacing: '-0.02em' }}>
+              Class Sessions
+            </Dialog.Title>
+            <Dialog.Description style={{ color: '#86868b', fontSize: '14px', lineHeight: '1.5', marginBottom: '16px' }}>
+              Each class period keeps its own AI. Loading a session ends the current game and saves its AI first.
+            </Dialog.Description>
+
+            {/* New session */}
+            <form
+              onSubmit={e => { e.preventDefault(); createSession(); }}
+              style={{ display: 'flex', gap: '8px', marginBottom: '14px', flexShrink: 0 }}
+            >
+              <input
+                value={newSessionName}
+                onChange={e => setNewSessionName(e.target.value)}
+                placeholder="New session name (e.g. 3rd Period)"
+                maxLength={60}
+                style={{ flex: 1, padding: '8px 12px', fontSize: '13px', borderRadius: '8px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)' }}
+              />
+              <button type="submit" style={{ padding: '8px 14px', fontSize: '13px', fontWeight: '600', borderRadius: '8px', border: '1px solid rgba(255,255,255,0.7)', background: 'linear-gradient(135deg,rgba(52,199,89,0.85),rgba(48,209,88,0.85))', color: '#fff', cursor: 'pointer' }}>
+                ＋ New
+              </button>
+            </form>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#86868b', marginBottom: '8px', flexShrink: 0 }}>
+              <input type="checkbox" checked={showArchivedSessions} onChange={e => setShowArchivedSessions(e.target.checked)} />
+              Show archived
+            </label>
+
+            <div style={{ overflowY: 'auto', flex: 1, minHeight: 0, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+              {sessions.filter(sess => showArchivedSessions || !sess.archived).map(sess => {
+                const isCurrent = sess.id === gameState?.session?.id;
+                return (
+                  <div key={sess.id} style={{
+                    padding: '10px 12px', borderRadius: '10px', display: 'flex', alignItems: 'center', gap: '8px',
+                    background: isCurrent ? 'rgba(0,113,227,0.1)' : 'rgba(255,255,255,0.45)',
+                    border: `1px solid ${isCurrent ? 'rgba(0,113,227,0.35)' : 'rgba(255,255,255,0.7)'}`,
+                    opacity: sess.archived ? 0.6 : 1
+                  }}>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ fontSize: '14px', fontWeight: '600', color: '#1d1d1f', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {sess.name}{isCurrent ? ' (loaded)' : ''}{sess.archived ? ' 🗄' : ''}
+                      </div>
+                      <div style={{ fontSize: '11px', color: '#86868b' }}>
+                        {sess.modelName || 'AI'} · {sess.trainingCount} items · {new Date(sess.updatedAt).toLocaleString()}
+                      </div>
+                    </div>
+                    {!isCurrent && !sess.archived && (
+                      <button onClick={() => switchSession(sess.id)} style={{ padding: '4px 10px', fontSize: '12px', fontWeight: '600', borderRadius: '7px', border: 'none', background: 'rgba(0,113,227,0.85)', color: '#fff', cursor: 'pointer' }}>Load</button>
+                    )}
+                    <button onClick={() => { setReplaySession(sess); setShowSessionsDialog(false); }} title="Replay timeline" style={{ padding: '4px 8px', fontSize: '12px', borderRadius: '7px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', cursor: 'pointer' }}>⏪</button>
+                    <button onClick={() => renameSession(sess)} title="Rename" style={{ padding: '4px 8px', fontSize: '12px', borderRadius: '7px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', cursor: 'pointer' }}>✎</button>
+                    {!isCurrent && (
+                      <button onClick={() => archiveSession(sess, !sess.archived)} title={sess.archived ? 'Unarchive' : 'Archive'} style={{ padding: '4px 8px', fontSize: '12px', borderRadius: '7px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', cursor: 'pointer' }}>
+                        {sess.archived ? '↩' : '🗄'}
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+              {sessions.length === 0 && (
+                <p style={{ color: 'rgba(29,29,31,0.45)', textAlign: 'center', padding: '14px 0', fontSize: '13px' }}>No saved sessions</p>
+              )}
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', marginTop: '14px', flexShrink: 0 }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#86868b', flexWrap: 'wrap' }}>
+                Export:
+                {[['jsonl', 'JSONL'], ['csv', 'CSV'], ['alpaca', 'Alpaca']].map(([format, label]) => (
+                  <a key={format} href="#" onClick={e => { e.preventDefault(); downloadExport(`/api/training-data/export?format=${format}`); }} style={{ color: '#0071e3', fontWeight: '600', textDecoration: 'none' }}>{label}</a>
+                ))}
+                <a href="#" onClick={e => { e.preventDefault(); downloadExport('/api/modelfile/export'); }} title="Ollama Modelfile — run the class AI with ollama create" style={{ color: '#0071e3', fontWeight: '600', textDecoration: 'none' }}>Modelfile</a>
+                <span style={{ margin: '0 2px' }}>·</span>
+                <button onClick={() => importInputRef.current?.click()} style={{ padding: '4px 10px', fontSize: '12px', fontWeight: '600', borderRadius: '7px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', cursor: 'pointer' }}>
+                  Import…
+                </button>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".jsonl,.csv,.json,.Modelfile"
+                  style={{ display: 'none' }}
+                  onChange={e => { importTrainingData(e.target.files[0]); e.target.value = ''; }}
+                />
+              </div>
+              <button
+                onClick={() => setShowSessionsDialog(false)}
+                style={{ padding: '8px 18px', fontSize: '13px', fontWeight: '500', border: '1px solid rgba(255,255,255,0.7)', borderRadius: '10px', background: 'rgba(255,255,255,0.4)', color: '#1d1d1f', cursor: 'pointer' }}
+              >Close</button>
+            </div>
+          </Dialog.Panel>
+        </div>
+      </Dialog>
+
+      <SessionReplay
+        open={!!replaySession}
+        onClose={() => setReplaySession(null)}
+        session={replaySession}
+        apiBaseUrl={getApiBaseUrl()}
+        authHeaders={authHeaders}
+        glass={gc}
+      />
+
+      <TrainingHistory
+        open={showHistoryDialog}
+        onClose={() => setShowHistoryDialog(false)}
+        versions={versions}
+        detail={versionDetail}
+        currentData={gameState?.trainingData || []}
+        onSelect={version => sendMessage({ type: 'get_version', version })}
+        onRestore={restoreVersion}
+        glass={gc}
+      />
+
+      <QuestionBanks
+        open={showBanksDialog}
+        onClose={() => setShowBanksDialog(false)}
+        banks={questionBanks}
+        onToggle={(bankId, enabled) => sendMessage({ type: 'set_bank_enabled', bankId, enabled })}
+        onSave={bank => sendMessage({ type: 'save_question_bank', bank })}
+        glass={gc}
+      />
+
+      <PeerReview
+        open={showReviewDialog}
+        onClose={() => setShowReviewDialog(false)}
+        enabled={!!gameState?.peerReviewEnabled}
+        pending={reviewState.pending}
+        discarded={reviewState.discarded}
+        onToggle={enabled => sendMessage({ type: 'set_peer_review', enabled })}
+        onRestore={id => sendMessage({ type: 'restore_discarded', id })}
+        onClear={() => sendMessage({ type: 'clear_discarded' })}
+        glass={gc}
+      />
+
+      <ClassQuestion
+        open={showClassQuestionDialog}
+        onClose={() => setShowClassQuestionDialog(false)}
+        students={students}
+        questions={classQuestions}
+        isActive={!!gameState?.isActive}
+        onAsk={question => sendMessage({ type: 'ask_class', ...question })}
+        glass={gc}
+      />
+
+      <ChallengeSettings
+        open={showChallengesDialog}
+        onClose={() => { setShowChallengesDialog(false); setTeamLaunch(null); }}
+        enabledChallenges={gameState?.enabledChallenges || null}
+        onToggle={(challengeType, enabled) => sendMessage({ type: 'set_challenge_enabled', challengeType, enabled })}
+        isActive={!!gameState?.isActive}
+        teamLaunch={teamLaunch}
+        onStartTeams={(challengeType, teamSize) => sendMessage({ type: 'start_team_challenge', challengeType, teamSize })}
+        glass={gc}
+      />
+
+      <ContentPacks
+        open={showPacksDialog}
+        onClose={() => setShowPacksDialog(false)}
+        packs={contentPacks.packs}
+        activePack={contentPacks.activePack}
+        pack={openPack}
+        validation={packValidation}
+        onUse={packId => sendMessage({ type: 'set_content_pack', packId })}
+        onOpen={packId => sendMessage({ type: 'get_content_pack', packId })}
+        onCheck={pack => { setPackValidation(null); sendMessage({ type: 'validate_content_pack', pack }); }}
+        onSave={pack => sendMessage({ type: 'save_content_pack', pack })}
+        glass={gc}
+      />
+
       {/* Reset Confirmation Dialog */}
       <Dialog open={showResetDialog} onClose={() => setShowResetDialog(false)} style={{ position: 'fixed', zIndex: 9999 }}>
         <Transition
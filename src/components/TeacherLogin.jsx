@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+
+// Password gate for /teacher - the server checks it when we register
+const TeacherLogin = ({ onLogin, error }) => {
+  const [password, setPassword] = useState('');
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'
+    }}>
+      <div style={{
+        background: 'rgba(255, 255, 255, 0.7)',
+        backdropFilter: 'blur(40px) saturate(180%)',
+        WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+        padding: '40px',
+        borderRadius: '20px',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1), inset 0 0 0 1px rgba(255, 255, 255, 0.5)',
+        border: '1px solid rgba(255, 255, 255, 0.2)',
+        maxWidth: '400px',
+        width: '100%',
+        animation: 'scaleUp 0.4s ease-out'
+      }}>
+        <h1 style={{
+          fontSize: '2rem',
+          marginBottom: '12px',
+          textAlign: 'center',
+          color: '#764ba2',
+          fontWeight: '700',
+          letterSpacing: '-0.02em'
+        }}>
+          Teacher Login
+        </h1>
+        <p style={{
+          textAlign: 'center',
+          color: '#86868b',
+          marginBottom: '24px',
+          fontSize: '1rem'
+        }}>
+          The password is printed when the server starts, or set with TEACHER_PASSWORD.
+        </p>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          if (password) onLogin(password);
+        }}>
+          {error && (
+            <p style={{ color: '#ff3b30', fontSize: '1rem', textAlign: 'center', marginBottom: '16px' }}>
+              {error}
+            </p>
+          )}
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Teacher password"
+            autoComplete="current-password"
+            autoFocus
+            style={{
+              width: '100%',
+              padding: '18px',
+              fontSize: '1.2rem',
+              border: '2px solid #e0e0e0',
+              borderRadius: '12px',
+              marginBottom: '16px',
+              boxSizing: 'border-box'
+            }}
+          />
+          <button
+            type="submit"
+            disabled={!password}
+            style={{
+              width: '100%',
+              background: password
+                ? 'linear-gradient(135deg, #4facfe 0%, #00f2fe 100%)'
+                : '#ccc',
+              color: '#1d1d1f',
+              padding: '18px',
+              fontSize: '1.2rem',
+              border: 'none',
+              borderRadius: '12px',
+              cursor: password ? 'pointer' : 'not-allowed',
+              fontWeight: '700'
+            }}
+          >
+            LOG IN →
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TeacherLogin;
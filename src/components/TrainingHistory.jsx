@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Dialog } from '@headlessui/react';
+import { diffTrainingData } from '../utils/trainingDiff';
+
+const REASON_ICONS = {
+  evolution: '🧬',
+  challenge_failed: '⚠️',
+  challenge_cured: '✅',
+  knowledge_removed: '✂️',
+  window_trim: '📦',
+  reset: '🗑',
+  rollback: '🕘'
+};
+
+const DIFF_STYLES = {
+  added: { sign: '+', color: '#1a7a3a', bg: 'rgba(52,199,89,0.1)' },
+  removed: { sign: '−', color: '#c4281c', bg: 'rgba(255,59,48,0.08)' },
+  changed: { sign: '~', color: '#b36b00', bg: 'rgba(255,149,0,0.1)' }
+};
+
+const DiffRow = ({ kind, item, from }) => {
+  const { sign, color, bg } = DIFF_STYLES[kind];
+  return (
+    <div style={{ padding: '6px 10px', borderRadius: '8px', background: bg, fontSize: '12px', lineHeight: '1.4', flexShrink: 0 }}>
+      <span style={{ color, fontWeight: '700', marginRight: '6px' }}>{sign}</span>
+      {from && (
+        <div style={{ color: '#86868b', textDecoration: 'line-through' }}>{from.question} → {from.answer}</div>
+      )}
+      <span style={{ color: '#1d1d1f' }}>{item.question} → {item.answer}</span>
+    </div>
+  );
+};
+
+// Training data versions for the active session, with a diff against the
+// AI as it is now and one-click restore
+const TrainingHistory = ({ open, onClose, versions, detail, currentData, onSelect, onRestore, glass }) => {
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    if (!open) setSelected(null);
+  }, [open]);
+
+  const select = (version) => {
+    setSelected(version);
+    onSelect(version);
+  };
+
+  const shown = detail && detail.version === selected ? detail : null;
+  const diff = useMemo(
+    () => shown ? diffTrainingData(shown.trainingData, currentData) : null,
+    [shown, currentData]
+  );
+  const unchanged = diff && !diff.added.length && !diff.removed.length && !diff.changed.length;
+
+  const restore = () => {
+    if (!window.confirm(`Restore version ${selected}? The AI's training data will be replaced for everyone.`)) return;
+    onRestore(selected);
+  };
+
+  const buttonStyle = { padding: '6px 14px', fontSize: '13px', fontWeight: '600', borderRadius: '8px', border: '1px solid rgba(0,0,0,0.1)', background: 'rgba(255,255,255,0.7)', cursor: 'pointer' };
+
+  return (
+    <Dialog open={open} onClose={onClose} style={{ position: 'fixed', zIndex: 9999 }}>
+      <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.3)', backdropFilter: 'blur(8px)', WebkitBackdropFilter: 'blur(8px)', zIndex: 9998 }} aria-hidden="true" />
+      <div style={{ position: 'fixed', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '16px', zIndex: 9999 }}>
+        <Dialog.Panel style={{ ...glass, padding: '24px', borderRadius: '20px', width: '92vw', maxWidth: '1100px', height: '80vh', display: 'flex', flexDirection: 'column', gap: '12px', boxShadow: '0 20px 60px rgba(0,0,0,0.15)' }}>
+          <Dialog.Title style={{ fontSize: '22px', fontWeight: '600', color: '#1d1d1f', letterSpacing: '-0.02em', flexShrink: 0 }}>
+            🕘 Training Data History
+          </Dialog.Title>
+
+          {versions.length === 0 && (
+            <p style={{ color: '#86868b', fontSize: '14px' }}>
+              No versions yet. One is saved at every evolution and before challenges, removals or resets change the data.
+            </p>
+          )}
+
+          {versions.length > 0 && (
+            <div style={{ display: 'flex', gap: '12px', flex: 1, minHeight: 0 }}>
+              {/* Version list, newest first */}
+              <div style={{ flex: '0 0 340px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                {versions.map(v => {
+                  const isSelected = v.version === selected;
+                  return (
+                    <div
+                      key={v.version}
+                      onClick={() => select(v.version)}
+                      style={{
+                        padding: '8px 10px', borderRadius: '8px', fontSize: '12px', lineHeight: '1.4', cursor: 'pointer', flexShrink: 0,
+                        background: isSelected ? 'rgba(0,113,227,0.12)' : 'rgba(255,255,255,0.45)',
+                        border: `1px solid ${isSelected ? 'rgba(0,113,227,0.4)' : 'rgba(255,255,255,0.7)'}`
+                      }}
+                    >
+                      <div style={{ color: '#1d1d1f', fontWeight: '600' }}>
+                        {REASON_ICONS[v.reason] || '•'} v{v.version} · {v.label}
+                      </div>
+                      <div style={{ color: '#86868b' }}>
+                        {new Date(v.ts).toLocaleTimeString()} · {v.count} item{v.count !== 1 ? 's' : ''}{v.actor?.name ? ` · ${v.actor.name}` : ''}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Diff against the current data */}
+              <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {selected === null && (
+                  <p style={{ color: '#86868b', fontSize: '14px' }}>Pick a version to see what restoring it would change.</p>
+                )}
+                {selected !== null && !diff && (
+                  <p style={{ color: '#86868b', fontSize: '14px' }}>Loading version {selected}…</p>
+                )}
+                {diff && (
+                  <>
+                    <div style={{ fontSize: '13px', color: '#1d1d1f', flexShrink: 0 }}>
+                      Restoring v{selected} brings back <b>{diff.added.length}</b>, drops <b>{diff.removed.length}</b> and reverts <b>{diff.changed.length}</b> item{diff.changed.length !== 1 ? 's' : ''}.
+                    </div>
+                    <div style={{ flex: 1, minHeight: 0, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                      {unchanged && <p style={{ color: '#86868b', fontSize: '14px' }}>Same as the current training data.</p>}
+                      {diff.added.map((item, idx) => <DiffRow key={`a${idx}`} kind="added" item={item} />)}
+                      {diff.changed.map(({ from, to }, idx) => <DiffRow key={`c${idx}`} kind="changed" item={to} from={from} />)}
+                      {diff.removed.map((item, idx) => <DiffRow key={`r${idx}`} kind="removed" item={item} />)}
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', flexShrink: 0 }}>
+            {diff && !unchanged && (
+              <button
+                onClick={restore}
+                style={{ ...buttonStyle, background: 'linear-gradient(135deg,rgba(88,86,214,0.85),rgba(94,92,230,0.85))', color: '#fff', border: '1px solid rgba(255,255,255,0.7)' }}
+              >↩ Restore this version</button>
+            )}
+            <button onClick={onClose} style={buttonStyle}>Close</button>
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default TrainingHistory;
@@ -1,178 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import ChallengeIntro from './ChallengeIntro';
+import useMoveFeedback from '../../hooks/useMoveFeedback';
 
-const AttentionChallenge = ({ challenge, onComplete, onTimerStart }) => {
+const AttentionChallenge = ({ challenge, feedback: verdicts, onMove, onComplete, onTimerStart }) => {
   const [phase, setPhase] = useState('intro'); // 'intro', 'active', 'complete'
   const [selectedWords, setSelectedWords] = useState(new Set());
   const [submitted, setSubmitted] = useState(false);
   const [currentRound, setCurrentRound] = useState(0);
   const [scores, setScores] = useState([]);
+  const [roundCorrect, setRoundCorrect] = useState(null); // whether the server counted the round
   
-  // Multiple sentence examples — shuffled on each mount for variety
-  const allSentenceExamples = [
-    {
-      sentence: "The cat that chased the mouse was tired",
-      words: ["The", "cat", "that", "chased", "the", "mouse", "was", "tired"],
-      targetWordIndex: 6,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "Sarah bought a book and she loved it",
-      words: ["Sarah", "bought", "a", "book", "and", "she", "loved", "it"],
-      targetWordIndex: 5,
-      correctAttentions: [0]
-    },
-    {
-      sentence: "The dog barked because it saw a stranger",
-      words: ["The", "dog", "barked", "because", "it", "saw", "a", "stranger"],
-      targetWordIndex: 4,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "My teacher said that homework helps us learn",
-      words: ["My", "teacher", "said", "that", "homework", "helps", "us", "learn"],
-      targetWordIndex: 6,
-      correctAttentions: [4]
-    },
-    {
-      sentence: "The pizza was delicious so I ate it all",
-      words: ["The", "pizza", "was", "delicious", "so", "I", "ate", "it", "all"],
-      targetWordIndex: 7,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "Jake fell off his bike and hurt himself",
-      words: ["Jake", "fell", "off", "his", "bike", "and", "hurt", "himself"],
-      targetWordIndex: 7,
-      correctAttentions: [0]
-    },
-    {
-      sentence: "The flowers bloomed because they got enough rain",
-      words: ["The", "flowers", "bloomed", "because", "they", "got", "enough", "rain"],
-      targetWordIndex: 4,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "Emma told her sister that she would be there",
-      words: ["Emma", "told", "her", "sister", "that", "she", "would", "be", "there"],
-      targetWordIndex: 5,
-      correctAttentions: [0]
-    },
-    {
-      sentence: "The students worked hard so they passed the test",
-      words: ["The", "students", "worked", "hard", "so", "they", "passed", "the", "test"],
-      targetWordIndex: 5,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "My dog loves running but it gets tired quickly",
-      words: ["My", "dog", "loves", "running", "but", "it", "gets", "tired", "quickly"],
-      targetWordIndex: 5,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "The chef cooked a meal and burned it slightly",
-      words: ["The", "chef", "cooked", "a", "meal", "and", "burned", "it", "slightly"],
-      targetWordIndex: 7,
-      correctAttentions: [4]
-    },
-    {
-      sentence: "Alex finished the race and received her award",
-      words: ["Alex", "finished", "the", "race", "and", "received", "her", "award"],
-      targetWordIndex: 6,
-      correctAttentions: [0]
-    },
-    {
-      sentence: "Tom ran fast but he still missed the bus",
-      words: ["Tom", "ran", "fast", "but", "he", "still", "missed", "the", "bus"],
-      targetWordIndex: 4,
-      correctAttentions: [0]
-    },
-    {
-      sentence: "The kitten was hungry and it meowed all night",
-      words: ["The", "kitten", "was", "hungry", "and", "it", "meowed", "all", "night"],
-      targetWordIndex: 5,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "The old man walked slowly because his knee hurt",
-      words: ["The", "old", "man", "walked", "slowly", "because", "his", "knee", "hurt"],
-      targetWordIndex: 6,
-      correctAttentions: [2]
-    },
-    {
-      sentence: "Maria cooked soup and her whole family loved it",
-      words: ["Maria", "cooked", "soup", "and", "her", "whole", "family", "loved", "it"],
-      targetWordIndex: 8,
-      correctAttentions: [2]
-    },
-    {
-      sentence: "The window shattered and nobody could fix it",
-      words: ["The", "window", "shattered", "and", "nobody", "could", "fix", "it"],
-      targetWordIndex: 7,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "The bright sun made everything hard to see clearly",
-      words: ["The", "bright", "sun", "made", "everything", "hard", "to", "see", "clearly"],
-      targetWordIndex: 1,
-      correctAttentions: [2]
-    },
-    {
-      sentence: "The team won because it practiced every single day",
-      words: ["The", "team", "won", "because", "it", "practiced", "every", "single", "day"],
-      targetWordIndex: 4,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "The rocket launched and everyone watched it disappear",
-      words: ["The", "rocket", "launched", "and", "everyone", "watched", "it", "disappear"],
-      targetWordIndex: 6,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "The new student felt lost until she found her class",
-      words: ["The", "new", "student", "felt", "lost", "until", "she", "found", "her", "class"],
-      targetWordIndex: 6,
-      correctAttentions: [2]
-    },
-    {
-      sentence: "The scientist made a discovery and published her findings",
-      words: ["The", "scientist", "made", "a", "discovery", "and", "published", "her", "findings"],
-      targetWordIndex: 7,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "The baby cried all night and its parents were exhausted",
-      words: ["The", "baby", "cried", "all", "night", "and", "its", "parents", "were", "exhausted"],
-      targetWordIndex: 6,
-      correctAttentions: [1]
-    },
-    {
-      sentence: "David dropped his phone and cracked its screen",
-      words: ["David", "dropped", "his", "phone", "and", "cracked", "its", "screen"],
-      targetWordIndex: 6,
-      correctAttentions: [3]
-    },
-    {
-      sentence: "The bridge was old but it still held the weight",
-      words: ["The", "bridge", "was", "old", "but", "it", "still", "held", "the", "weight"],
-      targetWordIndex: 5,
-      correctAttentions: [1]
-    }
-  ];
+  const { rounds } = challenge.content;
 
-  // Shuffle once per mount so each game session shows different rounds
-  const [sentenceExamples] = useState(() => {
-    const arr = [...allSentenceExamples];
-    for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [arr[i], arr[j]] = [arr[j], arr[i]];
-    }
-    return arr;
-  });
-
-  const currentChallenge = sentenceExamples[currentRound] || challenge;
+  const currentChallenge = rounds[currentRound];
 
   // Inject responsive CSS
   useEffect(() => {
@@ -227,12 +67,6 @@ const AttentionChallenge = ({ challenge, onComplete, onTimerStart }) => {
           border-color: #10b981;
         }
         
-        .attention-word.missed {
-          background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%);
-          color: white;
-          border-color: #f59e0b;
-        }
-        
         .attention-word.wrong {
           background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%);
           color: white;
@@ -274,45 +108,28 @@ const AttentionChallenge = ({ challenge, onComplete, onTimerStart }) => {
 
   const handleSubmit = () => {
     setSubmitted(true);
-    
-    // Calculate accuracy
-    const correctAttentions = new Set(currentChallenge.correctAttentions);
-    const playerAttentions = selectedWords;
-    
-    // Count correct selections (intersection)
-    const correctSelections = [...playerAttentions].filter(x => correctAttentions.has(x)).length;
-    
-    // Calculate score: correct selections / total correct needed
-    const accuracy = correctAttentions.size > 0 ? correctSelections / correctAttentions.size : 0;
-    
-    // Track score for this round
-    const isCorrect = accuracy > 0.5;
-    setScores(prev => [...prev, isCorrect ? 1 : 0]);
-    
-    console.log('Attention answer:', {
-      round: currentRound + 1,
-      selected: [...playerAttentions],
-      correct: [...correctAttentions],
-      correctSelections,
-      accuracy: (accuracy * 100).toFixed(0) + '%',
-      isCorrect
-    });
+    onMove([...selectedWords]);
+  };
+
+  // The server checks the round; the words it needed stay there
+  useMoveFeedback(verdicts, (verdict) => {
+    setRoundCorrect(!!verdict?.correct);
+    setScores(prev => [...prev, verdict?.correct ? 1 : 0]);
     
     // Wait to show feedback, then move to next round or complete
     setTimeout(() => {
-      if (currentRound + 1 >= 5) {
-        // Challenge complete after 5 rounds
-        const totalCorrect = [...scores, isCorrect ? 1 : 0].reduce((sum, s) => sum + s, 0);
-        const success = totalCorrect > 2; // Majority of 5
-        onComplete(success);
+      if (currentRound + 1 >= rounds.length) {
+        // Challenge complete after the last round
+        onComplete();
       } else {
         // Move to next round
         setCurrentRound(prev => prev + 1);
         setSelectedWords(new Set());
         setSubmitted(false);
+        setRoundCorrect(null);
       }
     }, 2000);
-  };
+  });
 
   const getWordClass = (index) => {
     const classes = ['attention-word'];
@@ -322,17 +139,9 @@ const AttentionChallenge = ({ challenge, onComplete, onTimerStart }) => {
       return classes.join(' ');
     }
     
-    if (submitted) {
-      const correctAttentions = new Set(currentChallenge.correctAttentions);
-      const isSelected = selectedWords.has(index);
-      const isCorrect = correctAttentions.has(index);
-      
-      if (isSelected && isCorrect) {
-        classes.push('correct');
-      } else if (isSelected && !isCorrect) {
-        classes.push('wrong');
-      } else if (!isSelected && isCorrect) {
-        classes.push('missed');
+    if (roundCorrect !== null) {
+      if (selectedWords.has(index)) {
+        classes.push(roundCorrect ? 'correct' : 'wrong');
       }
     } else if (selectedWords.has(index)) {
       classes.push('selected');
@@ -397,7 +206,7 @@ const AttentionChallenge = ({ challenge, onComplete, onTimerStart }) => {
         fontWeight: '600',
         color: '#94a3b8'
       }}>
-        <div>Round {currentRound + 1} of 5</div>
+        <div>Round {currentRound + 1} of {rounds.length}</div>
         <div>Score: {scores.reduce((sum, s) => sum + s, 0)}/{scores.length}</div>
       </div>
 
@@ -490,13 +299,10 @@ const AttentionChallenge = ({ challenge, onComplete, onTimerStart }) => {
           color: '#94a3b8'
         }}>
           <div style={{ marginBottom: '8px' }}>
-            <span style={{ color: '#10b981', fontWeight: 'bold' }}>● Green</span> = Correct selection
-          </div>
-          <div style={{ marginBottom: '8px' }}>
-            <span style={{ color: '#f59e0b', fontWeight: 'bold' }}>● Orange</span> = You missed this one
+            <span style={{ color: '#10b981', fontWeight: 'bold' }}>● Green</span> = You picked exactly the right words
           </div>
           <div>
-            <span style={{ color: '#ef4444', fontWeight: 'bold' }}>● Red</span> = Wrong selection
+            <span style={{ color: '#ef4444', fontWeight: 'bold' }}>● Red</span> = Not quite - the right words were different
           </div>
         </div>
       )}
@@ -0,0 +1,109 @@
+import React from 'react';
+
+const initial = (name) => (name || '?').trim().charAt(0).toUpperCase();
+
+// Attention as a team: everyone picks words in the same sentence and sees
+// each other's picks; the round only counts if the whole team agrees
+const AttentionCoop = ({ challenge, coop, onMove }) => {
+  const { state, players } = coop;
+  const { player } = challenge.team;
+  const { rounds } = challenge.content;
+  const round = rounds[state.round];
+  const mine = state.picks[player] || [];
+  const ready = state.ready[player];
+  const agreedSoFar = state.results.filter(Boolean).length;
+  const last = state.results[state.results.length - 1];
+
+  if (!round) {
+    return <div style={{ padding: '24px', textAlign: 'center', color: '#94a3b8' }}>⏳ Checking the team's answers...</div>;
+  }
+
+  const toggle = (index) => {
+    const words = mine.includes(index) ? mine.filter(i => i !== index) : [...mine, index];
+    onMove({ round: state.round, words, ready: false });
+  };
+
+  return (
+    <div style={{ userSelect: 'none', padding: 'clamp(10px, 2vw, 20px)', background: 'linear-gradient(135deg, #0f172a 0%, #1e293b 100%)', borderRadius: 'clamp(8px, 2vw, 12px)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '12px', fontSize: 'clamp(0.8rem, 2vw, 0.9rem)', fontWeight: '600', color: '#94a3b8' }}>
+        <div>Round {state.round + 1} of {rounds.length}</div>
+        <div>Team agreed & right: {agreedSoFar}/{state.results.length}</div>
+      </div>
+
+      {last !== undefined && (
+        <div style={{ textAlign: 'center', fontSize: '0.85rem', fontWeight: '600', marginBottom: '8px', color: last ? '#10b981' : '#f59e0b' }}>
+          {last ? '✓ Last round counted!' : '✗ Last round didn\'t count - the team has to agree on the right words'}
+        </div>
+      )}
+
+      <p style={{ marginBottom: '16px', color: '#94a3b8', textAlign: 'center', fontSize: 'clamp(0.75rem, 2vw, 0.95rem)', lineHeight: '1.4' }}>
+        Tap the words the <span style={{ color: '#ec4899', fontWeight: '700' }}>highlighted word</span> refers to. Your team sees your picks - agree on the same words, then everyone presses Ready.
+      </p>
+
+      <div style={{ background: 'rgba(255, 255, 255, 0.05)', borderRadius: 'clamp(8px, 2vw, 12px)', padding: 'clamp(16px, 4vw, 24px)', marginBottom: '16px', border: '1px solid rgba(255, 255, 255, 0.1)', display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '6px' }}>
+        {round.words.map((word, index) => {
+          const target = index === round.targetWordIndex;
+          const picked = mine.includes(index);
+          const others = players.filter((p, i) => i !== player && p.here && state.picks[i]?.includes(index));
+          return (
+            <span
+              key={index}
+              onClick={() => !target && toggle(index)}
+              style={{
+                display: 'inline-flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                padding: '8px 12px',
+                borderRadius: '8px',
+                minHeight: '44px',
+                cursor: target ? 'default' : 'pointer',
+                color: 'white',
+                fontWeight: target ? '700' : '500',
+                border: '1px solid rgba(255, 255, 255, 0.2)',
+                background: target
+                  ? 'linear-gradient(135deg, #ec4899 0%, #ef4444 100%)'
+                  : picked ? 'linear-gradient(135deg, #8b5cf6 0%, #ec4899 100%)' : 'rgba(255, 255, 255, 0.1)'
+              }}
+            >
+              {word}
+              {others.length > 0 && (
+                <span style={{ fontSize: '0.65rem', opacity: 0.85, marginTop: '2px' }} title={others.map(p => p.name).join(', ')}>
+                  {others.map(p => initial(p.name)).join(' ')}
+                </span>
+              )}
+            </span>
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', justifyContent: 'center', marginBottom: '12px', fontSize: '0.8rem' }}>
+        {players.map((p, i) => (
+          <span key={i} style={{ padding: '3px 8px', borderRadius: '6px', background: 'rgba(255,255,255,0.08)', color: p.here ? 'white' : '#64748b' }}>
+            {state.ready[i] ? '✅' : '⏳'} {i === player ? 'You' : p.name}{p.here ? '' : ' (away)'}
+          </span>
+        ))}
+      </div>
+
+      <button
+        onClick={() => onMove({ round: state.round, words: mine, ready: !ready })}
+        disabled={mine.length === 0}
+        style={{
+          width: '100%',
+          background: mine.length === 0 ? 'rgba(255, 255, 255, 0.1)' : ready ? 'rgba(16, 185, 129, 0.4)' : 'linear-gradient(135deg, #8b5cf6 0%, #ec4899 100%)',
+          color: 'white',
+          padding: 'clamp(12px, 2.5vw, 16px)',
+          fontSize: 'clamp(0.9rem, 2.5vw, 1.1rem)',
+          fontWeight: '700',
+          borderRadius: 'clamp(8px, 2vw, 12px)',
+          border: 'none',
+          cursor: mine.length === 0 ? 'not-allowed' : 'pointer',
+          minHeight: '48px'
+        }}
+      >
+        {mine.length === 0 ? '⚠ Select at least one word' : ready ? '✅ Ready - waiting for the team (tap to change)' : `Ready (${mine.length} selected)`}
+      </button>
+    </div>
+  );
+};
+
+export default AttentionCoop;
@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ChallengeIntro from './ChallengeIntro';
+import useMoveFeedback from '../../hooks/useMoveFeedback';
 
-const BiasBreakerChallenge = ({ challenge, onComplete, onTimerStart }) => {
+const BiasBreakerChallenge = ({ challenge, feedback: verdicts, onMove, onComplete, onTimerStart }) => {
   const [phase, setPhase] = useState('intro'); // intro, playing, complete
   const [currentIndex, setCurrentIndex] = useState(0);
   const [correctCount, setCorrectCount] = useState(0);
@@ -9,59 +10,12 @@ const BiasBreakerChallenge = ({ challenge, onComplete, onTimerStart }) => {
   const [feedback, setFeedback] = useState(null);
   const [shuffledMessages, setShuffledMessages] = useState([]);
   const timeoutsRef = useRef([]);
+  const answered = useRef(0); // statements flagged or let through so far
 
-  // Message pool with bias flags
-  const messagePool = [
-    // Biased messages (should be flagged)
-    { text: "Girls don't like playing sports.", biased: true },
-    { text: "Boys shouldn't cry when they're sad.", biased: true },
-    { text: "Smart kids are always nerdy and boring.", biased: true },
-    { text: "Poor kids can't grow up to be successful.", biased: true },
-    { text: "Only popular kids get to have fun.", biased: true },
-    { text: "You can't be friends with people who are different.", biased: true },
-    { text: "Everyone should like the same music and games.", biased: true },
-    { text: "New kids in class are weird and don't belong.", biased: true },
-    { text: "Teachers are always right, no matter what.", biased: true },
-    { text: "Rules are more important than people's feelings.", biased: true },
-    { text: "Kids who wear glasses are not cool.", biased: true },
-    { text: "Only skinny people can be good at running.", biased: true },
-    { text: "Kids who read books are too serious.", biased: true },
-    { text: "People who talk differently are strange.", biased: true },
-    { text: "Only kids with expensive clothes matter.", biased: true },
-    { text: "Girls should only play with dolls.", biased: true },
-    { text: "Boys should only play with trucks.", biased: true },
-    { text: "Quiet kids don't have anything important to say.", biased: true },
-    { text: "Loud kids are always troublemakers.", biased: true },
-    { text: "Kids who ask questions are annoying.", biased: true },
-    { text: "Only perfect grades make you worthwhile.", biased: true },
-    { text: "Kids who make mistakes are failures.", biased: true },
-    { text: "You should only like what everyone else likes.", biased: true },
-    { text: "Different is always bad.", biased: true },
-    { text: "Change is scary and should be avoided.", biased: true },
-    
-    // Neutral messages (should NOT be flagged)
-    { text: "I like playing soccer after school.", biased: false },
-    { text: "The sun comes up in the morning.", biased: false },
-    { text: "My favorite subject is art class.", biased: false },
-    { text: "I need to do my homework tonight.", biased: false },
-    { text: "School starts at 8:30 AM.", biased: false },
-    { text: "Can you help me with this math problem?", biased: false },
-    { text: "I'm learning about dinosaurs.", biased: false },
-    { text: "The sky is blue on sunny days.", biased: false },
-    { text: "I prefer apples over bananas.", biased: false },
-    { text: "My birthday is in March.", biased: false },
-    { text: "Blue is my favorite color.", biased: false },
-    { text: "I like reading adventure books.", biased: false },
-    { text: "The computer game got a new level.", biased: false },
-    { text: "I walked home from school today.", biased: false },
-    { text: "The pizza place has good food.", biased: false },
-  ];
-
+  // Statements come from the server, already shuffled
   useEffect(() => {
     if (phase === 'playing') {
-      // Shuffle messages at start of game
-      const shuffled = [...messagePool].sort(() => Math.random() - 0.5).slice(0, 10);
-      setShuffledMessages(shuffled);
+      setShuffledMessages(challenge.content.messages);
     }
   }, [phase]);
 
@@ -73,10 +27,15 @@ const BiasBreakerChallenge = ({ challenge, onComplete, onTimerStart }) => {
   }, []);
 
   const handleResponse = (flagAsBiased) => {
-    const currentMessage = shuffledMessages[currentIndex];
-    const isCorrect = (flagAsBiased && currentMessage.biased) || (!flagAsBiased && !currentMessage.biased);
-    
-    if (isCorrect) {
+    // One answer per statement, even if tapped again before it moves on
+    if (answered.current > currentIndex) return;
+    answered.current += 1;
+    onMove(flagAsBiased);
+  };
+
+  // Only the server knows which statements are biased
+  useMoveFeedback(verdicts, (verdict) => {
+    if (verdict?.correct) {
       setCorrectCount(p => p + 1);
       showFeedback('✓ Correct!', 'success');
     } else {
@@ -95,7 +54,7 @@ const BiasBreakerChallenge = ({ challenge, onComplete, onTimerStart }) => {
       }
     }, 1000);
     timeoutsRef.current.push(tid);
-  };
+  });
 
   const showFeedback = (message, type) => {
     setFeedback({ message, type });
@@ -404,7 +363,7 @@ const BiasBreakerChallenge = ({ challenge, onComplete, onTimerStart }) => {
 
         <button
           onClick={() => {
-            onComplete(passed);
+            onComplete();
           }}
           style={{
             background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
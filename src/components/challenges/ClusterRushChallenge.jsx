@@ -1,7 +1,18 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ChallengeIntro from './ChallengeIntro';
+import useMoveFeedback from '../../hooks/useMoveFeedback';
 
-const ClusterRushChallenge = ({ challenge, onComplete, onTimerStart }) => {
+// Task types for the challenge
+export const TASK_VIEWS = [
+  { type: 'connect', label: 'Connect GPU', icon: '🔌', color: 'from-blue-500 to-blue-700' },
+  { type: 'power', label: 'Power Unit', icon: '⚡', color: 'from-yellow-500 to-yellow-700' },
+  { type: 'route', label: 'Route Data', icon: '🧩', color: 'from-green-500 to-green-700' },
+  { type: 'balance', label: 'Balance Load', icon: '⚖️', color: 'from-purple-500 to-purple-700' },
+  { type: 'switch', label: 'Link Switch', icon: '🌐', color: 'from-indigo-500 to-indigo-700' },
+  { type: 'cooling', label: 'Add Cooling', icon: '❄️', color: 'from-cyan-500 to-cyan-700' },
+];
+
+const ClusterRushChallenge = ({ challenge, feedback: verdicts, onMove, onComplete, onTimerStart }) => {
   const [phase, setPhase] = useState('intro'); // 'intro', 'setup', 'payoff', 'complete'
   const [tasksCompleted, setTasksCompleted] = useState(0);
   const [currentTask, setCurrentTask] = useState(null);
@@ -9,39 +20,24 @@ const ClusterRushChallenge = ({ challenge, onComplete, onTimerStart }) => {
   const [events, setEvents] = useState([]);
   const [feedback, setFeedback] = useState(null);
   const [gpuUtilization, setGpuUtilization] = useState(0);
+  const [waiting, setWaiting] = useState(false); // a press is with the server
   
   const payoffTimeoutRef = useRef(null);
+  const { target } = challenge.content; // tasks to complete
   
-  // Task types for the challenge
-  const taskTypes = [
-    { type: 'connect', label: 'Connect GPU', icon: '🔌', color: 'from-blue-500 to-blue-700' },
-    { type: 'power', label: 'Power Unit', icon: '⚡', color: 'from-yellow-500 to-yellow-700' },
-    { type: 'route', label: 'Route Data', icon: '🧩', color: 'from-green-500 to-green-700' },
-    { type: 'balance', label: 'Balance Load', icon: '⚖️', color: 'from-purple-500 to-purple-700' },
-    { type: 'switch', label: 'Link Switch', icon: '🌐', color: 'from-indigo-500 to-indigo-700' },
-    { type: 'cooling', label: 'Add Cooling', icon: '❄️', color: 'from-cyan-500 to-cyan-700' },
-  ];
+  const typeInfo = (type) => TASK_VIEWS.find(t => t.type === type);
 
-  // Generate new task with randomized button positions
-  const generateTask = () => {
-    const task = taskTypes[Math.floor(Math.random() * taskTypes.length)];
-    setCurrentTask(task);
-    
-    // Create 3 random action buttons (one correct, two wrong)
-    const wrongTasks = taskTypes.filter(t => t.type !== task.type);
-    const shuffled = [...wrongTasks].sort(() => Math.random() - 0.5);
-    const wrongOptions = shuffled.slice(0, 2);
-    
-    // Shuffle all three buttons
-    const buttons = [task, ...wrongOptions].sort(() => Math.random() - 0.5);
-    setActionButtons(buttons);
+  // Show a task (and its shuffled buttons) the server sent
+  const showTask = ({ type, options }) => {
+    setCurrentTask(typeInfo(type));
+    setActionButtons(options.map(typeInfo));
   };
 
-  // Initialize first task on mount
+  // The first task comes with the challenge, the rest one at a time after each press
   useEffect(() => {
     if (phase === 'setup' && !currentTask) {
-      console.log('ClusterRush: Generating first task');
-      generateTask();
+      console.log('ClusterRush: Showing first task');
+      showTask(challenge.content.task);
     }
   }, [phase, currentTask]);
 
@@ -50,7 +46,7 @@ const ClusterRushChallenge = ({ challenge, onComplete, onTimerStart }) => {
     console.log('ClusterRush state:', { phase, currentTask: currentTask?.type, actionButtons: actionButtons.length });
   }, [phase, currentTask, actionButtons]);
 
-  // Remove timer - game continues until 15 tasks completed
+  // Remove timer - game continues until the target number of tasks is completed
 
   // Remove random events system
 
@@ -76,28 +72,28 @@ const ClusterRushChallenge = ({ challenge, onComplete, onTimerStart }) => {
     };
   }, []);
 
-  const handleTaskComplete = () => {
-    const newTasksCompleted = tasksCompleted + 1;
-    setTasksCompleted(newTasksCompleted);
-    
-    showFeedback(`✓ Correct! ${newTasksCompleted}/15`, 'success');
-    
-    // Check if reached 15 tasks
-    if (newTasksCompleted >= 15) {
+  // Buttons wait for the server's verdict on each press, so a quick second tap can't land on the old task
+  const handlePress = (type) => {
+    if (waiting) return;
+    setWaiting(true);
+    onMove(type);
+  };
+
+  useMoveFeedback(verdicts, (verdict) => {
+    setWaiting(false);
+    if (!verdict) return;
+    setTasksCompleted(verdict.score);
+    if (!verdict.correct) {
+      showFeedback(`✗ Wrong Action! -1 (${verdict.score}/${target})`, 'error');
+      return;
+    }
+    showFeedback(`✓ Correct! ${verdict.score}/${target}`, 'success');
+    if (verdict.score >= target) {
       initiatePayoff();
     } else {
-      // Generate new task
-      setTimeout(() => {
-        generateTask();
-      }, 200);
+      showTask(verdict.task);
     }
-  };
-
-  const handleWrongAction = () => {
-    const newTasksCompleted = Math.max(0, tasksCompleted - 1);
-    setTasksCompleted(newTasksCompleted);
-    showFeedback(`✗ Wrong Action! -1 (${newTasksCompleted}/15)`, 'error');
-  };
+  });
 
   const showFeedback = (message, type) => {
     setFeedback({ message, type });
@@ -110,10 +106,8 @@ const ClusterRushChallenge = ({ challenge, onComplete, onTimerStart }) => {
   };
 
   const calculateFinalScore = () => {
-    // Success if reached 15 tasks
-    const success = tasksCompleted >= 15;
-    
-    onComplete(success);
+    // The server replays the presses it judged to check the target was reached
+    onComplete();
   };
 
   if (phase === 'setup') {
@@ -174,9 +168,9 @@ const ClusterRushChallenge = ({ challenge, onComplete, onTimerStart }) => {
           zIndex: 10
         }}>
           <div style={{ 
-            color: tasksCompleted >= 15 ? '#10b981' : '#ffffff'
+            color: tasksCompleted >= target ? '#10b981' : '#ffffff'
           }}>
-            🎯 {tasksCompleted}/15 tasks
+            🎯 {tasksCompleted}/{target} tasks
           </div>
         </div>
 
@@ -248,13 +242,7 @@ const ClusterRushChallenge = ({ challenge, onComplete, onTimerStart }) => {
               return (
                 <button
                   key={idx}
-                  onClick={() => {
-                    if (action.type === currentTask.type) {
-                      handleTaskComplete();
-                    } else {
-                      handleWrongAction();
-                    }
-                  }}
+                  onClick={() => handlePress(action.type)}
                   className="cluster-btn"
                   style={{
                     background: `linear-gradient(135deg, ${from} 0%, ${to} 100%)`,
@@ -300,7 +288,7 @@ const ClusterRushChallenge = ({ challenge, onComplete, onTimerStart }) => {
               fontWeight: '700'
             }}>
               <span>PROGRESS</span>
-              <span style={{ color: '#667eea' }}>{tasksCompleted}/15</span>
+              <span style={{ color: '#667eea' }}>{tasksCompleted}/{target}</span>
             </div>
             <div style={{
               height: 'clamp(8px, 2vw, 10px)',
@@ -311,7 +299,7 @@ const ClusterRushChallenge = ({ challenge, onComplete, onTimerStart }) => {
             }}>
               <div style={{
                 height: '100%',
-                width: `${(tasksCompleted / 15) * 100}%`,
+                width: `${(tasksCompleted / target) * 100}%`,
                 background: 'linear-gradient(90deg, #667eea 0%, #764ba2 100%)',
                 borderRadius: '100px',
                 transition: 'width 0.3s ease',
@@ -509,7 +497,7 @@ const ClusterRushChallenge = ({ challenge, onComplete, onTimerStart }) => {
           {
             emoji: '🏆',
             title: 'Keep the LLM training!',
-            description: 'If the cluster goes down, training stops and millions of dollars are wasted. Complete 15 tasks to keep it running!',
+            description: `If the cluster goes down, training stops and millions of dollars are wasted. Complete ${target} tasks to keep it running!`,
           },
         ]}
       />
@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { TASK_VIEWS } from './ClusterRushChallenge';
+
+// Cluster Rush as a team: everyone sees the task, but each player holds only
+// some of the buttons, so whoever holds the right one has to press it
+const ClusterRushCoop = ({ challenge, coop, onMove }) => {
+  const { state, players } = coop;
+  const { player } = challenge.team;
+  const { target } = challenge.content;
+  const [feedback, setFeedback] = useState(null);
+  const lastScore = useRef(state.score);
+
+  const { task } = state; // The server only ever shares the one the team is on
+  const need = TASK_VIEWS.find(t => t.type === task.type);
+  const mine = TASK_VIEWS.filter(t => state.owners[t.type] === player);
+  const holder = state.owners[task.type];
+
+  // Flash the team's progress, whoever pressed
+  useEffect(() => {
+    if (state.score === lastScore.current) return undefined;
+    const up = state.score > lastScore.current;
+    lastScore.current = state.score;
+    setFeedback(up ? { message: `✓ ${state.score}/${target}`, good: true } : { message: '✗ Wrong action! -1', good: false });
+    const timer = setTimeout(() => setFeedback(null), 600);
+    return () => clearTimeout(timer);
+  }, [state.score, target]);
+
+  return (
+    <div style={{ position: 'relative', display: 'flex', flexDirection: 'column', gap: '14px', padding: 'clamp(12px, 3vw, 20px)', background: 'linear-gradient(135deg, #1e293b 0%, #0f172a 100%)', borderRadius: 'clamp(8px, 2vw, 12px)' }}>
+      <div style={{ textAlign: 'center', fontSize: 'clamp(1.1rem, 3vw, 1.3rem)', fontWeight: '700', color: state.score >= target ? '#10b981' : 'white' }}>
+        🎯 {state.score}/{target} tasks
+      </div>
+
+      <div style={{ background: 'rgba(255, 255, 255, 0.95)', borderRadius: 'clamp(12px, 3vw, 16px)', padding: 'clamp(16px, 4vw, 24px)', textAlign: 'center', boxShadow: '0 8px 32px rgba(0,0,0,0.2)' }}>
+        <div style={{ fontSize: 'clamp(0.7rem, 1.8vw, 0.8rem)', color: '#667eea', fontWeight: '700', textTransform: 'uppercase', letterSpacing: '2px', marginBottom: '8px' }}>
+          Cluster Needs
+        </div>
+        <div style={{ fontSize: 'clamp(2.5rem, 10vw, 3.5rem)' }}>{need.icon}</div>
+        <div style={{ fontSize: 'clamp(1.1rem, 3.5vw, 1.4rem)', fontWeight: 'bold', color: '#1e293b' }}>{need.label}</div>
+        <div style={{ fontSize: '0.85rem', color: holder === player ? '#15803d' : '#64748b', fontWeight: '600', marginTop: '6px' }}>
+          {holder === player ? '👉 That\'s your button!' : `${players[holder]?.name || 'A teammate'} has this button`}
+        </div>
+      </div>
+
+      <div style={{ fontSize: '0.8rem', fontWeight: '700', color: '#94a3b8', textTransform: 'uppercase', letterSpacing: '1px' }}>Your buttons</div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 'clamp(8px, 2vw, 10px)' }}>
+        {mine.map(action => (
+          <button
+            key={action.type}
+            onClick={() => onMove({ task: state.completed, type: action.type })}
+            style={{
+              background: action.type === task.type ? 'linear-gradient(135deg, #22c55e 0%, #15803d 100%)' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+              color: 'white',
+              border: 'none',
+              borderRadius: 'clamp(10px, 2.5vw, 12px)',
+              padding: 'clamp(12px, 3vw, 16px)',
+              fontSize: 'clamp(0.95rem, 2.5vw, 1.05rem)',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: '12px',
+              boxShadow: '0 4px 12px rgba(0,0,0,0.3)'
+            }}
+          >
+            <span style={{ fontSize: 'clamp(1.3rem, 4vw, 1.8rem)' }}>{action.icon}</span>
+            <span>{action.label}</span>
+          </button>
+        ))}
+      </div>
+
+      <div style={{ fontSize: '0.8rem', color: '#94a3b8', lineHeight: '1.6' }}>
+        {players.map((p, i) => i !== player && (
+          <div key={i} style={{ opacity: p.here ? 1 : 0.5 }}>
+            {p.name}{p.here ? '' : ' (away - you\'ve got their buttons)'}: {TASK_VIEWS.filter(t => state.owners[t.type] === i).map(t => t.icon).join(' ') || '-'}
+          </div>
+        ))}
+      </div>
+
+      {feedback && (
+        <div style={{
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          background: feedback.good ? 'linear-gradient(135deg, #10b981 0%, #059669 100%)' : 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)',
+          color: 'white',
+          padding: '16px 28px',
+          borderRadius: '14px',
+          fontSize: 'clamp(1.1rem, 3.5vw, 1.4rem)',
+          fontWeight: 'bold',
+          boxShadow: '0 10px 40px rgba(0,0,0,0.4)',
+          pointerEvents: 'none'
+        }}>
+          {feedback.message}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClusterRushCoop;
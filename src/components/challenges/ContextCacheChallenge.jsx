@@ -1,109 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ChallengeIntro from './ChallengeIntro';
+import { contextCache } from '../../utils/challengeGames';
 
-// ── Scenario pools ──────────────────────────────────────────────────
-const SCENARIO_POOLS = [
-  {
-    name: 'Cooking Assistant',
-    chunks: [
-      { text: "I'm vegetarian, no meat please", important: true, detail: 'vegetarian', category: 'diet' },
-      { text: "I'm allergic to peanuts", important: true, detail: 'peanuts', category: 'allergy' },
-      { text: "I have 30 minutes to cook", important: true, detail: '30 minutes', category: 'time' },
-      { text: "My oven is broken, stovetop only", important: true, detail: 'stovetop', category: 'equipment' },
-      { text: "I love spicy food", important: true, detail: 'spicy', category: 'preference' },
-      { text: "That sounds yummy!", important: false, detail: null, category: 'filler' },
-      { text: "Hmm let me think", important: false, detail: null, category: 'filler' },
-      { text: "Actually, I can eat fish", important: true, detail: 'fish ok', category: 'diet', contradicts: 'vegetarian' },
-      { text: "I need it to serve 4 people", important: true, detail: '4 servings', category: 'servings' },
-      { text: "Ok thanks", important: false, detail: null, category: 'filler' },
-      { text: "Wait — I also can't have gluten", important: true, detail: 'gluten-free', category: 'allergy' },
-      { text: "Ooh that's a good idea", important: false, detail: null, category: 'filler' },
-      { text: "I have rice, tofu, and broccoli", important: true, detail: 'rice/tofu/broccoli', category: 'ingredients' },
-      { text: "Actually make it for 6 people", important: true, detail: '6 servings', category: 'servings', contradicts: '4 servings' },
-    ],
-  },
-  {
-    name: 'Travel Planner',
-    chunks: [
-      { text: "I want to visit Japan in April", important: true, detail: 'Japan, April', category: 'destination' },
-      { text: "Budget is $3000 total", important: true, detail: '$3000', category: 'budget' },
-      { text: "I'm afraid of flying", important: true, detail: 'no flying', category: 'transport' },
-      { text: "Sounds awesome", important: false, detail: null, category: 'filler' },
-      { text: "I need wheelchair accessibility", important: true, detail: 'wheelchair', category: 'accessibility' },
-      { text: "I speak some Japanese", important: true, detail: 'knows Japanese', category: 'language' },
-      { text: "Nice nice nice", important: false, detail: null, category: 'filler' },
-      { text: "Actually, let's go to Korea instead", important: true, detail: 'Korea', category: 'destination', contradicts: 'Japan, April' },
-      { text: "I'm traveling with 2 kids", important: true, detail: '2 kids', category: 'companions' },
-      { text: "We love street food", important: true, detail: 'street food', category: 'food' },
-      { text: "Hmm ok", important: false, detail: null, category: 'filler' },
-      { text: "I can increase budget to $5000", important: true, detail: '$5000', category: 'budget', contradicts: '$3000' },
-      { text: "We need a hotel with a pool", important: true, detail: 'pool hotel', category: 'accommodation' },
-      { text: "Whatever you think is best", important: false, detail: null, category: 'filler' },
-    ],
-  },
-  {
-    name: 'Code Tutor',
-    chunks: [
-      { text: "I'm a beginner at programming", important: true, detail: 'beginner', category: 'level' },
-      { text: "I want to learn Python", important: true, detail: 'Python', category: 'language' },
-      { text: "Ok got it", important: false, detail: null, category: 'filler' },
-      { text: "I already know HTML and CSS", important: true, detail: 'knows HTML/CSS', category: 'background' },
-      { text: "I can study 2 hours a day", important: true, detail: '2 hours/day', category: 'schedule' },
-      { text: "My goal is to build a website", important: true, detail: 'build website', category: 'goal' },
-      { text: "That makes sense", important: false, detail: null, category: 'filler' },
-      { text: "Actually, I want to do data science", important: true, detail: 'data science', category: 'goal', contradicts: 'build website' },
-      { text: "I have a Mac laptop", important: true, detail: 'Mac', category: 'equipment' },
-      { text: "Interesting!", important: false, detail: null, category: 'filler' },
-      { text: "Wait, maybe JavaScript instead", important: true, detail: 'JavaScript', category: 'language', contradicts: 'Python' },
-      { text: "I learn best with videos", important: true, detail: 'video learner', category: 'style' },
-      { text: "Cool", important: false, detail: null, category: 'filler' },
-      { text: "I tried Java before and hated it", important: true, detail: 'hates Java', category: 'background' },
-    ],
-  },
-  {
-    name: 'Pet Advisor',
-    chunks: [
-      { text: "I live in a small apartment", important: true, detail: 'small apartment', category: 'housing' },
-      { text: "I want a pet that's low maintenance", important: true, detail: 'low maintenance', category: 'preference' },
-      { text: "I work 10-hour days", important: true, detail: '10-hour days', category: 'schedule' },
-      { text: "Cute!", important: false, detail: null, category: 'filler' },
-      { text: "I'm allergic to cats", important: true, detail: 'cat allergy', category: 'allergy' },
-      { text: "I had a hamster as a kid", important: true, detail: 'had hamster', category: 'experience' },
-      { text: "Hmm ok", important: false, detail: null, category: 'filler' },
-      { text: "Actually I just moved to a house with a yard", important: true, detail: 'house with yard', category: 'housing', contradicts: 'small apartment' },
-      { text: "I have a 5-year-old child", important: true, detail: '5yo child', category: 'family' },
-      { text: "I'm willing to spend $200/month on pet care", important: true, detail: '$200/month', category: 'budget' },
-      { text: "Aww!", important: false, detail: null, category: 'filler' },
-      { text: "Oh wait, my allergy is actually to dogs", important: true, detail: 'dog allergy', category: 'allergy', contradicts: 'cat allergy' },
-      { text: "I want something my kid can play with", important: true, detail: 'kid-friendly', category: 'preference' },
-      { text: "Sounds good", important: false, detail: null, category: 'filler' },
-    ],
-  },
-  {
-    name: 'Fitness Coach',
-    chunks: [
-      { text: "I want to lose 20 pounds", important: true, detail: 'lose 20 lbs', category: 'goal' },
-      { text: "I have a bad knee", important: true, detail: 'bad knee', category: 'injury' },
-      { text: "I can exercise 3 days a week", important: true, detail: '3 days/week', category: 'schedule' },
-      { text: "Sounds tough", important: false, detail: null, category: 'filler' },
-      { text: "I'm 35 years old", important: true, detail: 'age 35', category: 'age' },
-      { text: "I don't have gym access", important: true, detail: 'no gym', category: 'equipment' },
-      { text: "Yeah", important: false, detail: null, category: 'filler' },
-      { text: "Actually I just joined a gym!", important: true, detail: 'has gym access', category: 'equipment', contradicts: 'no gym' },
-      { text: "I'm also vegan", important: true, detail: 'vegan', category: 'diet' },
-      { text: "Ok sure", important: false, detail: null, category: 'filler' },
-      { text: "Wait, I want to gain muscle instead", important: true, detail: 'gain muscle', category: 'goal', contradicts: 'lose 20 lbs' },
-      { text: "I can actually do 5 days a week", important: true, detail: '5 days/week', category: 'schedule', contradicts: '3 days/week' },
-      { text: "I hate running", important: true, detail: 'no running', category: 'preference' },
-      { text: "Alright", important: false, detail: null, category: 'filler' },
-    ],
-  },
-];
+const { NUM_SLOTS } = contextCache;
 
-const NUM_SLOTS = 6;
-const CHUNKS_PER_ROUND = 8;
-
-const ContextCacheChallenge = ({ challenge, onComplete, onTimerStart }) => {
+const ContextCacheChallenge = ({ challenge, onMove, onComplete, onTimerStart }) => {
   const [phase, setPhase] = useState('intro');
   const [memorySlots, setMemorySlots] = useState(Array(NUM_SLOTS).fill(null));
   const [incomingChunks, setIncomingChunks] = useState([]);
@@ -115,6 +16,7 @@ const ContextCacheChallenge = ({ challenge, onComplete, onTimerStart }) => {
   const [results, setResults] = useState(null);
 
   const phaseTimerRef = useRef(null);
+  const placed = useRef(0); // chunks placed or discarded so far
 
   // Cleanup on unmount
   useEffect(() => {
@@ -123,35 +25,30 @@ const ContextCacheChallenge = ({ challenge, onComplete, onTimerStart }) => {
     };
   }, []);
 
-  // Generate chunks when entering incoming phase for the first time
+  // Load the server's chunks when entering incoming phase for the first time
   useEffect(() => {
     if (phase !== 'incoming' || incomingChunks.length > 0) return;
 
-    const scenario = SCENARIO_POOLS[Math.floor(Math.random() * SCENARIO_POOLS.length)];
-    setScenarioName(scenario.name);
-
-    const shuffled = [...scenario.chunks].sort(() => Math.random() - 0.5);
-    const selected = shuffled.slice(0, CHUNKS_PER_ROUND).map((chunk, i) => ({
-      id: i,
-      ...chunk,
-      priority: chunk.important
-        ? Math.floor(Math.random() * 3) + 7
-        : Math.floor(Math.random() * 4) + 1,
-    }));
-
-    setIncomingChunks(selected);
-    if (selected.length > 0) {
-      setCurrentChunk({ ...selected[0], dropping: true });
+    const { scenarioName, chunks } = challenge.content;
+    setScenarioName(scenarioName);
+    setIncomingChunks(chunks);
+    if (chunks.length > 0) {
+      setCurrentChunk({ ...chunks[0], dropping: true });
     }
   }, [phase]);
 
+  // The last chunk stays on screen until the results phase kicks in
+  const allPlaced = () => placed.current >= incomingChunks.length;
+
   const handleSlotClick = (index) => {
-    if (phase !== 'incoming' || !currentChunk || !waitingForPlayer) return;
+    if (phase !== 'incoming' || !currentChunk || !waitingForPlayer || allPlaced()) return;
 
     const newSlots = [...memorySlots];
     const wasOverwrite = newSlots[index] !== null;
     newSlots[index] = currentChunk;
     setMemorySlots(newSlots);
+    placed.current++;
+    onMove(index); // the server grades each chunk's slot
     setChunksProcessed(prev => prev + 1);
 
     if (wasOverwrite) {
@@ -162,7 +59,9 @@ const ContextCacheChallenge = ({ challenge, onComplete, onTimerStart }) => {
   };
 
   const handleDiscard = () => {
-    if (phase !== 'incoming' || !currentChunk || !waitingForPlayer) return;
+    if (phase !== 'incoming' || !currentChunk || !waitingForPlayer || allPlaced()) return;
+    placed.current++;
+    onMove(null); // discarded
     setChunksProcessed(prev => prev + 1);
     advanceChunk();
   };
@@ -187,14 +86,9 @@ const ContextCacheChallenge = ({ challenge, onComplete, onTimerStart }) => {
   // Auto-evaluate when entering results phase
   useEffect(() => {
     if (phase !== 'results') return;
-    const stored = memorySlots.filter(Boolean);
-    const totalImportantInRound = incomingChunks.filter(c => c.important).length;
-    const importantSaved = stored.filter(s => s.important).length;
-    const fillerSaved = stored.filter(s => !s.important).length;
-    const passed = totalImportantInRound > 0 && importantSaved >= Math.ceil(totalImportantInRound / 2);
-    setResults({ importantSaved, totalImportantInRound, fillerSaved, passed });
+    setResults(contextCache.evaluateSlots(incomingChunks, memorySlots));
     phaseTimerRef.current = setTimeout(() => {
-      onComplete(passed);
+      onComplete();
     }, 3000);
   }, [phase]);
 
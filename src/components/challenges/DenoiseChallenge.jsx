@@ -1,66 +1,14 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import ChallengeIntro from './ChallengeIntro';
+import { denoise } from '../../utils/challengeGames';
+import useMoveFeedback from '../../hooks/useMoveFeedback';
 
-// Pool of clean sentences related to AI / LLM topics (longer sentences = more scanning)
-const SENTENCE_POOL = [
-  'Language models learn patterns from very large text datasets collected from the internet',
-  'Training data quality directly determines how well an artificial intelligence system performs',
-  'Neural networks carefully adjust their internal weights during the learning and training process',
-  'Tokenization breaks raw text into smaller pieces so the model can process them efficiently',
-  'The attention mechanism helps the model focus on the most relevant words in a sentence',
-  'Clean and accurate data is absolutely essential for reliable model predictions and outputs',
-  'Transformer models can process all the words in a sentence at the same time in parallel',
-  'Bias hidden in training data can lead to unfair and discriminatory outputs from the model',
-  'Fine tuning takes a general pretrained model and adapts it to work on specific tasks',
-  'Word embeddings represent each word as a dense vector of numbers in high dimensional space',
-  'The language model generates its output text one single token at a time from left to right',
-  'Reinforcement learning from human feedback helps align the model with what people actually want',
-  'The context window sets a hard limit on how much text the model can remember at once',
-  'Data preprocessing carefully removes formatting errors and duplicates before training can begin',
-  'Overfitting is a problem that happens when a model simply memorizes its training data',
-  'Prompt engineering is the practice of crafting inputs that guide the model to better answers',
-  'Gradient descent is the algorithm that optimizes the model parameters step by step over time',
-  'Larger models with more parameters can capture increasingly complex patterns in natural language',
-  'Researchers use validation sets to check whether the model generalizes beyond its training examples',
-  'Safety filters screen model outputs to prevent harmful or misleading content from reaching users',
-];
-
-// Noise tokens that look obviously wrong / corrupted
-const NOISE_TOKENS = [
-  '###', '@@@', '$$$', '%%%', '***', '&&&', '!!!',
-  '▓▓▓', '░░░', '█▒█', '◈◈◈', '⊗⊗⊗',
-  'xJ7q', 'p0#k', 'zZ!f', 'q$9m', 'r%%w',
-  '0x3F', 'NaN', 'NULL', '\\err', '<brk>',
-  '🔴ERR', '⚠BUG', '💀BAD',
-];
-
-/**
- * Injects noise tokens into a sentence.
- * Returns an array of { text, isNoise, removed } objects.
- */
-function corruptSentence(sentence) {
-  const words = sentence.split(' ');
-  const tokens = words.map(w => ({ text: w, isNoise: false, removed: false }));
-
-  // Insert 5-8 noise tokens at random positions
-  const noiseCount = 5 + Math.floor(Math.random() * 4);
-  for (let i = 0; i < noiseCount; i++) {
-    const noise = NOISE_TOKENS[Math.floor(Math.random() * NOISE_TOKENS.length)];
-    const pos = Math.floor(Math.random() * (tokens.length + 1));
-    tokens.splice(pos, 0, { text: noise, isNoise: true, removed: false });
-  }
-  return tokens;
-}
-
-const TOTAL_ROUNDS = 5;
-const REQUIRED_CLEAN = 4; // must clean at least 4 out of 5
-const MAX_MISTAKES_PER_ROUND = 3;
+const { MAX_MISTAKES_PER_ROUND } = denoise;
 const TAP_COOLDOWN_MS = 400; // prevent spam-tapping
 
-const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
+const DenoiseChallenge = ({ challenge, feedback: verdicts, onMove, onComplete, onTimerStart }) => {
   const [phase, setPhase] = useState('intro'); // 'intro' | 'active' | 'complete'
   const [roundIndex, setRoundIndex] = useState(0);
-  const [sentences, setSentences] = useState([]);
   const [currentTokens, setCurrentTokens] = useState([]);
   const [mistakes, setMistakes] = useState(0);
   const [roundsClean, setRoundsClean] = useState(0);
@@ -71,26 +19,27 @@ const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
   const feedbackTimeout = useRef(null);
   const cooldownTimeout = useRef(null);
   const roundAdvanced = useRef(false); // guard against double-advancing
+  const tapped = useRef(null); // token whose tap is with the server
 
-  // Pick random sentences on mount
-  useEffect(() => {
-    const shuffled = [...SENTENCE_POOL].sort(() => Math.random() - 0.5);
-    const picked = shuffled.slice(0, TOTAL_ROUNDS);
-    setSentences(picked);
-  }, []);
+  const { rounds } = challenge.content;
+  const totalRounds = rounds.length;
+  const cleanNeeded = denoise.requiredClean(totalRounds);
 
   // Build tokens for current round
   useEffect(() => {
-    if (sentences.length === 0 || phase !== 'active') return;
-    if (roundIndex >= TOTAL_ROUNDS) return;
-    setCurrentTokens(corruptSentence(sentences[roundIndex]));
+    if (phase !== 'active') return;
+    if (roundIndex >= totalRounds) return;
+    setCurrentTokens(rounds[roundIndex].tokens.map(t => ({ ...t, removed: false })));
     setMistakes(0);
     setRoundFailed(false);
     setShowRoundResult(null);
     roundAdvanced.current = false;
-  }, [roundIndex, sentences, phase]);
+  }, [roundIndex, rounds, phase]);
 
-  const noiseRemaining = currentTokens.filter(t => t.isNoise && !t.removed).length;
+  // Which tokens are noise stays on the server; we know how many there are
+  const noiseRemaining = roundIndex < totalRounds
+    ? rounds[roundIndex].noise - currentTokens.filter(t => t.removed).length
+    : 0;
 
   const advanceRound = useCallback((wasClean) => {
     // Prevent double-fire from effect re-runs
@@ -101,11 +50,10 @@ const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
       const newRoundsClean = wasClean ? prev + 1 : prev;
 
       setRoundIndex(prevRound => {
-        if (prevRound + 1 >= TOTAL_ROUNDS) {
-          // Game over
-          const success = newRoundsClean >= REQUIRED_CLEAN;
+        if (prevRound + 1 >= totalRounds) {
+          // Game over — the server replays the taps to decide if it passed
           setPhase('complete');
-          setTimeout(() => onComplete(success), 600);
+          setTimeout(() => onComplete(), 600);
         } else {
           setShowRoundResult(wasClean ? 'clean' : 'too-many-errors');
           setTimeout(() => {
@@ -117,30 +65,30 @@ const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
 
       return newRoundsClean;
     });
-  }, [onComplete]);
-
-  // Check if all noise removed
-  useEffect(() => {
-    if (phase !== 'active' || currentTokens.length === 0) return;
-    if (noiseRemaining === 0 && currentTokens.some(t => t.isNoise)) {
-      // All noise removed — round clean!
-      advanceRound(true);
-    }
-  }, [noiseRemaining, currentTokens, phase, advanceRound]);
+  }, [onComplete, totalRounds]);
 
   const handleTokenTap = (idx) => {
-    if (phase !== 'active' || roundFailed || showRoundResult || tapCooldown) return;
+    if (phase !== 'active' || roundFailed || showRoundResult || tapCooldown || tapped.current !== null) return;
     const token = currentTokens[idx];
     if (!token || token.removed) return;
+    tapped.current = idx;
+    onMove({ round: roundIndex, token: idx });
 
     // Start cooldown
     setTapCooldown(true);
     if (cooldownTimeout.current) clearTimeout(cooldownTimeout.current);
     cooldownTimeout.current = setTimeout(() => setTapCooldown(false), TAP_COOLDOWN_MS);
+  };
+
+  // The server says whether the tap hit noise and whether that settled the round
+  useMoveFeedback(verdicts, (verdict) => {
+    const idx = tapped.current;
+    tapped.current = null;
+    if (!verdict) return;
 
     if (feedbackTimeout.current) clearTimeout(feedbackTimeout.current);
 
-    if (token.isNoise) {
+    if (verdict.noise) {
       // Correct — remove noise
       setCurrentTokens(prev =>
         prev.map((t, i) => (i === idx ? { ...t, removed: true } : t))
@@ -148,18 +96,20 @@ const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
       setFeedback({ tokenIdx: idx, type: 'correct' });
     } else {
       // Mistake — tapped a clean word
-      const newMistakes = mistakes + 1;
-      setMistakes(newMistakes);
+      setMistakes(m => m + 1);
       setFeedback({ tokenIdx: idx, type: 'wrong' });
+    }
 
-      if (newMistakes >= MAX_MISTAKES_PER_ROUND) {
-        setRoundFailed(true);
-        setTimeout(() => advanceRound(false), 1000);
-      }
+    if (verdict.round === 'clean') {
+      // All noise removed — round clean!
+      advanceRound(true);
+    } else if (verdict.round === 'failed') {
+      setRoundFailed(true);
+      setTimeout(() => advanceRound(false), 1000);
     }
 
     feedbackTimeout.current = setTimeout(() => setFeedback(null), 500);
-  };
+  });
 
   // ===== Intro =====
   if (phase === 'intro') {
@@ -207,9 +157,9 @@ const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
           },
           {
             emoji: '🎯',
-            title: 'Clean 3 of 4 Sentences',
+            title: `Clean ${cleanNeeded} of ${totalRounds} Sentences`,
             description:
-              `Remove all noise from each sentence. You get up to ${MAX_MISTAKES_PER_ROUND} mistakes per sentence — more than that and it fails. Clean at least ${REQUIRED_CLEAN} out of ${TOTAL_ROUNDS} to pass!`,
+              `Remove all noise from each sentence. You get up to ${MAX_MISTAKES_PER_ROUND} mistakes per sentence — more than that and it fails. Clean at least ${cleanNeeded} out of ${totalRounds} to pass!`,
           },
         ]}
       />
@@ -269,7 +219,7 @@ const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
           alignItems: 'center',
         }}
       >
-        {Array.from({ length: TOTAL_ROUNDS }).map((_, i) => {
+        {Array.from({ length: totalRounds }).map((_, i) => {
           let bg = 'rgba(255,255,255,0.1)';
           let border = '1px solid rgba(255,255,255,0.15)';
           if (i < roundIndex || (i === roundIndex && showRoundResult)) {
@@ -307,7 +257,7 @@ const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
             marginLeft: '4px',
           }}
         >
-          {roundIndex + 1}/{TOTAL_ROUNDS}
+          {roundIndex + 1}/{totalRounds}
         </span>
       </div>
 
@@ -459,10 +409,6 @@ const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
             textColor = '#f87171';
             shadow = '0 0 12px rgba(239,68,68,0.5)';
             transform = 'scale(1.05)';
-          } else if (token.isNoise) {
-            // Subtle noise hint: slightly different styling
-            bg = 'rgba(255, 255, 255, 0.04)';
-            textColor = '#a78bfa';
           }
 
           return (
@@ -475,7 +421,7 @@ const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
                 borderRadius: '10px',
                 fontSize: 'clamp(0.85rem, 2.5vw, 1.05rem)',
                 fontWeight: 600,
-                fontFamily: token.isNoise ? 'monospace' : 'inherit',
+                fontFamily: 'inherit',
                 background: bg,
                 color: textColor,
                 border: `2px solid ${borderColor}`,
@@ -488,8 +434,7 @@ const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
                 touchAction: 'manipulation',
                 minHeight: '40px',
                 lineHeight: 1.2,
-                letterSpacing: token.isNoise ? '1px' : '0',
-                opacity: roundFailed && !token.isNoise ? 1 : roundFailed ? 0.4 : 1,
+                letterSpacing: '0',
               }}
               onMouseEnter={(e) => {
                 if (!roundFailed && !showRoundResult) {
@@ -572,7 +517,7 @@ const DenoiseChallenge = ({ challenge, onComplete, onTimerStart }) => {
             fontWeight: 600,
           }}
         >
-          ✅ Cleaned: {roundsClean}/{REQUIRED_CLEAN} needed
+          ✅ Cleaned: {roundsClean}/{cleanNeeded} needed
         </div>
       </div>
 
@@ -1,76 +1,31 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ChallengeIntro from './ChallengeIntro';
+import { hallucinationHunter } from '../../utils/challengeGames';
+import useMoveFeedback from '../../hooks/useMoveFeedback';
 
-const HallucinationHunterChallenge = ({ challenge, onComplete, onTimerStart }) => {
+const HallucinationHunterChallenge = ({ challenge, feedback: verdicts, onMove, onComplete, onTimerStart }) => {
   const [phase, setPhase] = useState('intro'); // intro, playing, complete
   const [currentStatements, setCurrentStatements] = useState([]);
-  const [timeLeft, setTimeLeft] = useState(30);
+  const [timeLeft, setTimeLeft] = useState(hallucinationHunter.GAME_MS / 1000);
   const [hallucinationsCaught, setHallucinationsCaught] = useState(0);
-  const [hallucinationsMissed, setHallucinationsMissed] = useState(0);
   const [falsePositives, setFalsePositives] = useState(0);
   const [feedback, setFeedback] = useState(null);
   const gameTimerRef = useRef(null);
   const statementTimerRef = useRef(null);
 
-  // Statement pool with truth flags
-  const statementPool = [
-    // False statements (hallucinations - should be tapped)
-    { text: "The Eiffel Tower is located in Berlin.", isTrue: false },
-    { text: "Penguins live in the Sahara Desert.", isTrue: false },
-    { text: "The Great Wall of China is visible from space.", isTrue: false },
-    { text: "Humans have 12 fingers on each hand.", isTrue: false },
-    { text: "The sun rises in the west.", isTrue: false },
-    { text: "Sharks are mammals.", isTrue: false },
-    { text: "The moon is made of cheese.", isTrue: false },
-    { text: "Water boils at room temperature.", isTrue: false },
-    { text: "Dinosaurs and humans lived together.", isTrue: false },
-    { text: "The Earth is flat.", isTrue: false },
-    { text: "Lightning never strikes twice.", isTrue: false },
-    { text: "Gold is a common metal.", isTrue: false },
-    { text: "Plants breathe through their roots.", isTrue: false },
-    { text: "The speed of light is 300 km/h.", isTrue: false },
-    { text: "Rain falls upward sometimes.", isTrue: false },
-
-    // True statements (should NOT be tapped)
-    { text: "Water boils at 100°C at sea level.", isTrue: true },
-    { text: "The Earth orbits around the Sun.", isTrue: true },
-    { text: "Humans need oxygen to breathe.", isTrue: true },
-    { text: "The sky appears blue during the day.", isTrue: true },
-    { text: "Plants need sunlight to grow.", isTrue: true },
-    { text: "The heart pumps blood through the body.", isTrue: true },
-    { text: "Ice floats on water.", isTrue: true },
-    { text: "The moon reflects sunlight.", isTrue: true },
-    { text: "Gravity pulls objects toward Earth.", isTrue: true },
-    { text: "The seasons change throughout the year.", isTrue: true },
-    { text: "Sound travels through air.", isTrue: true },
-    { text: "The ocean contains salt water.", isTrue: true },
-    { text: "Trees produce oxygen.", isTrue: true },
-    { text: "The human body has 206 bones.", isTrue: true },
-    { text: "Electricity can power lights.", isTrue: true },
-  ];
+  // Which statements are false stays on the server; we only know how many
+  const { statements, spawnEvery, hallucinations } = challenge.content;
+  const nextStatementRef = useRef(0);
 
   const addRandomStatementRef = useRef(null);
 
+  // Statements appear in the order the server scheduled them
   const addRandomStatement = () => {
+    if (nextStatementRef.current >= statements.length) return;
+    const index = nextStatementRef.current++;
     setCurrentStatements(prev => {
-      if (prev.length >= 3) return prev; // Max 3 statements on screen
-
-      const availableStatements = statementPool.filter(s =>
-        !prev.some(cs => cs.text === s.text)
-      );
-
-      if (availableStatements.length > 0) {
-        const randomStatement = availableStatements[Math.floor(Math.random() * availableStatements.length)];
-        const newStatement = {
-          ...randomStatement,
-          id: Date.now() + Math.random(),
-          spawnTime: Date.now(),
-          lifetime: 4000, // 4 seconds before fade
-        };
-
-        return [...prev, newStatement];
-      }
-      return prev;
+      if (prev.length >= hallucinationHunter.MAX_ON_SCREEN) return prev;
+      return [...prev, { ...statements[index], id: index, spawnTime: Date.now() }];
     });
   };
 
@@ -79,24 +34,13 @@ const HallucinationHunterChallenge = ({ challenge, onComplete, onTimerStart }) =
     addRandomStatementRef.current = addRandomStatement;
   });
 
-  // Auto-remove statements after lifetime and count missed hallucinations
+  // Auto-remove statements after lifetime
   useEffect(() => {
     if (phase !== 'playing') return;
 
     const interval = setInterval(() => {
       const now = Date.now();
-      setCurrentStatements(prev => {
-        const expired = prev.filter(s => now - s.spawnTime >= s.lifetime);
-        const remaining = prev.filter(s => now - s.spawnTime < s.lifetime);
-        
-        // Count missed hallucinations (false statements that expired)
-        const missedHallucinations = expired.filter(s => !s.isTrue).length;
-        if (missedHallucinations > 0) {
-          setHallucinationsMissed(count => count + missedHallucinations);
-        }
-        
-        return remaining;
-      });
+      setCurrentStatements(prev => prev.filter(s => now - s.spawnTime < s.lifetime));
     }, 100);
 
     return () => clearInterval(interval);
@@ -104,8 +48,15 @@ const HallucinationHunterChallenge = ({ challenge, onComplete, onTimerStart }) =
 
   const handleStatementClick = (statement) => {
     if (phase !== 'playing') return;
+    onMove(statement.id);
+    // Remove the statement
+    setCurrentStatements(prev => prev.filter(s => s.id !== statement.id));
+  };
 
-    if (!statement.isTrue) {
+  // The server says whether what we tapped was a hallucination
+  useMoveFeedback(verdicts, (verdict) => {
+    if (!verdict) return;
+    if (verdict.hallucination) {
       // Correctly identified hallucination
       setHallucinationsCaught(prev => prev + 1);
       showFeedback('✓ Caught hallucination!', 'success');
@@ -114,10 +65,7 @@ const HallucinationHunterChallenge = ({ challenge, onComplete, onTimerStart }) =
       setFalsePositives(prev => prev + 1);
       showFeedback('✗ That was true!', 'error');
     }
-
-    // Remove the statement
-    setCurrentStatements(prev => prev.filter(s => s.id !== statement.id));
-  };
+  });
 
   const feedbackTimeoutRef = useRef(null);
 
@@ -129,9 +77,8 @@ const HallucinationHunterChallenge = ({ challenge, onComplete, onTimerStart }) =
 
   const startGame = () => {
     setPhase('playing');
-    setTimeLeft(30);
+    setTimeLeft(hallucinationHunter.GAME_MS / 1000);
     setHallucinationsCaught(0);
-    setHallucinationsMissed(0);
     setFalsePositives(0);
     setCurrentStatements([]);
 
@@ -149,7 +96,7 @@ const HallucinationHunterChallenge = ({ challenge, onComplete, onTimerStart }) =
     // Add statements periodically (use ref to avoid stale closure)
     statementTimerRef.current = setInterval(() => {
       if (addRandomStatementRef.current) addRandomStatementRef.current();
-    }, 2000);
+    }, spawnEvery);
   };
 
   const endGame = () => {
@@ -266,8 +213,7 @@ const HallucinationHunterChallenge = ({ challenge, onComplete, onTimerStart }) =
           </div>
           <div style={{ fontSize: 'clamp(0.9rem, 2.8vw, 1.2rem)', whiteSpace: 'nowrap' }}>🔍 LLM Hallucination Check</div>
           <div style={{ display: 'flex', alignItems: 'center', gap: '6px', whiteSpace: 'nowrap' }}>
-            🎯 <span style={{ color: '#10b981' }}>{hallucinationsCaught}</span>
-            {hallucinationsMissed > 0 && <span style={{ color: '#ef4444' }}>/{hallucinationsMissed}</span>}
+            🎯 <span style={{ color: '#10b981' }}>{hallucinationsCaught}</span>/{hallucinations}
           </div>
         </div>
 
@@ -389,12 +335,8 @@ const HallucinationHunterChallenge = ({ challenge, onComplete, onTimerStart }) =
   }
 
   if (phase === 'complete') {
-    const totalHallucinations = hallucinationsCaught + hallucinationsMissed;
-    const accuracy = totalHallucinations > 0 ? Math.round((hallucinationsCaught / totalHallucinations) * 100) : 0;
-    const netScore = hallucinationsCaught - falsePositives;
-    
-    // Pass if caught majority of hallucinations AND didn't have too many false positives
-    const passed = accuracy >= 60 && netScore > 0;
+    // Same scoring the server grades with, so the result shown is the one that counts
+    const { caught, missed, falsePositives: falseAlarms, accuracy, passed } = hallucinationHunter.result(hallucinations, hallucinationsCaught, falsePositives);
 
     return (
       <div style={{ padding: '20px', textAlign: 'center' }}>
@@ -418,9 +360,9 @@ const HallucinationHunterChallenge = ({ challenge, onComplete, onTimerStart }) =
           lineHeight: '2',
           color: '#e0e0e0'
         }}>
-          <div><strong>Hallucinations Caught:</strong> <span style={{ fontSize: '1.3rem', fontWeight: 'bold', color: '#10b981' }}>{hallucinationsCaught}</span></div>
-          <div><strong>Hallucinations Missed:</strong> <span style={{ fontSize: '1.3rem', fontWeight: 'bold', color: '#ef4444' }}>{hallucinationsMissed}</span></div>
-          <div><strong>False Positives:</strong> <span style={{ fontSize: '1.3rem', fontWeight: 'bold', color: '#f59e0b' }}>{falsePositives}</span></div>
+          <div><strong>Hallucinations Caught:</strong> <span style={{ fontSize: '1.3rem', fontWeight: 'bold', color: '#10b981' }}>{caught}</span></div>
+          <div><strong>Hallucinations Missed:</strong> <span style={{ fontSize: '1.3rem', fontWeight: 'bold', color: '#ef4444' }}>{missed}</span></div>
+          <div><strong>False Positives:</strong> <span style={{ fontSize: '1.3rem', fontWeight: 'bold', color: '#f59e0b' }}>{falseAlarms}</span></div>
           <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: '2px solid rgba(255,255,255,0.15)' }}>
             <strong>Accuracy:</strong> <span style={{ color: accuracy >= 60 ? '#10b981' : '#ef4444', fontSize: '1.5rem', fontWeight: 'bold' }}>{accuracy}%</span>
           </div>
@@ -440,7 +382,7 @@ const HallucinationHunterChallenge = ({ challenge, onComplete, onTimerStart }) =
 
         <button
           onClick={() => {
-            onComplete(passed);
+            onComplete();
           }}
           style={{
             background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
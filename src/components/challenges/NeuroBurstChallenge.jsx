@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ChallengeIntro from './ChallengeIntro';
+import { neuroBurst } from '../../utils/challengeGames';
 
-const NeuroBurstChallenge = ({ challenge, onComplete, onTimerStart }) => {
+const NeuroBurstChallenge = ({ challenge, onMove, onComplete, onTimerStart }) => {
   const [phase, setPhase] = useState('intro'); // 'intro', 'active', 'complete'
   const [currentRound, setCurrentRound] = useState(0);
   const [score, setScore] = useState(0);
@@ -15,69 +16,20 @@ const NeuroBurstChallenge = ({ challenge, onComplete, onTimerStart }) => {
   });
   const animationRef = useRef(null);
 
-  // Generate examples data internally
-  const [examples] = useState(() => {
-    const shapes = ['circle', 'square', 'triangle', 'star', 'hexagon'];
-    const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6'];
-    const totalRounds = challenge.rounds || 8;
-    
-    const generatedExamples = [];
-    for (let i = 0; i < totalRounds; i++) {
-      const shape = shapes[Math.floor(Math.random() * shapes.length)];
-      const color = colors[Math.floor(Math.random() * colors.length)];
-      
-      // Network accuracy starts low and improves
-      const networkAccuracy = 0.4 + (i * 0.06); // 40% to 82% accuracy progression
-      const isCorrect = Math.random() < networkAccuracy;
-      
-      generatedExamples.push({
-        shape,
-        color,
-        correctAnswer: shape,
-        prediction: isCorrect ? shape : shapes[Math.floor(Math.random() * shapes.length)]
-      });
-    }
-    return generatedExamples;
-  });
-
-  const totalRounds = challenge.rounds || 8;
-  const currentExample = examples[currentRound];
+  const { rounds } = challenge.content;
+  const totalRounds = rounds.length;
+  const currentExample = { ...rounds[currentRound], correctAnswer: rounds[currentRound].shape };
   
   // Calculate current prediction based on active neurons
-  const getCurrentPrediction = () => {
-    const activeCount = [...neuronStates.hidden1, ...neuronStates.hidden2].filter(Boolean).length;
-    // Simple logic: if we have the right number of neurons active, predict correctly
-    const correctActiveCount = getCorrectActiveCount(currentExample.correctAnswer);
-    
-    if (Math.abs(activeCount - correctActiveCount) <= 1) {
-      return currentExample.correctAnswer;
-    }
-    
-    // Otherwise predict something else
-    const shapes = ['circle', 'square', 'triangle', 'star', 'hexagon'];
-    const wrongShapes = shapes.filter(s => s !== currentExample.correctAnswer);
-    return wrongShapes[activeCount % wrongShapes.length];
-  };
-  
-  const getCorrectActiveCount = (shape) => {
-    // Each shape has an ideal number of active neurons
-    const idealCounts = {
-      circle: 4,
-      square: 5,
-      triangle: 3,
-      star: 6,
-      hexagon: 7
-    };
-    return idealCounts[shape] || 4;
-  };
+  const getCurrentPrediction = () => neuroBurst.predict(currentExample.shape, neuronStates);
 
   useEffect(() => {
     if (phase !== 'active') return;
     
-    // Reset neuron states for each new round with random starting configuration
+    // Each round starts from the neuron configuration the server picked
     setNeuronStates({
-      hidden1: Array(4).fill(0).map(() => Math.random() > 0.5),
-      hidden2: Array(4).fill(0).map(() => Math.random() > 0.5)
+      hidden1: currentExample.hidden1,
+      hidden2: currentExample.hidden2
     });
     setShowPrediction(true);
     setFeedback(null);
@@ -99,6 +51,7 @@ const NeuroBurstChallenge = ({ challenge, onComplete, onTimerStart }) => {
     const isCorrect = currentPrediction === currentExample.correctAnswer;
     
     setIsAnimating(true);
+    onMove(neuronStates); // the neurons left on, for the server to grade
     
     if (isCorrect) {
       setScore(score + 1);
@@ -118,10 +71,8 @@ const NeuroBurstChallenge = ({ challenge, onComplete, onTimerStart }) => {
       setIsAnimating(false);
       
       if (currentRound + 1 >= totalRounds) {
-        // Challenge complete - simple majority
-        const finalAccuracy = ((score + (isCorrect ? 1 : 0)) / totalRounds) * 100;
-        const success = finalAccuracy > 50;
-        onComplete(success);
+        // Challenge complete - the server checks for a simple majority
+        onComplete();
       } else {
         setCurrentRound(currentRound + 1);
       }
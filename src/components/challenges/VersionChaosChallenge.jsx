@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ChallengeIntro from './ChallengeIntro';
+import { versionChaos } from '../../utils/challengeGames';
+import useMoveFeedback from '../../hooks/useMoveFeedback';
 
-const VersionChaosChallenge = ({ challenge, onComplete, onTimerStart }) => {
+const VersionChaosChallenge = ({ challenge, feedback: verdicts, onMove, onComplete, onTimerStart }) => {
   const [phase, setPhase] = useState('intro');
   const [selectedVersion, setSelectedVersion] = useState(null);
   const [currentRound, setCurrentRound] = useState(0);
@@ -9,181 +11,9 @@ const VersionChaosChallenge = ({ challenge, onComplete, onTimerStart }) => {
   const [feedback, setFeedback] = useState(null);
   const roundTimeoutRef = useRef(null);
 
-  const totalRounds = 5;
-
-  // Version scenarios with different model issues
-  const scenarios = [
-    {
-      context: "Your chatbot needs to answer customer questions about returns",
-      versions: [
-        { 
-          id: 'v1.2.3', 
-          accuracy: '94%', 
-          latency: '120ms', 
-          status: 'stable',
-          issues: 'None reported'
-        },
-        { 
-          id: 'v1.2.4', 
-          accuracy: '67%', 
-          latency: '95ms', 
-          status: 'poor',
-          issues: 'Regression in accuracy'
-        },
-        { 
-          id: 'v1.3.0', 
-          accuracy: '12%', 
-          latency: '2400ms', 
-          status: 'corrupted',
-          issues: 'Critical errors, crashes'
-        },
-        { 
-          id: 'v1.2.2', 
-          accuracy: '88%', 
-          latency: '180ms', 
-          status: 'outdated',
-          issues: 'Legacy dependencies'
-        }
-      ],
-      correctIndex: 0
-    },
-    {
-      context: "Your sentiment analyzer needs to process product reviews",
-      versions: [
-        { 
-          id: 'v2.0.1', 
-          accuracy: '41%', 
-          latency: '3100ms', 
-          status: 'corrupted',
-          issues: 'Memory leaks detected'
-        },
-        { 
-          id: 'v2.0.0', 
-          accuracy: '89%', 
-          latency: '150ms', 
-          status: 'stable',
-          issues: 'None reported'
-        },
-        { 
-          id: 'v1.9.8', 
-          accuracy: '72%', 
-          latency: '180ms', 
-          status: 'poor',
-          issues: 'Inconsistent predictions'
-        },
-        { 
-          id: 'v1.9.9', 
-          accuracy: '85%', 
-          latency: '220ms', 
-          status: 'outdated',
-          issues: 'Security vulnerabilities'
-        }
-      ],
-      correctIndex: 1
-    },
-    {
-      context: "Your code completion model needs to suggest Python functions",
-      versions: [
-        { 
-          id: 'v3.1.2', 
-          accuracy: '58%', 
-          latency: '250ms', 
-          status: 'poor',
-          issues: 'Outdated suggestions'
-        },
-        { 
-          id: 'v3.2.0', 
-          accuracy: '92%', 
-          latency: '140ms', 
-          status: 'stable',
-          issues: 'None reported'
-        },
-        { 
-          id: 'v3.2.1', 
-          accuracy: '23%', 
-          latency: '4200ms', 
-          status: 'corrupted',
-          issues: 'Syntax errors in output'
-        },
-        { 
-          id: 'v3.0.5', 
-          accuracy: '79%', 
-          latency: '310ms', 
-          status: 'outdated',
-          issues: 'Missing new features'
-        }
-      ],
-      correctIndex: 1
-    },
-    {
-      context: "Your translation model needs to convert English to Spanish",
-      versions: [
-        { 
-          id: 'v1.5.0', 
-          accuracy: '19%', 
-          latency: '5100ms', 
-          status: 'corrupted',
-          issues: 'Produces gibberish'
-        },
-        { 
-          id: 'v1.4.9', 
-          accuracy: '64%', 
-          latency: '320ms', 
-          status: 'poor',
-          issues: 'Misses context'
-        },
-        { 
-          id: 'v1.4.8', 
-          accuracy: '91%', 
-          latency: '180ms', 
-          status: 'stable',
-          issues: 'None reported'
-        },
-        { 
-          id: 'v1.3.7', 
-          accuracy: '82%', 
-          latency: '260ms', 
-          status: 'outdated',
-          issues: 'Deprecated API usage'
-        }
-      ],
-      correctIndex: 2
-    },
-    {
-      context: "Your image classifier needs to detect objects in photos",
-      versions: [
-        { 
-          id: 'v4.0.2', 
-          accuracy: '96%', 
-          latency: '95ms', 
-          status: 'stable',
-          issues: 'None reported'
-        },
-        { 
-          id: 'v4.1.0', 
-          accuracy: '8%', 
-          latency: '6700ms', 
-          status: 'corrupted',
-          issues: 'Model weights corrupted'
-        },
-        { 
-          id: 'v4.0.1', 
-          accuracy: '71%', 
-          latency: '110ms', 
-          status: 'poor',
-          issues: 'False positives'
-        },
-        { 
-          id: 'v3.9.4', 
-          accuracy: '87%', 
-          latency: '140ms', 
-          status: 'outdated',
-          issues: 'Compatibility issues'
-        }
-      ],
-      correctIndex: 0
-    }
-  ];
+  // Scenarios and version order come from the server
+  const scenarios = challenge.content.rounds;
+  const totalRounds = scenarios.length;
 
   const currentScenario = scenarios[currentRound];
 
@@ -195,11 +25,15 @@ const VersionChaosChallenge = ({ challenge, onComplete, onTimerStart }) => {
   }, []);
 
   const handleVersionSelect = (index) => {
-    if (feedback || phase !== 'active') return;
+    if (feedback || selectedVersion !== null || phase !== 'active') return;
 
     setSelectedVersion(index);
-    const isCorrect = index === currentScenario.correctIndex;
-    
+    onMove(index);
+  };
+
+  // Only the server knows which version is healthy
+  useMoveFeedback(verdicts, (verdict) => {
+    const isCorrect = !!verdict?.correct;
     setFeedback(isCorrect ? 'correct' : 'wrong');
     if (isCorrect) {
       setScore(score + 1);
@@ -207,16 +41,14 @@ const VersionChaosChallenge = ({ challenge, onComplete, onTimerStart }) => {
 
     roundTimeoutRef.current = setTimeout(() => {
       if (currentRound + 1 >= totalRounds) {
-        const finalScore = score + (isCorrect ? 1 : 0);
-        const success = finalScore >= 3; // Need 3/5 correct
-        onComplete(success);
+        onComplete(); // Need requiredCorrect(totalRounds) right
       } else {
         setCurrentRound(currentRound + 1);
         setSelectedVersion(null);
         setFeedback(null);
       }
     }, 2000);
-  };
+  });
 
   const getVersionStatusIcon = (status) => {
     // Return neutral icon for all versions to avoid giving away answers
@@ -258,7 +90,7 @@ const VersionChaosChallenge = ({ challenge, onComplete, onTimerStart }) => {
           {
             emoji: '🚀',
             title: 'Deploy the best LLM checkpoint!',
-            description: 'Real AI teams must pick the best model version. 5 rounds, 10 seconds each — choose wisely or the LLM fails!',
+            description: `Real AI teams must pick the best model version. ${totalRounds} rounds — get ${versionChaos.requiredCorrect(totalRounds)} right or the LLM fails!`,
           },
         ]}
       />
@@ -305,7 +137,7 @@ const VersionChaosChallenge = ({ challenge, onComplete, onTimerStart }) => {
             fontSize: 'clamp(0.8rem, 2.5vw, 0.9rem)',
             color: '#94a3b8'
           }}>
-            <span>Round: <strong style={{ color: 'white' }}>{currentRound + 1}/5</strong></span>
+            <span>Round: <strong style={{ color: 'white' }}>{currentRound + 1}/{totalRounds}</strong></span>
             <span>Score: <strong style={{ color: 'white' }}>{score}</strong></span>
           </div>
         </div>
@@ -366,7 +198,7 @@ const VersionChaosChallenge = ({ challenge, onComplete, onTimerStart }) => {
                 : '1px solid rgba(255, 255, 255, 0.2)',
               transform: selectedVersion === index ? 'scale(1.02)' : 'scale(1)',
               opacity: feedback && selectedVersion !== index ? 0.5 : 1,
-              animation: feedback && index === currentScenario.correctIndex ? 'glow 1s ease-in-out' : 'none',
+              animation: feedback === 'correct' && index === selectedVersion ? 'glow 1s ease-in-out' : 'none',
               minHeight: 'fit-content'
             }}
             onMouseEnter={e => !feedback && (e.currentTarget.style.transform = 'translateY(-2px)')}
@@ -503,7 +335,7 @@ const VersionChaosChallenge = ({ challenge, onComplete, onTimerStart }) => {
           }}>
             {feedback === 'correct' 
               ? '🎉 Perfect! Stable version deployed!' 
-              : `⚠️ Wrong! The stable version was ${currentScenario.versions[currentScenario.correctIndex].id}`}
+              : '⚠️ Wrong! That version wasn\'t the stable one'}
           </div>
         </div>
       )}
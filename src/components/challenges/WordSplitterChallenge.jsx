@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ChallengeIntro from './ChallengeIntro';
+import { wordSplitter } from '../../utils/challengeGames';
 
-const WordSplitterChallenge = ({ challenge, onComplete, onTimerStart }) => {
+const WordSplitterChallenge = ({ challenge, onMove, onComplete, onTimerStart }) => {
   const [currentWordIndex, setCurrentWordIndex] = useState(0);
   const [splits, setSplits] = useState([]);
   const [vocabulary, setVocabulary] = useState(new Set());
@@ -10,42 +11,7 @@ const WordSplitterChallenge = ({ challenge, onComplete, onTimerStart }) => {
   const [feedback, setFeedback] = useState(null);
   const [waitingForPlayer, setWaitingForPlayer] = useState(false);
 
-  const allWords = [
-    'running',
-    'jumping',
-    'walking',
-    'unhappy',
-    'unkind',
-    'unfair',
-    'quickly',
-    'slowly',
-    'happily',
-    'teacher',
-    'writer',
-    'singer',
-    'bigger',
-    'smaller',
-    'faster',
-    'cats',
-    'dogs',
-    'books',
-    'playing',
-    'eating',
-    'sleeping',
-    'jumped',
-    'walked',
-    'talked',
-    'friendship',
-    'childhood',
-    'freedom'
-  ];
-
-  // Select 5 random words from the full list
-  const [words] = useState(() => {
-    if (challenge.words) return challenge.words;
-    const shuffled = [...allWords].sort(() => Math.random() - 0.5);
-    return shuffled.slice(0, 5);
-  });
+  const { words } = challenge.content;
 
   const currentWord = words[currentWordIndex];
   const [splitPositions, setSplitPositions] = useState([]);
@@ -62,58 +28,16 @@ const WordSplitterChallenge = ({ challenge, onComplete, onTimerStart }) => {
     });
   };
 
-  const getTokens = () => {
-    if (splitPositions.length === 0) {
-      return [currentWord];
-    }
-
-    const tokens = [];
-    let start = 0;
-    
-    splitPositions.forEach(pos => {
-      tokens.push(currentWord.slice(start, pos));
-      start = pos;
-    });
-    tokens.push(currentWord.slice(start));
-    
-    return tokens.filter(t => t.length > 0);
-  };
-
-  const calculateScore = (tokens) => {
-    // Reusability: how many tokens already exist in vocab
-    const existingCount = tokens.filter(t => vocabulary.has(t)).length;
-    const reusabilityScore = tokens.length > 0 ? (existingCount / tokens.length) * 100 : 0;
+  const getTokens = () => wordSplitter.splitWord(currentWord, splitPositions);
 
-    // Compression: fewer tokens = better (but not too few)
-    const idealTokenCount = Math.ceil(currentWord.length / 4); // ~4 chars per token is good
-    const compressionScore = Math.max(0, 100 - Math.abs(tokens.length - idealTokenCount) * 20);
-
-    // Clarity: avoid over-splitting (single chars) or under-splitting (whole word if >10 chars)
-    let clarityScore = 100;
-    tokens.forEach(token => {
-      if (token.length === 1) clarityScore -= 20; // Penalize single chars
-    });
-    if (tokens.length === 1 && currentWord.length > 10) clarityScore -= 30; // Penalize no split on long words
-
-    clarityScore = Math.max(0, clarityScore);
-
-    // Overall score
-    const overall = Math.round((reusabilityScore * 0.4 + compressionScore * 0.4 + clarityScore * 0.2));
-
-    return {
-      overall,
-      reusability: Math.round(reusabilityScore),
-      compression: Math.round(compressionScore),
-      clarity: Math.round(clarityScore),
-      tokens
-    };
-  };
+  const calculateScore = (tokens) => wordSplitter.scoreTokens(currentWord, tokens, vocabulary);
 
   const handleSubmit = () => {
     if (waitingForPlayer) return;
 
     const tokens = getTokens();
     const score = calculateScore(tokens);
+    onMove(splitPositions); // the server grades the splits
     
     // Add tokens to vocabulary
     const newVocab = new Set(vocabulary);
@@ -159,18 +83,9 @@ const WordSplitterChallenge = ({ challenge, onComplete, onTimerStart }) => {
   const showResults = () => {
     setPhase('result');
     
-    // Calculate final stats
-    const avgScore = scores.reduce((sum, s) => sum + s.overall, 0) / scores.length;
-    const totalTokens = scores.reduce((sum, s) => sum + s.tokens.length, 0);
-    const avgTokensPerWord = totalTokens / scores.length;
-    const compressionRatio = Math.round((1 - (vocabulary.size / (words.length * 8))) * 100); // Assume avg 8 chars
-    
-    // Pass if average score is above 60%
-    const success = avgScore >= 60;
-    
     // Delay so the result screen is visible before the modal closes
     resultTimeoutRef.current = setTimeout(() => {
-      onComplete(success);
+      onComplete();
     }, 2000);
   };
 
@@ -363,6 +278,7 @@ const WordSplitterChallenge = ({ challenge, onComplete, onTimerStart }) => {
     const avgTokensPerWord = (totalTokens / scores.length).toFixed(1);
     const compressionRatio = Math.round((1 - (vocabulary.size / (words.length * 8))) * 100);
     const efficiency = Math.round(avgScore);
+    const passed = avgScore >= wordSplitter.PASS_SCORE;
 
     return (
       <div style={{ 
@@ -418,18 +334,18 @@ const WordSplitterChallenge = ({ challenge, onComplete, onTimerStart }) => {
             <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 'clamp(0.75rem, 2vw, 0.9rem)', flexWrap: 'wrap', gap: '4px' }}>
               <span style={{ fontWeight: 'bold', color: 'white' }}>Tokenizer Efficiency:</span>
               <span style={{ 
-                color: efficiency >= 60 ? '#10b981' : '#ef4444',
+                color: passed ? '#10b981' : '#ef4444',
                 fontSize: 'clamp(0.95rem, 2.5vw, 1.15rem)',
                 fontWeight: 'bold'
               }}>
-                {efficiency}% {efficiency >= 60 ? '✅' : '❌'}
+                {efficiency}% {passed ? '✅' : '❌'}
               </span>
             </div>
           </div>
 
           <div style={{
             padding: 'clamp(12px, 2vw, 14px)',
-            background: efficiency >= 60 
+            background: passed 
               ? 'linear-gradient(135deg, #10b981 0%, #059669 100%)'
               : 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)',
             color: 'white',
@@ -439,7 +355,7 @@ const WordSplitterChallenge = ({ challenge, onComplete, onTimerStart }) => {
             fontWeight: 'bold',
             border: '1px solid rgba(255, 255, 255, 0.2)'
           }}>
-            {efficiency >= 60 && compressionRatio >= 50
+            {passed && compressionRatio >= 50
               ? '🎉 Excellent tokenization! Model optimized!'
               : '📚 Keep practicing - balance compression and clarity!'}
           </div>
@@ -0,0 +1,100 @@
+import DenoiseChallenge from './DenoiseChallenge';
+import AttentionChallenge from './AttentionChallenge';
+import AttentionCoop from './AttentionCoop';
+import NeuroBurstChallenge from './NeuroBurstChallenge';
+import ClusterRushChallenge from './ClusterRushChallenge';
+import ClusterRushCoop from './ClusterRushCoop';
+import ContextCacheChallenge from './ContextCacheChallenge';
+import WordSplitterChallenge from './WordSplitterChallenge';
+import BiasBreakerChallenge from './BiasBreakerChallenge';
+import HallucinationHunterChallenge from './HallucinationHunterChallenge';
+import VersionChaosChallenge from './VersionChaosChallenge';
+import EthicsEngineChallenge from './EthicsEngineChallenge';
+import { challengeDefinitions, coopChallengeDefinitions } from '../../utils/challengeGames';
+
+// How each challenge looks on the client. Rotation weight, time limit and
+// failure mode live with the game itself in server/challenges/ - a challenge
+// needs an entry in both registries. Challenges that can be played as a team
+// also have a `coopComponent`, which renders the team's shared state.
+const VIEWS = {
+  denoise: {
+    name: '🧹 Data Cleaning',
+    description: 'Remove noise tokens from corrupted training sentences',
+    theme: 'linear-gradient(135deg, #1e293b 0%, #4338ca 100%)',
+    component: DenoiseChallenge
+  },
+  attention: {
+    name: '🎯 Attention Challenge',
+    description: 'Focus on important patterns',
+    theme: 'linear-gradient(135deg, #1e293b 0%, #b91c1c 100%)',
+    component: AttentionChallenge,
+    coopComponent: AttentionCoop
+  },
+  neuroburst: {
+    name: '⚡ Neuro Burst',
+    description: 'Rapid-fire neural network decisions',
+    theme: 'linear-gradient(135deg, #1e293b 0%, #b45309 100%)',
+    component: NeuroBurstChallenge
+  },
+  clusterrush: {
+    name: '🖥️ Cluster Rush',
+    description: 'Manage GPU cluster operations',
+    theme: 'linear-gradient(135deg, #1e293b 0%, #15803d 100%)',
+    component: ClusterRushChallenge,
+    coopComponent: ClusterRushCoop
+  },
+  contextcache: {
+    name: '🧠 Context Cache',
+    description: 'Manage LLM memory efficiently',
+    theme: 'linear-gradient(135deg, #1e293b 0%, #be185d 100%)',
+    component: ContextCacheChallenge
+  },
+  wordsplitter: {
+    name: '✂️ Word Splitter',
+    description: 'Tokenize text into subwords',
+    theme: 'linear-gradient(135deg, #1e293b 0%, #0e7490 100%)',
+    component: WordSplitterChallenge
+  },
+  biasbreaker: {
+    name: '🛡️ Bias Breaker',
+    description: 'Filter biased AI responses',
+    theme: 'linear-gradient(135deg, #1e293b 0%, #b45309 100%)',
+    component: BiasBreakerChallenge
+  },
+  hallucinationhunter: {
+    name: '🔍 Hallucination Hunter',
+    description: 'Spot AI hallucinations and false facts',
+    theme: 'linear-gradient(135deg, #1e293b 0%, #6d28d9 100%)',
+    component: HallucinationHunterChallenge
+  },
+  versionchaos: {
+    name: '🔄 Version Chaos',
+    description: 'Deploy the right model version',
+    theme: 'linear-gradient(135deg, #1e293b 0%, #c2410c 100%)',
+    component: VersionChaosChallenge
+  },
+  ethicsengine: {
+    name: '⚖️ Ethics Engine',
+    description: 'Balance helpful, harmless, and honest responses',
+    theme: 'linear-gradient(135deg, #1e293b 0%, #1d4ed8 100%)',
+    component: EthicsEngineChallenge
+  }
+};
+
+// Every registered challenge in rotation order: server definition plus view
+export const CHALLENGES = challengeDefinitions().map(definition => {
+  const view = VIEWS[definition.type];
+  if (!view) throw new Error(`Challenge ${definition.type} has no entry in challenges/registry.js`);
+  return { ...definition, ...view };
+});
+
+// Challenges that can be played as a team, with their team sizes
+export const COOP_CHALLENGES = coopChallengeDefinitions().map(definition => {
+  const view = VIEWS[definition.type];
+  if (!view?.coopComponent) throw new Error(`Challenge ${definition.type} has team play but no coopComponent in challenges/registry.js`);
+  return { ...definition, ...view };
+});
+
+// Unknown types fall back to Data Cleaning, as the server does
+export const challengeFor = (type) =>
+  CHALLENGES.find(c => c.type === type) || CHALLENGES.find(c => c.type === 'denoise');
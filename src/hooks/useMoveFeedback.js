@@ -0,0 +1,19 @@
+import { useEffect, useRef } from 'react';
+
+// A challenge's moves are judged on the server, which holds the answers;
+// `feedback` is its verdicts so far, in move order (null for a move it
+// refused). Calls `handle(verdict, index)` once for each new one.
+const useMoveFeedback = (feedback, handle) => {
+  const handled = useRef(0);
+  const handler = useRef(handle);
+  handler.current = handle;
+
+  useEffect(() => {
+    while (handled.current < feedback.length) {
+      const index = handled.current++;
+      handler.current(feedback[index], index);
+    }
+  }, [feedback]);
+};
+
+export default useMoveFeedback;
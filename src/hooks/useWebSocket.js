@@ -10,6 +10,7 @@ const useWebSocket = () => {
   const reconnectTimeout = useRef(null);
   const reconnectAttempts = useRef(0);
   const wasKicked = useRef(false); // Track if student was kicked
+  const wasSuperseded = useRef(false); // Another tab/device resumed this identity
 
   useEffect(() => {
     // Teachers are never blocked by kick status
@@ -71,6 +72,12 @@ const useWebSocket = () => {
           return;
         }
         
+        // Reconnecting would just steal the identity back from the other tab
+        if (wasSuperseded.current) {
+          console.log('Connection closed - resumed elsewhere, not reconnecting');
+          return;
+        }
+        
         // Attempt to reconnect with exponential backoff
         const maxAttempts = 50;
         if (reconnectAttempts.current < maxAttempts) {
@@ -109,11 +116,32 @@ const useWebSocket = () => {
         setGameState(data.gameState);
         break;
       
+      case 'registered':
+        // Keep the resume token so a reconnect (or page reload) reclaims this identity
+        clientId.current = data.clientId;
+        sessionStorage.setItem('resumeToken', data.resumeToken);
+        sessionStorage.setItem('roomCode', data.roomCode);
+        if (data.teacherToken) sessionStorage.setItem('teacherToken', data.teacherToken);
+        setMessages((prev) => [...prev, data]);
+        break;
+      
+      case 'resumed_elsewhere':
+        console.log('[CLIENT] Identity resumed on another connection');
+        wasSuperseded.current = true;
+        setMessages((prev) => [...prev, data]);
+        break;
+      
       case 'game_started':
       case 'game_ended':
         setGameState(data.gameState);
         break;
       
+      case 'session_switched':
+        // A different class session's AI was loaded - replace state wholesale
+        setGameState(data.gameState);
+        setMessages((prev) => [...prev, data]);
+        break;
+      
       case 'knowledge_reset':
         // Force a complete state replacement with fresh empty arrays
         console.log('[CLIENT] Received knowledge_reset, clearing all AI data');
@@ -188,6 +216,7 @@ const useWebSocket = () => {
         wasKicked.current = true;
         setWasKickedState(true);
         sessionStorage.setItem('wasKicked', 'true');
+        sessionStorage.removeItem('resumeToken');
         setMessages((prev) => [...prev, data]);
         // Close connection gracefully
         if (ws.current) {
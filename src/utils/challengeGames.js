@@ -0,0 +1,15 @@
+// Challenge content is generated and graded on the server; components use
+// the same modules to render it and to show results that match the server's
+// (the debug page also plays the server's part, judging moves itself)
+export { challengeDefinition, challengeDefinitions, coopChallengeDefinitions, generateChallengeContent, gradeChallenge, moveFeedback, playerChallenge, tuneChallenge } from '../../server/challenges/index.js';
+export { newSeed } from '../../server/challenges/random.js';
+export * as denoise from '../../server/challenges/denoise.js';
+export * as attention from '../../server/challenges/attention.js';
+export * as neuroBurst from '../../server/challenges/neuroBurst.js';
+export * as clusterRush from '../../server/challenges/clusterRush.js';
+export * as contextCache from '../../server/challenges/contextCache.js';
+export * as wordSplitter from '../../server/challenges/wordSplitter.js';
+export * as biasBreaker from '../../server/challenges/biasBreaker.js';
+export * as hallucinationHunter from '../../server/challenges/hallucinationHunter.js';
+export * as versionChaos from '../../server/challenges/versionChaos.js';
+export * as ethicsEngine from '../../server/challenges/ethicsEngine.js';
@@ -0,0 +1,100 @@
+// Rebuild the AI at any point of a session from its event journal.
+// Events that changed the AI carry a `state` patch ({ set } or { push }),
+// so replay is a fold over the events - no game logic is re-run.
+
+// Mirrors the server's sliding window on trainingData
+const MAX_TRAINING_ITEMS = 300;
+
+const EMPTY_STATE = {
+  trainingData: [],
+  llmKnowledge: [],
+  llmPersonality: 'neutral',
+  evolutionCount: 0,
+  starredQAPairs: [],
+  modelIdentity: null
+};
+
+// Same shape the server's rebuildLLMKnowledge() produces for LLMDisplay
+function toKnowledge(trainingData) {
+  return trainingData.map(d => {
+    const item = {
+      q: d.question,
+      a: d.answer,
+      corrupted: d.corrupted || false,
+      corruptedBy: d.corruptedBy || null,
+      corruptionType: d.corruptionType || null
+    };
+    if (d.originalQuestion) item.originalQ = d.originalQuestion;
+    if (d.originalAnswer) item.originalA = d.originalAnswer;
+    return item;
+  });
+}
+
+function applyEvent(state, event) {
+  if (!event.state) return state;
+  const next = { ...state };
+  if (event.state.set) {
+    Object.assign(next, event.state.set);
+  }
+  if (event.state.push) {
+    Object.entries(event.state.push).forEach(([field, value]) => {
+      next[field] = [...(next[field] || []), value];
+      if (field === 'trainingData' && next[field].length > MAX_TRAINING_ITEMS) {
+        next[field] = next[field].slice(-MAX_TRAINING_ITEMS);
+      }
+    });
+  }
+  if (next.trainingData !== state.trainingData) {
+    next.llmKnowledge = toKnowledge(next.trainingData || []);
+  }
+  return next;
+}
+
+/**
+ * Fold a session's events into the AI state after each one
+ * @param {Array} events - Events from /api/sessions/:id/events
+ * @returns {Array<{event: Object, state: Object}>} One frame per event
+ */
+export function buildReplayFrames(events) {
+  let state = EMPTY_STATE;
+  return events.map(event => {
+    state = applyEvent(state, event);
+    return { event, state };
+  });
+}
+
+/**
+ * One-line, human readable description of an event for the timeline
+ * @param {Object} event - Journal event
+ * @returns {{icon: string, text: string, color: string}}
+ */
+export function describeEvent(event) {
+  const who = event.actor?.name || 'AI';
+  const d = event.data || {};
+  switch (event.type) {
+    case 'session_loaded': return { icon: '📂', text: `Session "${d.name}" loaded`, color: '#86868b' };
+    case 'game_started': return { icon: '▶️', text: d.modeName ? `Game started (${d.modeName})` : 'Game started', color: '#34c759' };
+    case 'game_ended': return { icon: '⏹', text: `Game ended (${d.trainingCount} items)`, color: '#86868b' };
+    case 'answer_discarded': return { icon: '🗂️', text: `Discarded as ${(d.reason || '').replace('_', ' ')}: ${d.question} → ${d.answer}`, color: '#ff9500' };
+    case 'knowledge_reset': return { icon: '🗑', text: `${who} reset the AI`, color: '#ff3b30' };
+    case 'client_joined': return { icon: '👋', text: `${d.name} joined`, color: '#86868b' };
+    case 'client_left': return { icon: '🚪', text: `${d.name} left`, color: '#86868b' };
+    case 'student_rejected': return { icon: '🚪', text: `${who} turned away ${d.name}`, color: '#86868b' };
+    case 'student_muted': return { icon: '🔇', text: `${d.name} was paused for sending too much`, color: '#ff3b30' };
+    case 'student_kicked': return { icon: '🚫', text: `${who} removed ${d.name}`, color: '#ff3b30' };
+    case 'class_question_asked': return { icon: '📣', text: `${who} asked ${d.students} student${d.students !== 1 ? 's' : ''}: ${d.question}`, color: '#5856d6' };
+    case 'question_asked': return { icon: '❓', text: `${who} asked: ${d.question}`, color: '#1d1d1f' };
+    case 'training_data_added': return { icon: '📝', text: `${who} answered: ${d.question} → ${d.answer}`, color: '#1d1d1f' };
+    case 'team_challenge_started': return { icon: '🤝', text: `${who} sent ${d.teams.length} team${d.teams.length !== 1 ? 's' : ''} into ${d.challengeType}`, color: '#5856d6' };
+    case 'challenge_failed': return { icon: '⚠️', text: `${d.team ? d.team.join(' & ') : who} failed ${d.challengeType}: ${d.message}`, color: '#ff3b30' };
+    case 'challenge_success': return { icon: '✅', text: `${d.team ? d.team.join(' & ') : who} beat ${d.challengeType}${d.curedCount ? ` (${d.curedCount} restored)` : ''}`, color: '#34c759' };
+    case 'llm_evolved': return { icon: '🧬', text: `Evolved — ${d.personality}${d.personality !== d.previousPersonality ? ' ✨' : ''}`, color: '#0071e3' };
+    case 'llm_primed': return { icon: '🧠', text: `Thought: "${d.thought}"`, color: '#ff9500' };
+    case 'training_milestone': return { icon: '🎯', text: d.milestone?.message || 'Milestone', color: '#5856d6' };
+    case 'qa_starred': return { icon: '⭐', text: `${d.studentName} starred: ${d.question}`, color: '#ff9500' };
+    case 'knowledge_removed': return { icon: '✂️', text: `${who} removed: ${d.question}`, color: '#ff9500' };
+    case 'training_rolled_back': return { icon: '🕘', text: `${who} restored training data version ${d.version} (${d.count} items)`, color: '#5856d6' };
+    case 'model_changed': return { icon: '🔁', text: `Model changed to ${d.model}`, color: '#0071e3' };
+    default: return { icon: '•', text: event.type, color: '#86868b' };
+  }
+}
@@ -0,0 +1,45 @@
+// Compare two copies of trainingData for the history dialog.
+// Items have no ids, but each one keeps the timestamp it was added with
+// (injected items share one, so the occurrence count breaks ties) and
+// corruption edits question/answer in place, so that key pairs them up.
+
+function keyed(trainingData) {
+  const seen = new Map();
+  const items = new Map();
+  (trainingData || []).forEach(item => {
+    const n = seen.get(item.timestamp) || 0;
+    seen.set(item.timestamp, n + 1);
+    items.set(`${item.timestamp}:${n}`, item);
+  });
+  return items;
+}
+
+/**
+ * What rolling back from `current` to `version` would change
+ * @param {Array} version - trainingData of the version being restored
+ * @param {Array} current - trainingData as it is now
+ * @returns {{added: Array, removed: Array, changed: Array<{from: Object, to: Object}>}}
+ *   added: items the version has that are gone now; removed: items added
+ *   since; changed: items whose text or corruption differ
+ */
+export function diffTrainingData(version, current) {
+  const before = keyed(version);
+  const after = keyed(current);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  before.forEach((item, key) => {
+    const now = after.get(key);
+    if (!now) {
+      added.push(item);
+    } else if (now.question !== item.question || now.answer !== item.answer || !!now.corrupted !== !!item.corrupted) {
+      changed.push({ from: now, to: item });
+    }
+  });
+  after.forEach((item, key) => {
+    if (!before.has(key)) removed.push(item);
+  });
+
+  return { added, removed, changed };
+}
@@ -0,0 +1,143 @@
+/**
+ * Challenge Grading Tests
+ *
+ * Builds every challenge from the standard pack, checks the player's copy
+ * gives nothing away and replays right and wrong moves through the grader.
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+  challengeDefinitions,
+  tuneChallenge,
+  generateChallengeContent,
+  playerChallenge,
+  moveFeedback,
+  gradeChallenge
+} from './server/challenges/index.js';
+import { idealActiveCount } from './server/challenges/neuroBurst.js';
+import { NUM_SLOTS } from './server/challenges/contextCache.js';
+
+const standardPack = JSON.parse(fs.readFileSync(new URL('./server/contentPacks/standard.json', import.meta.url)));
+
+const SEEDS = [1, 42, 2024, 987654321];
+const LEVELS = [0, 0.5, 1];
+
+// Fields that would tell the player the answers
+const ANSWER_FIELDS = ['isNoise', 'biased', 'isTrue', 'correctIndex', 'correctAttentions', 'alignmentChanges', 'tasks', 'seed', 'corruptionData'];
+
+// A challenge as the server deals it: tuned to a level, seeded, with its content built
+function dealChallenge(definition, level, seed) {
+  const challenge = { ...tuneChallenge(definition, level), seed };
+  return { ...challenge, content: generateChallengeContent(challenge, standardPack.challenges[definition.type]) };
+}
+
+function eachChallenge(callback) {
+  challengeDefinitions().forEach(definition => {
+    LEVELS.forEach(level => SEEDS.forEach(seed => callback(dealChallenge(definition, level, seed))));
+  });
+}
+
+const keysIn = (value) => {
+  if (Array.isArray(value)) return value.flatMap(keysIn);
+  if (value && typeof value === 'object') return Object.entries(value).flatMap(([key, inner]) => [key, ...keysIn(inner)]);
+  return [];
+};
+
+// Moves a student who knows every answer would make. Word Splitter has no
+// single right answer, so it's graded from hand-built content below.
+const PERFECT_MOVES = {
+  attention: ({ rounds }) => rounds.map(round => round.correctAttentions),
+  biasbreaker: ({ messages }) => messages.map(message => message.biased),
+  clusterrush: ({ target, tasks }) => Array.from({ length: target }, (_, i) => tasks[i % tasks.length].type),
+  contextcache: ({ chunks }) => {
+    let slot = 0;
+    return chunks.map(chunk => (chunk.important && slot < NUM_SLOTS ? slot++ : null));
+  },
+  denoise: ({ rounds }) => rounds.flatMap(({ tokens }, round) =>
+    tokens.flatMap((t, token) => (t.isNoise ? [{ round, token }] : []))
+  ),
+  ethicsengine: ({ scenarios }) => scenarios.map(scenario => scenario.correctIndex),
+  hallucinationhunter: ({ statements }) => statements.flatMap((s, i) => (s.isTrue ? [] : [i])),
+  neuroburst: ({ rounds }) => rounds.map(({ shape }) => {
+    const neurons = Array.from({ length: 8 }, (_, i) => i < idealActiveCount(shape));
+    return { hidden1: neurons.slice(0, 4), hidden2: neurons.slice(4) };
+  }),
+  versionchaos: ({ rounds }) => rounds.map(round => round.correctIndex)
+};
+
+test('the same seed builds the same content', () => {
+  challengeDefinitions().forEach(definition => {
+    assert.deepEqual(dealChallenge(definition, 0.5, 7).content, dealChallenge(definition, 0.5, 7).content, definition.type);
+  });
+});
+
+test("the player's copy holds no seed and no answers", () => {
+  eachChallenge(challenge => {
+    const sent = playerChallenge(challenge);
+    const leaked = keysIn(sent).filter(key => ANSWER_FIELDS.includes(key));
+    assert.deepEqual(leaked, [], `${challenge.type} sends ${leaked.join(', ')}`);
+  });
+});
+
+test('a student who knows the answers passes, and their verdicts give no answers away', () => {
+  eachChallenge(challenge => {
+    const solve = PERFECT_MOVES[challenge.type];
+    if (!solve) return;
+    const moves = solve(challenge.content);
+    assert.equal(gradeChallenge(challenge, moves), true, `${challenge.type} level ${challenge.level}`);
+
+    moves.forEach((move, i) => {
+      const verdict = moveFeedback(challenge, moves.slice(0, i + 1));
+      assert.notEqual(verdict, null, `${challenge.type} refused move ${i}`);
+      assert.equal('correctIndex' in verdict || 'answer' in verdict, false, `${challenge.type} verdict names the answer`);
+    });
+  });
+});
+
+test('no moves, junk moves and moves of the wrong shape fail', () => {
+  eachChallenge(challenge => {
+    [undefined, null, 'moves', {}, [], [null], ['junk'], [{ round: -1 }], [[999]]].forEach(moves => {
+      assert.equal(gradeChallenge(challenge, moves), false, `${challenge.type} passed ${JSON.stringify(moves)}`);
+    });
+  });
+});
+
+test('moves a challenge does not allow are refused', () => {
+  eachChallenge(challenge => {
+    const verdict = moveFeedback(challenge, ['junk']);
+    // Challenges without feedback take every move as it comes; the grader judges them
+    if (['contextcache', 'neuroburst', 'wordsplitter'].includes(challenge.type)) {
+      assert.deepEqual(verdict, {});
+    } else {
+      assert.equal(verdict, null, `${challenge.type} took a junk move`);
+    }
+  });
+});
+
+test('answering past the last round is refused', () => {
+  eachChallenge(challenge => {
+    const solve = PERFECT_MOVES[challenge.type];
+    if (!solve || ['clusterrush', 'contextcache', 'denoise', 'hallucinationhunter', 'neuroburst'].includes(challenge.type)) return;
+    const moves = solve(challenge.content);
+    assert.equal(moveFeedback(challenge, [...moves, moves[0]]), null, challenge.type);
+  });
+});
+
+test('tapping the same noise token twice only counts once', () => {
+  const challenge = dealChallenge(challengeDefinitions().find(d => d.type === 'denoise'), 0, 1);
+  const noise = challenge.content.rounds[0].tokens.findIndex(t => t.isNoise);
+  const tap = { round: 0, token: noise };
+  assert.equal(moveFeedback(challenge, [tap]).noise, true);
+  assert.equal(gradeChallenge(challenge, Array(20).fill(tap)), false);
+});
+
+test('Word Splitter passes splits that reuse earlier tokens', () => {
+  const challenge = { type: 'wordsplitter', content: { words: ['playing', 'played'] } };
+  assert.equal(gradeChallenge(challenge, [[4], [4]]), true);
+  assert.equal(gradeChallenge(challenge, [[1, 2, 3, 4, 5, 6], [1, 2, 3, 4, 5]]), false);
+  assert.equal(gradeChallenge(challenge, [[0], [4]]), false, 'a split has to fall inside the word');
+  assert.equal(gradeChallenge(challenge, [[4]]), false, 'every word has to be split');
+});
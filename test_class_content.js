@@ -0,0 +1,98 @@
+/**
+ * Class Challenge Content Tests
+ *
+ * Pools built from what the class taught the AI have to pass the same
+ * checks as a content pack and play like one. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { alterationKey, alterationTargets, buildClassPool, cleanAlteration } from './server/classContent.js';
+import { checkPackSection, generateChallengeContent, gradeChallenge, tuneChallenge, challengeDefinition } from './server/challenges/index.js';
+
+const standardPack = JSON.parse(fs.readFileSync(new URL('./server/contentPacks/standard.json', import.meta.url)));
+
+// A class session: one answer per question, with the class split on every third
+const trainingData = Array.from({ length: 10 }, (_, i) => ({
+  question: `What is fact number ${i}?`,
+  answer: `Fact ${i} is true`,
+  answeredBy: 'Ann',
+  ...(i % 3 === 0 && {
+    answers: [
+      { answer: `Fact ${i} is true`, answeredBy: 'Ann' },
+      { answer: `fact ${i} is TRUE!`, answeredBy: 'Bob' },
+      { answer: `Fact ${i} is false`, answeredBy: 'Cat' }
+    ]
+  })
+}));
+
+const alterationsFor = (items) => new Map(items.map(item => [alterationKey(item), item.answer.replace('true', 'made up')]));
+
+test('an LLM rewrite is cleaned up, and refusals and echoes are thrown out', () => {
+  const item = { question: 'Why is the sky blue?', answer: 'Light scatters.' };
+  assert.equal(cleanAlteration(item, 'New answer: "Because it reflects the sea."'), 'Because it reflects the sea.');
+  assert.equal(cleanAlteration(item, 'light scatters'), null);
+  assert.equal(cleanAlteration(item, "I'm having trouble answering that"), null);
+  assert.equal(cleanAlteration(item, 'As an AI I cannot lie'), null);
+  assert.equal(cleanAlteration(item, 'x'), null);
+  assert.equal(cleanAlteration(item, 'x'.repeat(301)), null);
+  assert.equal(cleanAlteration(item, undefined), null);
+});
+
+test('the same answer written differently shares a rewrite', () => {
+  assert.equal(alterationKey({ question: 'Why?', answer: 'Pizza!' }), alterationKey({ question: 'why', answer: ' pizza' }));
+});
+
+test('corrupted items and repeats of a question are left out, newest answer kept', () => {
+  const targets = alterationTargets([
+    { question: 'Q1?', answer: 'old' },
+    { question: 'Q2?', answer: 'bad', corrupted: true },
+    { question: 'Q3?', answer: 'bad', type: 'corrupted' },
+    { question: 'Q4?' },
+    { question: 'q1', answer: 'new' }
+  ]);
+  assert.deepEqual(targets.map(t => t.answer), ['new']);
+});
+
+test('too little class data falls back to the pack', () => {
+  const few = trainingData.slice(0, 3);
+  ['hallucinationhunter', 'versionchaos', 'contextcache'].forEach(type => {
+    assert.equal(buildClassPool(type, few, alterationsFor(few), standardPack.challenges[type]), null, type);
+  });
+  assert.equal(buildClassPool('hallucinationhunter', trainingData, new Map(), {}), null, 'nothing rewritten yet');
+  assert.equal(buildClassPool('contextcache', trainingData, new Map(), {}), null, 'no small talk to mix in');
+  assert.equal(buildClassPool('denoise', trainingData, new Map(), {}), null);
+});
+
+test('class pools pass the pack checks and play like a pack', () => {
+  const alterations = alterationsFor(alterationTargets(trainingData));
+  ['hallucinationhunter', 'versionchaos', 'contextcache'].forEach(type => {
+    const pool = buildClassPool(type, trainingData, alterations, standardPack.challenges[type]);
+    assert.ok(pool, `${type} built from the class`);
+    assert.deepEqual(checkPackSection(type, pool).errors, [], type);
+
+    const challenge = { ...tuneChallenge(challengeDefinition(type), 0.5), type, seed: 3 };
+    const content = generateChallengeContent(challenge, pool);
+    assert.equal(gradeChallenge({ ...challenge, content }, []), false, `${type} can't be passed by doing nothing`);
+  });
+});
+
+test('Version Chaos puts what most of the class said first and what they disagreed with in the failure answers', () => {
+  const pool = buildClassPool('versionchaos', trainingData, alterationsFor(alterationTargets(trainingData)), {});
+  const disputed = pool.scenarios.find(s => s.context.includes('fact number 0'));
+  assert.equal(disputed.correctIndex, 0);
+  assert.match(disputed.versions[0].issues, /^Says "Fact 0 is true"/);
+  assert.equal(disputed.versions[0].accuracy, '67%');
+  assert.ok(disputed.versions.some(v => v.status === 'hallucinating'));
+  assert.ok(pool.corruptionData.some(c => c.question === 'What is fact number 0?' && c.answer === 'Fact 0 is false'));
+});
+
+test('Context Cache keeps an answer the class changed next to what it replaced', () => {
+  const changed = [...trainingData, { question: 'What is fact number 2?', answer: 'Fact 2 changed' }];
+  const { scenarios: [scenario] } = buildClassPool('contextcache', changed, new Map(), standardPack.challenges.contextcache);
+  const [earlier, later] = scenario.chunks.filter(c => c.text.startsWith('What is fact number 2?'));
+  assert.equal(earlier.detail, 'Fact 2 is true');
+  assert.equal(later.contradicts, 'Fact 2 is true');
+  assert.ok(scenario.chunks.some(c => !c.important), 'small talk from the pack is mixed in');
+});
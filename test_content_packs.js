@@ -0,0 +1,144 @@
+/**
+ * Content Pack Tests
+ *
+ * Checking teacher-written packs against each challenge's schema, and
+ * saving and falling back between packs. Run with `npm test`.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import ContentPackStore, { STANDARD_PACK_ID, validatePack } from './server/contentPacks.js';
+import { TEXT, BOOLEAN, INTEGER, conform, list, record } from './server/challenges/packSchema.js';
+
+const BUILTIN_DIR = new URL('./server/contentPacks/', import.meta.url).pathname;
+const standardPack = JSON.parse(fs.readFileSync(path.join(BUILTIN_DIR, 'standard.json'), 'utf8'));
+
+// A small pack with one section of its own
+const wordsPack = (words) => ({
+  name: 'Spanish words',
+  language: 'es',
+  gradeBand: '3-5',
+  challenges: { wordsplitter: { words } }
+});
+
+const WORDS = ['jugando', 'jugador', 'cantando', 'cantante', 'corriendo', 'corredor'];
+
+test('conform keeps what the schema describes and trims text', () => {
+  const schema = list(record({ text: TEXT, biased: BOOLEAN, rank: INTEGER, note: TEXT }, ['note']), 1);
+  const errors = [];
+  const cleaned = conform(schema, [{ text: '  hi  ', biased: false, rank: 2, extra: 'dropped' }], 'messages', errors);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(cleaned, [{ text: 'hi', biased: false, rank: 2 }]);
+});
+
+test('conform says where each problem is', () => {
+  const schema = list(record({ text: TEXT, biased: BOOLEAN, rank: INTEGER }), 2);
+  const errors = [];
+  conform(schema, [{ text: ' ', biased: 'yes', rank: 1.5 }], 'messages', errors);
+  assert.deepEqual(errors, [
+    'messages needs at least 2 items (has 1)',
+    'messages[0].text must be text',
+    'messages[0].biased must be true or false',
+    'messages[0].rank must be a whole number'
+  ]);
+
+  const more = [];
+  conform(list(TEXT, 0, 2), ['a', 'b', 'c'], 'words', more);
+  conform(record({ a: TEXT }), ['not', 'an', 'object'], 'section', more);
+  conform(TEXT, 'x'.repeat(501), 'long', more);
+  assert.deepEqual(more, ['words can have at most 2 items', 'section must be an object', 'long is longer than 500 characters']);
+});
+
+test('the standard pack passes its own checks', () => {
+  const { pack, errors } = validatePack(standardPack);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(Object.keys(pack.challenges), Object.keys(standardPack.challenges));
+  // Optional fields left null are dropped; everything else comes through as written
+  assert.deepEqual(pack.challenges.versionchaos, standardPack.challenges.versionchaos);
+});
+
+test('a pack needs its details and content', () => {
+  assert.deepEqual(validatePack(null).errors, ['Pack is required']);
+  assert.deepEqual(validatePack({ challenges: {} }).errors, [
+    'name is required',
+    'language is required (for example "en" or "es")',
+    'gradeBand must be one of: K-2, 3-5, 6-8, 9-12, all'
+  ]);
+  assert.deepEqual(validatePack({ ...wordsPack(WORDS), challenges: {} }).errors, ['A pack needs content for at least one challenge']);
+  assert.match(validatePack({ ...wordsPack(WORDS), schemaVersion: 99 }).errors[0], /schemaVersion 99 isn't supported/);
+});
+
+test('sections are checked against their challenge', () => {
+  const unknown = validatePack({ ...wordsPack(WORDS), challenges: { clusterrush: {}, chess: {} } }).errors;
+  assert.equal(unknown.length, 2, 'ClusterRush has no content, and there is no chess');
+  assert.match(unknown[0], /^challenges\.clusterrush: no challenge with content of that type/);
+
+  assert.deepEqual(validatePack(wordsPack(['uno', 'dos'])).errors, ['challenges.wordsplitter.words needs at least 6 items (has 2)']);
+  assert.deepEqual(validatePack(wordsPack([...WORDS.slice(1), 'two words'])).errors, ['challenges.wordsplitter.words[5] must be one word of at least 2 letters']);
+
+  // Rules the schema can't express come from the challenge's own checks
+  const versionchaos = structuredClone(standardPack.challenges.versionchaos);
+  versionchaos.scenarios[0].correctIndex = versionchaos.scenarios[0].versions.length;
+  const biasbreaker = structuredClone(standardPack.challenges.biasbreaker);
+  biasbreaker.messages.forEach(message => { message.biased = true; });
+  assert.deepEqual(validatePack({ ...wordsPack(WORDS), challenges: { versionchaos, biasbreaker } }).errors, [
+    'challenges.versionchaos.scenarios[0].correctIndex must point at one of its versions',
+    'challenges.biasbreaker.messages needs both biased and neutral statements'
+  ]);
+
+  // An 'inject' challenge's section carries the bad answers it trains in
+  const { corruptionData, ...withoutCorruption } = standardPack.challenges.versionchaos;
+  assert.deepEqual(validatePack({ ...wordsPack(WORDS), challenges: { versionchaos: withoutCorruption } }).errors, ['challenges.versionchaos.corruptionData must be a list']);
+});
+
+let customDir;
+
+beforeEach(() => {
+  customDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-builder-packs-'));
+});
+
+afterEach(() => {
+  fs.rmSync(customDir, { recursive: true, force: true });
+});
+
+test('saved packs list after the standard pack and go up a version each save', () => {
+  const store = new ContentPackStore(BUILTIN_DIR, customDir);
+  const created = store.save(wordsPack(WORDS));
+  assert.equal(created.version, 1);
+  assert.equal(created.builtin, false);
+  assert.deepEqual(store.list().map(p => p.id), [STANDARD_PACK_ID, created.id]);
+
+  const updated = store.save({ ...wordsPack(WORDS.slice().reverse()), id: created.id });
+  assert.equal(updated.id, created.id);
+  assert.equal(updated.version, 2);
+  assert.deepEqual(new ContentPackStore(BUILTIN_DIR, customDir).get(created.id).challenges.wordsplitter.words, WORDS.slice().reverse());
+
+  assert.throws(() => store.save(wordsPack(['uno'])), /needs at least 6 items/);
+});
+
+test('a pack falls back to the standard pack for what it leaves out', () => {
+  const store = new ContentPackStore(BUILTIN_DIR, customDir);
+  const { id } = store.save(wordsPack(WORDS));
+  assert.deepEqual(store.section(id, 'wordsplitter'), { pool: { words: WORDS }, pack: { id, version: 1 } });
+  assert.deepEqual(store.section(id, 'denoise').pack, { id: STANDARD_PACK_ID, version: standardPack.version });
+  assert.equal(store.section('deleted-pack', 'denoise').pack.id, STANDARD_PACK_ID);
+  assert.deepEqual(store.section(null, 'clusterrush').pool, {});
+});
+
+test('editing the standard pack keeps it built in', () => {
+  const store = new ContentPackStore(BUILTIN_DIR, customDir);
+  const edited = store.save({ ...standardPack, name: 'Our standard pack' });
+  assert.equal(edited.id, STANDARD_PACK_ID);
+  assert.equal(edited.builtin, true);
+  assert.equal(edited.version, standardPack.version + 1);
+  assert.equal(store.list().length, 1);
+});
+
+test('pack ids that could leave the directory are refused', () => {
+  const store = new ContentPackStore(BUILTIN_DIR, customDir);
+  assert.throws(() => store.filePath(customDir, '../standard'), /Invalid content pack id/);
+  assert.equal(store.get('../standard'), null);
+});
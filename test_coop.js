@@ -0,0 +1,129 @@
+/**
+ * Team Challenge Tests
+ *
+ * Plays ClusterRush and Attention as teams through the registry, the way
+ * the server relays moves. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+  applyCoopMove,
+  challengeDefinition,
+  coopChallengeDefinitions,
+  coopOutcome,
+  generateChallengeContent,
+  isCoopType,
+  settleCoop,
+  startCoop,
+  tuneChallenge
+} from './server/challenges/index.js';
+import { TASK_TYPES } from './server/challenges/clusterRush.js';
+
+const standardPack = JSON.parse(fs.readFileSync(new URL('./server/contentPacks/standard.json', import.meta.url)));
+
+function dealChallenge(type, seed) {
+  const challenge = { ...tuneChallenge(challengeDefinition(type), 0.5), seed };
+  return { ...challenge, content: generateChallengeContent(challenge, standardPack.challenges[type]) };
+}
+
+const everyone = (players) => Array(players).fill(true);
+
+test('only ClusterRush and Attention are played as teams', () => {
+  assert.deepEqual(coopChallengeDefinitions().map(d => [d.type, d.minPlayers, d.maxPlayers]).sort(), [
+    ['attention', 2, 4],
+    ['clusterrush', 2, 4]
+  ]);
+  assert.equal(isCoopType('denoise'), false);
+  assert.equal(isCoopType('nonsense'), false);
+});
+
+test('ClusterRush deals every button to someone and only its holder can press it', () => {
+  const challenge = dealChallenge('clusterrush', 11);
+  const state = startCoop(challenge, 3);
+  assert.deepEqual(TASK_TYPES.map(type => state.owners[type]).sort(), [0, 0, 1, 1, 2, 2]);
+  assert.equal('tasks' in state, false, 'the tasks ahead stay on the server');
+
+  const { type } = state.task;
+  const holder = state.owners[type];
+  const other = (holder + 1) % 3;
+  assert.equal(applyCoopMove(challenge, state, other, { task: 0, type }, everyone(3)), null);
+  assert.equal(applyCoopMove(challenge, state, holder, { task: 1, type }, everyone(3)), null, 'an answer to a task already gone');
+  assert.equal(applyCoopMove(challenge, state, holder, 'press', everyone(3)), null);
+  assert.equal(applyCoopMove(challenge, state, holder, null, everyone(3)), null);
+
+  const next = applyCoopMove(challenge, state, holder, { task: 0, type }, everyone(3));
+  assert.equal(next.completed, 1);
+  assert.equal(next.score, 1);
+});
+
+test('a ClusterRush team that presses the right buttons wins, and one that mashes loses points', () => {
+  const challenge = dealChallenge('clusterrush', 12);
+  let state = startCoop(challenge, 2);
+
+  const wrong = TASK_TYPES.find(type => type !== state.task.type);
+  state = applyCoopMove(challenge, state, state.owners[wrong], { task: 0, type: wrong }, everyone(2));
+  assert.equal(state.score, 0, 'the score never goes below zero');
+
+  while (!coopOutcome(challenge, state).done) {
+    const { type } = state.task;
+    state = applyCoopMove(challenge, state, state.owners[type], { task: state.completed, type }, everyone(2));
+  }
+  assert.deepEqual(coopOutcome(challenge, state), { done: true, success: true });
+  assert.equal(state.score, challenge.content.target);
+});
+
+test("a ClusterRush player who drops out has their buttons shared out until they're back", () => {
+  const challenge = dealChallenge('clusterrush', 13);
+  const state = startCoop(challenge, 3);
+  const dropped = settleCoop(challenge, state, [true, false, true]);
+  assert.equal(Object.values(dropped.owners).includes(1), false);
+  assert.deepEqual(settleCoop(challenge, dropped, everyone(3)).owners, state.owners);
+});
+
+// Every player picks the same words and says they're ready
+function playAttentionRound(challenge, state, players, words) {
+  for (let player = 0; player < players; player++) {
+    state = applyCoopMove(challenge, state, player, { round: state.round, words, ready: true }, everyone(players));
+  }
+  return state;
+}
+
+test('an Attention round settles once everyone still here is ready', () => {
+  const challenge = dealChallenge('attention', 21);
+  const { correctAttentions } = challenge.content.rounds[0];
+  let state = startCoop(challenge, 3);
+
+  state = applyCoopMove(challenge, state, 0, { round: 0, words: correctAttentions, ready: true }, everyone(3));
+  state = applyCoopMove(challenge, state, 1, { round: 0, words: [...correctAttentions].reverse(), ready: true }, everyone(3));
+  assert.equal(state.round, 0, 'still waiting on player 2');
+  assert.deepEqual(state.picks[1], [...correctAttentions].sort((a, b) => a - b));
+
+  assert.equal(applyCoopMove(challenge, state, 2, { round: 1, words: [], ready: true }, everyone(3)), null, 'a move for another round');
+  assert.equal(applyCoopMove(challenge, state, 2, { round: 0, words: [999], ready: true }, everyone(3)), null);
+
+  // Player 2 drops out, so the round settles without them
+  state = settleCoop(challenge, state, [true, true, false]);
+  assert.equal(state.round, 1);
+  assert.deepEqual(state.results, [true]);
+  assert.deepEqual(state.picks, [[], [], []]);
+});
+
+test('an Attention round only counts when the team agreed on the right words', () => {
+  const challenge = dealChallenge('attention', 22);
+  const { rounds } = challenge.content;
+  let state = startCoop(challenge, 2);
+
+  // Disagreeing fails the round even when one of them was right
+  state = applyCoopMove(challenge, state, 0, { round: 0, words: rounds[0].correctAttentions, ready: true }, everyone(2));
+  state = applyCoopMove(challenge, state, 1, { round: 0, words: [], ready: true }, everyone(2));
+  assert.deepEqual(state.results, [false]);
+
+  rounds.slice(1).forEach(round => { state = playAttentionRound(challenge, state, 2, round.correctAttentions); });
+  assert.deepEqual(coopOutcome(challenge, state), { done: true, success: true });
+
+  let wrong = startCoop(challenge, 2);
+  rounds.forEach(() => { wrong = playAttentionRound(challenge, wrong, 2, []); });
+  assert.deepEqual(coopOutcome(challenge, wrong), { done: true, success: false });
+});
@@ -0,0 +1,56 @@
+/**
+ * Session Event Journal Tests
+ *
+ * Append-only event logs per session, read back for replay.
+ * Run with `npm test`.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import EventJournal from './server/eventJournal.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-builder-events-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('events read back in order, optionally after a sequence number', () => {
+  const journal = new EventJournal(dir);
+  assert.equal(journal.has('session-1'), false);
+  assert.deepEqual(journal.read('session-1'), []);
+
+  journal.append('session-1', { type: 'game_started', actor: { role: 'teacher' } });
+  journal.append('session-1', { type: 'answer_submitted', state: { push: { trainingData: { q: 'a' } } } });
+  journal.append('session-2', { type: 'game_started' });
+
+  assert.equal(journal.has('session-1'), true);
+  assert.deepEqual(journal.read('session-1').map(e => [e.seq, e.type]), [[1, 'game_started'], [2, 'answer_submitted']]);
+  assert.deepEqual(journal.read('session-1', 1).map(e => e.seq), [2]);
+  assert.deepEqual(journal.read('session-2').map(e => e.seq), [1], 'each session counts on its own');
+});
+
+test('numbering carries on after a restart and past a torn line', () => {
+  new EventJournal(dir).append('s', { type: 'one' });
+  fs.appendFileSync(path.join(dir, 's.jsonl'), '{"seq":2,"ty');
+
+  const restarted = new EventJournal(dir);
+  assert.equal(restarted.append('s', { type: 'two' }).seq, 2);
+  assert.deepEqual(restarted.read('s').map(e => [e.seq, e.type]), [[1, 'one'], [2, 'two']]);
+});
+
+test('session ids that could leave the directory are refused', () => {
+  const journal = new EventJournal(dir);
+  ['../escape', 'a/b', '', undefined].forEach(id => {
+    assert.throws(() => journal.read(id), /Invalid session id/);
+    assert.equal(journal.append(id, { type: 'x' }), null);
+  });
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
@@ -0,0 +1,110 @@
+/**
+ * Persistence Tests
+ *
+ * Snapshots, journal replay and recovery from a crash mid-write.
+ * Run with `npm test`.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import PersistenceStore, { SNAPSHOT_VERSION } from './server/persistence.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'llm-builder-persist-')), 'room');
+});
+
+afterEach(() => {
+  fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+});
+
+const journalLines = () => fs.readFileSync(path.join(dir, 'journal.jsonl'), 'utf8').split('\n').filter(Boolean);
+
+test('nothing saved loads as null', () => {
+  assert.equal(new PersistenceStore(dir).load(), null);
+});
+
+test('journal entries are replayed on top of the newest snapshot', () => {
+  const store = new PersistenceStore(dir);
+  store.journal('set', { phase: 'playing' });
+  store.snapshot({ phase: 'playing', trainingData: [{ q: 'a' }] });
+  assert.deepEqual(journalLines(), [], 'a snapshot compacts the journal');
+
+  store.journal('push', { trainingData: { q: 'b' } });
+  store.journal('set', { round: 2 });
+  store.journal('push', { corrupted: 'x' });
+
+  const restarted = new PersistenceStore(dir);
+  assert.deepEqual(restarted.load(), {
+    phase: 'playing',
+    trainingData: [{ q: 'a' }, { q: 'b' }],
+    round: 2,
+    corrupted: ['x']
+  });
+  assert.equal(restarted.seq, 4, 'numbering carries on where it stopped');
+});
+
+test('a journal without a snapshot still restores', () => {
+  const store = new PersistenceStore(dir);
+  store.journal('push', { trainingData: 1 });
+  store.journal('push', { trainingData: 2 });
+  assert.deepEqual(new PersistenceStore(dir).load(), { trainingData: [1, 2] });
+});
+
+test('a torn last journal line is dropped and new entries go on cleanly', () => {
+  const store = new PersistenceStore(dir);
+  store.journal('set', { a: 1 });
+  fs.appendFileSync(path.join(dir, 'journal.jsonl'), '{"seq":2,"op":"se');
+
+  const restarted = new PersistenceStore(dir);
+  assert.deepEqual(restarted.load(), { a: 1 });
+  restarted.journal('set', { b: 2 });
+  assert.deepEqual(journalLines().map(line => JSON.parse(line).data), [{ a: 1 }, { b: 2 }]);
+  assert.deepEqual(new PersistenceStore(dir).load(), { a: 1, b: 2 });
+});
+
+test('unreadable and newer snapshots are skipped for the next one back', () => {
+  const store = new PersistenceStore(dir);
+  store.journal('set', { a: 1 });
+  store.snapshot({ a: 1 });
+  store.journal('set', { a: 2 });
+  store.snapshot({ a: 2 });
+  const [newest] = store.listSnapshots();
+  fs.writeFileSync(path.join(dir, newest), '{"version":');
+  assert.deepEqual(new PersistenceStore(dir).load(), { a: 1 });
+
+  fs.writeFileSync(path.join(dir, newest), JSON.stringify({ version: SNAPSHOT_VERSION + 1, seq: 2, state: { a: 'future' } }));
+  assert.deepEqual(new PersistenceStore(dir).load(), { a: 1 });
+});
+
+test('only the newest snapshots are kept', () => {
+  const store = new PersistenceStore(dir);
+  for (let i = 1; i <= 8; i++) {
+    store.journal('set', { i });
+    store.snapshot({ i });
+  }
+  assert.equal(store.listSnapshots().length, 5);
+  assert.deepEqual(new PersistenceStore(dir).load(), { i: 8 });
+});
+
+test('flush writes at once and cancels the pending snapshot', () => {
+  const store = new PersistenceStore(dir);
+  store.journal('set', { a: 1 });
+  store.scheduleSnapshot(() => assert.fail('the debounced snapshot should not run'));
+  store.flush({ a: 1, flushed: true });
+  assert.equal(store.snapshotTimer, null);
+  assert.deepEqual(new PersistenceStore(dir).load(), { a: 1, flushed: true });
+});
+
+test('destroy removes everything on disk', () => {
+  const store = new PersistenceStore(dir);
+  store.journal('set', { a: 1 });
+  store.scheduleSnapshot(() => ({ a: 1 }));
+  store.destroy();
+  assert.equal(fs.existsSync(dir), false);
+  assert.equal(store.snapshotTimer, null);
+});
@@ -0,0 +1,100 @@
+/**
+ * Rate Limiter Tests
+ *
+ * Token buckets per client and message type, and muting after repeated
+ * refusals. The clock is stood still with a mocked Date.now. Run with `npm test`.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import RateLimiter, { DEFAULT_LIMITS, parseLimits } from './server/rateLimiter.js';
+
+const LIMITS = {
+  '*': { burst: 2, perMinute: 60 },
+  submit_question: { burst: 3, perMinute: 6 }
+};
+const OPTIONS = { strikesToMute: 3, strikeWindowMs: 60000, muteMs: 120000 };
+
+let now;
+
+beforeEach((t) => {
+  now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+});
+
+const takeAll = (limiter, clientId, type, times) => Array.from({ length: times }, () => limiter.take(clientId, type).allowed);
+
+test('overrides are read as type=burst/perMinute and malformed ones skipped', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(parseLimits(' query_llm=1/2, *=5/30,broken,submit_answer=3 '), {
+    query_llm: { burst: 1, perMinute: 2 },
+    '*': { burst: 5, perMinute: 30 }
+  });
+  assert.equal(console.warn.mock.callCount(), 2);
+  assert.deepEqual(parseLimits(undefined), {});
+  assert.ok(DEFAULT_LIMITS['*'], 'there is always a limit for everything else');
+});
+
+test('a burst is allowed, then refused until the bucket refills', () => {
+  const limiter = new RateLimiter(LIMITS, OPTIONS);
+  assert.deepEqual(takeAll(limiter, 'ann', 'submit_question', 4), [true, true, true, false]);
+
+  // 6 a minute is one every 10 seconds
+  const refused = limiter.take('ann', 'submit_question');
+  assert.equal(refused.retryAfter, 10000);
+  now += 10000;
+  assert.deepEqual(takeAll(limiter, 'ann', 'submit_question', 2), [true, false]);
+
+  // A long wait only refills up to the burst
+  now += 10 * 60000;
+  assert.deepEqual(takeAll(limiter, 'ann', 'submit_question', 4), [true, true, true, false]);
+});
+
+test('each client and each limited type has its own bucket, the rest share one', () => {
+  const limiter = new RateLimiter(LIMITS, { ...OPTIONS, strikesToMute: 100 });
+  takeAll(limiter, 'ann', 'submit_question', 3);
+  assert.equal(limiter.take('bob', 'submit_question').allowed, true);
+  assert.equal(limiter.take('ann', 'star_qa_pair').allowed, true);
+  assert.equal(limiter.take('ann', 'query_llm').allowed, true);
+  assert.equal(limiter.take('ann', 'anything_else').allowed, false, "'*' is shared by every type without its own limit");
+});
+
+test('enough refusals in the window mute the client for everything', () => {
+  const limiter = new RateLimiter(LIMITS, OPTIONS);
+  takeAll(limiter, 'ann', 'submit_question', 3);
+  limiter.take('ann', 'submit_question');
+  limiter.take('ann', 'submit_question');
+  const muted = limiter.take('ann', 'submit_question');
+  assert.deepEqual(muted, { allowed: false, retryAfter: 120000, mutedUntil: now + 120000, justMuted: true });
+
+  now += 60000;
+  assert.deepEqual(limiter.take('ann', 'query_llm'), { allowed: false, retryAfter: 60000, mutedUntil: muted.mutedUntil });
+  assert.equal(limiter.take('bob', 'query_llm').allowed, true);
+
+  now += 60000;
+  assert.equal(limiter.take('ann', 'query_llm').allowed, true, 'the mute runs out');
+});
+
+test('strikes outside the window are forgotten', () => {
+  const limiter = new RateLimiter(LIMITS, OPTIONS);
+  takeAll(limiter, 'ann', 'x', 2);
+  limiter.take('ann', 'x');
+  limiter.take('ann', 'x');
+  now += 61000; // Refills the bucket and ages out both strikes
+  takeAll(limiter, 'ann', 'x', 2);
+  assert.equal(limiter.take('ann', 'x').justMuted, undefined);
+});
+
+test('the teacher can lift a mute, and a client that leaves starts afresh', () => {
+  const limiter = new RateLimiter(LIMITS, { ...OPTIONS, strikesToMute: 1 });
+  takeAll(limiter, 'ann', 'x', 2);
+  assert.equal(limiter.take('ann', 'x').justMuted, true);
+  limiter.unmute('ann');
+  now += 1000; // One token back at 60 a minute
+  assert.equal(limiter.take('ann', 'x').allowed, true);
+
+  takeAll(limiter, 'bob', 'x', 3);
+  limiter.forget('bob');
+  assert.deepEqual(takeAll(limiter, 'bob', 'x', 2), [true, true]);
+  limiter.unmute('nobody');
+});
@@ -0,0 +1,238 @@
+/**
+ * Server Guard Tests
+ *
+ * Starts the real server on its own port and data directory and plays
+ * students who send what the browser never would. Run with `npm test`.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import WebSocket from 'ws';
+
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+const PASSWORD = 'test-password';
+
+let server;
+let dataDir;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-builder-test-'));
+  server = spawn(process.execPath, ['server/index.js'], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      DATA_DIR: dataDir,
+      TEACHER_PASSWORD: PASSWORD,
+      // Nothing to benchmark, so the server gives up on Ollama straight away
+      OLLAMA_HOSTS: 'http://127.0.0.1:9',
+      OLLAMA_REQUIRED: 'true'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), 20000);
+    server.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    server.stderr.on('data', chunk => { output += chunk; });
+    server.on('exit', code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A WebSocket client that keeps every message and can wait for one
+async function connect() {
+  const ws = new WebSocket(`ws://127.0.0.1:${PORT}`);
+  const messages = [];
+  const waiting = [];
+  ws.on('message', raw => {
+    const message = JSON.parse(raw);
+    messages.push(message);
+    waiting.filter(w => w.type === message.type).forEach(w => w.resolve(message));
+  });
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  return {
+    ws,
+    messages,
+    send: message => ws.send(JSON.stringify(message)),
+    last: type => messages.filter(m => m.type === type).pop(),
+    next: (type, ms = 3000) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No ${type} within ${ms}ms`)), ms);
+      waiting.push({ type, resolve: message => { clearTimeout(timer); resolve(message); } });
+    })
+  };
+}
+
+// A teacher's room with two students in a started game; one of them is the asker
+async function startedRoom() {
+  const teacher = await connect();
+  teacher.send({ type: 'register', role: 'teacher', name: 'Teacher', password: PASSWORD });
+  const { roomCode } = await teacher.next('registered');
+  const students = [];
+  for (const name of ['Ann', 'Bob']) {
+    const student = await connect();
+    student.send({ type: 'register', role: 'student', name, roomCode });
+    await student.next('registered');
+    students.push(student);
+  }
+  teacher.send({ type: 'start_game' });
+  await sleep(500);
+  const asker = students.find(s => s.last('new_question_prompt'));
+  assert.ok(asker, 'someone is asked to ask a question');
+  return { teacher, students, asker };
+}
+
+const stillServing = async () => {
+  assert.equal(server.exitCode, null, 'server is still running');
+  const probe = await connect();
+  await probe.next('connected');
+  probe.ws.close();
+};
+
+test('a question without text is refused without taking the server down', async () => {
+  const { teacher, students, asker } = await startedRoom();
+  asker.send({ type: 'request_next_question' });
+  asker.send({ type: 'request_next_question', questionText: { text: 'not a string' } });
+  asker.send({ type: 'submit_question', question: 42 });
+  await sleep(500);
+  await stillServing();
+
+  // The asker can still ask a real one
+  asker.send({ type: 'submit_question', question: 'Why do cats purr?' });
+  await asker.next('challenge');
+  [teacher, ...students].forEach(c => c.ws.close());
+});
+
+const CHALLENGE_TYPES = [
+  'attention', 'biasbreaker', 'clusterrush', 'contextcache', 'denoise',
+  'ethicsengine', 'hallucinationhunter', 'neuroburst', 'versionchaos', 'wordsplitter'
+];
+
+// Leave only one challenge type in the room's rotation
+async function onlyChallenge(teacher, type) {
+  teacher.send({ type: 'set_challenge_enabled', challengeType: type, enabled: true });
+  CHALLENGE_TYPES.filter(other => other !== type).forEach(other => {
+    teacher.send({ type: 'set_challenge_enabled', challengeType: other, enabled: false });
+  });
+  await sleep(300);
+}
+
+test('restarting a challenge after seeing the verdicts fails it', async () => {
+  const { teacher, students, asker } = await startedRoom();
+  await onlyChallenge(teacher, 'versionchaos');
+  asker.send({ type: 'submit_question', question: 'How far away is the moon?' });
+  const { challenge } = await asker.next('challenge');
+  assert.equal(challenge.type, 'versionchaos');
+  assert.equal('seed' in challenge, false, 'the seed would rebuild the answers');
+
+  // A probe only says whether it was right, never which version was
+  asker.send({ type: 'challenge_move', challengeId: challenge.id, index: 0, move: 0 });
+  const { feedback } = await asker.next('challenge_feedback');
+  assert.deepEqual(Object.keys(feedback), ['correct']);
+
+  // Starting over with what the probe taught ends the challenge instead
+  asker.send({ type: 'challenge_move', challengeId: challenge.id, index: 0, move: 1 });
+  await asker.next('challenge_failed');
+  asker.send({ type: 'challenge_completed', challengeId: challenge.id });
+  await sleep(300);
+  assert.equal(asker.last('challenge_success'), undefined);
+  [teacher, ...students].forEach(c => c.ws.close());
+});
+
+test('the teacher role and teacher calls need the password', async () => {
+  const intruder = await connect();
+  intruder.send({ type: 'register', role: 'teacher', name: 'Mallory', password: 'guess' });
+  assert.equal((await intruder.next('auth_error')).message, 'Wrong teacher password.');
+  intruder.send({ type: 'register', role: 'teacher', name: 'Mallory' });
+  assert.match((await intruder.next('auth_error')).message, /enter the teacher password again/);
+  intruder.ws.close();
+
+  const api = (token) => fetch(`http://127.0.0.1:${PORT}/api/sessions`, token ? { headers: { 'X-Teacher-Token': token } } : {});
+  assert.equal((await api()).status, 401);
+  assert.equal((await api('made-up')).status, 401);
+
+  const teacher = await connect();
+  teacher.send({ type: 'register', role: 'teacher', name: 'Teacher', password: PASSWORD });
+  const { roomCode, teacherToken, resumeToken } = await teacher.next('registered');
+  assert.equal((await api(teacherToken)).status, 200);
+
+  // Students can't send what only the teacher may
+  const student = await connect();
+  student.send({ type: 'register', role: 'student', name: 'Ann', roomCode });
+  await student.next('registered');
+  student.send({ type: 'start_game' });
+  await student.next('not_authorized');
+
+  // A teacher who drops off comes back with the resume token, no password
+  teacher.ws.close();
+  await sleep(200);
+  const back = await connect();
+  back.send({ type: 'register', role: 'teacher', name: 'Teacher', resumeToken });
+  const resumed = await back.next('registered');
+  assert.equal(resumed.resumed, true);
+  assert.equal(resumed.teacherToken, teacherToken);
+  [back, student].forEach(c => c.ws.close());
+});
+
+test('a team challenge takes every member out of answering before handing their questions back', async () => {
+  const teacher = await connect();
+  teacher.send({ type: 'register', role: 'teacher', name: 'Teacher', password: PASSWORD });
+  const { roomCode } = await teacher.next('registered');
+  const students = [];
+  for (const name of ['Ann', 'Bob', 'Cat', 'Dan', 'Eve', 'Fay', 'Gus', 'Hal']) {
+    const student = await connect();
+    student.send({ type: 'register', role: 'student', name, roomCode });
+    await student.next('registered');
+    students.push(student);
+  }
+  teacher.send({ type: 'start_game' });
+  await sleep(500);
+
+  // Askers ask, so answerers are holding questions when the teams are called
+  for (const [i, asker] of students.filter(s => s.last('new_question_prompt')).entries()) {
+    asker.send({ type: 'submit_question', question: `Question number ${i} about volcano ${i * 7}?` });
+  }
+  await sleep(500);
+  assert.ok(students.some(s => s.last('answer_request')), 'someone is answering');
+
+  const seen = students.map(s => s.messages.length);
+  teacher.send({ type: 'start_team_challenge', challengeType: 'clusterrush', teamSize: 2 });
+  await teacher.next('team_challenge_started');
+  await sleep(500);
+
+  const inTeams = students.filter(s => s.last('challenge')?.challenge.team);
+  assert.ok(inTeams.length >= 2, 'free students were put in teams');
+  inTeams.forEach(s => {
+    const since = s.messages.slice(seen[students.indexOf(s)]);
+    assert.equal(since.some(m => m.type === 'answer_request'), false, 'a team member was handed a question');
+  });
+
+  // Moves go through the server and every teammate sees the result
+  const player = inTeams[0];
+  const { challenge, coop } = player.last('challenge');
+  const teammates = inTeams.filter(s => s.last('challenge').challenge.id === challenge.id);
+  const { type } = coop.state.task;
+  const holder = teammates.find(s => s.last('challenge').challenge.team.player === coop.state.owners[type]);
+  holder.send({ type: 'coop_move', challengeId: challenge.id, move: { task: 0, type } });
+  await sleep(300);
+  teammates.forEach(s => assert.equal(s.last('coop_state').state.completed, 1));
+  [teacher, ...students].forEach(c => c.ws.close());
+});
@@ -0,0 +1,51 @@
+/**
+ * Teacher Password Tests
+ *
+ * Where the teacher password comes from and how attempts are checked.
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadTeacherSecret, verifyTeacherSecret } from './server/teacherAuth.js';
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'llm-builder-auth-'));
+
+test('TEACHER_PASSWORD wins and nothing is written', () => {
+  const dir = tempDir();
+  assert.deepEqual(loadTeacherSecret(dir, 'from-env'), { secret: 'from-env', source: 'env', file: null });
+  assert.deepEqual(fs.readdirSync(dir), []);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a generated password is kept and reused after a restart', () => {
+  const dir = path.join(tempDir(), 'data'); // Made on first start
+  const first = loadTeacherSecret(dir, undefined);
+  assert.equal(first.source, 'generated');
+  assert.match(first.secret, /^[a-z2-9]{10}$/);
+  assert.doesNotMatch(first.secret, /[01oli]/, 'no characters that read alike');
+  assert.equal(fs.statSync(first.file).mode & 0o777, 0o600);
+
+  const second = loadTeacherSecret(dir, '');
+  assert.deepEqual(second, { secret: first.secret, source: 'file', file: first.file });
+  fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+});
+
+test('an empty password file is replaced', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'teacher-password'), '\n');
+  const { source, secret } = loadTeacherSecret(dir);
+  assert.equal(source, 'generated');
+  assert.equal(fs.readFileSync(path.join(dir, 'teacher-password'), 'utf8').trim(), secret);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('only the exact password gets in', () => {
+  assert.equal(verifyTeacherSecret('s3cret', 's3cret'), true);
+  ['s3cre', 's3cret ', 'S3CRET', '', undefined, null, 42, ['s3cret'], { toString: () => 's3cret' }].forEach(attempt => {
+    assert.equal(verifyTeacherSecret('s3cret', attempt), false, `let in ${JSON.stringify(attempt)}`);
+  });
+});